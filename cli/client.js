@@ -0,0 +1,138 @@
+/**
+ * CLI Client Factory
+ *
+ * One place that turns the resolved settings (active profile over the
+ * environment, see config.js) into a LazyLottoClient, so commands do not
+ * each rebuild the network, contract and signer wiring.
+ *
+ * The signer follows the key source: env / file keys are parsed with the
+ * curve detected from the key or the account (resolvePrivateKey), keystores
+ * are decrypted with a password from the environment or a prompt, and
+ * command sources sign through an external program (CommandSigner).
+ * With a multi-sig config the operator key only pays, and the transaction
+ * goes through the multi-sig workflow (MultiSigSigner).
+ * Problems with any of that exit with the configuration exit code.
+ *
+ * Usage:
+ *   const { createClient } = require('../client');
+ *   const { lotto, env } = await createClient({ signer: true });
+ */
+
+const readline = require('readline');
+const {
+	LazyLottoClient,
+	PrivateKeySigner,
+	CommandSigner,
+	MultiSigSigner,
+	resolvePrivateKey,
+	readKeystore,
+	decryptKeystore,
+} = require('../index');
+const { getAccountKey } = require('../utils/hederaMirrorHelpers');
+const {
+	getKeySource,
+	loadPrivateKey,
+	keystorePasswordEnv,
+	expandHome,
+} = require('./config');
+const { cliError, exitCodeFor, EXIT_CODES } = require('./output');
+
+/**
+ * Ask for a secret on the terminal without echoing it; the prompt goes to
+ * stderr so it never mixes with command output
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function readPassword(question) {
+	if (!process.stdin.isTTY) {
+		return Promise.reject(cliError(EXIT_CODES.CONFIG, 'A password is needed but there is no terminal to ask on'));
+	}
+
+	const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+	let muted = false;
+	rl._writeToOutput = text => {
+		if (!muted) rl.output.write(text);
+	};
+	return new Promise(resolve => {
+		rl.question(question, answer => {
+			rl.close();
+			process.stderr.write('\n');
+			resolve(answer);
+		});
+		muted = true;
+	});
+}
+
+/**
+ * Build the signer for the active key source
+ * @param {string} env
+ * @param {string} accountId
+ * @returns {Promise<PrivateKeySigner>}
+ */
+async function createSigner(env, accountId) {
+	const keySource = getKeySource();
+
+	if (keySource.source === 'command') {
+		let publicKey = keySource.publicKey;
+		if (!publicKey) {
+			const accountKey = await getAccountKey(env, accountId);
+			if (!accountKey || !['ED25519', 'ECDSA_SECP256K1'].includes(accountKey.type)) {
+				throw new Error(`Cannot read a single public key for ${accountId} from the mirror node; set key.publicKey in the profile`);
+			}
+			publicKey = accountKey.key;
+		}
+		return new CommandSigner({ env, accountId, command: keySource.command, publicKey });
+	}
+
+	if (keySource.source === 'keystore') {
+		const keystore = readKeystore(expandHome(keySource.path));
+		const passwordEnv = keystorePasswordEnv(keySource);
+		const password = process.env[passwordEnv] ?? await readPassword(`Keystore password (${keySource.path}): `);
+		return new PrivateKeySigner({ env, accountId, privateKey: decryptKeystore(keystore, password) });
+	}
+
+	const privateKey = await resolvePrivateKey(loadPrivateKey(keySource), { type: keySource.type, env, accountId });
+	return new PrivateKeySigner({ env, accountId, privateKey });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.signer=false] - load the signing key (write commands)
+ * @param {boolean} [options.dryRun=false] - simulate writes instead of submitting them
+ * @param {Object} [options.multiSig] - parseMultiSigArgs config; used when enabled
+ * @returns {Promise<{lotto: LazyLottoClient, env: string}>}
+ */
+async function createClient(options = {}) {
+	const { signer: withSigner = false, dryRun = false, multiSig } = options;
+	const env = process.env.ENVIRONMENT ?? 'testnet';
+
+	try {
+		// a dry run simulates from the account and never needs the key
+		let signer = withSigner && !dryRun
+			? await createSigner(env, process.env.ACCOUNT_ID)
+			: null;
+
+		// the operator key pays; the multi-sig account signs through the workflow
+		if (signer && multiSig?.enabled) {
+			signer = new MultiSigSigner({ client: signer.client, accountId: process.env.ACCOUNT_ID, config: multiSig, env, ownsClient: true });
+		}
+
+		const lotto = new LazyLottoClient({
+			env,
+			contractId: process.env.LAZY_LOTTO_CONTRACT_ID,
+			storageId: process.env.LAZY_LOTTO_STORAGE,
+			poolManagerId: process.env.LAZY_LOTTO_POOL_MANAGER_ID,
+			operatorId: process.env.ACCOUNT_ID,
+			signer,
+			dryRun,
+		});
+
+		return { lotto, env };
+	}
+	catch (error) {
+		// network errors keep their own exit code
+		throw exitCodeFor(error) === EXIT_CODES.ERROR ? cliError(EXIT_CODES.CONFIG, error.message) : error;
+	}
+}
+
+module.exports = { createClient, createSigner, readPassword };
@@ -0,0 +1,353 @@
+/**
+ * Admin Command
+ *
+ * Operator actions that otherwise live in scripts/interactions/LazyLotto/admin/:
+ * pausing and closing pools, contract settings, roles, bonuses and
+ * withdrawals from storage. Every action shows what it will send and asks
+ * before submitting; --yes skips the prompt (and is required with a machine
+ * format). --dry-run simulates the call instead.
+ *
+ * --multisig sends the transaction through the multi-sig workflow of the
+ * admin scripts (--offline, --export-only, --signatures=..., --threshold=...,
+ * --keyfiles=..., --signers=...), with the profile key paying the fees. The
+ * workflow talks to the terminal, so it only runs with the table format.
+ *
+ * Amounts are in whole token units (HBAR, the token's decimals, $LAZY);
+ * times are unix seconds or ISO dates.
+ *
+ * Usage: lazy-lotto admin <action> [args] [--yes] [--dry-run] [--multisig ...] [--format=...]
+ */
+
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { createClient } = require('../client');
+const { tokenToEvmAddress, formatAmount } = require('../../utils/lazyLottoClient');
+const { printSimulation, simulationToJson } = require('../simulation');
+const { createOutput, cliError, commandMetadata, EXIT_CODES } = require('../output');
+
+const USAGE = 'Usage: lazy-lotto admin <action> [args] [--yes] [--dry-run] [--multisig ...] (lazy-lotto admin help for actions)';
+
+function integer(value, label, min, max) {
+	const number = Number(value);
+	if (!/^\d+$/.test(value) || number < min || number > max) {
+		throw new Error(`Invalid ${label}: ${value}. Must be an integer from ${min} to ${max}`);
+	}
+	return number;
+}
+
+// positional argument parsers shared by the actions
+const PARAMS = {
+	poolId: { label: '<poolId>', parse: value => integer(value, 'pool ID', 0, Number.MAX_SAFE_INTEGER) },
+	index: { label: '<index>', parse: value => integer(value, 'index', 0, Number.MAX_SAFE_INTEGER) },
+	percent: { label: '<percent>', parse: value => integer(value, 'percentage', 0, 100) },
+	bps: { label: '<bps>', parse: value => integer(value, 'bonus (bps, 10000 = 100%)', 0, 10_000) },
+	account: {
+		label: '<account>',
+		parse(value) {
+			if (!/^0\.0\.\d+$/.test(value) && !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+				throw new Error(`Invalid account: ${value}. Use 0.0.X or a 0x address`);
+			}
+			return value;
+		},
+	},
+	token: {
+		label: '<tokenId>',
+		parse(value) {
+			if (!/^0\.0\.\d+$/.test(value)) throw new Error(`Invalid token ID: ${value}. Use 0.0.X`);
+			return value;
+		},
+	},
+	time: {
+		label: '<time>',
+		parse(value) {
+			if (/^\d+$/.test(value)) return Number(value);
+			const ms = Date.parse(value);
+			if (Number.isNaN(ms)) throw new Error(`Invalid time: ${value}. Use unix seconds or an ISO date`);
+			return Math.floor(ms / 1000);
+		},
+	},
+	amount: {
+		label: '<amount>',
+		parse(value) {
+			if (!/^\d+(\.\d+)?$/.test(value)) throw new Error(`Invalid amount: ${value}. Use whole token units, e.g. 12.5`);
+			return value;
+		},
+	},
+	// HBAR needs no token lookup, so it becomes tinybars here
+	hbar: {
+		label: '<amount>',
+		parse(value) {
+			const amount = PARAMS.amount.parse(value);
+			try {
+				return ethers.parseUnits(amount, 8);
+			}
+			catch {
+				throw new Error(`${amount} has more than 8 decimal places`);
+			}
+		},
+	},
+};
+
+// whole units -> raw amount in the token's decimals
+async function toRaw(lotto, tokenId, amount) {
+	const { decimals } = await lotto.getTokenInfo(tokenToEvmAddress(tokenId));
+	try {
+		return ethers.parseUnits(amount, decimals);
+	}
+	catch {
+		throw cliError(EXIT_CODES.USAGE, `${amount} has more than ${decimals} decimal places`);
+	}
+}
+
+function isoTime(seconds) {
+	return new Date(seconds * 1000).toISOString();
+}
+
+const ACTIONS = {
+	'pause-pool': {
+		params: ['poolId'],
+		help: 'Stop entry purchases in a pool (owner, manager or admin)',
+		describe: ([poolId]) => `Pause pool #${poolId}`,
+		run: (lotto, [poolId]) => lotto.pausePool(poolId),
+	},
+	'unpause-pool': {
+		params: ['poolId'],
+		help: 'Reopen a paused pool',
+		describe: ([poolId]) => `Unpause pool #${poolId}`,
+		run: (lotto, [poolId]) => lotto.unpausePool(poolId),
+	},
+	'close-pool': {
+		params: ['poolId'],
+		help: 'Close a pool for good (no entries or ticket NFTs may remain)',
+		describe: ([poolId]) => `Close pool #${poolId} permanently`,
+		run: (lotto, [poolId]) => lotto.closePool(poolId),
+	},
+	pause: {
+		params: [],
+		help: 'Pause the whole contract',
+		describe: () => 'Pause LazyLotto (every pool)',
+		run: lotto => lotto.pauseContract(),
+	},
+	unpause: {
+		params: [],
+		help: 'Unpause the contract',
+		describe: () => 'Unpause LazyLotto',
+		run: lotto => lotto.unpauseContract(),
+	},
+	'set-burn': {
+		params: ['percent'],
+		help: 'Share of $LAZY entry fees burned',
+		describe: ([percent]) => `Burn ${percent}% of $LAZY entry fees`,
+		run: (lotto, [percent]) => lotto.setBurnPercentage(percent),
+	},
+	'set-prng': {
+		params: ['account'],
+		help: 'Point LazyLotto at a new PRNG contract',
+		describe: ([prng]) => `Use PRNG contract ${prng}`,
+		run: (lotto, [prng]) => lotto.setPrng(prng),
+	},
+	'add-admin': {
+		params: ['account'],
+		help: 'Grant the LazyLotto admin role',
+		describe: ([account]) => `Make ${account} a LazyLotto admin`,
+		run: (lotto, [account]) => lotto.addAdmin(account),
+	},
+	'remove-admin': {
+		params: ['account'],
+		help: 'Revoke the admin role (the last admin cannot be removed)',
+		describe: ([account]) => `Remove ${account} as LazyLotto admin`,
+		run: (lotto, [account]) => lotto.removeAdmin(account),
+	},
+	'add-prize-manager': {
+		params: ['account'],
+		help: 'Allow an account to add prizes to any pool',
+		describe: ([account]) => `Make ${account} a global prize manager`,
+		run: (lotto, [account]) => lotto.addPrizeManager(account),
+	},
+	'remove-prize-manager': {
+		params: ['account'],
+		help: 'Revoke the global prize manager role',
+		describe: ([account]) => `Remove ${account} as global prize manager`,
+		run: (lotto, [account]) => lotto.removePrizeManager(account),
+	},
+	'set-time-bonus': {
+		params: ['time', 'time', 'bps'],
+		help: 'Boost every roll between two times',
+		describe: ([start, end, bps]) => `Add a ${bps} bps bonus from ${isoTime(start)} to ${isoTime(end)}`,
+		check([start, end]) {
+			if (end <= start) throw new Error('The bonus must end after it starts');
+		},
+		run: (lotto, [start, end, bps]) => lotto.setTimeBonus(start, end, bps),
+	},
+	'remove-time-bonus': {
+		params: ['index'],
+		help: 'Remove a time bonus by its position in the list',
+		describe: ([index]) => `Remove time bonus #${index}`,
+		run: (lotto, [index]) => lotto.removeTimeBonus(index),
+	},
+	'set-nft-bonus': {
+		params: ['token', 'bps'],
+		help: 'Boost holders of an NFT collection (replaces an existing bonus)',
+		describe: ([token, bps]) => `Give holders of ${token} a ${bps} bps bonus`,
+		run: (lotto, [token, bps]) => lotto.setNFTBonus(token, bps),
+	},
+	'remove-nft-bonus': {
+		params: ['index'],
+		help: 'Remove an NFT bonus by its position',
+		describe: ([index]) => `Remove NFT bonus #${index}`,
+		run: (lotto, [index]) => lotto.removeNFTBonus(index),
+	},
+	'set-lazy-bonus': {
+		params: ['amount', 'bps'],
+		help: 'Boost accounts holding at least <amount> $LAZY',
+		describe: ([threshold, bps]) => `Give holders of ${threshold}+ $LAZY a ${bps} bps bonus`,
+		async run(lotto, [threshold, bps]) {
+			const { lazyToken } = await lotto.getConfig();
+			return lotto.setLazyBalanceBonus(await toRaw(lotto, lazyToken, threshold), bps);
+		},
+	},
+	'withdraw-hbar': {
+		params: ['account', 'hbar'],
+		help: 'Send HBAR from storage (prize obligations stay)',
+		describe: ([receiver, tinybars]) => `Withdraw ${formatAmount(tinybars, 8, 'HBAR')} from storage to ${receiver}`,
+		run: (lotto, [receiver, tinybars]) => lotto.withdrawHbar(receiver, tinybars),
+	},
+	'withdraw-token': {
+		params: ['token', 'account', 'amount'],
+		help: 'Send a fungible token from storage (prize obligations stay)',
+		describe: ([token, receiver, amount]) => `Withdraw ${amount} of ${token} from storage to ${receiver}`,
+		async run(lotto, [token, receiver, amount]) {
+			return lotto.withdrawFungible(token, receiver, await toRaw(lotto, token, amount));
+		},
+	},
+};
+
+function actionUsage(name) {
+	return `lazy-lotto admin ${name} ${ACTIONS[name].params.map(p => PARAMS[p].label).join(' ')}`.trim();
+}
+
+function confirm(question) {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	return new Promise(resolve => {
+		rl.question(`${question} [y/N] `, answer => {
+			rl.close();
+			resolve(/^y(es)?$/i.test(answer.trim()));
+		});
+	});
+}
+
+module.exports = async function admin(args) {
+	const output = createOutput(args);
+	const dryRun = args.includes('--dry-run');
+	const [name, ...values] = args.filter(a => !a.startsWith('-'));
+
+	if (name === undefined || name === 'help') {
+		const actions = Object.keys(ACTIONS).map(action => ({ action, usage: actionUsage(action), description: ACTIONS[action].help }));
+		output.emit({
+			data: { actions },
+			rows: actions,
+			metadata: { timestamp: new Date().toISOString() },
+			print() {
+				console.log('\nAdmin actions:\n');
+				for (const { usage, description } of actions) {
+					console.log(`  ${usage.slice('lazy-lotto admin '.length).padEnd(44)} ${description}`);
+				}
+				console.log('\nOptions: --yes, --dry-run, --multisig [--offline|--export-only|--signatures=...|--threshold=N]\n');
+			},
+		});
+		return;
+	}
+
+	const action = ACTIONS[name];
+	if (!action) {
+		output.fail(cliError(EXIT_CODES.USAGE, `Unknown admin action: ${name}\n${USAGE}`));
+	}
+	if (values.length !== action.params.length) {
+		output.fail(cliError(EXIT_CODES.USAGE, `Usage: ${actionUsage(name)}`));
+	}
+
+	let params;
+	try {
+		params = action.params.map((param, i) => PARAMS[param].parse(values[i]));
+		action.check?.(params);
+	}
+	catch (error) {
+		output.fail(cliError(EXIT_CODES.USAGE, error.message));
+	}
+
+	let multiSig;
+	if (args.includes('--multisig')) {
+		if (output.machine) {
+			output.fail(cliError(EXIT_CODES.USAGE, `--format=${output.format} cannot be used with --multisig; the signing workflow runs on the terminal`));
+		}
+		if (dryRun) {
+			output.fail(cliError(EXIT_CODES.USAGE, '--dry-run simulates from the account; drop --multisig to dry-run'));
+		}
+		try {
+			// loaded lazily so the multi-sig library is only needed when used
+			multiSig = require('../../utils/multiSigIntegration').parseMultiSigArgs(args);
+		}
+		catch (error) {
+			output.fail(cliError(EXIT_CODES.CONFIG, `Multi-sig is unavailable: ${error.message.split('\n')[0]}`));
+		}
+	}
+
+	const description = action.describe(params);
+	const { lotto, env } = await createClient({ signer: true, dryRun, multiSig });
+
+	try {
+		if (!dryRun && !args.includes('--yes')) {
+			if (output.machine) {
+				throw cliError(EXIT_CODES.USAGE, `--format=${output.format} cannot prompt; add --yes to submit (or --dry-run to simulate)`);
+			}
+			if (!await confirm(`${description}${multiSig ? ' (multi-sig)' : ''}?`)) {
+				console.log('Cancelled.');
+				return;
+			}
+		}
+
+		output.progress(`\n${dryRun ? 'Simulating' : 'Submitting'}: ${description}...`);
+
+		let result;
+		try {
+			result = await action.run(lotto, params);
+		}
+		catch (error) {
+			if (error.status !== 'EXPORTED') throw error;
+			// --export-only stops once the frozen transaction is written for the signers
+			const rerun = args.filter(a => !['--export-only', '--offline'].includes(a) && !a.startsWith('--signatures='));
+			console.log(`\nExported for offline signing: ${error.transactionFile}`);
+			console.log(`Signers sign it with: node lib/multiSig/cli/sign.js ${error.transactionFile}`);
+			console.log(`Then execute with:    lazy-lotto admin ${rerun.join(' ')} --offline --signatures=sig1.json,sig2.json`);
+			return;
+		}
+
+		if (dryRun) {
+			const simulation = simulationToJson(result.simulation, { out: [], in: [] });
+			output.emit({
+				data: { success: result.simulation.success, action: name, description, dryRun: simulation },
+				rows: [{ action: name, description, ...simulation }],
+				metadata: commandMetadata(lotto, env),
+				print: () => printSimulation(result.simulation, { out: [], in: [] }),
+			});
+			if (!result.simulation.success) process.exit(EXIT_CODES.TRANSACTION);
+			return;
+		}
+
+		output.emit({
+			data: { action: name, description, transactionId: result.transactionId },
+			rows: [{ action: name, description, transactionId: result.transactionId }],
+			metadata: commandMetadata(lotto, env),
+			print() {
+				console.log(`\nDone: ${description}`);
+				console.log(`Transaction: ${result.transactionId}\n`);
+			},
+		});
+	}
+	catch (error) {
+		output.fail(error);
+	}
+	finally {
+		lotto.close();
+	}
+};
@@ -0,0 +1,237 @@
+/**
+ * Config Command
+ *
+ * Manage named CLI profiles (network, account, key source, contracts, mirror
+ * node) kept in ~/.config/lazy-lotto/config.json; see cli/config.js. Any
+ * command can then run against a profile with --profile=NAME.
+ *
+ * `config keystore` encrypts a private key into a password-protected
+ * keystore file (see utils/keySources.js) that a profile can then point at
+ * with --keystore, so the raw key does not have to sit in .env.
+ *
+ * Usage:
+ *   lazy-lotto config init [name] [--network=testnet] [--account=0.0.x]
+ *                          [--key-env=VAR|--key-file=PATH|--keystore=PATH|--key-command=CMD]
+ *                          [--key-type=ED25519|ECDSA] [--password-env=VAR] [--public-key=HEX]
+ *                          [--contract=0.0.x] [--mirror=URL] [--force] [--yes]
+ *   lazy-lotto config list [--format=table|json|ndjson|csv]
+ *   lazy-lotto config use <name>
+ *   lazy-lotto config keystore <file> [--key-env=VAR] [--key-type=ED25519|ECDSA]
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { encryptKeystore, writeKeystore, parsePrivateKey } = require('../../index');
+const {
+	configPath,
+	loadConfig,
+	saveConfig,
+	validateProfile,
+	describeKeySource,
+	expandHome,
+} = require('../config');
+const { readPassword } = require('../client');
+const { createOutput, cliError, EXIT_CODES } = require('../output');
+
+const USAGE = 'Usage: lazy-lotto config init|list|use|keystore ... (see lazy-lotto --help)';
+
+function ask(rl, question, fallback) {
+	const hint = fallback ? ` [${fallback}]` : '';
+	return new Promise(resolve => {
+		rl.question(`${question}${hint}: `, answer => resolve(answer.trim() || fallback || ''));
+	});
+}
+
+async function init(positional, options, output) {
+	const file = configPath();
+	const config = loadConfig(file);
+	const interactive = process.stdin.isTTY && !options.yes;
+
+	// prompts stay off stdout when it carries machine output
+	const rl = interactive ? readline.createInterface({ input: process.stdin, output: output.machine ? process.stderr : process.stdout }) : null;
+	const value = async (given, question, fallback) => {
+		if (given !== undefined) return given;
+		return rl ? ask(rl, question, fallback) : (fallback ?? '');
+	};
+
+	let profile;
+	let name;
+	try {
+		name = await value(positional[0], 'Profile name', 'default');
+		if (config.profiles[name] && !options.force) {
+			throw cliError(EXIT_CODES.USAGE, `Profile '${name}' already exists in ${file} (use --force to replace it)`);
+		}
+
+		const network = await value(options.network, 'Network (mainnet, testnet, previewnet, local or a manifest name)', process.env.ENVIRONMENT ?? 'testnet');
+		const accountId = await value(options.account, 'Account ID', process.env.ACCOUNT_ID);
+		let keyEnv = options['key-env'];
+		const keyFile = options['key-file'];
+		const keystorePath = options.keystore;
+		const keyCommand = options['key-command'];
+		if ([keyEnv, keyFile, keystorePath, keyCommand].every(given => given === undefined)) {
+			keyEnv = await value(undefined, 'Environment variable holding the private key', 'PRIVATE_KEY');
+		}
+		const contract = await value(options.contract, 'LazyLotto contract ID (blank for the deployment manifest)', '');
+		const mirrorUrl = await value(options.mirror, 'Mirror node URL (blank for the public one)', '');
+
+		profile = { network: network.toLowerCase() };
+		if (accountId) profile.accountId = accountId;
+		if (keyCommand) {
+			profile.key = { source: 'command', command: keyCommand };
+			if (options['public-key']) profile.key.publicKey = options['public-key'];
+		}
+		else if (keystorePath) {
+			profile.key = { source: 'keystore', path: keystorePath };
+			if (options['password-env']) profile.key.passwordEnv = options['password-env'];
+		}
+		else {
+			profile.key = keyFile ? { source: 'file', path: keyFile } : { source: 'env', name: keyEnv };
+			if (options['key-type']) profile.key.type = options['key-type'].toUpperCase();
+		}
+		if (contract) profile.contracts = { lazyLotto: contract };
+		if (mirrorUrl) profile.mirrorUrl = mirrorUrl;
+		validateProfile(name, profile);
+	}
+	finally {
+		rl?.close();
+	}
+
+	config.profiles[name] = profile;
+	config.current = config.current ?? name;
+	saveConfig(config, file);
+
+	output.emit({
+		data: { file, name, current: config.current === name, profile },
+		print() {
+			console.log(`\nSaved profile '${name}' to ${file}`);
+			if (config.current === name) {
+				console.log(`'${name}' is the current profile.`);
+			}
+			else {
+				console.log(`Use it with --profile=${name} or "lazy-lotto config use ${name}".`);
+			}
+			console.log();
+		},
+	});
+}
+
+function list(positional, options, output) {
+	const file = configPath();
+	const config = loadConfig(file);
+	const names = Object.keys(config.profiles);
+
+	if (output.machine) {
+		// key sources are pointers (env var name / file path), never key material
+		output.emit({
+			data: { file, current: config.current, profiles: config.profiles },
+			rows: names.map(name => ({ name, current: name === config.current, ...config.profiles[name] })),
+		});
+		return;
+	}
+
+	if (names.length === 0) {
+		console.log(`\nNo profiles in ${file}. Create one with "lazy-lotto config init".\n`);
+		return;
+	}
+
+	console.log(`\nProfiles (${file})`);
+	console.log('-'.repeat(60));
+	for (const name of names) {
+		const profile = config.profiles[name];
+		const row = (label, value) => console.log(`    ${`${label}:`.padEnd(22)}${value}`);
+		console.log(`${name === config.current ? '*' : ' '} ${name}`);
+		row('network', profile.network);
+		if (profile.accountId) row('account', profile.accountId);
+		if (profile.key) row('key', describeKeySource(profile.key));
+		for (const [key, id] of Object.entries(profile.contracts ?? {})) {
+			row(key, id);
+		}
+		if (profile.mirrorUrl) row('mirror', profile.mirrorUrl);
+	}
+	console.log();
+}
+
+function use(positional, options, output) {
+	const name = positional[0];
+	if (!name) {
+		throw cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto config use <name>');
+	}
+
+	const file = configPath();
+	const config = loadConfig(file);
+	if (!config.profiles[name]) {
+		throw cliError(EXIT_CODES.NOT_FOUND, `No profile '${name}' in ${file}`);
+	}
+
+	config.current = name;
+	saveConfig(config, file);
+	output.emit({
+		data: { file, current: name, network: config.profiles[name].network },
+		print: () => console.log(`Current profile: ${name} (${config.profiles[name].network})`),
+	});
+}
+
+async function keystore(positional, options, output) {
+	const file = positional[0];
+	if (!file) {
+		throw cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto config keystore <file> [--key-env=VAR] [--key-type=ED25519|ECDSA]');
+	}
+	const target = expandHome(file);
+	if (fs.existsSync(target)) {
+		throw cliError(EXIT_CODES.USAGE, `${target} already exists; keystores are never overwritten`);
+	}
+
+	let rawKey;
+	if (options['key-env']) {
+		rawKey = process.env[options['key-env']];
+		if (!rawKey) throw cliError(EXIT_CODES.CONFIG, `${options['key-env']} is not set`);
+	}
+	else {
+		rawKey = await readPassword('Private key (DER or hex): ');
+	}
+	const privateKey = parsePrivateKey(rawKey, options['key-type']);
+
+	const password = await readPassword('New keystore password: ');
+	if (password.length < 8) {
+		throw cliError(EXIT_CODES.USAGE, 'Use a keystore password of at least 8 characters');
+	}
+	if (await readPassword('Repeat the password: ') !== password) {
+		throw cliError(EXIT_CODES.USAGE, 'Passwords do not match');
+	}
+
+	const ks = encryptKeystore(privateKey, password);
+	writeKeystore(target, ks);
+
+	output.emit({
+		data: { file: target, keyType: ks.keyType, publicKey: ks.publicKey },
+		print() {
+			console.log(`\nWrote ${ks.keyType} keystore to ${target}`);
+			console.log(`Public key: ${ks.publicKey}`);
+			console.log(`Point a profile at it with "lazy-lotto config init --keystore=${file}".\n`);
+		},
+	});
+}
+
+const SUBCOMMANDS = { init, list, use, keystore };
+
+module.exports = async function configCommand(args) {
+	const output = createOutput(args);
+	const options = Object.fromEntries(args
+		.filter(a => a.startsWith('--'))
+		.map(a => {
+			const [key, ...rest] = a.slice(2).split('=');
+			return [key, rest.length > 0 ? rest.join('=') : true];
+		}));
+	const [subcommand, ...positional] = args.filter(a => !a.startsWith('-'));
+
+	if (!SUBCOMMANDS[subcommand]) {
+		output.fail(cliError(EXIT_CODES.USAGE, USAGE));
+	}
+
+	try {
+		await SUBCOMMANDS[subcommand](positional, options, output);
+	}
+	catch (error) {
+		output.fail(error);
+	}
+};
@@ -1,46 +1,55 @@
 /**
  * Health Check Command
  *
- * Quick system status check for all LazyLotto ecosystem contracts.
+ * Quick system status check for all LazyLotto ecosystem contracts. Exits
+ * with 0 even when a contract is paused or low on balance; the status of
+ * each contract is in the output.
  *
- * Usage: lazy-lotto health [--json]
+ * Usage: lazy-lotto health [--format=table|json|ndjson|csv]
  */
 
 const {
 	AccountId,
 	ContractId,
 	TokenId,
-	Hbar,
-	HbarUnit,
 } = require('@hashgraph/sdk');
 const { ethers } = require('ethers');
 const path = require('path');
 
-const { LazyLottoABI, LazyTradeLottoABI, LazyDelegateRegistryABI } = require('../../index');
+const { LazyLottoClient, LazyTradeLottoABI, LazyDelegateRegistryABI, formatAmount } = require('../../index');
+const { createOutput } = require('../output');
 
 // Resolve utils from package root
 const utilsPath = path.join(__dirname, '../../utils');
 const { readOnlyEVMFromMirrorNode } = require(`${utilsPath}/solidityHelpers`);
+const { loadManifest, manifestToAddresses } = require(`${utilsPath}/deploymentManifest`);
 const { getBaseURL, getAccountBalance } = require(`${utilsPath}/hederaMirrorHelpers`);
 const axios = require('axios');
 
+function resolveId(IdClass, value) {
+	return value ? IdClass.fromString(value) : null;
+}
+
 module.exports = async function health(args) {
-	const outputJson = args.includes('--json');
+	const output = createOutput(args);
 	const env = process.env.ENVIRONMENT ?? 'testnet';
 	const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
 
-	// Contract IDs from env (all optional)
-	const lazyLottoId = process.env.LAZY_LOTTO_CONTRACT_ID ? ContractId.fromString(process.env.LAZY_LOTTO_CONTRACT_ID) : null;
-	const lazyTradeLottoId = process.env.LAZY_TRADE_LOTTO_CONTRACT_ID ? ContractId.fromString(process.env.LAZY_TRADE_LOTTO_CONTRACT_ID) : null;
-	const lazyGasStationId = process.env.LAZY_GAS_STATION_CONTRACT_ID ? ContractId.fromString(process.env.LAZY_GAS_STATION_CONTRACT_ID) : null;
-	const lazyDelegateRegistryId = process.env.LAZY_DELEGATE_REGISTRY_CONTRACT_ID ? ContractId.fromString(process.env.LAZY_DELEGATE_REGISTRY_CONTRACT_ID) : null;
-	const lazyTokenId = process.env.LAZY_TOKEN_ID ? TokenId.fromString(process.env.LAZY_TOKEN_ID) : null;
-	const lazyDecimals = parseInt(process.env.LAZY_DECIMALS ?? '8');
+	// Contract IDs from env, falling back to the deployment manifest (all optional)
+	const manifest = loadManifest(env);
+	const deployed = manifestToAddresses(manifest);
+	const lazyLottoId = resolveId(ContractId, process.env.LAZY_LOTTO_CONTRACT_ID ?? deployed.lazyLotto);
+	const lazyTradeLottoId = resolveId(ContractId, process.env.LAZY_TRADE_LOTTO_CONTRACT_ID ?? deployed.lazyTradeLotto);
+	const lazyGasStationId = resolveId(ContractId, process.env.LAZY_GAS_STATION_CONTRACT_ID ?? deployed.lazyGasStation);
+	const lazyDelegateRegistryId = resolveId(ContractId, process.env.LAZY_DELEGATE_REGISTRY_CONTRACT_ID ?? deployed.lazyDelegateRegistry);
+	const lazyTokenId = resolveId(TokenId, process.env.LAZY_TOKEN_ID ?? deployed.lazyToken);
+	const lazyDecimals = parseInt(process.env.LAZY_DECIMALS ?? manifest?.tokens?.lazyToken?.decimals ?? '8');
 
 	const timestamp = new Date().toISOString();
+	const lazyAmount = raw => ({ raw: raw.toString(), formatted: formatAmount(raw, lazyDecimals, 'LAZY') });
+	const hbarAmount = raw => ({ raw: raw.toString(), formatted: formatAmount(raw, 8, 'HBAR') });
 
 	// Create ethers interfaces
-	const lazyLottoIface = new ethers.Interface(LazyLottoABI);
 	const lazyTradeLottoIface = new ethers.Interface(LazyTradeLottoABI);
 	const lazyDelegateRegistryIface = new ethers.Interface(LazyDelegateRegistryABI);
 
@@ -64,13 +73,11 @@ module.exports = async function health(args) {
 				return { configured: true, contractId: lazyLottoId.toString(), status: 'not_found', details: {} };
 			}
 
-			let encoded = lazyLottoIface.encodeFunctionData('paused');
-			let data = await readOnlyEVMFromMirrorNode(env, lazyLottoId, encoded, operatorId, false);
-			const isPaused = lazyLottoIface.decodeFunctionResult('paused', data)[0];
-
-			encoded = lazyLottoIface.encodeFunctionData('totalPools');
-			data = await readOnlyEVMFromMirrorNode(env, lazyLottoId, encoded, operatorId, false);
-			const totalPools = Number(lazyLottoIface.decodeFunctionResult('totalPools', data)[0]);
+			const lotto = new LazyLottoClient({ env, contractId: lazyLottoId, operatorId });
+			const [isPaused, totalPools] = await Promise.all([
+				lotto.isPaused(),
+				lotto.getTotalPools(),
+			]);
 
 			return {
 				configured: true,
@@ -99,13 +106,12 @@ module.exports = async function health(args) {
 			encoded = lazyTradeLottoIface.encodeFunctionData('jackpot');
 			data = await readOnlyEVMFromMirrorNode(env, lazyTradeLottoId, encoded, operatorId, false);
 			const jackpot = lazyTradeLottoIface.decodeFunctionResult('jackpot', data)[0];
-			const jackpotFormatted = Number(jackpot) / (10 ** lazyDecimals);
 
 			return {
 				configured: true,
 				contractId: lazyTradeLottoId.toString(),
 				status: isPaused ? 'paused' : 'operational',
-				details: { paused: isPaused, jackpot: jackpotFormatted },
+				details: { paused: isPaused, jackpot: lazyAmount(jackpot) },
 			};
 		}
 		catch (error) {
@@ -138,8 +144,8 @@ module.exports = async function health(args) {
 					contractId: lazyGasStationId.toString(),
 					status: (lowHbar || lowLazy) ? 'low_balance' : 'operational',
 					details: {
-						hbarBalance: new Hbar(hbarBalance, HbarUnit.Tinybar).toString(),
-						lazyBalance: lazyBalance / (10 ** lazyDecimals),
+						hbarBalance: hbarAmount(hbarBalance),
+						lazyBalance: lazyAmount(lazyBalance),
 					},
 				};
 			}
@@ -157,49 +163,49 @@ module.exports = async function health(args) {
 		checkLazyGasStation(),
 	]);
 
-	const result = {
-		success: true,
-		timestamp,
-		environment: env.toUpperCase(),
-		contracts: { lazyLotto, lazyTradeLotto, lazyGasStation },
-	};
+	const contracts = { lazyLotto, lazyTradeLotto, lazyGasStation };
+
+	output.emit({
+		data: {
+			timestamp,
+			environment: env.toUpperCase(),
+			contracts,
+		},
+		rows: Object.entries(contracts).map(([name, check]) => ({ name, contractId: null, error: null, ...check })),
+		print() {
+			console.log('\nLazyLotto System Health Check');
+			console.log('='.repeat(50));
+			console.log(`Environment: ${env.toUpperCase()}`);
+			console.log(`Timestamp:   ${timestamp}\n`);
+
+			const formatStatus = (s) => {
+				switch (s) {
+				case 'operational': return '🟢 Operational';
+				case 'paused': return '⏸️  Paused';
+				case 'low_balance': return '⚠️  Low Balance';
+				case 'not_configured': return '⚪ Not Configured';
+				case 'not_found': return '🔴 Not Found';
+				default: return '🔴 Error';
+				}
+			};
 
-	if (outputJson) {
-		console.log(JSON.stringify(result, null, 2));
-	}
-	else {
-		console.log('\nLazyLotto System Health Check');
-		console.log('='.repeat(50));
-		console.log(`Environment: ${env.toUpperCase()}`);
-		console.log(`Timestamp:   ${timestamp}\n`);
-
-		const formatStatus = (s) => {
-			switch (s) {
-			case 'operational': return '🟢 Operational';
-			case 'paused': return '⏸️  Paused';
-			case 'low_balance': return '⚠️  Low Balance';
-			case 'not_configured': return '⚪ Not Configured';
-			case 'not_found': return '🔴 Not Found';
-			default: return '🔴 Error';
+			console.log(`LazyLotto:        ${formatStatus(lazyLotto.status)}`);
+			if (lazyLotto.details?.totalPools !== undefined) {
+				console.log(`  Pools: ${lazyLotto.details.totalPools}`);
 			}
-		};
-
-		console.log(`LazyLotto:        ${formatStatus(lazyLotto.status)}`);
-		if (lazyLotto.details?.totalPools !== undefined) {
-			console.log(`  Pools: ${lazyLotto.details.totalPools}`);
-		}
 
-		console.log(`LazyTradeLotto:   ${formatStatus(lazyTradeLotto.status)}`);
-		if (lazyTradeLotto.details?.jackpot !== undefined) {
-			console.log(`  Jackpot: ${lazyTradeLotto.details.jackpot.toLocaleString()} LAZY`);
-		}
+			console.log(`LazyTradeLotto:   ${formatStatus(lazyTradeLotto.status)}`);
+			if (lazyTradeLotto.details?.jackpot !== undefined) {
+				console.log(`  Jackpot: ${lazyTradeLotto.details.jackpot.formatted}`);
+			}
 
-		console.log(`LazyGasStation:   ${formatStatus(lazyGasStation.status)}`);
-		if (lazyGasStation.details?.hbarBalance) {
-			console.log(`  HBAR: ${lazyGasStation.details.hbarBalance}`);
-			console.log(`  LAZY: ${lazyGasStation.details.lazyBalance?.toLocaleString() ?? 0}`);
-		}
+			console.log(`LazyGasStation:   ${formatStatus(lazyGasStation.status)}`);
+			if (lazyGasStation.details?.hbarBalance) {
+				console.log(`  HBAR: ${lazyGasStation.details.hbarBalance.formatted}`);
+				console.log(`  LAZY: ${lazyGasStation.details.lazyBalance.formatted}`);
+			}
 
-		console.log();
-	}
+			console.log();
+		},
+	});
 };
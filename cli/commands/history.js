@@ -0,0 +1,124 @@
+/**
+ * History Command
+ *
+ * What an account spent and won: a ledger of entry purchases, rolls, prize
+ * claims and ticket conversions rebuilt from contract events, with the fee
+ * of each transaction, followed by per-pool totals (spend, wins, prizes
+ * claimed by token and net result). Claims that cannot be tied to a pool are
+ * totalled as "unattributed".
+ *
+ * Rows for ndjson / csv are ledger lines; the json document also carries the
+ * per-pool and overall totals.
+ *
+ * Usage: lazy-lotto history [account] [--pool=N] [--since=DATE] [--format=table|json|ndjson|csv]
+ */
+
+const { getUserHistory } = require('../../utils/userHistory');
+const { describePrize } = require('../../utils/lazyLottoClient');
+const { createClient } = require('../client');
+const { createOutput, cliError, commandMetadata, EXIT_CODES } = require('../output');
+
+// --name=value or --name value
+function argValue(args, name) {
+	const index = args.findIndex(a => a === `--${name}` || a.startsWith(`--${name}=`));
+	if (index === -1) return null;
+	return args[index].includes('=') ? args[index].slice(name.length + 3) : args[index + 1] ?? '';
+}
+
+// seconds, 'seconds.nanos' or an ISO date
+function parseSince(since) {
+	if (/^\d+(\.\d{1,9})?$/.test(since)) return since;
+
+	const date = new Date(since);
+	if (Number.isNaN(date.getTime())) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --since: ${since}. Use seconds, 'seconds.nanos' or an ISO date`);
+	}
+	return date;
+}
+
+function amounts(list) {
+	return list.length > 0 ? list.map(amount => amount.formatted).join(', ') : '-';
+}
+
+function describeEntry(entry) {
+	switch (entry.type) {
+	case 'buy':
+		return `${entry.entries} entries for ${entry.spent.formatted}`;
+	case 'grant':
+		return `${entry.entries} free entries`;
+	case 'roll':
+		return `${entry.rolls} rolled, ${entry.wins} won`;
+	case 'claim':
+		return `claimed ${describePrize({ amount: entry.prize.amount, nfts: entry.prize.nfts })}`;
+	default:
+		return `${entry.type.replace(/_/g, ' ')}: #${entry.serials.join(', #')}`;
+	}
+}
+
+module.exports = async function history(args) {
+	const output = createOutput(args);
+
+	const poolArg = argValue(args, 'pool');
+	const poolId = poolArg === null ? null : Number(poolArg);
+	if (poolArg !== null && (!Number.isInteger(poolId) || poolId < 0)) {
+		output.fail(cliError(EXIT_CODES.USAGE, `Invalid --pool: ${poolArg}`));
+	}
+	const sinceArg = argValue(args, 'since');
+	let since = null;
+	try {
+		since = sinceArg === null ? null : parseSince(sinceArg);
+	}
+	catch (error) {
+		output.fail(error);
+	}
+
+	const account = args.find(a => /^\d+\.\d+\.\d+$/.test(a)) ?? process.env.ACCOUNT_ID;
+	if (!account) {
+		output.fail(cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto history [account] (or set ACCOUNT_ID)'));
+	}
+
+	const { lotto, env } = await createClient();
+
+	output.progress(`Reading history for ${account} from the mirror node...`);
+	const result = await getUserHistory(lotto, { user: account, poolId: poolId ?? undefined, since: since ?? undefined });
+
+	output.emit({
+		data: { history: result },
+		rows: result.ledger,
+		metadata: commandMetadata(lotto, env),
+		print() {
+			console.log(`\nHistory: ${result.user}${result.poolId === null ? '' : ` (pool #${result.poolId})`}`);
+			console.log('='.repeat(90));
+			if (result.since) {
+				console.log(`Since: ${new Date(Number(result.since.split('.')[0]) * 1000).toISOString()}`);
+			}
+
+			if (result.ledger.length === 0) {
+				console.log('\nNo LazyLotto activity found.\n');
+				return;
+			}
+
+			console.log('\nTime                     | Pool | Type           | Details                             | Fee');
+			console.log('-'.repeat(90));
+			for (const entry of result.ledger) {
+				const pool = entry.poolId === null ? '?' : entry.poolId.toString();
+				console.log(
+					`${entry.time.padEnd(24)} | ${pool.padEnd(4)} | ${entry.type.padEnd(14)} | ${describeEntry(entry).padEnd(35)} | ${entry.fee?.formatted ?? '-'}`,
+				);
+			}
+
+			console.log('\nPer-pool totals');
+			console.log('-'.repeat(90));
+			for (const pool of [...result.pools, { poolId: 'all', ...result.totals }]) {
+				const name = pool.poolId === null ? 'Unattributed claims' : pool.poolId === 'all' ? 'All pools' : `Pool #${pool.poolId}`;
+				console.log(name);
+				console.log(`  Entries: ${pool.entries} bought, ${pool.freeEntries} free   Rolls: ${pool.rolls}   Wins: ${pool.wins}`);
+				console.log(`  Spent:   ${amounts(pool.spent)}`);
+				console.log(`  Claimed: ${amounts(pool.claimed)}${pool.nftsClaimed > 0 ? ` + ${pool.nftsClaimed} NFT(s)` : ''}`);
+				console.log(`  Fees:    ${pool.fees.formatted}`);
+				console.log(`  Net:     ${amounts(pool.net)}`);
+			}
+			console.log();
+		},
+	});
+};
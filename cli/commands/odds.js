@@ -0,0 +1,134 @@
+/**
+ * Odds Command
+ *
+ * Is a pool worth playing? Per-entry win probability with your boost, the
+ * chance of each remaining prize, expected value against the entry fee (in
+ * the fee token and in HBAR) and the chance of at least one win over N
+ * entries. Tokens other than HBAR and the fee token, and NFT prizes, need a
+ * price in HBAR to be valued: --price=LAZY=0.02 --price=0.0.4567=150 (per
+ * whole token, or per NFT for a collection).
+ *
+ * Rows for ndjson / csv are the prize distribution; the json document
+ * carries everything.
+ *
+ * Usage: lazy-lotto odds <poolId> [--entries=N] [--price=TOKEN=HBAR ...] [--user=0.0.X] [--format=...]
+ */
+
+const { getPoolOdds, MAX_WIN_RATE_THRESHOLD } = require('../../utils/poolOdds');
+const { createClient } = require('../client');
+const { createOutput, cliError, exitCodeFor, commandMetadata, EXIT_CODES } = require('../output');
+
+const USAGE = 'Usage: lazy-lotto odds <poolId> [--entries=N] [--price=TOKEN=HBAR ...] [--user=0.0.X]';
+
+// --price=LAZY=0.02 --price=0.0.4567=150 -> { LAZY: 0.02, '0.0.4567': 150 }
+function parsePrices(args) {
+	const prices = {};
+	for (const arg of args.filter(a => a.startsWith('--price='))) {
+		const spec = arg.slice('--price='.length);
+		const split = spec.lastIndexOf('=');
+		const price = Number(spec.slice(split + 1));
+		if (split <= 0 || !Number.isFinite(price) || price < 0) {
+			throw cliError(EXIT_CODES.USAGE, `Invalid --price ${spec}. Use --price=TOKEN=HBAR, e.g. --price=LAZY=0.02`);
+		}
+		prices[spec.slice(0, split)] = price;
+	}
+	return prices;
+}
+
+function percent(probability) {
+	return `${(probability * 100).toFixed(4)}%`;
+}
+
+function pair(amounts) {
+	const { feeToken, hbar } = amounts;
+	if (!feeToken) return hbar ? hbar.formatted : 'needs prices';
+	return hbar && hbar.token !== feeToken.token ? `${feeToken.formatted} (${hbar.formatted})` : feeToken.formatted;
+}
+
+module.exports = async function odds(args) {
+	const output = createOutput(args);
+	const poolIdArg = args.find(a => !a.startsWith('-'));
+	const entriesArg = args.find(a => a.startsWith('--entries='))?.slice('--entries='.length) ?? '1';
+	const userArg = args.find(a => a.startsWith('--user='))?.slice('--user='.length);
+
+	const poolId = Number(poolIdArg);
+	const entries = Number(entriesArg);
+	if (poolIdArg === undefined || !Number.isInteger(poolId) || poolId < 0) {
+		output.fail(cliError(EXIT_CODES.USAGE, USAGE));
+	}
+	if (!Number.isInteger(entries) || entries < 1) {
+		output.fail(cliError(EXIT_CODES.USAGE, `Invalid --entries: ${entriesArg}. Use a positive integer`));
+	}
+	let prices;
+	try {
+		prices = parsePrices(args);
+	}
+	catch (error) {
+		output.fail(error);
+	}
+
+	const { lotto, env } = await createClient();
+
+	let result;
+	try {
+		result = await getPoolOdds(lotto, poolId, { entries, prices, user: userArg });
+	}
+	catch (error) {
+		// mirror outages keep their network exit code
+		output.fail(exitCodeFor(error) === EXIT_CODES.ERROR
+			? cliError(EXIT_CODES.NOT_FOUND, `Pool ${poolId} not found or error fetching: ${error.message}`)
+			: error);
+	}
+
+	output.emit({
+		data: { odds: result },
+		rows: result.distribution.map(({ prize, count, probabilityIfWon, probabilityPerEntry, value }) => ({
+			poolId,
+			prize,
+			count,
+			probabilityIfWon,
+			probabilityPerEntry,
+			value,
+		})),
+		metadata: commandMetadata(lotto, env),
+		print() {
+			const { winRate, perEntry, overEntries } = result;
+			console.log(`\nPool #${poolId} Odds${result.user ? ` for ${result.user}` : ''}`);
+			console.log('='.repeat(60));
+			console.log(`Win chance:        ${percent(result.winProbability)} per entry${winRate.boost ? ` (boost +${percent(winRate.boost / MAX_WIN_RATE_THRESHOLD)})` : ''}${winRate.capped ? ', capped' : ''}`);
+			console.log(`Entry fee:         ${result.entryFee.formatted}`);
+			console.log(`Prizes left:       ${result.prizeCount}`);
+
+			if (result.prizeCount === 0) {
+				console.log('\nNo prizes left: rolls in this pool revert.\n');
+				return;
+			}
+
+			console.log('\nPrize                          | Count | If won  | Per entry | Value');
+			console.log('-'.repeat(60));
+			for (const row of result.distribution) {
+				console.log(
+					`${row.prize.padEnd(30)} | ${row.count.toString().padEnd(5)} | ${(row.probabilityIfWon * 100).toFixed(2).padStart(6)}% | ${percent(row.probabilityPerEntry).padEnd(9)} | ${pair(row.value)}`,
+				);
+			}
+
+			console.log('\nPer entry:');
+			console.log(`  Expected value:  ${pair(perEntry.expectedValue)}`);
+			console.log(`  Net of fee:      ${pair(perEntry.net)}`);
+			if (perEntry.returnRatio !== null) {
+				console.log(`  Return:          ${(perEntry.returnRatio * 100).toFixed(1)}% of the fee`);
+			}
+
+			console.log(`\nOver ${entries} entr${entries === 1 ? 'y' : 'ies'}:`);
+			console.log(`  At least one win: ${percent(overEntries.probabilityAtLeastOneWin)}`);
+			console.log(`  Expected wins:    ${overEntries.expectedWins.toFixed(4)} (prizes ${overEntries.expectedPrizes.toFixed(4)})`);
+			console.log(`  Expected value:   ${pair(overEntries.expectedValue)} for ${pair(overEntries.cost)}`);
+			console.log(`  Net:              ${pair(overEntries.net)}`);
+
+			if (result.unpriced.length > 0) {
+				console.log(`\nNo price for ${result.unpriced.join(', ')}: add --price=TOKEN=HBAR to value these prizes.`);
+			}
+			console.log();
+		},
+	});
+};
@@ -0,0 +1,162 @@
+/**
+ * Pool Create Command
+ *
+ * Create a pool and load its prizes from a declarative spec file (see
+ * utils/poolSpec.js for the format). Validates the spec, shows creation fees,
+ * balances and allowances, then runs create + prize loading. Progress goes
+ * to a state file, so rerunning after a failure resumes where it stopped.
+ *
+ * With a machine format the plan is only in the output document and progress
+ * goes to stderr; submitting then needs --yes since there is no prompt.
+ *
+ * Usage: lazy-lotto pool create --spec=pool.yaml [--state=FILE] [--pool-id=N] [--check] [--yes] [--format=...]
+ */
+
+const readline = require('readline');
+const { createClient } = require('../client');
+const { loadPoolSpec, planPoolCreation, executePoolPlan } = require('../../utils/poolSpec');
+const { winRateToPercent } = require('../../utils/lazyLottoClient');
+const { createOutput, cliError, commandMetadata, EXIT_CODES } = require('../output');
+
+function getOption(args, name) {
+	const index = args.indexOf(`--${name}`);
+	if (index !== -1) return args[index + 1];
+	return args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+}
+
+function confirm(question) {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	return new Promise(resolve => {
+		rl.question(`${question} [y/N] `, answer => {
+			rl.close();
+			resolve(/^y(es)?$/i.test(answer.trim()));
+		});
+	});
+}
+
+function printPlan(plan, spec) {
+	console.log(`\nPool: ${spec.name} (${spec.symbol})`);
+	console.log('='.repeat(60));
+	console.log(`Memo:       ${spec.memo}`);
+	console.log(`Win rate:   ${winRateToPercent(plan.pool.winRateThousandthsOfBps)}%`);
+	console.log(`Entry fee:  ${spec.entryFee.amount} ${spec.entryFee.token}`);
+	for (const r of spec.royalties) {
+		console.log(`Royalty:    ${r.percent}% to ${r.account} (fallback ${r.fallbackHbar} HBAR)`);
+	}
+
+	console.log(`\nCreation fees: ${plan.fees ? `${plan.fees.hbar.formatted} + ${plan.fees.lazy.formatted}` : 'none (admin)'}`);
+
+	console.log(`\nPrizes (${plan.prizes.length}):`);
+	plan.prizes.forEach((prize, i) => console.log(`  ${(i + 1).toString().padStart(3)}. ${prize.description}`));
+
+	console.log('\nBalances (HBAR includes 20 ℏ for the pool token, not gas):');
+	for (const r of plan.requirements) {
+		console.log(`  ${r.sufficient ? 'ok ' : 'LOW'} ${r.token.padEnd(12)} need ${r.required.formatted}, have ${r.balance?.formatted ?? 'not associated'}`);
+	}
+
+	if (plan.allowances.length > 0) {
+		console.log('\nAllowances (missing ones are set before loading prizes):');
+		for (const a of plan.allowances) {
+			console.log(`  ${a.sufficient ? 'ok ' : 'set'} ${a.token.padEnd(12)} to ${a.spender}: need ${a.required.formatted}, have ${a.current.formatted}`);
+		}
+	}
+
+	for (const { tokenId, serials } of plan.missingNFTs) {
+		console.log(`\nMissing NFTs: ${tokenId} #${serials.join(', #')} are not in your account`);
+	}
+	console.log();
+}
+
+module.exports = async function poolCreate(args) {
+	const output = createOutput(args);
+	const checkOnly = args.includes('--check');
+	const specFile = getOption(args, 'spec');
+	const stateFile = getOption(args, 'state') ?? (specFile ? `${specFile}.state.json` : null);
+	const poolIdArg = getOption(args, 'pool-id');
+
+	if (!specFile) {
+		output.fail(cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto pool create --spec=pool.yaml [--state=FILE] [--pool-id=N] [--check] [--yes] [--format=...]'));
+	}
+
+	let spec;
+	try {
+		spec = loadPoolSpec(specFile);
+	}
+	catch (error) {
+		output.fail(cliError(EXIT_CODES.USAGE, error.message));
+	}
+
+	const { lotto, env } = await createClient({ signer: true });
+
+	try {
+		const plan = await planPoolCreation(lotto, spec);
+
+		if (!plan.ready || checkOnly) {
+			output.emit({
+				data: { success: plan.ready, plan },
+				rows: plan.requirements,
+				metadata: commandMetadata(lotto, env),
+				print() {
+					printPlan(plan, spec);
+					if (!plan.ready) console.error('Not enough balance or missing NFTs - nothing was submitted.');
+				},
+			});
+			if (!plan.ready) process.exit(EXIT_CODES.ERROR);
+			return;
+		}
+
+		if (!output.machine) {
+			printPlan(plan, spec);
+		}
+
+		if (!args.includes('--yes')) {
+			if (output.machine) {
+				throw cliError(EXIT_CODES.USAGE, `--format=${output.format} cannot prompt; add --yes to submit (or --check to plan only)`);
+			}
+			if (!await confirm(`Create the pool and add ${plan.prizes.length} prize(s)?`)) {
+				console.log('Cancelled.');
+				return;
+			}
+		}
+
+		const result = await executePoolPlan(lotto, plan, {
+			stateFile,
+			poolId: poolIdArg === undefined ? undefined : parseInt(poolIdArg),
+			onStep: step => {
+				if (step.step === 'create') {
+					output.progress(`Created pool #${step.poolId} - ${step.transactionId}`);
+				}
+				else {
+					output.progress(`Added prize ${step.index + 1}/${step.total}: ${step.description} - ${step.transactionId}`);
+				}
+			},
+		});
+
+		output.emit({
+			data: {
+				poolId: result.poolId,
+				created: result.created,
+				prizesAdded: result.added,
+				prizesSkipped: result.skipped,
+				createTransaction: result.state.createTransaction,
+				prizeTransactions: result.state.prizes,
+				stateFile,
+			},
+			rows: [{ poolId: result.poolId, created: result.created, prizesAdded: result.added, prizesSkipped: result.skipped, createTransaction: result.state.createTransaction, stateFile }],
+			metadata: commandMetadata(lotto, env),
+			print() {
+				if (result.skipped > 0) {
+					console.log(`Skipped ${result.skipped} prize(s) already added by an earlier run.`);
+				}
+				console.log(`\nPool #${result.poolId} is ready with ${plan.prizes.length} prize(s).`);
+				console.log(`Use "lazy-lotto pool ${result.poolId}" to check it.\n`);
+			},
+		});
+	}
+	catch (error) {
+		output.fail(error);
+	}
+	finally {
+		lotto.close();
+	}
+};
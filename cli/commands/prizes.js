@@ -0,0 +1,190 @@
+/**
+ * Prizes Command
+ *
+ * Prize NFTs: list pending prizes and the prize NFTs you hold, convert pending
+ * prizes into NFTs (to trade them before claiming) and claim prize NFTs.
+ * Prize NFTs are found on the mirror node and mapped back to their prize with
+ * getPendingPrizesByNFT; token associations and the NFT royalty HBAR allowance
+ * are set up before claiming.
+ *
+ * Usage:
+ *   lazy-lotto prizes list [--format=table|json|ndjson|csv]
+ *   lazy-lotto prizes redeem <index,index,...>|--pool=ID [--format=...]
+ *   lazy-lotto prizes claim [serial,serial,...] [--token=ID] [--format=...]
+ */
+
+const { describePrize } = require('../../index');
+const { createClient } = require('../client');
+const { createOutput, cliError, commandMetadata, EXIT_CODES } = require('../output');
+
+const USAGE = 'Usage: lazy-lotto prizes list|redeem|claim ... (see lazy-lotto --help)';
+
+function parseNumbers(value, label) {
+	return value.split(',').map(s => {
+		const parsed = Number(s.trim());
+		if (!Number.isInteger(parsed) || parsed < 0) {
+			throw cliError(EXIT_CODES.USAGE, `Invalid ${label}: ${s}`);
+		}
+		return parsed;
+	});
+}
+
+async function list(lotto) {
+	const [pending, { prizes: prizeNFTs }] = await Promise.all([
+		lotto.getPendingPrizes(),
+		lotto.getPoolNFTs(),
+	]);
+
+	const result = {
+		pending: pending.map(p => ({ index: p.index, poolId: p.poolId, contents: describePrize(p.prize), prize: p.prize })),
+		nfts: prizeNFTs.map(p => ({ tokenId: p.tokenId, serial: p.serial, poolId: p.poolId, contents: describePrize(p.prize), prize: p.prize })),
+	};
+
+	return {
+		result,
+		// one record per prize; pending ones have an index, NFTs a token and serial
+		rows: [
+			...result.pending.map(p => ({ kind: 'pending', index: p.index, tokenId: null, serial: null, poolId: p.poolId, contents: p.contents, prize: p.prize })),
+			...result.nfts.map(p => ({ kind: 'nft', index: null, ...p })),
+		],
+		print() {
+			console.log('\nPending prizes');
+			console.log('-'.repeat(50));
+			if (pending.length === 0) console.log('None');
+			for (const { index, poolId, prize } of pending) {
+				console.log(`[${index}] Pool #${poolId}: ${describePrize(prize)}`);
+			}
+
+			console.log('\nPrize NFTs');
+			console.log('-'.repeat(50));
+			if (prizeNFTs.length === 0) console.log('None');
+			for (const { tokenId, serial, poolId, prize } of prizeNFTs) {
+				console.log(`${tokenId} #${serial} (pool #${poolId}): ${describePrize(prize)}`);
+			}
+			console.log();
+		},
+	};
+}
+
+async function redeem(lotto, positional, options) {
+	let indices;
+	if (options.pool !== undefined) {
+		const poolId = parseInt(options.pool);
+		indices = (await lotto.getPendingPrizes()).filter(p => p.poolId === poolId).map(p => p.index);
+		if (indices.length === 0) {
+			throw cliError(EXIT_CODES.NOT_FOUND, `No pending prizes from pool #${poolId}`);
+		}
+	}
+	else if (positional[0]) {
+		indices = parseNumbers(positional[0], 'prize index');
+	}
+	else {
+		throw cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto prizes redeem <index,index,...>|--pool=ID');
+	}
+
+	const redeemed = await lotto.redeemPrizeToNFT(indices);
+
+	return {
+		result: {
+			transaction: { id: redeemed.transactionId, poolId: redeemed.poolId, indices },
+			serials: redeemed.serials,
+			associated: redeemed.associated,
+		},
+		rows: [{ transactionId: redeemed.transactionId, poolId: redeemed.poolId, indices, serials: redeemed.serials }],
+		print() {
+			if (redeemed.associated.length > 0) {
+				console.log(`\nAssociated pool token ${redeemed.associated.join(', ')}`);
+			}
+			console.log(`\nRedeemed ${indices.length} prize(s) from pool #${redeemed.poolId} to NFTs`);
+			console.log(`Serials: ${redeemed.serials.join(', ') || '(see transaction record)'}`);
+			console.log(`Transaction: ${redeemed.transactionId}`);
+			console.log('\nUse "lazy-lotto prizes claim" to claim them.\n');
+		},
+	};
+}
+
+async function claim(lotto, positional, options) {
+	const { prizes: held } = await lotto.getPoolNFTs();
+	if (held.length === 0) {
+		throw cliError(EXIT_CODES.NOT_FOUND, 'You hold no prize NFTs');
+	}
+
+	let selected = held;
+	if (options.token) selected = selected.filter(p => p.tokenId === options.token);
+	if (positional[0]) {
+		const serials = parseNumbers(positional[0], 'serial number');
+		const tokens = new Set(selected.map(p => p.tokenId));
+		if (tokens.size > 1) {
+			throw cliError(EXIT_CODES.USAGE, `Prize NFTs from several tokens (${[...tokens].join(', ')}); pick one with --token`);
+		}
+		const missing = serials.filter(s => !selected.some(p => p.serial === s));
+		if (missing.length > 0) {
+			throw cliError(EXIT_CODES.NOT_FOUND, `Not prize NFTs you hold: ${missing.join(', ')}`);
+		}
+		selected = selected.filter(p => serials.includes(p.serial));
+	}
+	if (selected.length === 0) {
+		throw cliError(EXIT_CODES.NOT_FOUND, `You hold no prize NFTs of ${options.token}`);
+	}
+
+	// claimPrizeFromNFT takes a single token, so claim one token at a time
+	const byToken = new Map();
+	for (const prize of selected) {
+		byToken.set(prize.tokenId, [...(byToken.get(prize.tokenId) ?? []), prize.serial]);
+	}
+
+	const transactions = [];
+	for (const [tokenId, serials] of byToken) {
+		const claimed = await lotto.claimPrizeFromNFT(tokenId, serials);
+		transactions.push({
+			id: claimed.transactionId,
+			tokenId,
+			serials,
+			associated: claimed.associated,
+			prizes: claimed.claimed.map(p => describePrize(p.prize)),
+		});
+	}
+
+	return {
+		result: { transactions },
+		rows: transactions.flatMap(tx => tx.serials.map((serial, i) => ({ transactionId: tx.id, tokenId: tx.tokenId, serial, contents: tx.prizes[i] }))),
+		print() {
+			for (const tx of transactions) {
+				if (tx.associated.length > 0) {
+					console.log(`\nAssociated ${tx.associated.join(', ')}`);
+				}
+				console.log(`\nClaimed ${tx.serials.length} prize NFT(s) of ${tx.tokenId}`);
+				tx.prizes.forEach((contents, i) => console.log(`  #${tx.serials[i]}: ${contents}`));
+				console.log(`Transaction: ${tx.id}`);
+			}
+			console.log();
+		},
+	};
+}
+
+const SUBCOMMANDS = { list, redeem, claim };
+
+module.exports = async function prizes(args) {
+	const output = createOutput(args);
+	const options = Object.fromEntries(args
+		.filter(a => a.startsWith('--') && a.includes('='))
+		.map(a => a.slice(2).split('=')));
+	const [subcommand, ...positional] = args.filter(a => !a.startsWith('-'));
+
+	if (!SUBCOMMANDS[subcommand]) {
+		output.fail(cliError(EXIT_CODES.USAGE, USAGE));
+	}
+
+	const { lotto, env } = await createClient({ signer: true });
+
+	try {
+		const { result, rows, print } = await SUBCOMMANDS[subcommand](lotto, positional, options);
+		output.emit({ data: result, rows, metadata: commandMetadata(lotto, env), print });
+	}
+	catch (error) {
+		output.fail(error);
+	}
+	finally {
+		lotto.close();
+	}
+};
@@ -0,0 +1,90 @@
+/**
+ * Serve Command
+ *
+ * Read-only JSON API over the event indexer's SQLite database. By default it
+ * serves a database kept up to date by a separate indexer process
+ * (npm run indexer); with --sync it runs the indexer in-process as well.
+ *
+ * Usage: lazy-lotto serve [--db=FILE] [--port=8080] [--host=127.0.0.1] [--sync] [--interval=15] [--cors=ORIGIN|none] [--verbose]
+ */
+
+const fs = require('fs');
+const { IndexerStore, LottoIndexer } = require('../../utils/lottoIndexer');
+const { createIndexServer } = require('../../utils/indexServer');
+
+function argValue(args, name) {
+	const arg = args.find(a => a.startsWith(`--${name}=`));
+	return arg ? arg.slice(name.length + 3) : null;
+}
+
+module.exports = async function serve(args) {
+	const env = process.env.ENVIRONMENT ?? 'testnet';
+	const sync = args.includes('--sync');
+	const verbose = args.includes('--verbose');
+
+	const dbPath = argValue(args, 'db') ?? `lazy-lotto-${env.toLowerCase()}.db`;
+	const port = Number(argValue(args, 'port') ?? '8080');
+	const host = argValue(args, 'host') ?? '127.0.0.1';
+	const intervalSeconds = Number(argValue(args, 'interval') ?? '15');
+	const corsArg = argValue(args, 'cors') ?? '*';
+	const cors = corsArg === 'none' ? null : corsArg;
+
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		throw new Error(`Invalid --port: ${argValue(args, 'port')}`);
+	}
+	if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+		throw new Error('--interval must be a positive number of seconds');
+	}
+
+	if (!sync && !fs.existsSync(dbPath)) {
+		throw new Error(`No index database at ${dbPath}. Run the indexer first (npm run indexer) or pass --sync`);
+	}
+
+	const log = (...messages) => {
+		if (verbose) console.log(`[${new Date().toISOString()}]`, ...messages);
+	};
+
+	// without --sync another process writes the database, so only read it
+	const store = new IndexerStore({ dbPath, readonly: !sync });
+	const indexer = sync
+		? new LottoIndexer({
+			env,
+			store,
+			contractId: process.env.LAZY_LOTTO_CONTRACT_ID,
+			poolManagerId: process.env.LAZY_LOTTO_POOL_MANAGER_ID,
+			log,
+		})
+		: null;
+
+	const server = createIndexServer({ store, cors, log });
+	await new Promise((resolve, reject) => {
+		server.once('error', reject);
+		server.listen(port, host, resolve);
+	});
+
+	const { port: boundPort } = server.address();
+	console.log(`\nLazyLotto index API on http://${host}:${boundPort}`);
+	console.log(`Database: ${dbPath}${sync ? ` (syncing every ${intervalSeconds}s)` : ''}`);
+	console.log('Endpoints: /pools, /pools/:id, /pools/:id/prizes, /users/:account/entries,');
+	console.log('           /users/:account/pending-prizes, /leaderboard, /stats');
+	console.log('Ctrl+C to stop\n');
+
+	const running = indexer
+		? indexer.run({
+			intervalMs: intervalSeconds * 1000,
+			onError: (error) => console.error(`[${new Date().toISOString()}] Sync failed, retrying next interval:`, error.message),
+		})
+		: Promise.resolve();
+
+	await new Promise(resolve => {
+		const shutdown = () => {
+			if (indexer) indexer.stop();
+			server.close(resolve);
+		};
+		process.once('SIGINT', shutdown);
+		process.once('SIGTERM', shutdown);
+	});
+
+	await running;
+	store.close();
+};
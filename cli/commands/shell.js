@@ -0,0 +1,399 @@
+/**
+ * Shell Command
+ *
+ * Interactive session that keeps one client (and its token details) warm
+ * between commands. Tab completes commands and pool IDs, asks before every
+ * transaction and walks through buy → roll → claim with `play`.
+ *
+ * Usage: lazy-lotto shell
+ */
+
+const readline = require('readline');
+const { describePrize, formatAmount, winRateToPercent } = require('../../index');
+const { createClient } = require('../client');
+
+// Give the mirror node time to reflect a transaction before reading state back
+const MIRROR_DELAY_MS = 5000;
+
+const SHELL_COMMANDS = {
+	pools: { usage: 'pools', description: 'List pools (refreshes the pool cache)' },
+	pool: { usage: 'pool <poolId>', description: 'Pool details and prizes' },
+	status: { usage: 'status', description: 'Your entries and pending prizes' },
+	buy: { usage: 'buy <poolId> <count>', description: 'Buy entries' },
+	roll: { usage: 'roll <poolId> [count]', description: 'Roll entries (all by default)' },
+	claim: { usage: 'claim [index]', description: 'Claim all pending prizes, or one by index' },
+	play: { usage: 'play [poolId]', description: 'Guided buy → roll → claim' },
+	help: { usage: 'help', description: 'Show this list' },
+	exit: { usage: 'exit', description: 'Leave the shell' },
+};
+
+const POOL_ARG_COMMANDS = ['pool', 'buy', 'roll', 'play'];
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseNonNegative(value, label) {
+	const parsed = Number(value);
+	if (value === undefined || !Number.isInteger(parsed) || parsed < 0) {
+		throw new Error(`Invalid ${label}: ${value ?? '(missing)'}`);
+	}
+	return parsed;
+}
+
+function parsePositive(value, label) {
+	const parsed = parseNonNegative(value, label);
+	if (parsed === 0) {
+		throw new Error(`Invalid ${label}: must be at least 1`);
+	}
+	return parsed;
+}
+
+class LottoShell {
+	constructor({ lotto, env, input = process.stdin, output = process.stdout, mirrorDelayMs = MIRROR_DELAY_MS }) {
+		this.lotto = lotto;
+		this.env = env;
+		this.output = output;
+		this.mirrorDelayMs = mirrorDelayMs;
+		this.pools = new Map();
+		this.pendingIndexes = [];
+		this.closed = false;
+		this._pendingAnswer = null;
+
+		this.rl = readline.createInterface({
+			input,
+			output,
+			completer: line => this.complete(line),
+			terminal: input.isTTY ?? false,
+		});
+		this.rl.on('close', () => {
+			this.closed = true;
+			if (this._pendingAnswer) this._pendingAnswer(null);
+		});
+		this.rl.on('SIGINT', () => this.rl.close());
+	}
+
+	print(line = '') {
+		this.output.write(`${line}\n`);
+	}
+
+	complete(line) {
+		const words = line.split(/\s+/);
+		const current = words[words.length - 1];
+		let candidates = [];
+
+		if (words.length === 1) {
+			candidates = Object.keys(SHELL_COMMANDS);
+		}
+		else if (words.length === 2 && POOL_ARG_COMMANDS.includes(words[0])) {
+			candidates = [...this.pools.keys()].map(String);
+		}
+		else if (words.length === 2 && words[0] === 'claim') {
+			candidates = this.pendingIndexes.map(String);
+		}
+
+		const hits = candidates.filter(c => c.startsWith(current));
+		return [hits, current];
+	}
+
+	ask(prompt) {
+		if (this.closed) return Promise.resolve(null);
+		return new Promise(resolve => {
+			this._pendingAnswer = resolve;
+			this.rl.question(prompt, answer => {
+				this._pendingAnswer = null;
+				resolve(answer.trim());
+			});
+		});
+	}
+
+	async confirm(question) {
+		const answer = await this.ask(`${question} [y/N] `);
+		return answer !== null && /^y(es)?$/i.test(answer);
+	}
+
+	async run() {
+		this.print(`\nLazyLotto shell (${this.env}) - ${this.lotto.operatorId} on ${this.lotto.contractId}`);
+		this.print('Type "help" for commands, Tab to complete, Ctrl+D to exit.\n');
+
+		try {
+			await this.refreshPools();
+			this.print(`${this.pools.size} pool(s) loaded.\n`);
+		}
+		catch (error) {
+			this.print(`Could not load pools: ${error.message}\n`);
+		}
+
+		while (!this.closed) {
+			const line = await this.ask('lazy-lotto> ');
+			if (line === null) break;
+			if (!line) continue;
+
+			const [command, ...args] = line.split(/\s+/);
+			if (command === 'exit' || command === 'quit') break;
+
+			try {
+				await this.execute(command.toLowerCase(), args);
+			}
+			catch (error) {
+				this.print(`Error: ${error.message}`);
+				if (process.env.DEBUG) {
+					this.print(error.stack);
+				}
+			}
+		}
+
+		this.rl.close();
+		this.print('Bye.');
+	}
+
+	async execute(command, args) {
+		switch (command) {
+		case 'help':
+			return this.showHelp();
+		case 'pools':
+			return this.showPools();
+		case 'pool':
+			return this.showPool(parseNonNegative(args[0], 'pool ID'));
+		case 'status':
+		case 'user':
+			return this.showStatus();
+		case 'buy':
+			return this.buy(parseNonNegative(args[0], 'pool ID'), parsePositive(args[1], 'count'));
+		case 'roll':
+			return this.roll(parseNonNegative(args[0], 'pool ID'), args[1] === undefined ? null : parsePositive(args[1], 'count'));
+		case 'claim':
+			return this.claim(args[0] === undefined ? null : parseNonNegative(args[0], 'prize index'));
+		case 'play':
+			return this.play(args[0] === undefined ? null : parseNonNegative(args[0], 'pool ID'));
+		default:
+			this.print(`Unknown command: ${command}. Type "help" for commands.`);
+		}
+	}
+
+	showHelp() {
+		this.print('\nCommands:');
+		for (const { usage, description } of Object.values(SHELL_COMMANDS)) {
+			this.print(`  ${usage.padEnd(24)}${description}`);
+		}
+		this.print();
+	}
+
+	async refreshPools() {
+		const pools = await this.lotto.listPools();
+		this.pools = new Map(pools.map(pool => [pool.id, pool]));
+		return pools;
+	}
+
+	async getPool(poolId, refresh = false) {
+		if (refresh || !this.pools.has(poolId)) {
+			this.pools.set(poolId, await this.lotto.getPool(poolId));
+		}
+		return this.pools.get(poolId);
+	}
+
+	async showPools() {
+		const pools = await this.refreshPools();
+		if (pools.length === 0) {
+			this.print('\nNo pools available.\n');
+			return;
+		}
+
+		this.print('\nID  | Status  | Win Rate | Entry Fee          | Prizes | Entries');
+		this.print('-'.repeat(70));
+		for (const pool of pools) {
+			this.print([
+				pool.id.toString().padEnd(3),
+				pool.status.padEnd(7),
+				`${pool.winRatePercent.toFixed(4)}%`.padEnd(8),
+				pool.entryFee.formatted.padEnd(18),
+				pool.prizeCount.toString().padEnd(6),
+				pool.outstandingEntries,
+			].join(' | '));
+		}
+		this.print();
+	}
+
+	async showPool(poolId) {
+		const [pool, prizes] = await Promise.all([
+			this.getPool(poolId, true),
+			this.lotto.getPoolPrizes(poolId),
+		]);
+
+		this.print(`\nPool #${pool.id} (${pool.status})`);
+		this.print(`  Win rate:   ${pool.winRatePercent.toFixed(4)}%`);
+		this.print(`  Entry fee:  ${pool.entryFee.formatted}`);
+		this.print(`  Entries:    ${pool.outstandingEntries} outstanding`);
+		this.print(`  Prizes:     ${prizes.length}`);
+		for (const prize of prizes) {
+			this.print(`    #${prize.index}: ${describePrize(prize)}`);
+		}
+		this.print();
+	}
+
+	async showStatus() {
+		const [entries, pending] = await Promise.all([
+			this.lotto.getUserEntries(),
+			this.lotto.getPendingPrizes(),
+		]);
+		this.pendingIndexes = pending.map(p => p.index);
+
+		this.print();
+		if (entries.length === 0) {
+			this.print('Entries: none');
+		}
+		else {
+			this.print('Entries:');
+			for (const { poolId, entries: count } of entries) {
+				this.print(`  Pool #${poolId}: ${count}`);
+			}
+		}
+
+		if (pending.length === 0) {
+			this.print('Pending prizes: none');
+		}
+		else {
+			this.print('Pending prizes:');
+			for (const { index, poolId, asNFT, prize } of pending) {
+				this.print(`  [${index}] Pool #${poolId}: ${describePrize(prize)}${asNFT ? ' (as NFT)' : ''}`);
+			}
+		}
+		this.print();
+		return { entries, pending };
+	}
+
+	async buy(poolId, count) {
+		const pool = await this.getPool(poolId, true);
+		const { raw, decimals, symbol } = pool.entryFee;
+		const cost = formatAmount(BigInt(raw) * BigInt(count), decimals, symbol);
+
+		if (!await this.confirm(`Buy ${count} entr${count === 1 ? 'y' : 'ies'} in pool #${poolId} for ${cost}?`)) {
+			this.print('Cancelled.');
+			return false;
+		}
+
+		const purchase = await this.lotto.buyEntry(poolId, count);
+		this.print(`Bought ${count} for ${purchase.totalCost.formatted} - ${purchase.transactionId}`);
+		await sleep(this.mirrorDelayMs);
+		this.print(`You now hold ${await this.lotto.getUserEntriesForPool(poolId)} entries in pool #${poolId}.`);
+		return true;
+	}
+
+	async roll(poolId, count) {
+		const held = await this.lotto.getUserEntriesForPool(poolId);
+		if (held === 0) {
+			this.print(`You have no entries in pool #${poolId}.`);
+			return false;
+		}
+
+		const rollAll = !count || count >= held;
+		const quantity = rollAll ? held : count;
+		const [pool, boost] = await Promise.all([this.getPool(poolId), this.lotto.getBoost()]);
+		const winRate = winRateToPercent(Math.min(pool.winRateThousandthsOfBps + boost, 100_000_000)).toFixed(4);
+
+		if (!await this.confirm(`Roll ${quantity} of ${held} entries in pool #${poolId} at ${winRate}%?`)) {
+			this.print('Cancelled.');
+			return false;
+		}
+
+		const result = rollAll
+			? await this.lotto.rollAll(poolId)
+			: await this.lotto.rollBatch(poolId, quantity);
+		this.print(`Rolled ${quantity}: ${result.wins} win(s) - ${result.transactionId}`);
+		await sleep(this.mirrorDelayMs);
+		return true;
+	}
+
+	async claim(index) {
+		const pending = await this.lotto.getPendingPrizes();
+		this.pendingIndexes = pending.map(p => p.index);
+		if (pending.length === 0) {
+			this.print('You have no pending prizes to claim.');
+			return false;
+		}
+
+		const targets = index === null ? pending : pending.filter(p => p.index === index);
+		if (targets.length === 0) {
+			throw new Error(`No pending prize at index ${index}`);
+		}
+
+		for (const { index: i, poolId, prize } of targets) {
+			this.print(`  [${i}] Pool #${poolId}: ${describePrize(prize)}`);
+		}
+		if (!await this.confirm(`Claim ${targets.length} prize(s)?`)) {
+			this.print('Cancelled.');
+			return false;
+		}
+
+		const result = index === null
+			? await this.lotto.claimAllPrizes()
+			: await this.lotto.claimPrize(index);
+		if (result.associated.length > 0) {
+			this.print(`Associated ${result.associated.join(', ')}`);
+		}
+		this.print(`Claimed - ${result.transactionId}`);
+		await sleep(this.mirrorDelayMs);
+		this.pendingIndexes = (await this.lotto.getPendingPrizes()).map(p => p.index);
+		return true;
+	}
+
+	async play(poolId) {
+		this.print('\nStep 1/4: your current state');
+		const { entries } = await this.showStatus();
+
+		if (poolId === null) {
+			const active = [...this.pools.values()].filter(p => p.status === 'active');
+			if (active.length === 0) {
+				this.print('No active pools to play.');
+				return;
+			}
+			for (const pool of active) {
+				this.print(`  #${pool.id}: ${pool.entryFee.formatted} per entry, ${pool.winRatePercent.toFixed(4)}% win rate, ${pool.prizeCount} prize(s)`);
+			}
+			const answer = await this.ask(`Pool [${active[0].id}]: `);
+			if (answer === null) return;
+			poolId = parseNonNegative(answer || String(active[0].id), 'pool ID');
+		}
+
+		const pool = await this.getPool(poolId, true);
+		if (pool.status !== 'active') {
+			this.print(`Pool #${poolId} is ${pool.status}.`);
+			return;
+		}
+
+		this.print(`\nStep 2/4: buy entries in pool #${poolId} (${pool.entryFee.formatted} each)`);
+		const held = entries.find(e => e.poolId === poolId)?.entries ?? 0;
+		const answer = await this.ask(`How many entries? [${held > 0 ? 0 : 1}] `);
+		if (answer === null) return;
+		const count = parseNonNegative(answer || (held > 0 ? '0' : '1'), 'count');
+		if (count > 0 && !await this.buy(poolId, count)) return;
+
+		this.print('\nStep 3/4: roll');
+		if (!await this.roll(poolId, null)) return;
+
+		this.print('\nStep 4/4: claim');
+		await this.showStatus();
+		if (this.pendingIndexes.length > 0) {
+			await this.claim(null);
+		}
+		else {
+			this.print('Nothing to claim this time.');
+		}
+		this.print();
+	}
+}
+
+module.exports = async function shell() {
+	const { lotto, env } = await createClient({ signer: true });
+
+	try {
+		await new LottoShell({ lotto, env }).run();
+	}
+	finally {
+		lotto.close();
+	}
+};
+
+module.exports.LottoShell = LottoShell;
+module.exports.parseNonNegative = parseNonNegative;
+module.exports.parsePositive = parsePositive;
@@ -0,0 +1,172 @@
+/**
+ * Simulate Command
+ *
+ * Monte Carlo runs of a pool for operators choosing a win rate, entry fee
+ * and prizes: how many entries the prizes last, what the owner and the
+ * platform take, and how much that varies between runs. Works offline from
+ * a pool spec (the file `pool create` takes), or from a live pool's current
+ * prizes and fee settings.
+ *
+ * Players each buy --entries (N or MIN-MAX) and roll them with a boost drawn
+ * from --boost=PERCENT:WEIGHT (repeat for a distribution). Specs have no
+ * chain settings: pass --lazy-token and --burn for a LAZY entry fee, and
+ * --global for an admin pool. The same --seed gives the same report.
+ *
+ * Rows for ndjson / csv are one line per figure; the json document carries
+ * the full report.
+ *
+ * Usage: lazy-lotto simulate <poolId> | --spec=FILE [--runs=N] [--seed=S] [--players=N] [--entries=N|MIN-MAX]
+ *          [--boost=PERCENT:WEIGHT ...] [--per-day=N] [--burn=PCT] [--lazy-token=0.0.X] [--platform-fee=PCT] [--global]
+ */
+
+const { loadPoolSpec } = require('../../utils/poolSpec');
+const { simulatePool, snapshotPool } = require('../../utils/poolSimulator');
+const { winRateToPercent } = require('../../utils/lazyLottoClient');
+const { createClient } = require('../client');
+const { createOutput, cliError, exitCodeFor, commandMetadata, EXIT_CODES } = require('../output');
+
+const USAGE = 'Usage: lazy-lotto simulate <poolId> | --spec=FILE [--runs=N] [--seed=S] [--players=N] [--entries=N|MIN-MAX] [--boost=PERCENT:WEIGHT ...]';
+
+function option(args, name) {
+	return args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+}
+
+function numberOption(args, name) {
+	const value = option(args, name);
+	if (value === undefined) return undefined;
+	const number = Number(value);
+	if (value === '' || !Number.isFinite(number)) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --${name}: ${value}`);
+	}
+	return number;
+}
+
+// --entries=5 or --entries=1-10
+function parseEntries(value) {
+	if (value === undefined) return undefined;
+	const match = value.match(/^(\d+)(?:-(\d+))?$/);
+	if (!match) throw cliError(EXIT_CODES.USAGE, `Invalid --entries: ${value}. Use N or MIN-MAX`);
+	return match[2] === undefined ? Number(match[1]) : [Number(match[1]), Number(match[2])];
+}
+
+// --boost=0:8 --boost=2.5:2 -> 80% of players without boost, 20% with +2.5%
+function parseBoosts(args) {
+	const boosts = args.filter(a => a.startsWith('--boost=')).map(arg => {
+		const [percent, weight = '1'] = arg.slice('--boost='.length).split(':');
+		const boost = { percent: Number(percent), weight: Number(weight) };
+		if (percent === '' || !(boost.percent >= 0) || !(boost.weight > 0)) {
+			throw cliError(EXIT_CODES.USAGE, `Invalid ${arg}. Use --boost=PERCENT:WEIGHT, e.g. --boost=2.5:1`);
+		}
+		return boost;
+	});
+	return boosts.length > 0 ? boosts : undefined;
+}
+
+function round(value) {
+	return Number.isInteger(value) ? value.toString() : value.toFixed(2);
+}
+
+module.exports = async function simulate(args) {
+	const output = createOutput(args);
+	const specFile = option(args, 'spec');
+	const poolIdArg = args.find(a => !a.startsWith('-'));
+	const poolId = Number(poolIdArg);
+
+	if ((specFile === undefined) === (poolIdArg === undefined) || (poolIdArg !== undefined && (!Number.isInteger(poolId) || poolId < 0))) {
+		output.fail(cliError(EXIT_CODES.USAGE, USAGE));
+	}
+
+	let options;
+	try {
+		options = {
+			runs: numberOption(args, 'runs'),
+			seed: option(args, 'seed') || undefined,
+			players: numberOption(args, 'players'),
+			entriesPerPlayer: parseEntries(option(args, 'entries')),
+			boosts: parseBoosts(args),
+			entriesPerDay: numberOption(args, 'per-day'),
+			burnPercentage: numberOption(args, 'burn'),
+			lazyToken: option(args, 'lazy-token'),
+			platformFeePercentage: numberOption(args, 'platform-fee'),
+			globalPool: args.includes('--global') ? true : undefined,
+		};
+	}
+	catch (error) {
+		output.fail(error);
+	}
+
+	let pool;
+	let metadata;
+	if (specFile !== undefined) {
+		try {
+			pool = loadPoolSpec(specFile);
+			metadata = { spec: specFile, timestamp: new Date().toISOString() };
+		}
+		catch (error) {
+			output.fail(cliError(EXIT_CODES.USAGE, error.message));
+		}
+	}
+	else {
+		const { lotto, env } = await createClient();
+		metadata = commandMetadata(lotto, env);
+		output.progress(`Reading pool #${poolId} and its prizes...`);
+		try {
+			pool = await snapshotPool(lotto, poolId);
+		}
+		catch (error) {
+			output.fail(exitCodeFor(error) === EXIT_CODES.ERROR
+				? cliError(EXIT_CODES.NOT_FOUND, `Pool ${poolId} not found or error fetching: ${error.message}`)
+				: error);
+		}
+	}
+
+	let report;
+	try {
+		report = simulatePool(pool, options);
+	}
+	catch (error) {
+		output.fail(cliError(EXIT_CODES.USAGE, error.message));
+	}
+
+	const fee = report.entryFee.symbol;
+	const figures = [
+		['Entries sold', report.entries],
+		['Players', report.playersServed],
+		['Wins', report.wins],
+		['Prizes awarded', report.prizesAwarded],
+		['Prizes left', report.prizesLeft],
+		['Entries to empty', report.exhaustion.entries],
+		['Days to empty', report.exhaustion.days],
+		[`Gross (${fee})`, report.proceeds.gross],
+		[`Burned (${fee})`, report.proceeds.burned],
+		[`Platform (${fee})`, report.proceeds.platform],
+		[`Owner (${fee})`, report.proceeds.owner],
+		...report.paidOut.map(({ symbol, amount }) => [`Paid out (${symbol})`, amount]),
+		['NFTs paid out', report.nftsPaidOut],
+	].filter(([, distribution]) => distribution !== null);
+
+	output.emit({
+		data: { simulation: report },
+		rows: figures.map(([figure, distribution]) => ({ figure, ...distribution })),
+		metadata,
+		print() {
+			const source = report.poolId === null ? specFile : `pool #${report.poolId}`;
+			console.log(`\nSimulation of ${source}: ${report.runs} runs, seed ${report.seed}`);
+			console.log('='.repeat(98));
+			console.log(`Win rate:          ${winRateToPercent(report.winRateThousandthsOfBps)}% + boost ${report.boosts.map(b => `${b.percent}% (${(b.probability * 100).toFixed(0)}%)`).join(', ')}`);
+			console.log(`Entry fee:         ${report.entryFee.amount} ${fee}${report.burnPercentage ? `, ${report.burnPercentage}% burned` : ''}`);
+			console.log(`Platform fee:      ${report.globalPool ? 'global pool, all proceeds stay with the platform' : `${report.platformFeePercentage}% of proceeds`}`);
+			const [minEntries, maxEntries] = report.entriesPerPlayer;
+			console.log(`Players per run:   ${report.players}, ${minEntries === maxEntries ? minEntries : `${minEntries}-${maxEntries}`} entries each`);
+			console.log(`Prizes:            ${report.prizeCount}, all won in ${(report.exhaustion.probability * 100).toFixed(1)}% of runs`);
+
+			console.log('\nFigure               |       Mean |    Std dev |         5% |     Median |        95% |        Max');
+			console.log('-'.repeat(98));
+			for (const [figure, d] of figures) {
+				const cells = [d.mean, d.stdDev, d.p5, d.median, d.p95, d.max].map(value => round(value).padStart(10));
+				console.log(`${figure.padEnd(20)} | ${cells.join(' | ')}`);
+			}
+			console.log();
+		},
+	});
+};
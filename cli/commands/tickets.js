@@ -0,0 +1,160 @@
+/**
+ * Tickets Command
+ *
+ * Ticket NFTs: list the ones you hold, convert entries into NFTs (to trade or
+ * gift them) and roll NFTs directly. Ticket serials are found on the mirror
+ * node; prize NFTs minted from the same pool token are left out.
+ *
+ * Usage:
+ *   lazy-lotto tickets list [--pool=ID] [--format=table|json|ndjson|csv]
+ *   lazy-lotto tickets redeem <poolId> <count> [--format=...]
+ *   lazy-lotto tickets roll <poolId> [serial,serial,...] [--format=...]
+ */
+
+const { createClient } = require('../client');
+const { createOutput, cliError, commandMetadata, EXIT_CODES } = require('../output');
+
+const USAGE = 'Usage: lazy-lotto tickets list|redeem|roll ... (see lazy-lotto --help)';
+
+function parseSerials(value) {
+	return value.split(',').map(s => {
+		const serial = Number(s.trim());
+		if (!Number.isInteger(serial) || serial <= 0) {
+			throw cliError(EXIT_CODES.USAGE, `Invalid serial number: ${s}`);
+		}
+		return serial;
+	});
+}
+
+async function list(lotto, positional, options) {
+	const poolId = options.pool === undefined ? undefined : parseInt(options.pool);
+	const [{ tickets }, entries] = await Promise.all([
+		lotto.getPoolNFTs(undefined, { poolId }),
+		lotto.getUserEntries(),
+	]);
+
+	const pools = new Map();
+	for (const { poolId: id, entries: count } of entries) {
+		if (poolId !== undefined && id !== poolId) continue;
+		pools.set(id, { poolId: id, entries: count, tokenId: null, serials: [] });
+	}
+	for (const ticket of tickets) {
+		const row = pools.get(ticket.poolId) ?? { poolId: ticket.poolId, entries: 0 };
+		pools.set(ticket.poolId, { ...row, tokenId: ticket.tokenId, serials: ticket.serials });
+	}
+	const rows = [...pools.values()].sort((a, b) => a.poolId - b.poolId);
+
+	return {
+		result: { tickets: rows },
+		rows,
+		print() {
+			if (rows.length === 0) {
+				console.log('\nNo entries or ticket NFTs held.\n');
+				return;
+			}
+			console.log('\nPool | Entries | Ticket NFTs');
+			console.log('-'.repeat(50));
+			for (const row of rows) {
+				const nfts = row.serials.length > 0 ? `${row.tokenId} #${row.serials.join(', #')}` : '-';
+				console.log(`${row.poolId.toString().padEnd(4)} | ${row.entries.toString().padEnd(7)} | ${nfts}`);
+			}
+			console.log();
+		},
+	};
+}
+
+async function redeem(lotto, positional) {
+	const poolId = parseInt(positional[0]);
+	const count = parseInt(positional[1]);
+	if (isNaN(poolId) || poolId < 0 || isNaN(count) || count <= 0) {
+		throw cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto tickets redeem <poolId> <count>');
+	}
+
+	const redeemed = await lotto.redeemEntriesToNFT(poolId, count);
+
+	return {
+		result: {
+			transaction: { id: redeemed.transactionId, poolId, count },
+			serials: redeemed.serials,
+			associated: redeemed.associated,
+		},
+		rows: [{ transactionId: redeemed.transactionId, poolId, count, serials: redeemed.serials }],
+		print() {
+			if (redeemed.associated.length > 0) {
+				console.log(`\nAssociated pool token ${redeemed.associated.join(', ')}`);
+			}
+			console.log(`\nRedeemed ${count} entries in pool #${poolId} to ticket NFTs`);
+			console.log(`Serials: ${redeemed.serials.join(', ') || '(see transaction record)'}`);
+			console.log(`Transaction: ${redeemed.transactionId}`);
+			console.log(`\nUse "lazy-lotto tickets roll ${poolId}" to play them.\n`);
+		},
+	};
+}
+
+async function roll(lotto, positional) {
+	const poolId = parseInt(positional[0]);
+	if (isNaN(poolId) || poolId < 0) {
+		throw cliError(EXIT_CODES.USAGE, 'Usage: lazy-lotto tickets roll <poolId> [serial,serial,...]');
+	}
+
+	const { tickets } = await lotto.getPoolNFTs(undefined, { poolId });
+	const owned = tickets[0]?.serials ?? [];
+	if (owned.length === 0) {
+		throw cliError(EXIT_CODES.NOT_FOUND, `You hold no ticket NFTs for pool #${poolId}`);
+	}
+
+	let serials = owned;
+	if (positional[1]) {
+		serials = parseSerials(positional[1]);
+		const missing = serials.filter(s => !owned.includes(s));
+		if (missing.length > 0) {
+			throw cliError(EXIT_CODES.NOT_FOUND, `Not ticket NFTs you hold in pool #${poolId}: ${missing.join(', ')}`);
+		}
+	}
+
+	const rolled = await lotto.rollWithNFT(poolId, serials);
+
+	return {
+		result: {
+			transaction: { id: rolled.transactionId, poolId, serials },
+			results: { wins: rolled.wins, prizeOffset: rolled.offset },
+		},
+		rows: [{ transactionId: rolled.transactionId, poolId, serials, wins: rolled.wins, prizeOffset: rolled.offset }],
+		print() {
+			console.log(`\nRolled ${serials.length} ticket NFT(s) in pool #${poolId}`);
+			console.log(`Transaction: ${rolled.transactionId}`);
+			console.log(`Wins: ${rolled.wins}`);
+			if (rolled.wins > 0) {
+				console.log('\nCongratulations! Use "lazy-lotto claim" to claim your prizes.');
+			}
+			console.log();
+		},
+	};
+}
+
+const SUBCOMMANDS = { list, redeem, roll };
+
+module.exports = async function tickets(args) {
+	const output = createOutput(args);
+	const options = Object.fromEntries(args
+		.filter(a => a.startsWith('--') && a.includes('='))
+		.map(a => a.slice(2).split('=')));
+	const [subcommand, ...positional] = args.filter(a => !a.startsWith('-'));
+
+	if (!SUBCOMMANDS[subcommand]) {
+		output.fail(cliError(EXIT_CODES.USAGE, USAGE));
+	}
+
+	const { lotto, env } = await createClient({ signer: true });
+
+	try {
+		const { result, rows, print } = await SUBCOMMANDS[subcommand](lotto, positional, options);
+		output.emit({ data: result, rows, metadata: commandMetadata(lotto, env), print });
+	}
+	catch (error) {
+		output.fail(error);
+	}
+	finally {
+		lotto.close();
+	}
+};
@@ -0,0 +1,424 @@
+/**
+ * Trade Lotto Command
+ *
+ * LazyTradeLotto, the lottery rolled after NFT trades. `status` tells whether
+ * one side of a trade can still roll: it reads the contract's history mapping
+ * for the trade and, for a side that has rolled, shows the roll from its
+ * LottoRoll event.
+ *
+ * `roll` submits a signed ticket from the roll signing service. The ticket is
+ * checked first (signature recovery against the systemWallet, roller against
+ * this account, history and pause state), so a ticket that would revert costs
+ * no gas; the outcome is read from the transaction's LottoRoll, JackpotWin
+ * and LazyGasStation payout events. --dry-run stops after the checks and a
+ * mirror node simulation.
+ *
+ * `jackpot` rebuilds the jackpot's history from JackpotUpdate, LottoRoll and
+ * JackpotWin events and charts it, with realized hit rates against the
+ * signed thresholds, wins against the signed min/max, $LAZY burned and how
+ * long the jackpot should take to reach maxJackpotPool. Rows for ndjson /
+ * csv are the points of the jackpot history; the json document carries the
+ * whole report.
+ *
+ * The contract comes from --contract, LAZY_TRADE_LOTTO_CONTRACT_ID or the
+ * deployment manifest.
+ *
+ * Usage:
+ *   lazy-lotto trade-lotto status --token=0.0.X --serial=N --nonce=N --side=buyer|seller [--since=DATE|all] [--format=...]
+ *   lazy-lotto trade-lotto roll <ticket.json> [--dry-run] [--format=...]
+ *   lazy-lotto trade-lotto jackpot [--since=DATE|all] [--until=DATE] [--rate-days=N] [--format=...]
+ */
+
+const fs = require('fs');
+const { AccountId } = require('@hashgraph/sdk');
+const {
+	formatAmount,
+	getTradeRollStatus,
+	parseRollTicket,
+	checkRollTicket,
+	simulateTradeRoll,
+	submitTradeRoll,
+	getJackpotAnalytics,
+} = require('../../index');
+const { loadManifest, manifestToAddresses } = require('../../utils/deploymentManifest');
+const { winRateToPercent } = require('../../utils/lazyLottoClient');
+const { createSigner } = require('../client');
+const { hasKeySource } = require('../config');
+const { printSimulation, simulationToJson } = require('../simulation');
+const { createOutput, cliError, exitCodeFor, EXIT_CODES } = require('../output');
+
+const USAGE = [
+	'Usage: lazy-lotto trade-lotto status --token=0.0.X --serial=N --nonce=N --side=buyer|seller',
+	'       lazy-lotto trade-lotto roll <ticket.json> [--dry-run]',
+	'       lazy-lotto trade-lotto jackpot [--since=DATE|all] [--until=DATE] [--rate-days=N]',
+].join('\n');
+
+// --name=value or --name value
+function argValue(args, name) {
+	const index = args.findIndex(a => a === `--${name}` || a.startsWith(`--${name}=`));
+	if (index === -1) return null;
+	return args[index].includes('=') ? args[index].slice(name.length + 3) : args[index + 1] ?? '';
+}
+
+// flags that take a value, so `--contract 0.0.5 status` does not read 0.0.5 as a positional
+const VALUE_FLAGS = ['token', 'serial', 'nonce', 'side', 'since', 'until', 'rate-days', 'contract', 'ticket'];
+
+function positionals(args) {
+	return args.filter((a, i) => !a.startsWith('-') && !VALUE_FLAGS.some(name => args[i - 1] === `--${name}`));
+}
+
+// 'all', seconds, 'seconds.nanos' or an ISO date; undefined keeps the SDK default
+function parseSince(since, flag = 'since') {
+	if (since === null) return undefined;
+	if (since === 'all') return null;
+	if (/^\d+(\.\d{1,9})?$/.test(since)) return since;
+
+	const date = new Date(since);
+	if (Number.isNaN(date.getTime())) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --${flag}: ${since}. Use 'all', seconds, 'seconds.nanos' or an ISO date`);
+	}
+	return date;
+}
+
+function resolveTradeLotto(env, args) {
+	let manifest;
+	try {
+		manifest = loadManifest(env);
+	}
+	catch (error) {
+		throw cliError(EXIT_CODES.CONFIG, `Error loading deployment manifest: ${error.message}`);
+	}
+	const contract = argValue(args, 'contract') ?? process.env.LAZY_TRADE_LOTTO_CONTRACT_ID ?? manifestToAddresses(manifest).lazyTradeLotto;
+	if (!contract) {
+		throw cliError(EXIT_CODES.CONFIG, [
+			`No LazyTradeLotto contract known for ${env}.`,
+			'Pass --contract, set LAZY_TRADE_LOTTO_CONTRACT_ID (0.0.xxxxx), or provide deployments/<network>.json or LAZY_LOTTO_MANIFEST',
+		].join('\n'));
+	}
+	// rollLotto pays $LAZY, whose token has 1 decimal
+	const lazyDecimals = parseInt(process.env.LAZY_DECIMALS ?? manifest?.tokens?.lazyToken?.decimals ?? '1');
+	return { contract, lazyDecimals };
+}
+
+async function status(env, args, output) {
+	const token = argValue(args, 'token');
+	const serial = argValue(args, 'serial');
+	const nonce = argValue(args, 'nonce');
+	const side = argValue(args, 'side');
+
+	if (!token || !/^(\d+\.\d+\.\d+|0x[0-9a-fA-F]{40})$/.test(token)) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --token: ${token ?? '(missing)'}\n${USAGE}`);
+	}
+	if (!/^\d+$/.test(serial ?? '') || BigInt(serial) === 0n) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --serial: ${serial ?? '(missing)'}\n${USAGE}`);
+	}
+	if (!/^\d+$/.test(nonce ?? '')) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --nonce: ${nonce ?? '(missing)'}\n${USAGE}`);
+	}
+	if (side !== 'buyer' && side !== 'seller') {
+		throw cliError(EXIT_CODES.USAGE, `--side must be buyer or seller\n${USAGE}`);
+	}
+	const fromTimestamp = parseSince(argValue(args, 'since'));
+
+	const { contract, lazyDecimals } = resolveTradeLotto(env, args);
+	const lazy = raw => formatAmount(BigInt(raw), lazyDecimals, 'LAZY');
+	const rate = raw => `${winRateToPercent(Number(raw)).toFixed(4)}%`;
+
+	output.progress(`Checking the ${side} side of ${token} #${serial} (nonce ${nonce})...`);
+	const result = await getTradeRollStatus(env, {
+		contract,
+		token,
+		serial,
+		nonce,
+		side,
+		from: process.env.ACCOUNT_ID ? AccountId.fromString(process.env.ACCOUNT_ID) : undefined,
+		fromTimestamp,
+	});
+	const { roll } = result;
+
+	return {
+		data: { status: result },
+		rows: [{
+			contractId: result.contractId,
+			token: result.token,
+			serial: result.serial,
+			nonce: result.nonce,
+			side: result.side,
+			historyKey: result.historyKey,
+			rolled: result.rolled,
+			user: roll?.user ?? null,
+			time: roll?.time ?? null,
+			won: roll?.won ?? null,
+			winAmount: roll?.winAmount ?? null,
+			jackpotWon: roll?.jackpotWon ?? null,
+			jackpotAmount: roll?.jackpotAmount ?? null,
+			transactionHash: roll?.transactionHash ?? null,
+		}],
+		print() {
+			console.log('\nTrade Lotto Roll Status');
+			console.log('='.repeat(60));
+			console.log(`Contract:      ${result.contractId}`);
+			console.log(`Trade:         ${result.token} #${result.serial}, nonce ${result.nonce}`);
+			console.log(`Side:          ${result.side}`);
+			console.log(`History key:   ${result.historyKey}`);
+
+			if (!result.rolled) {
+				console.log('\nNot rolled: this side can still roll with a valid signed ticket.\n');
+				return;
+			}
+
+			console.log('\nRolled: another roll for this side reverts with AlreadyRolled.');
+			if (!roll) {
+				console.log('The LottoRoll event was not found (mirror node lag, or try --since=all).\n');
+				return;
+			}
+			console.log(`Rolled by:     ${roll.user} at ${roll.time}`);
+			console.log(`Transaction:   ${roll.transactionHash}`);
+			console.log(`Win:           ${roll.won ? `won ${lazy(roll.winAmount)}` : 'no win'} (roll ${roll.winRoll} vs ${roll.winRateThreshold}, ${rate(roll.winRateThreshold)}; prize ${lazy(roll.minWinAmt)} - ${lazy(roll.maxWinAmt)})`);
+			console.log(`Jackpot:       ${roll.jackpotWon ? `won ${roll.jackpotAmount === null ? '(amount not found)' : lazy(roll.jackpotAmount)}` : 'no win'} (roll ${roll.jackpotRoll} vs ${roll.jackpotThreshold}, ${rate(roll.jackpotThreshold)})`);
+			console.log();
+		},
+	};
+}
+
+function readTicket(args) {
+	const file = argValue(args, 'ticket') ?? positionals(args)[1];
+	if (!file) {
+		throw cliError(EXIT_CODES.USAGE, `A roll ticket file is required\n${USAGE}`);
+	}
+	try {
+		return parseRollTicket(fs.readFileSync(file, 'utf8'));
+	}
+	catch (error) {
+		throw cliError(EXIT_CODES.USAGE, `Cannot use ${file}: ${error.message}`);
+	}
+}
+
+async function rollTicket(env, args, output) {
+	const dryRun = args.includes('--dry-run');
+	const ticket = readTicket(args);
+	const { contract, lazyDecimals } = resolveTradeLotto(env, args);
+	const lazy = raw => formatAmount(BigInt(raw), lazyDecimals, 'LAZY');
+	const side = ticket.buyer ? 'buyer' : 'seller';
+
+	if (!process.env.ACCOUNT_ID) {
+		throw cliError(EXIT_CODES.CONFIG, 'ACCOUNT_ID is required to roll: the ticket is only valid from the account it was signed for');
+	}
+	if (!dryRun && !hasKeySource()) {
+		throw cliError(EXIT_CODES.CONFIG, 'A private key is required to roll (or use --dry-run)');
+	}
+	const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
+
+	output.progress(`Checking the ${side} ticket for ${ticket.token} #${ticket.serial} (nonce ${ticket.nonce})...`);
+	const check = await checkRollTicket(env, ticket, { contractId: contract, operatorId });
+	if (!check.ok) {
+		throw cliError(EXIT_CODES.TRANSACTION, [
+			'The ticket would revert, nothing was submitted:',
+			...check.problems.map(problem => `  - ${problem}`),
+		].join('\n'));
+	}
+
+	if (dryRun) {
+		const simulation = await simulateTradeRoll(env, { contractId: contract, ticket, operatorId });
+		const movements = { out: [], in: simulation.success ? [`up to ${lazy(ticket.maxWinAmt)} (simulated roll)`] : [] };
+		const summary = simulationToJson(simulation, movements);
+		return {
+			data: { success: simulation.success, check, dryRun: summary },
+			rows: [summary],
+			print: () => printSimulation(simulation, movements),
+			exitCode: simulation.success ? 0 : EXIT_CODES.TRANSACTION,
+		};
+	}
+
+	let signer;
+	try {
+		signer = await createSigner(env, operatorId);
+	}
+	catch (error) {
+		throw exitCodeFor(error) === EXIT_CODES.ERROR ? cliError(EXIT_CODES.CONFIG, error.message) : error;
+	}
+
+	try {
+		output.progress(`Rolling from ${operatorId} on ${contract}...`);
+		const result = await submitTradeRoll(signer, { env, contractId: contract, ticket, operatorId });
+		const { roll: outcome, payouts } = result;
+		const payout = kind => payouts.find(p => p.kind === kind) ?? null;
+		const burnText = p => (p ? `${p.burnPercentage}% burned (${lazy(p.burned)}), ${lazy(p.received)} received` : 'payout event not found');
+
+		return {
+			data: { transactionId: result.transactionId, roll: outcome, payouts },
+			rows: [{
+				transactionId: result.transactionId,
+				side,
+				won: outcome.won,
+				winAmount: outcome.winAmount,
+				winBurnPercentage: payout('win')?.burnPercentage ?? null,
+				winReceived: payout('win')?.received ?? null,
+				jackpotWon: outcome.jackpotWon,
+				jackpotAmount: outcome.jackpotAmount,
+				jackpotBurnPercentage: payout('jackpot')?.burnPercentage ?? null,
+				jackpotReceived: payout('jackpot')?.received ?? null,
+			}],
+			print() {
+				console.log('\nTrade Lotto Roll');
+				console.log('='.repeat(60));
+				console.log(`Transaction:   ${result.transactionId}`);
+				console.log(`Trade:         ${ticket.token} #${ticket.serial}, nonce ${ticket.nonce} (${side})`);
+				console.log(`Win roll:      ${outcome.winRoll} vs ${outcome.winRateThreshold} (${winRateToPercent(Number(outcome.winRateThreshold)).toFixed(4)}%)`);
+				console.log(`Win:           ${outcome.won ? `won ${lazy(outcome.winAmount)}: ${burnText(payout('win'))}` : 'no win'}`);
+				console.log(`Jackpot roll:  ${outcome.jackpotRoll} vs ${outcome.jackpotThreshold} (${winRateToPercent(Number(outcome.jackpotThreshold)).toFixed(4)}%)`);
+				console.log(`Jackpot:       ${outcome.jackpotWon ? `won ${outcome.jackpotAmount === null ? '(amount not found)' : lazy(outcome.jackpotAmount)}: ${burnText(payout('jackpot'))}` : 'no win'}`);
+				console.log();
+			},
+		};
+	}
+	finally {
+		signer.close?.();
+	}
+}
+
+/**
+ * Jackpot size over time as a block chart; each column holds the last known
+ * size at the end of its slice of the window
+ * @param {Object[]} timeline - analytics timeline points
+ * @param {Function} label - raw amount -> text
+ * @returns {string[]} lines
+ */
+function jackpotChart(timeline, label, width = 60, height = 10) {
+	const points = timeline.filter(point => point.jackpot !== null);
+	if (points.length === 0) return ['(no jackpot sizes in this window)'];
+
+	const times = points.map(point => new Date(point.time).getTime());
+	const first = times[0];
+	const span = Math.max(times[times.length - 1] - first, 1);
+	const columns = [];
+	let index = 0;
+	for (let column = 0; column < width; column++) {
+		const sliceEnd = first + span * (column + 1) / width;
+		while (index + 1 < points.length && times[index + 1] <= sliceEnd) index++;
+		columns.push(Number(points[index].jackpot));
+	}
+
+	const top = Math.max(...columns, 1);
+	const labels = [label(BigInt(Math.round(top))), label(BigInt(Math.round(top / 2))), label(0n)];
+	const pad = Math.max(...labels.map(text => text.length));
+	const lines = [];
+	for (let row = height; row >= 1; row--) {
+		const axis = row === height ? labels[0] : row === Math.ceil(height / 2) ? labels[1] : '';
+		const cells = columns.map(value => (value >= top * (row - 0.5) / height ? '█' : ' ')).join('');
+		lines.push(`${axis.padStart(pad)} |${cells}`);
+	}
+	lines.push(`${labels[2].padStart(pad)} +${'-'.repeat(width)}`);
+	const from = points[0].time.slice(0, 10);
+	const to = points[points.length - 1].time.slice(0, 10);
+	lines.push(`${' '.repeat(pad + 2)}${from}${to.padStart(width - from.length)}`);
+	return lines;
+}
+
+async function jackpot(env, args, output) {
+	const fromTimestamp = parseSince(argValue(args, 'since')) ?? null;
+	const until = argValue(args, 'until');
+	const toTimestamp = until === null ? null : parseSince(until, 'until');
+	const rateDaysArg = argValue(args, 'rate-days');
+	const rateDays = rateDaysArg === null ? 7 : Number(rateDaysArg);
+	if (!(rateDays > 0)) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --rate-days: ${rateDaysArg}. Use a number of days above 0`);
+	}
+
+	const { contract, lazyDecimals } = resolveTradeLotto(env, args);
+	const lazy = raw => formatAmount(BigInt(raw), lazyDecimals, 'LAZY');
+	const average = value => (value === null ? '-' : lazy(Math.round(value)));
+	const percent = (fraction, digits = 4) => (fraction === null ? '-' : `${(fraction * 100).toFixed(digits)}%`);
+
+	output.progress(`Reading jackpot history of ${contract}...`);
+	const report = await getJackpotAnalytics(env, {
+		contract,
+		from: process.env.ACCOUNT_ID ? AccountId.fromString(process.env.ACCOUNT_ID) : undefined,
+		fromTimestamp,
+		toTimestamp,
+		rateDays,
+	});
+	const { state, hitRates, payouts, burn, projection } = report;
+
+	const rateLine = (name, rate) => `${name.padEnd(14)} ${String(rate.hits).padStart(6)} of ${rate.rolls} = ${percent(rate.rate)}`
+		+ ` (signed thresholds: ${rate.expectedHits.toFixed(2)} = ${percent(rate.expectedRate)}${rate.zScore === null ? '' : `, ${rate.zScore >= 0 ? '+' : ''}${rate.zScore.toFixed(2)} sd`})`;
+
+	return {
+		data: { jackpot: report },
+		rows: report.timeline,
+		columns: ['timestamp', 'time', 'kind', 'jackpot', 'change', 'transactionHash'],
+		print() {
+			console.log('\nTrade Lotto Jackpot');
+			console.log('='.repeat(80));
+			console.log(`Contract:      ${report.contractId}`);
+			console.log(`Window:        ${report.fromTimestamp ?? 'first event'} to ${report.toTimestamp ?? 'now'}`);
+			console.log(`Jackpot now:   ${lazy(state.jackpotPool)} of ${lazy(state.maxJackpotPool)} max, +${lazy(state.lottoLossIncrement)} per roll`);
+			console.log(`All time:      ${state.totalRolls} rolls, ${state.totalWins} wins paying ${lazy(state.totalPaid)}, ${state.jackpotsWon} jackpots paying ${lazy(state.jackpotPaid)}`);
+
+			console.log('\nJackpot Size');
+			console.log('-'.repeat(80));
+			jackpotChart(report.timeline, lazy).forEach(line => console.log(line));
+			const boosts = report.timeline.filter(point => point.kind === 'boost');
+			if (boosts.length > 0) console.log(`Boosts:        ${boosts.length}, adding ${lazy(boosts.reduce((total, point) => total + BigInt(point.change), 0n))}`);
+			report.jackpots.forEach(win => console.log(`Jackpot won:   ${lazy(win.amount)} by ${win.user} at ${win.time} (roll ${win.roll} vs ${win.threshold})`));
+
+			console.log('\nHit Rates');
+			console.log('-'.repeat(80));
+			console.log(rateLine('Regular wins:', hitRates.win));
+			console.log(rateLine('Jackpots:', hitRates.jackpot));
+
+			console.log('\nPayouts');
+			console.log('-'.repeat(80));
+			console.log(`Wins:          ${payouts.wins} paying ${lazy(payouts.totalWon)}, average ${average(payouts.averageWin)} (signed ${average(payouts.averageMinWin)} - ${average(payouts.averageMaxWin)})`);
+			console.log(`Paid / max:    ${percent(payouts.payoutToMax, 2)} (uniform draw expects ${percent(payouts.expectedPayoutToMax, 2)})`);
+			console.log(`Burned:        ${lazy(burn.burned)} of ${lazy(burn.paid)} paid (wins ${lazy(burn.winBurned)}, jackpots ${lazy(burn.jackpotBurned)}), ${lazy(burn.received)} received`);
+			console.log(`Burn-free:     ${burn.burnFreePayouts} of ${burn.payouts} payouts (LSH holders and delegates, at today's getBurnForUser)`);
+
+			console.log('\nProjection');
+			console.log('-'.repeat(80));
+			if (projection.rollsNeeded === 0) {
+				console.log('The jackpot is at maxJackpotPool: further rolls do not grow it.');
+			}
+			else if (projection.rollsNeeded === null) {
+				console.log('lottoLossIncrement is 0: the jackpot only grows by boosts.');
+			}
+			else {
+				const pace = projection.rollsPerDay === null ? 'no recent rolls' : `${projection.rollsPerDay.toFixed(1)} rolls/day over the last ${rateDays} days`;
+				console.log(`To max:        ${lazy(projection.remaining)} = ${projection.rollsNeeded} rolls at ${pace}`);
+				console.log(`Reached in:    ${projection.days === null ? '-' : `${projection.days.toFixed(1)} days (${projection.eta.slice(0, 10)})`}`);
+				console.log(`Not won first: ${percent(projection.chanceReachesMax, 2)} (jackpot chance ${percent(projection.jackpotChancePerRoll)} per roll)`);
+			}
+			console.log();
+		},
+	};
+}
+
+const SUBCOMMANDS = { status, roll: rollTicket, jackpot };
+
+module.exports = async function tradeLotto(args) {
+	const output = createOutput(args);
+	const env = process.env.ENVIRONMENT;
+	const [subcommand] = positionals(args);
+
+	if (!SUBCOMMANDS[subcommand]) {
+		output.fail(cliError(EXIT_CODES.USAGE, `Unknown trade-lotto subcommand: ${subcommand ?? '(none)'}\n${USAGE}`));
+	}
+	if (args.includes('--dry-run') && subcommand !== 'roll') {
+		output.fail(cliError(EXIT_CODES.USAGE, `--dry-run is not supported by 'trade-lotto ${subcommand}'.`));
+	}
+
+	try {
+		const { data, rows, columns, print, exitCode } = await SUBCOMMANDS[subcommand](env, args, output);
+		output.emit({
+			data,
+			rows,
+			columns,
+			metadata: { environment: env, timestamp: new Date().toISOString() },
+			print,
+		});
+		if (exitCode) process.exit(exitCode);
+	}
+	catch (error) {
+		output.fail(error);
+	}
+};
@@ -3,101 +3,43 @@
  *
  * Get user state across all pools.
  *
- * Usage: lazy-lotto user [address] [--json]
+ * Usage: lazy-lotto user [address] [--format=table|json|ndjson|csv]
  */
 
-const {
-	AccountId,
-	ContractId,
-} = require('@hashgraph/sdk');
-const { ethers } = require('ethers');
-const path = require('path');
-
-const { LazyLottoABI } = require('../../index');
-
-const utilsPath = path.join(__dirname, '../../utils');
-const { readOnlyEVMFromMirrorNode } = require(`${utilsPath}/solidityHelpers`);
+const { createClient } = require('../client');
+const { createOutput, commandMetadata } = require('../output');
 
 module.exports = async function user(args) {
-	const outputJson = args.includes('--json');
+	const output = createOutput(args);
 	const addressArg = args.find(a => !a.startsWith('-') && a.includes('0.0.'));
 
-	const env = process.env.ENVIRONMENT ?? 'testnet';
-	const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
-	const contractId = ContractId.fromString(process.env.LAZY_LOTTO_CONTRACT_ID);
+	const { lotto, env } = await createClient();
 
 	// User address - default to operator if not provided
-	let userAddress;
-	if (addressArg) {
-		userAddress = AccountId.fromString(addressArg);
-	}
-	else {
-		userAddress = operatorId;
-	}
-
-	const lazyLottoIface = new ethers.Interface(LazyLottoABI);
-
-	// Get total pools
-	let encoded = lazyLottoIface.encodeFunctionData('totalPools');
-	let data = await readOnlyEVMFromMirrorNode(env, contractId, encoded, operatorId, false);
-	const totalPools = Number(lazyLottoIface.decodeFunctionResult('totalPools', data)[0]);
+	const userAddress = addressArg ?? process.env.ACCOUNT_ID;
+	const state = await lotto.getUserState(userAddress);
 
 	const userState = {
-		address: userAddress.toString(),
-		pools: [],
-		totals: {
-			pendingEntries: 0,
-			pendingPrizes: 0,
-		},
+		address: state.address,
+		boost: state.boost,
+		pools: state.pools,
+		totals: state.totals,
 	};
 
-	// Check each pool for user state
-	for (let poolId = 0; poolId < totalPools; poolId++) {
-		try {
-			encoded = lazyLottoIface.encodeFunctionData('getUserPoolState', [poolId, userAddress.toSolidityAddress()]);
-			data = await readOnlyEVMFromMirrorNode(env, contractId, encoded, operatorId, false);
-			const state = lazyLottoIface.decodeFunctionResult('getUserPoolState', data);
-
-			const pendingEntries = Number(state[0]);
-			const pendingPrizes = Number(state[1]);
-
-			if (pendingEntries > 0 || pendingPrizes > 0) {
-				userState.pools.push({
-					poolId,
-					pendingEntries,
-					pendingPrizes,
-				});
-				userState.totals.pendingEntries += pendingEntries;
-				userState.totals.pendingPrizes += pendingPrizes;
+	output.emit({
+		data: { user: userState },
+		rows: userState.pools.map(pool => ({ address: userState.address, ...pool })),
+		metadata: commandMetadata(lotto, env),
+		print() {
+			console.log(`\nUser State: ${userState.address}`);
+			console.log('='.repeat(50));
+			console.log(`Contract: ${lotto.contractId.toString()}\n`);
+
+			if (userState.pools.length === 0) {
+				console.log('No pending entries or prizes in any pool.\n');
+				return;
 			}
-		}
-		catch {
-			// Pool might not exist or user has no state
-		}
-	}
-
-	const result = {
-		success: true,
-		user: userState,
-		metadata: {
-			contract: contractId.toString(),
-			environment: env,
-			timestamp: new Date().toISOString(),
-		},
-	};
-
-	if (outputJson) {
-		console.log(JSON.stringify(result, null, 2));
-	}
-	else {
-		console.log(`\nUser State: ${userAddress.toString()}`);
-		console.log('='.repeat(50));
-		console.log(`Contract: ${contractId.toString()}\n`);
 
-		if (userState.pools.length === 0) {
-			console.log('No pending entries or prizes in any pool.\n');
-		}
-		else {
 			console.log('Pool | Pending Entries | Pending Prizes');
 			console.log('-'.repeat(50));
 
@@ -112,9 +54,9 @@ module.exports = async function user(args) {
 				console.log('Use "lazy-lotto roll <poolId>" to roll your entries.');
 			}
 			if (userState.totals.pendingPrizes > 0) {
-				console.log('Use "lazy-lotto claim <poolId>" to claim your prizes.');
+				console.log('Use "lazy-lotto claim" to claim your prizes.');
 			}
 			console.log();
-		}
-	}
+		},
+	});
 };
@@ -0,0 +1,142 @@
+/**
+ * Watch Command
+ *
+ * Stream new contract events as they happen: entry purchases, rolls, prize
+ * claims and new pools on LazyLotto, plus jackpot wins on LazyTradeLotto.
+ * With --checkpoint, a restart resumes where the last run stopped without
+ * repeating events. With --notify, events matching the notification config
+ * are also posted to webhooks (JSON, Discord or Slack).
+ *
+ * Events are a stream, so --format=json prints one object per line like
+ * ndjson; --format=csv prints a header once and one row per event with the
+ * event arguments as a JSON column.
+ *
+ * Usage: lazy-lotto watch [--events=A,B] [--contract=0.0.X] [--from=TIMESTAMP|all] [--interval=5] [--checkpoint=FILE] [--notify=FILE] [--format=...]
+ *        lazy-lotto watch --notify=FILE --retry-dead-letters
+ */
+
+const fs = require('fs');
+const { watchEvents, formatEvent, getAddresses, Notifier } = require('../../index');
+const { DEFAULT_WATCH } = require('../../utils/eventWatcher');
+const { createOutput, cliError, toCsv, EXIT_CODES } = require('../output');
+
+const CSV_COLUMNS = ['timestamp', 'contractName', 'contractId', 'name', 'args', 'transactionHash', 'logIndex'];
+
+function argValue(args, name) {
+	const arg = args.find(a => a.startsWith(`--${name}=`));
+	return arg ? arg.slice(name.length + 3) : null;
+}
+
+// 'all', seconds, 'seconds.nanos' or an ISO date
+function parseFrom(from) {
+	if (!from) return new Date();
+	if (from === 'all') return null;
+	if (/^\d+(\.\d{1,9})?$/.test(from)) return from;
+
+	const date = new Date(from);
+	if (Number.isNaN(date.getTime())) {
+		throw cliError(EXIT_CODES.USAGE, `Invalid --from: ${from}. Use 'all', seconds, 'seconds.nanos' or an ISO date`);
+	}
+	return date;
+}
+
+function buildContracts(env, contract, events) {
+	if (contract) {
+		return { [contract]: events };
+	}
+
+	const overrides = {
+		lazyLotto: process.env.LAZY_LOTTO_CONTRACT_ID,
+		lazyTradeLotto: process.env.LAZY_TRADE_LOTTO_CONTRACT_ID,
+	};
+	if (!events && !overrides.lazyLotto && !overrides.lazyTradeLotto) {
+		return null;
+	}
+
+	const deployed = getAddresses(env);
+	const contracts = {};
+	for (const [key, defaultEvents] of Object.entries(DEFAULT_WATCH)) {
+		const id = overrides[key] ?? deployed[key];
+		if (id) contracts[id] = events ?? defaultEvents;
+	}
+	return contracts;
+}
+
+function loadNotifier(env, file) {
+	if (!fs.existsSync(file)) {
+		throw cliError(EXIT_CODES.CONFIG, `Notification config not found: ${file}`);
+	}
+	const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+	return new Notifier({
+		...config,
+		env,
+		log: (message) => console.error(`[${new Date().toISOString()}] ${message}`),
+	});
+}
+
+module.exports = async function watch(args) {
+	const output = createOutput(args);
+	const env = process.env.ENVIRONMENT ?? 'testnet';
+
+	const notifyFile = argValue(args, 'notify');
+	const notifier = notifyFile ? loadNotifier(env, notifyFile) : null;
+
+	if (args.includes('--retry-dead-letters')) {
+		if (!notifier) {
+			throw cliError(EXIT_CODES.USAGE, '--retry-dead-letters needs --notify=FILE');
+		}
+		const { delivered, failed } = await notifier.retryDeadLetters();
+		output.emit({
+			data: { delivered, failed },
+			print: () => console.log(`Re-sent ${delivered} notification(s), ${failed} still failing`),
+		});
+		return;
+	}
+
+	const eventsArg = argValue(args, 'events');
+	const events = eventsArg ? eventsArg.split(',').map(e => e.trim()).filter(Boolean) : null;
+	const intervalSeconds = Number(argValue(args, 'interval') ?? '5');
+	const checkpoint = argValue(args, 'checkpoint');
+
+	if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+		throw cliError(EXIT_CODES.USAGE, '--interval must be a positive number of seconds');
+	}
+
+	let csvHeaderWritten = false;
+	const watcher = watchEvents(env, {
+		contracts: buildContracts(env, argValue(args, 'contract'), events),
+		intervalMs: intervalSeconds * 1000,
+		fromTimestamp: parseFrom(argValue(args, 'from')),
+		checkpoint,
+		onEvent: (event) => {
+			if (output.format === 'csv') {
+				const row = { ...event, args: JSON.stringify(event.args, (_, v) => typeof v === 'bigint' ? v.toString() : v) };
+				process.stdout.write(toCsv([row], CSV_COLUMNS, { header: !csvHeaderWritten }));
+				csvHeaderWritten = true;
+			}
+			else if (output.machine) {
+				console.log(JSON.stringify(event, (_, v) => typeof v === 'bigint' ? v.toString() : v));
+			}
+			else {
+				console.log(formatEvent(event));
+			}
+		},
+		onError: (error) => console.error(`[${new Date().toISOString()}] Poll failed, retrying next interval: ${error.message}`),
+	});
+	if (notifier) notifier.attach(watcher);
+
+	if (!output.machine) {
+		const watched = watcher.sources.map(({ contractId, contractName, events: names }) =>
+			`${contractName ?? 'contract'} ${contractId} (${names ? names.join(', ') : 'all events'})`);
+		console.error(`\nWatching ${watched.join('; ')}`);
+		if (notifier) console.error(`Notifying ${notifier.targets.map(target => `${target.name} (${target.format})`).join(', ')}`);
+		console.error(`Polling every ${intervalSeconds}s${checkpoint ? `, checkpoint ${checkpoint}` : ''} (Ctrl+C to stop)\n`);
+	}
+
+	await new Promise(resolve => {
+		process.once('SIGINT', resolve);
+		process.once('SIGTERM', resolve);
+	});
+	await watcher.stop();
+	if (notifier) await notifier.flush();
+};
@@ -0,0 +1,296 @@
+/**
+ * CLI Config Profiles
+ *
+ * Named profiles in ~/.config/lazy-lotto/config.json (or $LAZY_LOTTO_CONFIG,
+ * or $XDG_CONFIG_HOME/lazy-lotto/config.json) so several accounts and
+ * networks can be kept side by side instead of swapping .env files:
+ *
+ *   {
+ *     "version": 1,
+ *     "current": "testnet-qa",
+ *     "profiles": {
+ *       "testnet-qa": {
+ *         "network": "testnet",
+ *         "accountId": "0.0.1234",
+ *         "key": { "source": "env", "name": "QA_PRIVATE_KEY" },
+ *         "contracts": { "lazyLotto": "0.0.5001" },
+ *         "mirrorUrl": "https://testnet.mirrornode.hedera.com"
+ *       }
+ *     }
+ *   }
+ *
+ * The profile is picked by --profile, then LAZY_LOTTO_PROFILE, then
+ * `current`. Its settings are applied over the environment variables the
+ * commands read, so a profile always wins over a stray .env; anything it
+ * leaves out still comes from the environment. Keys never go in the file,
+ * only where to find them:
+ *
+ *   { "source": "env", "name": "QA_PRIVATE_KEY", "type": "ECDSA" }
+ *   { "source": "file", "path": "~/keys/qa.key" }
+ *   { "source": "keystore", "path": "~/keys/qa.keystore.json", "passwordEnv": "QA_KEYSTORE_PASSWORD" }
+ *   { "source": "command", "command": "my-hsm sign", "publicKey": "302a..." }
+ *
+ * `type` (ED25519 or ECDSA) is only needed for raw hex keys on accounts the
+ * mirror node cannot tell us about. A keystore without a password variable
+ * prompts for the password; a command signer gets the bytes to sign as hex
+ * on stdin and prints the signature as hex.
+ *
+ * Usage:
+ *   const { selectProfile } = require('./config');
+ *   const profile = selectProfile(args);   // strips --profile from args
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_VERSION = 1;
+
+const PROFILE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// profile field -> environment variable the commands read
+const SETTING_ENV = {
+	network: 'ENVIRONMENT',
+	accountId: 'ACCOUNT_ID',
+	mirrorUrl: 'MIRROR_NODE_URL',
+	manifest: 'LAZY_LOTTO_MANIFEST',
+};
+
+// profile.contracts key -> environment variable (same keys as deployment manifests)
+const CONTRACT_ENV = {
+	lazyLotto: 'LAZY_LOTTO_CONTRACT_ID',
+	lazyLottoStorage: 'LAZY_LOTTO_STORAGE',
+	lazyLottoPoolManager: 'LAZY_LOTTO_POOL_MANAGER_ID',
+	lazyTradeLotto: 'LAZY_TRADE_LOTTO_CONTRACT_ID',
+	lazyGasStation: 'LAZY_GAS_STATION_CONTRACT_ID',
+	lazyDelegateRegistry: 'LAZY_DELEGATE_REGISTRY_CONTRACT_ID',
+	lazyToken: 'LAZY_TOKEN_ID',
+};
+
+const KEY_SOURCES = ['env', 'file', 'keystore', 'command'];
+
+const KEY_TYPES = ['ED25519', 'ECDSA'];
+
+const DEFAULT_KEYSTORE_PASSWORD_ENV = 'LAZY_LOTTO_KEYSTORE_PASSWORD';
+
+let activeProfile = null;
+
+function configPath() {
+	if (process.env.LAZY_LOTTO_CONFIG) return path.resolve(process.env.LAZY_LOTTO_CONFIG);
+	const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+	return path.join(base, 'lazy-lotto', 'config.json');
+}
+
+/**
+ * @param {string} [file]
+ * @returns {{version: number, current: string|null, profiles: Object}} an empty config if the file is missing
+ */
+function loadConfig(file = configPath()) {
+	if (!fs.existsSync(file)) {
+		return { version: CONFIG_VERSION, current: null, profiles: {} };
+	}
+
+	let config;
+	try {
+		config = JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+	catch (error) {
+		throw new Error(`Could not read config ${file}: ${error.message}`);
+	}
+	if (config.version !== CONFIG_VERSION) {
+		throw new Error(`Unsupported config version ${config.version} in ${file} (expected ${CONFIG_VERSION})`);
+	}
+	for (const [name, profile] of Object.entries(config.profiles ?? {})) {
+		validateProfile(name, profile);
+	}
+	return { current: null, profiles: {}, ...config };
+}
+
+/**
+ * Write the config, readable by the owner only
+ * @param {Object} config
+ * @param {string} [file]
+ */
+function saveConfig(config, file = configPath()) {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const tmp = `${file}.tmp`;
+	fs.writeFileSync(tmp, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+	fs.renameSync(tmp, file);
+}
+
+/**
+ * @param {string} name
+ * @param {Object} profile
+ * @returns {Object} the profile
+ */
+function validateProfile(name, profile) {
+	const problems = [];
+	if (!PROFILE_NAME.test(name)) problems.push('name must use letters, digits, \'-\' or \'_\'');
+	if (!profile.network) problems.push('network is required');
+	if (profile.accountId && !/^\d+\.\d+\.\d+$/.test(profile.accountId)) {
+		problems.push(`accountId must be 0.0.x, got ${profile.accountId}`);
+	}
+	if (profile.key) {
+		if (!KEY_SOURCES.includes(profile.key.source)) {
+			problems.push(`key.source must be one of ${KEY_SOURCES.join(', ')}`);
+		}
+		else if (profile.key.source === 'env' && !profile.key.name) {
+			problems.push('key.name (environment variable) is required for key.source env');
+		}
+		else if ((profile.key.source === 'file' || profile.key.source === 'keystore') && !profile.key.path) {
+			problems.push(`key.path is required for key.source ${profile.key.source}`);
+		}
+		else if (profile.key.source === 'command' && !profile.key.command) {
+			problems.push('key.command is required for key.source command');
+		}
+		if (profile.key.type && !KEY_TYPES.includes(profile.key.type)) {
+			problems.push(`key.type must be one of ${KEY_TYPES.join(', ')}`);
+		}
+	}
+	for (const [key, id] of Object.entries(profile.contracts ?? {})) {
+		if (!CONTRACT_ENV[key]) problems.push(`unknown contract ${key} (use ${Object.keys(CONTRACT_ENV).join(', ')})`);
+		else if (!/^\d+\.\d+\.\d+$/.test(id)) problems.push(`contracts.${key} must be 0.0.x, got ${id}`);
+	}
+	if (profile.mirrorUrl && !/^https?:\/\//.test(profile.mirrorUrl)) {
+		problems.push('mirrorUrl must start with http:// or https://');
+	}
+
+	if (problems.length > 0) {
+		throw new Error(`Invalid profile '${name}': ${problems.join('; ')}`);
+	}
+	return profile;
+}
+
+/**
+ * Copy a profile's settings into the environment variables the commands read
+ * @param {Object} profile
+ * @param {Object} [env=process.env]
+ */
+function applyProfile(profile, env = process.env) {
+	for (const [field, variable] of Object.entries(SETTING_ENV)) {
+		if (profile[field]) env[variable] = profile[field];
+	}
+	for (const [key, id] of Object.entries(profile.contracts ?? {})) {
+		env[CONTRACT_ENV[key]] = id;
+	}
+}
+
+/**
+ * Pick the profile for this run, strip --profile from args and apply it
+ * @param {string[]} args - mutated: `--profile NAME` / `--profile=NAME` are removed
+ * @param {Object} [options]
+ * @param {string} [options.file]
+ * @returns {{name: string, profile: Object}|null} null when no profile is configured or selected
+ */
+function selectProfile(args, options = {}) {
+	let requested = null;
+	const index = args.findIndex(a => a === '--profile' || a.startsWith('--profile='));
+	if (index !== -1) {
+		const [flag] = args.splice(index, 1);
+		requested = flag.includes('=') ? flag.slice('--profile='.length) : args.splice(index, 1)[0];
+		if (!requested) throw new Error('--profile needs a profile name');
+	}
+	requested = requested ?? process.env.LAZY_LOTTO_PROFILE ?? null;
+
+	const file = options.file ?? configPath();
+	const config = loadConfig(file);
+	const name = requested ?? config.current;
+	if (!name) return null;
+
+	const profile = config.profiles[name];
+	if (!profile) {
+		const known = Object.keys(config.profiles);
+		throw new Error(`No profile '${name}' in ${file}${known.length > 0 ? ` (have: ${known.join(', ')})` : ''}`);
+	}
+
+	applyProfile(profile);
+	activeProfile = { name, profile };
+	return activeProfile;
+}
+
+/**
+ * @returns {{name: string, profile: Object}|null} profile chosen by selectProfile
+ */
+function getActiveProfile() {
+	return activeProfile;
+}
+
+/**
+ * Where the signing key comes from: the active profile, else PRIVATE_KEY
+ * @returns {{source: string, name?: string, path?: string}}
+ */
+function getKeySource() {
+	return activeProfile?.profile.key ?? { source: 'env', name: 'PRIVATE_KEY' };
+}
+
+function expandHome(file) {
+	return file.replace(/^~(?=\/|$)/, os.homedir());
+}
+
+/**
+ * @param {{source: string, name?: string, path?: string, command?: string, type?: string}} keySource
+ * @returns {string|null} a short description that never includes the key
+ */
+function describeKeySource(keySource) {
+	if (!keySource) return null;
+	const type = keySource.type ? ` (${keySource.type})` : '';
+	if (keySource.source === 'env') return `env ${keySource.name}${type}`;
+	if (keySource.source === 'file') return `file ${keySource.path}${type}`;
+	if (keySource.source === 'keystore') return `keystore ${keySource.path}`;
+	return `command ${keySource.command}`;
+}
+
+/**
+ * @param {{source: string, passwordEnv?: string}} keySource - a keystore key source
+ * @returns {string} env var holding the keystore password (may be unset)
+ */
+function keystorePasswordEnv(keySource) {
+	return keySource.passwordEnv ?? DEFAULT_KEYSTORE_PASSWORD_ENV;
+}
+
+/**
+ * Read the private key string from an env or file key source; keystores and
+ * command signers are handled by createSigner in client.js
+ * @param {{source: string, name?: string, path?: string}} [keySource] - defaults to getKeySource()
+ * @returns {string}
+ */
+function loadPrivateKey(keySource = getKeySource()) {
+	if (keySource.source === 'env') {
+		const value = process.env[keySource.name];
+		if (!value) throw new Error(`No private key: ${keySource.name} is not set`);
+		return value.trim();
+	}
+	if (keySource.source === 'file') {
+		const file = expandHome(keySource.path);
+		if (!fs.existsSync(file)) throw new Error(`No private key: ${file} does not exist`);
+		return fs.readFileSync(file, 'utf8').trim();
+	}
+	throw new Error(`Key source ${keySource.source} does not hold a plain private key`);
+}
+
+/**
+ * @returns {boolean} true if the key source has something to read (without reading it)
+ */
+function hasKeySource(keySource = getKeySource()) {
+	if (keySource.source === 'env') return !!process.env[keySource.name];
+	if (keySource.source === 'keystore') return fs.existsSync(expandHome(keySource.path));
+	return true;
+}
+
+module.exports = {
+	CONTRACT_ENV,
+	KEY_TYPES,
+	configPath,
+	loadConfig,
+	saveConfig,
+	validateProfile,
+	applyProfile,
+	selectProfile,
+	getActiveProfile,
+	getKeySource,
+	describeKeySource,
+	keystorePasswordEnv,
+	expandHome,
+	loadPrivateKey,
+	hasKeySource,
+};
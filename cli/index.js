@@ -12,26 +12,53 @@
  *   buy <poolId> <count>    Buy lottery entries
  *   roll <poolId>           Roll pending entries
  *   claim <poolId>          Claim won prizes
+ *   tickets <subcommand>    Ticket NFTs: list, redeem, roll
+ *   prizes <subcommand>     Prize NFTs: list, redeem, claim
  *   pools                   List all pools
  *   pool <poolId>           Get pool details
+ *   pool create --spec=FILE Create a pool and its prizes from a spec file
+ *   odds <poolId>           Win chance, prize odds and expected value
+ *   simulate <poolId>       Monte Carlo runs of a pool or a pool spec (--spec=FILE)
+ *   admin <action>          Operator actions: pause/close pools, settings, roles, bonuses, withdrawals
+ *   trade-lotto status      Whether a trade side can still roll, and its roll result
+ *   trade-lotto roll        Submit a signed roll ticket and show the outcome
+ *   trade-lotto jackpot     Jackpot history, hit rates, burn and time to the cap
  *   user [address]          Get user state
+ *   history [account]       Spend, wins and claims with per-pool totals
  *   health                  System health check
  *   info                    Contract configuration
+ *   serve                   JSON API over the event index
+ *   watch                   Stream new contract events
+ *   shell                   Interactive session with guided play
+ *   config <subcommand>     Named profiles and keystores: init, list, use, keystore
  *
  * Options:
- *   --json                  Output as JSON
+ *   --format=FORMAT         table (default), json, ndjson or csv; progress goes to stderr
+ *   --json                  Same as --format=json
+ *   --profile=NAME          Use a named profile from the config file
+ *   --dry-run               Simulate buy/roll/claim/admin/trade-lotto roll on the mirror node without submitting
  *   --help, -h              Show help
  *   --version, -v           Show version
  *
- * Environment Variables (in .env or exported):
+ * Exit codes: 0 ok, 1 unexpected, 2 usage, 3 configuration, 4 network,
+ * 5 transaction failed / would revert, 6 not found (see output.js).
+ *
+ * Environment Variables (in .env or exported; an active profile overrides them):
  *   ACCOUNT_ID              Your Hedera account ID (0.0.xxxxx)
- *   PRIVATE_KEY             Your ED25519 private key
- *   ENVIRONMENT             Network: TEST, MAIN, or PREVIEW
- *   LAZY_LOTTO_CONTRACT_ID  LazyLotto contract address
+ *   PRIVATE_KEY             Your private key (DER, or hex: ED25519, or ECDSA with 0x)
+ *   ENVIRONMENT             Network: TEST, MAIN, PREVIEW, LOCAL or a custom manifest name
+ *   LAZY_LOTTO_CONTRACT_ID  LazyLotto contract address (default: deployment manifest)
+ *   LAZY_LOTTO_MANIFEST     Path to a deployment manifest (default: deployments/<network>.json)
+ *   MIRROR_NODE_URL         Mirror node base URL (default: the public one for ENVIRONMENT)
+ *   LAZY_LOTTO_PROFILE      Profile to use when --profile is not given
+ *   LAZY_LOTTO_CONFIG       Config file (default: ~/.config/lazy-lotto/config.json)
+ *   LAZY_LOTTO_KEYSTORE_PASSWORD  Keystore password (prompted for when unset)
  */
 
 const path = require('path');
-const fs = require('fs');
+const { loadManifest, manifestToAddresses } = require('../utils/deploymentManifest');
+const { selectProfile, getKeySource, hasKeySource, describeKeySource } = require('./config');
+const { selectFormat, createOutput, cliError, EXIT_CODES } = require('./output');
 
 // Load .env from current working directory
 require('dotenv').config();
@@ -43,16 +70,29 @@ const COMMANDS = {
 		description: 'Buy lottery entries',
 		usage: 'lazy-lotto buy <poolId> <count>',
 		handler: './commands/buy.js',
+		dryRun: true,
 	},
 	roll: {
 		description: 'Roll pending entries',
 		usage: 'lazy-lotto roll <poolId>',
 		handler: './commands/roll.js',
+		dryRun: true,
 	},
 	claim: {
 		description: 'Claim won prizes',
 		usage: 'lazy-lotto claim <poolId>',
 		handler: './commands/claim.js',
+		dryRun: true,
+	},
+	tickets: {
+		description: 'Ticket NFTs: list, redeem entries to NFTs, roll NFTs',
+		usage: 'lazy-lotto tickets list|redeem <poolId> <count>|roll <poolId> [serials]',
+		handler: './commands/tickets.js',
+	},
+	prizes: {
+		description: 'Prize NFTs: list, redeem pending prizes to NFTs, claim NFTs',
+		usage: 'lazy-lotto prizes list|redeem <indices>|claim [serials]',
+		handler: './commands/prizes.js',
 	},
 	pools: {
 		description: 'List all pools',
@@ -61,14 +101,44 @@ const COMMANDS = {
 	},
 	pool: {
 		description: 'Get pool details',
-		usage: 'lazy-lotto pool <poolId>',
+		usage: 'lazy-lotto pool <poolId> | pool create --spec=pool.yaml',
 		handler: './commands/pool.js',
 	},
+	odds: {
+		description: 'Win chance, prize odds and expected value',
+		usage: 'lazy-lotto odds <poolId> [--entries=N] [--price=TOKEN=HBAR ...] [--user=0.0.X]',
+		handler: './commands/odds.js',
+	},
+	simulate: {
+		description: 'Monte Carlo runs of a pool or a pool spec',
+		usage: 'lazy-lotto simulate <poolId> | --spec=FILE [--runs=N] [--seed=S] [--players=N] [--entries=N|MIN-MAX] [--boost=PERCENT:WEIGHT ...]',
+		handler: './commands/simulate.js',
+		// a spec runs offline; a live pool resolves the contract like the other commands
+		requiredEnvVars: [],
+	},
+	admin: {
+		description: 'Operator actions: pools, settings, roles, bonuses, withdrawals',
+		usage: 'lazy-lotto admin <action> [args] [--yes] [--multisig ...]',
+		handler: './commands/admin.js',
+		dryRun: true,
+	},
+	'trade-lotto': {
+		description: 'LazyTradeLotto: roll status of a trade side, roll a signed ticket, jackpot analytics',
+		usage: 'lazy-lotto trade-lotto status --token=0.0.X --serial=N --nonce=N --side=buyer|seller [--since=DATE|all] | roll <ticket.json> [--dry-run] | jackpot [--since=DATE|all] [--until=DATE] [--rate-days=N]',
+		handler: './commands/tradeLotto.js',
+		requiredEnvVars: ['ENVIRONMENT'],
+		dryRun: true,
+	},
 	user: {
 		description: 'Get user state',
 		usage: 'lazy-lotto user [address]',
 		handler: './commands/user.js',
 	},
+	history: {
+		description: 'Spend, wins and claims with per-pool totals',
+		usage: 'lazy-lotto history [account] [--pool=N] [--since=DATE]',
+		handler: './commands/history.js',
+	},
 	health: {
 		description: 'System health check',
 		usage: 'lazy-lotto health',
@@ -79,6 +149,31 @@ const COMMANDS = {
 		usage: 'lazy-lotto info',
 		handler: './commands/info.js',
 	},
+	serve: {
+		description: 'JSON API over the event index',
+		usage: 'lazy-lotto serve [--db=FILE] [--port=8080] [--sync]',
+		handler: './commands/serve.js',
+		requiredEnvVars: ['ENVIRONMENT'],
+		formats: ['table'],
+	},
+	watch: {
+		description: 'Stream new contract events',
+		usage: 'lazy-lotto watch [--events=A,B] [--from=TIMESTAMP|all] [--checkpoint=FILE] [--notify=FILE] [--format=...]',
+		handler: './commands/watch.js',
+		requiredEnvVars: ['ENVIRONMENT'],
+	},
+	shell: {
+		description: 'Interactive session with guided play',
+		usage: 'lazy-lotto shell',
+		handler: './commands/shell.js',
+		formats: ['table'],
+	},
+	config: {
+		description: 'Named profiles: network, account, key source, contracts, mirror',
+		usage: 'lazy-lotto config init [name]|list|use <name>|keystore <file>',
+		handler: './commands/config.js',
+		requiredEnvVars: [],
+	},
 };
 
 function showHelp() {
@@ -91,30 +186,85 @@ Commands:
   buy <poolId> <count>    Buy lottery entries
   roll <poolId>           Roll pending entries
   claim <poolId>          Claim won prizes
+  tickets list|redeem|roll    Ticket NFTs (redeem <poolId> <count>, roll <poolId> [serials])
+  prizes list|redeem|claim    Prize NFTs (redeem <indices>|--pool=ID, claim [serials] [--token=ID])
   pools                   List all pools
   pool <poolId>           Get pool details
+  pool create --spec=FILE Create a pool and load its prizes (--check, --yes, --state, --pool-id)
+  odds <poolId>           Win chance with your boost, prize odds, expected value (--entries, --price, --user)
+  simulate <poolId>       Monte Carlo runs: how long prizes last, owner and platform proceeds, variance
+                          (--spec=FILE instead of a pool, --runs, --seed, --players, --entries, --boost, --per-day,
+                          --burn, --lazy-token, --platform-fee, --global)
+  admin <action>          Operator actions (admin help lists them): pause-pool, close-pool, set-burn,
+                          add-admin, set-time-bonus, withdraw-token, ... (--yes, --multisig, --offline,
+                          --export-only, --signatures=FILES)
+  trade-lotto status      Can a trade side still roll? Reads the history mapping and shows the roll if done
+                          (--token, --serial, --nonce, --side=buyer|seller, --since, --contract)
+  trade-lotto roll        Roll a signed ticket: checked locally first, then win, burn and jackpot shown
+  trade-lotto jackpot     Jackpot size over time, hit rates vs thresholds, LAZY burned, time to max
+                          (--since, --until, --rate-days, --contract)
   user [address]          Get user state
+  history [account]       Ledger of spend, wins and claims with per-pool totals (--pool, --since)
   health                  System health check
   info                    Contract configuration
+  serve                   JSON API over the event index (--db, --port, --host, --sync)
+  watch                   Stream new contract events (--events, --from, --checkpoint, --notify)
+  shell                   Interactive session: tab completion, guided buy → roll → claim
+  config init|list|use    Named profiles (init [name] --network --account --key-env|--key-file|--keystore|--key-command
+                          --contract --mirror)
+  config keystore <file>  Encrypt a private key into a password-protected keystore
 
 Options:
-  --json                  Output as JSON (for scripting)
+  --format=FORMAT         table (default), json, ndjson (one record per line) or csv
+                          Machine formats keep progress and prompts on stderr
+  --json                  Same as --format=json
+  --profile=NAME          Use a named profile (default: LAZY_LOTTO_PROFILE, then the current profile)
+  --dry-run               Simulate buy/roll/claim/admin/trade-lotto roll: result or revert reason, movements, gas
   --help, -h              Show this help message
   --version, -v           Show version
 
-Environment Variables:
+Environment Variables (an active profile overrides them):
   ACCOUNT_ID              Your Hedera account ID (0.0.xxxxx)
-  PRIVATE_KEY             Your ED25519 private key
-  ENVIRONMENT             Network: TEST, MAIN, or PREVIEW
-  LAZY_LOTTO_CONTRACT_ID  LazyLotto contract address
+  PRIVATE_KEY             Your private key (DER, or hex: ED25519, or ECDSA with 0x)
+  ENVIRONMENT             Network: TEST, MAIN, PREVIEW, LOCAL or a custom manifest name
+  LAZY_LOTTO_CONTRACT_ID  LazyLotto contract address (default: deployment manifest)
+  LAZY_LOTTO_MANIFEST     Path to a deployment manifest (default: deployments/<network>.json)
+  MIRROR_NODE_URL         Mirror node base URL (default: the public one for ENVIRONMENT)
+  LAZY_LOTTO_PROFILE      Profile to use when --profile is not given
+  LAZY_LOTTO_CONFIG       Config file (default: ~/.config/lazy-lotto/config.json)
+  LAZY_LOTTO_KEYSTORE_PASSWORD  Keystore password (prompted for when unset)
 
 Examples:
   lazy-lotto pools                    # List available pools
   lazy-lotto buy 0 5                  # Buy 5 entries in pool 0
   lazy-lotto roll 0                   # Roll entries in pool 0
   lazy-lotto claim 0                  # Claim prizes from pool 0
+  lazy-lotto buy 0 5 --dry-run        # Check a purchase would succeed without sending it
+  lazy-lotto odds 0 --entries=10 --price=LAZY=0.02   # Is pool 0 worth 10 entries?
   lazy-lotto user                     # Check your state
+  lazy-lotto history --since=2025-01-01   # What you spent and won this year
+  lazy-lotto simulate --spec=pool.yaml --entries=1-10 --boost=0:8 --boost=2.5:2   # Try a pool before creating it
+  lazy-lotto pool create --spec=pool.yaml   # Create a pool from a spec (rerun to resume)
+  lazy-lotto admin pause-pool 3 --dry-run   # Check you may pause pool 3
+  lazy-lotto admin withdraw-hbar 0.0.1234 50 --multisig   # Withdraw 50 HBAR, signed by the multi-sig
+  lazy-lotto trade-lotto status --token=0.0.4321 --serial=7 --nonce=1700000005000000042 --side=buyer
+  lazy-lotto trade-lotto roll ticket.json --dry-run   # Check a signed ticket without spending gas
+  lazy-lotto trade-lotto jackpot --since=2025-01-01 --format=csv > jackpot.csv   # Jackpot history for a spreadsheet
+  lazy-lotto tickets redeem 0 3       # Turn 3 entries in pool 0 into tradeable NFTs
+  lazy-lotto prizes claim             # Claim every prize NFT you hold
   lazy-lotto health --json            # Health check as JSON
+  lazy-lotto pools --format=csv > pools.csv   # One row per pool, raw and formatted fees
+  lazy-lotto serve --sync --port=8080 # Index events and serve them over HTTP
+  lazy-lotto watch --json --checkpoint=watch.json   # New events as JSON lines
+  lazy-lotto shell                    # Interactive session (try "play")
+  lazy-lotto config init testnet-qa   # Save a profile (prompts for the rest)
+  lazy-lotto --profile=treasury pools # Run any command against another profile
+  lazy-lotto config keystore ~/.keys/ops.json   # Encrypt a key (then init --keystore=...)
+
+Exit codes:
+  0 ok, 1 unexpected error, 2 usage, 3 configuration (settings, profile, key),
+  4 network (mirror or consensus node), 5 transaction failed or would revert,
+  6 not found (pool, prize, profile)
 
 Documentation:
   https://github.com/Burstall/hedera-SC-lazy-lotto
@@ -139,51 +289,96 @@ async function main() {
 		process.exit(0);
 	}
 
+	// Normalise --format X to --format=X; every command reads it from its args
+	let format;
+	try {
+		format = selectFormat(args);
+	}
+	catch (error) {
+		console.error(error.message);
+		process.exit(EXIT_CODES.USAGE);
+	}
+	const output = createOutput(args);
+
+	// Strip --profile and apply the selected profile over the environment
+	let profile;
+	try {
+		profile = selectProfile(args);
+	}
+	catch (error) {
+		output.fail(cliError(EXIT_CODES.CONFIG, error.message));
+	}
+
+	if (args.length === 0) {
+		showHelp();
+		process.exit(0);
+	}
+
 	// Get command
 	const command = args[0].toLowerCase();
 
 	if (!COMMANDS[command]) {
-		console.error(`Unknown command: ${command}`);
-		console.error(`Run 'lazy-lotto --help' for usage information.`);
-		process.exit(1);
+		output.fail(cliError(EXIT_CODES.USAGE, `Unknown command: ${command}\nRun 'lazy-lotto --help' for usage information.`));
+	}
+
+	if (args.includes('--dry-run') && !COMMANDS[command].dryRun) {
+		output.fail(cliError(EXIT_CODES.USAGE, `--dry-run is not supported by '${command}'.`));
+	}
+
+	if (!(COMMANDS[command].formats ?? ['table', 'json', 'ndjson', 'csv']).includes(format)) {
+		output.fail(cliError(EXIT_CODES.USAGE, `--format=${format} is not supported by '${command}'.`));
 	}
 
 	// Check required environment variables
-	const requiredEnvVars = ['ACCOUNT_ID', 'PRIVATE_KEY', 'ENVIRONMENT'];
-	const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+	const requiredEnvVars = COMMANDS[command].requiredEnvVars ?? ['ACCOUNT_ID', 'PRIVATE_KEY', 'ENVIRONMENT'];
+	// the key may come from the profile's key source rather than PRIVATE_KEY
+	const missingVars = requiredEnvVars
+		.filter(v => (v === 'PRIVATE_KEY' ? !hasKeySource() : !process.env[v]))
+		.map(v => (v === 'PRIVATE_KEY' && profile ? `private key (${describeKeySource(getKeySource())})` : v));
 
 	if (missingVars.length > 0) {
-		console.error('Missing required environment variables:');
-		missingVars.forEach(v => console.error(`  - ${v}`));
-		console.error('\nCreate a .env file or export these variables.');
-		process.exit(1);
+		output.fail(cliError(EXIT_CODES.CONFIG, [
+			profile ? `Missing settings for profile '${profile.name}':` : 'Missing required environment variables:',
+			...missingVars.map(v => `  - ${v}`),
+			'',
+			'Create a .env file, export these variables or set up a profile (lazy-lotto config init).',
+		].join('\n')));
 	}
 
-	// For commands that need contract IDs
-	const contractCommands = ['buy', 'roll', 'claim', 'pools', 'pool', 'user', 'info'];
+	// For commands that need contract IDs: env var first, then the deployment manifest
+	const contractCommands = ['buy', 'roll', 'claim', 'tickets', 'prizes', 'pools', 'pool', 'odds', 'admin', 'user', 'history', 'info', 'shell'];
 	if (contractCommands.includes(command) && !process.env.LAZY_LOTTO_CONTRACT_ID) {
-		console.error('Missing LAZY_LOTTO_CONTRACT_ID environment variable.');
-		console.error('Set this to your LazyLotto contract address (0.0.xxxxx)');
-		process.exit(1);
+		let deployed;
+		try {
+			deployed = manifestToAddresses(loadManifest(process.env.ENVIRONMENT));
+		}
+		catch (error) {
+			output.fail(cliError(EXIT_CODES.CONFIG, `Error loading deployment manifest: ${error.message}`));
+		}
+
+		if (!deployed.lazyLotto) {
+			output.fail(cliError(EXIT_CODES.CONFIG, [
+				`No LazyLotto contract known for ${process.env.ENVIRONMENT}.`,
+				'Set LAZY_LOTTO_CONTRACT_ID (0.0.xxxxx), or provide deployments/<network>.json or LAZY_LOTTO_MANIFEST',
+			].join('\n')));
+		}
 	}
 
 	// Load and run the command handler
+	let handler;
+	try {
+		handler = require(path.join(__dirname, COMMANDS[command].handler));
+	}
+	catch (error) {
+		if (error.code !== 'MODULE_NOT_FOUND') throw error;
+		output.fail(cliError(EXIT_CODES.USAGE, `Command '${command}' is not yet implemented.`));
+	}
+
 	try {
-		const handlerPath = path.join(__dirname, COMMANDS[command].handler);
-		const handler = require(handlerPath);
 		await handler(args.slice(1));
 	}
 	catch (error) {
-		if (error.code === 'MODULE_NOT_FOUND') {
-			console.error(`Command '${command}' is not yet implemented.`);
-		}
-		else {
-			console.error(`Error: ${error.message}`);
-			if (process.env.DEBUG) {
-				console.error(error.stack);
-			}
-		}
-		process.exit(1);
+		output.fail(error);
 	}
 }
 
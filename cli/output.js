@@ -0,0 +1,259 @@
+/**
+ * CLI Output
+ *
+ * The output layer every command goes through, so scripts see the same
+ * formats, field names and exit codes whichever command they run:
+ *
+ *   --format=table   text for people (default)
+ *   --format=json    one document: { success, ...data, metadata }
+ *   --format=ndjson  one JSON object per line, one line per record
+ *   --format=csv     a header row, then one row per record; nested fields
+ *                    are flattened with dots (entryFee.raw, entryFee.formatted)
+ *
+ * --json is short for --format=json. With a machine format, progress and
+ * prompts go to stderr so stdout carries nothing but the data. Token amounts
+ * are Amounts ({ raw, token, symbol, decimals, formatted }): raw is the
+ * smallest unit as a string, formatted is for people. Win rates are
+ * { raw (thousandths of a basis point), percent, formatted }.
+ *
+ * Exit codes (EXIT_CODES):
+ *   0  ok
+ *   1  unexpected error
+ *   2  usage: bad arguments or options
+ *   3  configuration: missing settings, profile, key or deployment manifest
+ *   4  network: mirror node or consensus node unreachable
+ *   5  transaction failed, or would revert in a dry run
+ *   6  not found: pool, prize or account
+ *
+ * Usage:
+ *   const { createOutput, cliError, EXIT_CODES } = require('../output');
+ *   const output = createOutput(args);
+ *   output.progress('Buying 5 entries...');
+ *   output.emit({ data: { pools }, rows: pools, metadata, print: () => printTable(pools) });
+ *   output.fail(cliError(EXIT_CODES.NOT_FOUND, 'Pool 7 not found'));
+ */
+
+const { winRateToPercent } = require('../utils/lazyLottoClient');
+
+const FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+const EXIT_CODES = {
+	OK: 0,
+	ERROR: 1,
+	USAGE: 2,
+	CONFIG: 3,
+	NETWORK: 4,
+	TRANSACTION: 5,
+	NOT_FOUND: 6,
+};
+
+// exit code -> errorType in machine-readable errors
+const ERROR_TYPES = {
+	[EXIT_CODES.ERROR]: 'error',
+	[EXIT_CODES.USAGE]: 'usage',
+	[EXIT_CODES.CONFIG]: 'config',
+	[EXIT_CODES.NETWORK]: 'network',
+	[EXIT_CODES.TRANSACTION]: 'transaction',
+	[EXIT_CODES.NOT_FOUND]: 'not_found',
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED'];
+
+function cliError(exitCode, message) {
+	return Object.assign(new Error(message), { exitCode });
+}
+
+/**
+ * Pick the exit code for an error: an explicit exitCode, then mirror node
+ * (axios) and socket errors, then failed transactions (errors with a status)
+ * @param {Error} error
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+	if (error.exitCode !== undefined) return error.exitCode;
+	if (error.isAxiosError || NETWORK_ERROR_CODES.includes(error.code)) {
+		const status = error.response?.status;
+		if (status === 404) return EXIT_CODES.NOT_FOUND;
+		if (status === undefined || status === 429 || status >= 500) return EXIT_CODES.NETWORK;
+		return EXIT_CODES.ERROR;
+	}
+	if (error.status !== undefined) return EXIT_CODES.TRANSACTION;
+	return EXIT_CODES.ERROR;
+}
+
+/**
+ * @param {string[]} args
+ * @returns {string} table, json, ndjson or csv
+ */
+function parseFormat(args) {
+	const arg = args.find(a => a.startsWith('--format='));
+	const format = arg ? arg.slice('--format='.length).toLowerCase() : args.includes('--json') ? 'json' : 'table';
+	if (!FORMATS.includes(format)) {
+		throw cliError(EXIT_CODES.USAGE, `Unknown --format ${format} (use ${FORMATS.join(', ')})`);
+	}
+	return format;
+}
+
+/**
+ * Rewrite `--format X` as `--format=X` so commands see a single argument
+ * @param {string[]} args - mutated
+ * @returns {string} the format
+ */
+function selectFormat(args) {
+	const index = args.indexOf('--format');
+	if (index !== -1) {
+		const [, value] = args.splice(index, 2);
+		if (!value) throw cliError(EXIT_CODES.USAGE, `--format needs one of ${FORMATS.join(', ')}`);
+		args.splice(index, 0, `--format=${value}`);
+	}
+	return parseFormat(args);
+}
+
+function jsonValue(key, value) {
+	return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Flatten a record for CSV: nested objects become dotted keys, lists of
+ * plain values are joined with ';' and lists of objects are kept as JSON
+ * @param {Object} record
+ * @returns {Object<string, string|number|boolean>}
+ */
+function flatten(record, prefix = '', flat = {}) {
+	for (const [key, value] of Object.entries(record)) {
+		const name = prefix ? `${prefix}.${key}` : key;
+		if (value === null || value === undefined) {
+			flat[name] = '';
+		}
+		else if (Array.isArray(value)) {
+			flat[name] = value.some(item => item !== null && typeof item === 'object')
+				? JSON.stringify(value, jsonValue)
+				: value.join(';');
+		}
+		else if (typeof value === 'object') {
+			flatten(value, name, flat);
+		}
+		else {
+			flat[name] = typeof value === 'bigint' ? value.toString() : value;
+		}
+	}
+	return flat;
+}
+
+function csvCell(value) {
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object[]} records
+ * @param {string[]} [columns] - defaults to every flattened key, in first-seen order
+ * @param {Object} [options]
+ * @param {boolean} [options.header=true] - false for rows appended to a stream
+ * @returns {string} RFC 4180 CSV
+ */
+function toCsv(records, columns, options = {}) {
+	const { header = true } = options;
+	const rows = records.map(record => flatten(record));
+	const names = columns ?? [...new Set(rows.flatMap(row => Object.keys(row)))];
+	if (names.length === 0) return '';
+	const lines = [...(header ? [names] : []), ...rows.map(row => names.map(column => row[column] ?? ''))];
+	return lines.map(line => line.map(csvCell).join(',') + '\n').join('');
+}
+
+/**
+  * @param {number} thousandthsOfBps - as stored on chain (see winRateToPercent)
+ * @returns {{raw: number, percent: number, formatted: string}}
+ */
+function winRateField(thousandthsOfBps) {
+	const percent = winRateToPercent(thousandthsOfBps);
+	return { raw: thousandthsOfBps, percent, formatted: `${percent.toFixed(4)}%` };
+}
+
+/**
+ * @param {Object} lotto - LazyLottoClient
+ * @param {string} env
+ * @returns {{contract: string, environment: string, timestamp: string}}
+ */
+function commandMetadata(lotto, env) {
+	return {
+		contract: lotto.contractId.toString(),
+		environment: env,
+		timestamp: new Date().toISOString(),
+	};
+}
+
+/**
+ * @param {string[]} args - command arguments (--format / --json are read from them)
+ * @returns {Object} output for one command run
+ */
+function createOutput(args) {
+	const format = parseFormat(args);
+	const machine = format !== 'table';
+
+	return {
+		format,
+		machine,
+
+		/** Status text for people; on stderr with a machine format */
+		progress(message) {
+			if (machine) console.error(message);
+			else console.log(message);
+		},
+
+		/**
+		 * @param {Object} result
+		 * @param {Object} [result.data] - the json document (success defaults to true)
+		 * @param {Object[]} [result.rows] - records for ndjson / csv (default: the document)
+		 * @param {string[]} [result.columns] - csv columns (default: every field)
+		 * @param {Object} [result.metadata] - added to the json document
+		 * @param {Function} [result.print] - table output
+		 */
+		emit({ data = {}, rows, columns, metadata, print }) {
+			const document = { success: true, ...data, ...(metadata ? { metadata } : {}) };
+			if (format === 'json') {
+				console.log(JSON.stringify(document, jsonValue, 2));
+			}
+			else if (format === 'ndjson') {
+				for (const row of rows ?? [document]) console.log(JSON.stringify(row, jsonValue));
+			}
+			else if (format === 'csv') {
+				process.stdout.write(toCsv(rows ?? [document], columns));
+			}
+			else if (print) {
+				print();
+			}
+		},
+
+		/**
+		 * Report the error in the selected format and exit with its code
+		 * @param {Error} error
+		 */
+		fail(error) {
+			const exitCode = exitCodeFor(error);
+			if (format === 'json' || format === 'ndjson') {
+				const body = { success: false, error: error.message, errorType: ERROR_TYPES[exitCode], exitCode };
+				console.log(format === 'json' ? JSON.stringify(body, null, 2) : JSON.stringify(body));
+			}
+			else {
+				console.error(exitCode === EXIT_CODES.USAGE ? error.message : `Error: ${error.message}`);
+			}
+			if (process.env.DEBUG && exitCode !== EXIT_CODES.USAGE) console.error(error.stack);
+			process.exit(exitCode);
+		},
+	};
+}
+
+module.exports = {
+	FORMATS,
+	EXIT_CODES,
+	cliError,
+	exitCodeFor,
+	parseFormat,
+	selectFormat,
+	flatten,
+	toCsv,
+	winRateField,
+	commandMetadata,
+	createOutput,
+};
@@ -0,0 +1,65 @@
+/**
+ * Dry-run Output
+ *
+ * Shared printing for --dry-run: what the simulated call returned or why it
+ * would revert, expected HBAR/token movements and gas. Nothing is submitted.
+ *
+ * Usage:
+ *   const { printSimulation, simulationToJson } = require('../simulation');
+ *   printSimulation(purchase.simulation, { out: ['10 ℏ'], in: ['5 entries in pool #0'] });
+ */
+
+function plain(value) {
+	if (typeof value === 'bigint') return value.toString();
+	if (Array.isArray(value)) return Array.from(value, plain);
+	return value;
+}
+
+/**
+ * @param {Object} simulation - from LazyLottoClient.simulate
+ * @param {{out: string[], in: string[]}} movements - expected to leave / reach the account
+ * @returns {Object} JSON-safe summary
+ */
+function simulationToJson(simulation, movements) {
+	return {
+		function: simulation.fcnName,
+		wouldSucceed: simulation.success,
+		returned: simulation.results ? plain(simulation.results) : null,
+		error: simulation.error,
+		value: simulation.value,
+		gas: simulation.gas,
+		skippedSetup: simulation.setup,
+		movements,
+	};
+}
+
+/**
+ * @param {Object} simulation - from LazyLottoClient.simulate
+ * @param {{out: string[], in: string[]}} movements - expected to leave / reach the account
+ */
+function printSimulation(simulation, movements) {
+	console.log(`\nDry run of ${simulation.fcnName} - nothing was submitted`);
+	console.log('-'.repeat(50));
+
+	if (simulation.setup.length > 0) {
+		console.log('Would first:');
+		simulation.setup.forEach(step => console.log(`  - ${step}`));
+		console.log('(the simulation ran without these, so it may revert on them)');
+	}
+
+	if (simulation.success) {
+		const returned = plain([...simulation.results]);
+		console.log(`Result:   would succeed${returned.length > 0 ? `, returning ${JSON.stringify(returned)}` : ''}`);
+		console.log(`Gas:      ~${simulation.gas.estimated.toLocaleString()} (limit ${simulation.gas.limit.toLocaleString()})`);
+	}
+	else {
+		console.log(`Result:   would revert: ${simulation.error}`);
+	}
+	console.log(`HBAR sent with call: ${simulation.value.formatted}`);
+
+	if (movements.out.length > 0) console.log(`Out:      ${movements.out.join(', ')}`);
+	if (movements.in.length > 0) console.log(`In:       ${movements.in.join(', ')}`);
+	console.log();
+}
+
+module.exports = { printSimulation, simulationToJson };
@@ -0,0 +1,149 @@
+import {
+	LazyLottoABI,
+	LazyLottoStorageABI,
+	LazyLottoPoolManagerABI,
+	LazyTradeLottoABI,
+	LazyGasStationABI,
+	LazyDelegateRegistryABI,
+	HederaTokenServiceABI,
+	PrngSystemContractABI,
+} from './types/abi';
+import type { NetworkAddresses } from './utils/deploymentManifest';
+
+export {
+	LazyLottoABI,
+	LazyLottoStorageABI,
+	LazyLottoPoolManagerABI,
+	LazyTradeLottoABI,
+	LazyGasStationABI,
+	LazyDelegateRegistryABI,
+	HederaTokenServiceABI,
+	PrngSystemContractABI,
+};
+
+export type { Address, LottoPool, PrizePackage, PendingPrize, TimeWindow } from './types/structs';
+
+export {
+	LazyLottoClient,
+	createHederaClient,
+	formatAmount,
+	winRateToPercent,
+	describePrize,
+} from './utils/lazyLottoClient';
+export type {
+	Amount,
+	TokenInfo,
+	DecodedPrize,
+	DecodedNFTPrize,
+	DecodedPendingPrize,
+	IndexedPrize,
+	PoolInfo,
+	PoolStatus,
+	LazyLottoConfig,
+	LazyLottoClientOptions,
+	UserState,
+	UserPoolState,
+	SimulationResult,
+	BuyEntryResult,
+	RollResult,
+	ClaimAllResult,
+	ClaimOneResult,
+	PrizeNFT,
+	TicketNFTs,
+	RedeemEntriesResult,
+	RedeemPrizesResult,
+	ClaimFromNFTResult,
+	AdminResult,
+	PoolRoyalty,
+	CreatePoolOptions,
+	CreatePoolResult,
+	PrizePackageInput,
+} from './utils/lazyLottoClient';
+
+export {
+	PrivateKeySigner,
+	MultiSigSigner,
+	ExternalWalletSigner,
+	CommandSigner,
+	isSigner,
+} from './utils/signers';
+export type {
+	Signer,
+	SignerResult,
+	SignerExecuteOptions,
+	PrivateKeySignerOptions,
+	MultiSigSignerOptions,
+	MultiSigConfig,
+	ExternalWalletSignerOptions,
+	CommandSignerOptions,
+	WalletSubmitContext,
+} from './utils/signers';
+
+export {
+	parsePrivateKey,
+	resolvePrivateKey,
+	encryptKeystore,
+	decryptKeystore,
+	readKeystore,
+	writeKeystore,
+} from './utils/keySources';
+export type { KeyType, Keystore, ResolvePrivateKeyOptions } from './utils/keySources';
+
+export { getContractEvents, listContractEvents, formatEvent } from './utils/contractEvents';
+export type {
+	DecodedEvent,
+	KnownEventArgs,
+	EventPrizePackage,
+	EventAddress,
+	ContractEventsOptions,
+	MirrorLog,
+} from './utils/contractEvents';
+
+export { EventWatcher, watchEvents } from './utils/eventWatcher';
+export type { WatchOptions, WatchedContracts } from './utils/eventWatcher';
+export { Notifier } from './utils/notifiers';
+export type { NotifierOptions, NotificationTarget, NotificationRule, NotificationContext } from './utils/notifiers';
+export { calculatePoolOdds, getPoolOdds } from './utils/poolOdds';
+export type { PoolOdds, PrizeOdds, OddsOptions, TokenPrices } from './utils/poolOdds';
+export { simulatePool, snapshotPool } from './utils/poolSimulator';
+export type { SimulationPool, SimulationOptions, SimulationReport, Distribution } from './utils/poolSimulator';
+export { getUserHistory } from './utils/userHistory';
+export { loadSigningKey, signRoll, recoverRollSigner, rollHistoryHash } from './utils/tradeLottoSigner';
+export type { RollParameters } from './utils/tradeLottoSigner';
+export { TradeRollService, NonceLedger, getSettledTrade, createTradeRollServer } from './utils/tradeRollService';
+export type { RollTicket, RollRequest, RollPolicy, RollContext, SettledTrade, TradeSide, TradeRollServiceOptions } from './utils/tradeRollService';
+export { loadRollPolicy, createRollPolicy, createHolderCheck, checkRollParameters } from './utils/tradeRollPolicy';
+export type { TradeRollPolicy, RollTier, HolderCheck } from './utils/tradeRollPolicy';
+export { getTradeRollStatus } from './utils/tradeRollStatus';
+export type { TradeRollStatus, TradeRollResult } from './utils/tradeRollStatus';
+export { parseRollTicket, checkRollTicket, simulateTradeRoll, submitTradeRoll, decodeRollLogs } from './utils/tradeLottoRoll';
+export type { SignedRollTicket, RollTicketCheck, TradeRollPayout, TradeRollOutcome, RollLog } from './utils/tradeLottoRoll';
+export { buildJackpotAnalytics, getJackpotAnalytics } from './utils/tradeLottoAnalytics';
+export type { JackpotAnalytics, JackpotPoint, HitRate, TradeLottoState } from './utils/tradeLottoAnalytics';
+export type { UserHistory, UserHistoryOptions, HistoryEntry, HistoryTotals, PoolHistoryTotals } from './utils/userHistory';
+
+export { getAddresses, loadManifest as getDeploymentManifest } from './utils/deploymentManifest';
+export type {
+	NetworkAddresses,
+	DeploymentManifest,
+	ManifestContract,
+	ManifestToken,
+	ManifestLookupOptions,
+} from './utils/deploymentManifest';
+
+export declare const ContractAddresses: {
+	mainnet: NetworkAddresses;
+	testnet: NetworkAddresses;
+	previewnet: NetworkAddresses;
+};
+
+export declare const abi: {
+	readonly LazyLotto: typeof LazyLottoABI;
+	readonly LazyLottoStorage: typeof LazyLottoStorageABI;
+	readonly LazyLottoPoolManager: typeof LazyLottoPoolManagerABI;
+	readonly LazyTradeLotto: typeof LazyTradeLottoABI;
+	readonly LazyGasStation: typeof LazyGasStationABI;
+	readonly LazyDelegateRegistry: typeof LazyDelegateRegistryABI;
+	readonly HederaTokenService: typeof HederaTokenServiceABI;
+	readonly PrngSystemContract: typeof PrngSystemContractABI;
+};
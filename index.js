@@ -9,11 +9,65 @@
  *
  *   // With ethers.js
  *   const contract = new ethers.Contract(address, LazyLottoABI, provider);
+ *
+ *   // Or the high-level client (decoded objects, Hedera IDs, formatted amounts)
+ *   const { LazyLottoClient } = require('@lazysuperheroes/lazy-lotto');
+ *   const lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.12345' });
+ *   const pool = await lotto.getPool(0);
+ *
+ *   // Addresses come from the deployment manifest for the network
+ *   const { lazyLotto } = getAddresses('testnet');
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const {
+	LazyLottoClient,
+	createHederaClient,
+	formatAmount,
+	winRateToPercent,
+	describePrize,
+} = require('./utils/lazyLottoClient');
+const {
+	PrivateKeySigner,
+	MultiSigSigner,
+	ExternalWalletSigner,
+	CommandSigner,
+	isSigner,
+} = require('./utils/signers');
+const {
+	parsePrivateKey,
+	resolvePrivateKey,
+	encryptKeystore,
+	decryptKeystore,
+	readKeystore,
+	writeKeystore,
+} = require('./utils/keySources');
+const {
+	getAddresses,
+	loadManifest: getDeploymentManifest,
+} = require('./utils/deploymentManifest');
+const {
+	getContractEvents,
+	listContractEvents,
+	formatEvent,
+} = require('./utils/contractEvents');
+const {
+	EventWatcher,
+	watchEvents,
+} = require('./utils/eventWatcher');
+const { Notifier } = require('./utils/notifiers');
+const { getUserHistory } = require('./utils/userHistory');
+const { calculatePoolOdds, getPoolOdds } = require('./utils/poolOdds');
+const { simulatePool, snapshotPool } = require('./utils/poolSimulator');
+const { loadSigningKey, signRoll, recoverRollSigner, rollHistoryHash } = require('./utils/tradeLottoSigner');
+const { TradeRollService, NonceLedger, getSettledTrade, createTradeRollServer } = require('./utils/tradeRollService');
+const { loadRollPolicy, createRollPolicy, createHolderCheck, checkRollParameters } = require('./utils/tradeRollPolicy');
+const { getTradeRollStatus } = require('./utils/tradeRollStatus');
+const { parseRollTicket, checkRollTicket, simulateTradeRoll, submitTradeRoll, decodeRollLogs } = require('./utils/tradeLottoRoll');
+const { buildJackpotAnalytics, getJackpotAnalytics } = require('./utils/tradeLottoAnalytics');
+
 // Load ABIs from the abi/ directory
 function loadABI(filename) {
 	const abiPath = path.join(__dirname, 'abi', filename);
@@ -36,42 +90,13 @@ const LazyDelegateRegistryABI = loadABI('LazyDelegateRegistry.json');
 const HederaTokenServiceABI = loadABI('HederaTokenService.json');
 const PrngSystemContractABI = loadABI('PrngSystemContract.json');
 
-// Contract addresses helper
+// Contract addresses, loaded from the deployment manifests in deployments/
 const ContractAddresses = {
-	// Mainnet addresses (to be filled after mainnet deployment)
-	mainnet: {
-		lazyLotto: null,
-		lazyLottoStorage: null,
-		lazyLottoPoolManager: null,
-		lazyTradeLotto: null,
-		lazyGasStation: null,
-		lazyDelegateRegistry: null,
-		lazyToken: null,
-	},
-	// Testnet addresses (to be filled after testnet deployment)
-	testnet: {
-		lazyLotto: null,
-		lazyLottoStorage: null,
-		lazyLottoPoolManager: null,
-		lazyTradeLotto: null,
-		lazyGasStation: null,
-		lazyDelegateRegistry: null,
-		lazyToken: null,
-	},
+	mainnet: getAddresses('mainnet'),
+	testnet: getAddresses('testnet'),
+	previewnet: getAddresses('previewnet'),
 };
 
-/**
- * Get contract addresses for a specific network
- * @param {string} network - 'mainnet' or 'testnet'
- * @returns {Object} Contract addresses for the network
- */
-function getAddresses(network) {
-	const normalizedNetwork = network.toLowerCase().replace('net', '');
-	if (normalizedNetwork === 'main') return ContractAddresses.mainnet;
-	if (normalizedNetwork === 'test') return ContractAddresses.testnet;
-	throw new Error(`Unknown network: ${network}. Use 'mainnet' or 'testnet'`);
-}
-
 // Export everything
 module.exports = {
 	// LazyLotto system
@@ -81,6 +106,26 @@ module.exports = {
 
 	// LazyTradeLotto
 	LazyTradeLottoABI,
+	loadSigningKey,
+	signRoll,
+	recoverRollSigner,
+	rollHistoryHash,
+	TradeRollService,
+	NonceLedger,
+	getSettledTrade,
+	createTradeRollServer,
+	loadRollPolicy,
+	createRollPolicy,
+	createHolderCheck,
+	checkRollParameters,
+	getTradeRollStatus,
+	parseRollTicket,
+	checkRollTicket,
+	simulateTradeRoll,
+	submitTradeRoll,
+	decodeRollLogs,
+	buildJackpotAnalytics,
+	getJackpotAnalytics,
 
 	// Supporting contracts
 	LazyGasStationABI,
@@ -93,6 +138,42 @@ module.exports = {
 	// Addresses helper
 	ContractAddresses,
 	getAddresses,
+	getDeploymentManifest,
+
+	// High-level client
+	LazyLottoClient,
+	createHederaClient,
+	formatAmount,
+	winRateToPercent,
+	describePrize,
+	calculatePoolOdds,
+	getPoolOdds,
+	simulatePool,
+	snapshotPool,
+
+	// Event history
+	getContractEvents,
+	listContractEvents,
+	formatEvent,
+	EventWatcher,
+	watchEvents,
+	Notifier,
+	getUserHistory,
+
+	// Signers for write operations
+	PrivateKeySigner,
+	MultiSigSigner,
+	ExternalWalletSigner,
+	CommandSigner,
+	isSigner,
+
+	// Private keys: curve detection and encrypted keystores
+	parsePrivateKey,
+	resolvePrivateKey,
+	encryptKeystore,
+	decryptKeystore,
+	readKeystore,
+	writeKeystore,
 
 	// Re-export individual ABIs for destructuring convenience
 	abi: {
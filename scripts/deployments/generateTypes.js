@@ -0,0 +1,88 @@
+/**
+ * Generate TypeScript declarations for the published ABIs
+ *
+ * Reads the ABI JSON files in ./abi/ (see extractABI.js) and writes
+ * ./types/abi.d.ts with one `readonly` literal tuple per ABI, equivalent to
+ * declaring the JSON `as const`. viem and ethers can then infer function
+ * names, argument and return types straight from the exported constants.
+ *
+ * Run after extractABI.js whenever the contracts change:
+ *   node scripts/deployments/extractABI.js
+ *   node scripts/deployments/generateTypes.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const abiDir = path.join(__dirname, '..', '..', 'abi');
+const outFile = path.join(__dirname, '..', '..', 'types', 'abi.d.ts');
+
+// Exported name -> ABI file, matching the constants exported from index.js
+const EXPORTED_ABIS = [
+	['LazyLottoABI', 'LazyLotto.json'],
+	['LazyLottoStorageABI', 'LazyLottoStorage.json'],
+	['LazyLottoPoolManagerABI', 'LazyLottoPoolManager.json'],
+	['LazyTradeLottoABI', 'LazyTradeLotto.json'],
+	['LazyGasStationABI', 'LazyGasStation.json'],
+	['LazyDelegateRegistryABI', 'LazyDelegateRegistry.json'],
+	['HederaTokenServiceABI', 'HederaTokenService.json'],
+	['PrngSystemContractABI', 'PrngSystemContract.json'],
+];
+
+/**
+ * Render a JSON value as a readonly TypeScript literal type
+ * @param {*} value
+ * @param {number} depth current indentation level
+ * @returns {string}
+ */
+function toLiteralType(value, depth = 0) {
+	const pad = '\t'.repeat(depth + 1);
+	const closePad = '\t'.repeat(depth);
+
+	if (Array.isArray(value)) {
+		if (value.length === 0) return 'readonly []';
+		const items = value.map(item => `${pad}${toLiteralType(item, depth + 1)},`);
+		return `readonly [\n${items.join('\n')}\n${closePad}]`;
+	}
+	if (value !== null && typeof value === 'object') {
+		const keys = Object.keys(value);
+		if (keys.length === 0) return '{}';
+		const fields = keys.map(key => {
+			const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+			return `${pad}readonly ${name}: ${toLiteralType(value[key], depth + 1)};`;
+		});
+		return `{\n${fields.join('\n')}\n${closePad}}`;
+	}
+	return JSON.stringify(value);
+}
+
+/**
+ * Build the contents of types/abi.d.ts
+ * @returns {string}
+ */
+function renderAbiTypes() {
+	const lines = [
+		'// Generated by scripts/deployments/generateTypes.js from abi/*.json - do not edit by hand.',
+		'',
+	];
+
+	for (const [exportName, fileName] of EXPORTED_ABIS) {
+		const abi = JSON.parse(fs.readFileSync(path.join(abiDir, fileName), 'utf8'));
+		lines.push(`export declare const ${exportName}: ${toLiteralType(abi)};`);
+		lines.push('');
+	}
+
+	return lines.join('\n');
+}
+
+if (require.main === module) {
+	fs.mkdirSync(path.dirname(outFile), { recursive: true });
+	fs.writeFileSync(outFile, renderAbiTypes());
+	console.log('Wrote', path.relative(process.cwd(), outFile));
+}
+
+module.exports = {
+	renderAbiTypes,
+	toLiteralType,
+	EXPORTED_ABIS,
+};
@@ -11,6 +11,7 @@
  * - --include-trade-lotto to also deploy LazyTradeLotto
  * - Reuses existing contracts from .env
  * - Comprehensive verification at end
+ * - Writes deployments/<network>.json manifest (read by getAddresses, the SDK and CLI)
  *
  * Deployment Order:
  * 1. LAZY Token + SCT
@@ -57,6 +58,7 @@ require('dotenv').config();
 const { contractDeployFunction, contractExecuteFunction, readOnlyEVMFromMirrorNode } = require('../../utils/solidityHelpers');
 const { estimateGas } = require('../../utils/gasHelpers');
 const { parseTransactionRecord } = require('../../utils/transactionHelpers');
+const { buildManifest, writeManifest } = require('../../utils/deploymentManifest');
 
 // CLI flags
 const args = process.argv.slice(2);
@@ -68,6 +70,7 @@ const showHelp = args.includes('--help') || args.includes('-h');
 
 // Configuration
 const STATE_FILE = './deployment-state.json';
+const DEPLOYMENTS_DIR = './deployments';
 const env = process.env.ENVIRONMENT ?? 'TEST';
 
 // Contract names
@@ -118,6 +121,8 @@ let state = {
 		poolManager: null,
 		tradeLotto: null,
 	},
+	transactions: {},
+	config: {},
 	errors: [],
 };
 
@@ -134,7 +139,7 @@ function sleep(ms) {
 function loadState() {
 	if (fs.existsSync(STATE_FILE)) {
 		const data = fs.readFileSync(STATE_FILE, 'utf8');
-		return JSON.parse(data);
+		return { transactions: {}, config: {}, ...JSON.parse(data) };
 	}
 	return null;
 }
@@ -282,6 +287,7 @@ function loadInterfaces() {
 			const json = JSON.parse(fs.readFileSync(filePath));
 			interfaces[name] = {
 				abi: new ethers.Interface(json.abi),
+				abiJson: json.abi,
 				bytecode: json.bytecode,
 			};
 		}
@@ -291,6 +297,58 @@ function loadInterfaces() {
 	}
 }
 
+function addGasStationUser(contractId) {
+	const users = state.config.gasStationUsers ?? [];
+	if (!users.includes(contractId.toString())) {
+		users.push(contractId.toString());
+	}
+	state.config.gasStationUsers = users;
+}
+
+/**
+ * Write deployments/<network>.json from the current state
+ * @returns {string} manifest path
+ */
+function saveManifest() {
+	const entry = (key, manifestKey, interfaceKey = key) => ({
+		[manifestKey]: {
+			id: state.contracts[key],
+			contractName: CONTRACTS[interfaceKey],
+			abi: interfaces[interfaceKey]?.abiJson,
+			deployTransactionId: state.transactions[key],
+			reused: !state.transactions[key],
+		},
+	});
+
+	const manifest = buildManifest({
+		network: state.environment,
+		deployer: operatorId,
+		startedAt: state.startedAt,
+		completedAt: state.completedAt,
+		contracts: {
+			...entry('lazyLotto', 'lazyLotto'),
+			...entry('lazyLottoStorage', 'lazyLottoStorage'),
+			...entry('poolManager', 'lazyLottoPoolManager'),
+			...entry('tradeLotto', 'lazyTradeLotto'),
+			...entry('lazyGasStation', 'lazyGasStation'),
+			...entry('lazyDelegateRegistry', 'lazyDelegateRegistry'),
+			...entry('prng', 'prng'),
+			...entry('lazySCT', 'lazySCT', 'lazyTokenCreator'),
+		},
+		tokens: {
+			lazyToken: {
+				id: state.contracts.lazyToken,
+				decimals: state.config.lazyDecimals,
+				deployTransactionId: state.transactions.lazyToken,
+				reused: !state.transactions.lazyToken,
+			},
+		},
+		config: state.config,
+	});
+
+	return writeManifest(manifest, path.resolve(DEPLOYMENTS_DIR));
+}
+
 function updateStep(step) {
 	state.currentStep = step;
 	saveState();
@@ -337,13 +395,14 @@ async function stepLazyToken() {
 			else {
 				// Deploy SCT first
 				console.log('Deploying LAZY Token Creator (SCT)...');
-				const [sctId] = await contractDeployFunction(
+				const [sctId, , sctTxId] = await contractDeployFunction(
 					client,
 					interfaces.lazyTokenCreator.bytecode,
 					3_500_000,
 					new ContractFunctionParameters().addUint256(0),
 				);
 				state.contracts.lazySCT = sctId;
+				state.transactions.lazySCT = sctTxId.toString();
 				console.log(`LAZY SCT deployed: ${sctId.toString()}`);
 			}
 
@@ -367,6 +426,7 @@ async function stepLazyToken() {
 			}
 
 			const tokenId = TokenId.fromSolidityAddress(mintResult[1][0]);
+			state.transactions.lazyToken = mintResult[2]?.transactionId?.toString() ?? null;
 			console.log(`LAZY Token created: ${tokenId.toString()}`);
 			return tokenId;
 		},
@@ -380,6 +440,7 @@ async function stepLazyToken() {
 		state.contracts.lazySCT = ContractId.fromString(process.env.LAZY_SCT_CONTRACT_ID);
 	}
 
+	state.config.lazyDecimals = parseInt(process.env.LAZY_DECIMALS ?? '8');
 	saveState();
 }
 
@@ -394,13 +455,14 @@ async function stepGasStation() {
 				.addAddress(state.contracts.lazyToken.toSolidityAddress())
 				.addAddress(state.contracts.lazySCT.toSolidityAddress());
 
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.lazyGasStation.bytecode,
 				4_000_000,
 				params,
 			);
 			console.log(`LazyGasStation deployed: ${id.toString()}`);
+			state.transactions.lazyGasStation = txId.toString();
 			return id;
 		},
 	);
@@ -419,12 +481,13 @@ async function stepDelegateRegistry() {
 		'LazyDelegateRegistry',
 		'LAZY_DELEGATE_REGISTRY_CONTRACT_ID',
 		async () => {
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.lazyDelegateRegistry.bytecode,
 				2_100_000,
 			);
 			console.log(`LazyDelegateRegistry deployed: ${id.toString()}`);
+			state.transactions.lazyDelegateRegistry = txId.toString();
 			return id;
 		},
 	);
@@ -443,12 +506,13 @@ async function stepPRNG() {
 		'PRNG',
 		'PRNG_CONTRACT_ID',
 		async () => {
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.prng.bytecode,
 				1_800_000,
 			);
 			console.log(`PRNG deployed: ${id.toString()}`);
+			state.transactions.prng = txId.toString();
 			return id;
 		},
 	);
@@ -471,13 +535,14 @@ async function stepStorage() {
 				.addAddress(state.contracts.lazyGasStation.toSolidityAddress())
 				.addAddress(state.contracts.lazyToken.toSolidityAddress());
 
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.lazyLottoStorage.bytecode,
 				3_500_000,
 				params,
 			);
 			console.log(`LazyLottoStorage deployed: ${id.toString()}`);
+			state.transactions.lazyLottoStorage = txId.toString();
 			return id;
 		},
 	);
@@ -506,13 +571,15 @@ async function stepLazyLotto() {
 				.addUint256(burnPercent)
 				.addAddress(state.contracts.lazyLottoStorage.toSolidityAddress());
 
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.lazyLotto.bytecode,
 				6_000_000,
 				params,
 			);
 			console.log(`LazyLotto deployed: ${id.toString()}`);
+			state.transactions.lazyLotto = txId.toString();
+			state.config.lazyLottoBurnPercentage = burnPercent;
 			return id;
 		},
 	);
@@ -544,6 +611,7 @@ async function stepConfigureStorage() {
 	}
 
 	console.log('LazyLotto set as contract user on storage');
+	state.config.storageContractUser = state.contracts.lazyLotto.toString();
 	saveState();
 }
 
@@ -568,6 +636,7 @@ async function stepConfigureGasStation() {
 	}
 	else {
 		console.log('LazyLottoStorage added to LazyGasStation');
+		addGasStationUser(state.contracts.lazyLottoStorage);
 	}
 
 	await sleep(2000);
@@ -588,6 +657,7 @@ async function stepConfigureGasStation() {
 	}
 	else {
 		console.log('LazyLotto added to LazyGasStation');
+		addGasStationUser(state.contracts.lazyLotto);
 	}
 
 	saveState();
@@ -605,13 +675,14 @@ async function stepPoolManager() {
 				.addAddress(state.contracts.lazyGasStation.toSolidityAddress())
 				.addAddress(state.contracts.lazyDelegateRegistry.toSolidityAddress());
 
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.poolManager.bytecode,
 				2_500_000,
 				params,
 			);
 			console.log(`LazyLottoPoolManager deployed: ${id.toString()}`);
+			state.transactions.poolManager = txId.toString();
 			return id;
 		},
 	);
@@ -663,6 +734,7 @@ async function stepLinkPoolManager() {
 	}
 
 	console.log('PoolManager address set in LazyLotto');
+	state.config.poolManagerLinked = true;
 	saveState();
 }
 
@@ -708,14 +780,24 @@ async function stepTradeLotto() {
 				.addUint256(lossIncrement)
 				.addUint256(burnPercent);
 
-			const [id] = await contractDeployFunction(
+			const [id, , txId] = await contractDeployFunction(
 				client,
 				interfaces.tradeLotto.bytecode,
 				2_500_000,
 				params,
 			);
 			console.log(`LazyTradeLotto deployed: ${id.toString()}`);
+			state.transactions.tradeLotto = txId.toString();
 			console.log(`System wallet: ${signingWallet.address}`);
+			state.config.tradeLotto = {
+				systemWallet: signingWallet.address,
+				initialJackpot: initialJackpot.toString(),
+				lossIncrement: lossIncrement.toString(),
+				burnPercentage: burnPercent,
+				lshGen1: process.env.LSH_GEN1_TOKEN_ID,
+				lshGen2: process.env.LSH_GEN2_TOKEN_ID,
+				lshGen1Mutant: process.env.LSH_GEN1_MUTANT_TOKEN_ID,
+			};
 			return id;
 		},
 	);
@@ -750,6 +832,7 @@ async function stepConfigureTradeLotto() {
 	}
 	else {
 		console.log('LazyTradeLotto added to LazyGasStation');
+		addGasStationUser(state.contracts.tradeLotto);
 	}
 
 	saveState();
@@ -822,6 +905,7 @@ async function displaySummary() {
 	state.currentStep = STEPS.COMPLETE;
 	state.completedAt = new Date().toISOString();
 	saveState();
+	const manifestPath = saveManifest();
 
 	console.log('\n' + '='.repeat(60));
 	console.log('  DEPLOYMENT COMPLETE');
@@ -864,8 +948,11 @@ async function displaySummary() {
 	}
 	console.log('─'.repeat(50));
 
+	console.log(`\nManifest written to: ${manifestPath}`);
+	console.log('The SDK and CLI resolve contracts from it; the .env values are only needed to override it.');
+
 	console.log('\nNext Steps:');
-	console.log('  1. Update .env with the contract IDs above');
+	console.log('  1. Commit the manifest (or update .env with the contract IDs above)');
 	console.log('  2. Run: node scripts/interactions/healthCheck.js');
 	console.log('  3. Create lottery pools and add prizes');
 	console.log('  4. Fund LazyGasStation with HBAR and LAZY');
@@ -0,0 +1,156 @@
+/**
+ * LazyLotto Event Indexer (long-running)
+ *
+ * Keeps a SQLite database of pools, prizes, entries, rolls, wins, claims and
+ * ticket / prize-NFT redemptions up to date from contract events. Restarts
+ * resume from the last consensus timestamp processed; pool mutations (pause,
+ * close, prizes added or removed, wins) refresh only the pools they touch.
+ *
+ * Serve the database over HTTP with `lazy-lotto serve`.
+ *
+ * For a one-off JSON snapshot of pools use poolIndexer.js instead.
+ *
+ * Usage:
+ *   node scripts/indexer/lottoIndexer.js [options]
+ *
+ * Options:
+ *   --db=FILE              Database file (default: lazy-lotto-{env}.db)
+ *   --contract=0.0.XXX     LazyLotto contract (default: .env, then deployment manifest)
+ *   --pool-manager=0.0.XXX PoolManager contract (default: .env, manifest, then read from LazyLotto)
+ *   --interval=SECONDS     Pause between syncs (default: 15)
+ *   --once                 Sync once and exit
+ *   --watch                Print each new event as it is indexed
+ *   --verbose              Show progress for every batch and pool refresh
+ *   --help                 Show help
+ */
+
+const { AccountId } = require('@hashgraph/sdk');
+require('dotenv').config();
+
+const { LazyLottoClient } = require('../../utils/lazyLottoClient');
+const { LottoIndexer } = require('../../utils/lottoIndexer');
+const { formatEvent } = require('../../utils/contractEvents');
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const once = args.includes('--once');
+const verbose = args.includes('--verbose');
+const watch = args.includes('--watch');
+const showHelp = args.includes('--help') || args.includes('-h');
+
+function argValue(name) {
+	const arg = args.find(a => a.startsWith(`--${name}=`));
+	return arg ? arg.split('=')[1] : null;
+}
+
+// Environment setup
+const env = process.env.ENVIRONMENT ?? 'testnet';
+const operatorId = process.env.ACCOUNT_ID ? AccountId.fromString(process.env.ACCOUNT_ID) : null;
+
+const dbPath = argValue('db') ?? `lazy-lotto-${env.toLowerCase()}.db`;
+const intervalSeconds = Number(argValue('interval') ?? '15');
+
+function displayHelp() {
+	console.log(`
+LazyLotto Event Indexer
+=======================
+
+Keeps a SQLite database of LazyLotto pools and activity in sync with the chain.
+
+Usage: node scripts/indexer/lottoIndexer.js [options]
+
+Options:
+  --db=FILE              Database file (default: lazy-lotto-{env}.db)
+  --contract=0.0.XXX     LazyLotto contract (default: .env, then deployment manifest)
+  --pool-manager=0.0.XXX PoolManager contract (default: .env, manifest, then read from LazyLotto)
+  --interval=SECONDS     Pause between syncs (default: 15)
+  --once                 Sync once and exit
+  --watch                Print each new event as it is indexed
+  --verbose              Show progress for every batch and pool refresh
+  --help, -h             Show this help message
+
+Tables:
+  pools, prizes          Current pool state and prize list
+  entries                EntryPurchased events
+  rolls                  Rolled events (won = 1 for wins)
+  claims                 PrizeClaimed events
+  pending_prizes         Unclaimed prizes of users who have won
+  tickets                TicketEvent mints / burns, kind = entries_to_nft, nft_to_entries,
+                         prize_to_nft or nft_to_prize
+  pool_events            Pool created / paused / opened / closed, prizes added / removed,
+                         ownership changes
+  sync_state             Last consensus timestamp processed per contract
+
+Environment:
+  ENVIRONMENT                  TEST, MAIN, PREVIEW, or LOCAL
+  ACCOUNT_ID                   Optional: 'from' account for mirror reads
+  LAZY_LOTTO_CONTRACT_ID       Optional: overrides the deployment manifest
+  LAZY_LOTTO_POOL_MANAGER_ID   Optional: overrides the deployment manifest
+`);
+}
+
+function log(...messages) {
+	if (verbose) {
+		console.log(`[${new Date().toISOString()}]`, ...messages);
+	}
+}
+
+async function main() {
+	if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+		console.error('ERROR: --interval must be a positive number of seconds');
+		process.exit(1);
+	}
+
+	const client = new LazyLottoClient({
+		env,
+		contractId: argValue('contract') ?? process.env.LAZY_LOTTO_CONTRACT_ID,
+		poolManagerId: argValue('pool-manager') ?? process.env.LAZY_LOTTO_POOL_MANAGER_ID,
+		operatorId,
+	});
+
+	const indexer = new LottoIndexer({ env, client, dbPath, log, onEvent: watch ? (event) => console.log(formatEvent(event)) : null });
+
+	console.log('\n' + '='.repeat(60));
+	console.log('  LazyLotto Event Indexer');
+	console.log('='.repeat(60) + '\n');
+	console.log(`Environment:     ${env.toUpperCase()}`);
+	console.log(`LazyLotto:       ${client.contractId.toString()}`);
+	console.log(`PoolManager:     ${(await client.getPoolManagerId()).toString()}`);
+	console.log(`Database:        ${dbPath}`);
+	const cursor = indexer.store.getCursor('lazyLotto');
+	console.log(`Resuming from:   ${cursor?.lastTimestamp ?? 'start of history'}`);
+	console.log();
+
+	if (once) {
+		const { events, poolsRefreshed, usersRefreshed } = await indexer.syncOnce();
+		console.log(`Synced ${events} event(s), refreshed ${poolsRefreshed} pool(s) and ${usersRefreshed} user(s)`);
+		indexer.close();
+		return;
+	}
+
+	const shutdown = () => {
+		console.log('\nStopping after the current sync...');
+		indexer.stop();
+	};
+	process.on('SIGINT', shutdown);
+	process.on('SIGTERM', shutdown);
+
+	console.log(`Syncing every ${intervalSeconds}s (Ctrl+C to stop)\n`);
+	await indexer.run({
+		intervalMs: intervalSeconds * 1000,
+		onError: (error) => console.error(`[${new Date().toISOString()}] Sync failed, retrying next interval:`, error.message),
+	});
+	indexer.close();
+}
+
+if (showHelp) {
+	displayHelp();
+	process.exit(0);
+}
+
+main()
+	.then(() => process.exit(0))
+	.catch(error => {
+		console.error('Indexer failed:', error.message);
+		process.exit(1);
+	});
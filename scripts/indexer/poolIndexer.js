@@ -10,7 +10,10 @@
  * - Fetches pool details (name, status, win rate, entry fee, prizes)
  * - Outputs to JSON file for offline use
  * - Supports filtering (--active-only)
- * - Incremental updates (tracks last timestamp)
+ *
+ * This is a one-off snapshot that re-reads every pool. For a continuously
+ * updated database (entries, rolls, claims, incremental sync) use
+ * lottoIndexer.js.
  *
  * Usage:
  *   node scripts/indexer/poolIndexer.js [options]
@@ -115,7 +118,7 @@ async function convertToHederaId(evmAddress, entityType = null) {
 }
 
 function formatWinRate(thousandthsOfBps) {
-	return (thousandthsOfBps / 1_000_000 * 100).toFixed(4);
+	return (thousandthsOfBps / 1_000_000).toFixed(4);
 }
 
 async function fetchPoolDetails(poolId) {
@@ -3,24 +3,19 @@
  *
  * Checks if a specific trade has already been rolled by a user.
  * Each trade can be rolled once by the buyer and once by the seller.
- * This prevents replay attacks and duplicate rolls.
+ * This prevents replay attacks and duplicate rolls. For a rolled trade the
+ * result is shown from its LottoRoll event (see utils/tradeRollStatus.js,
+ * also available as `lazy-lotto trade-lotto status`).
  *
  * Usage: node queries/checkTradeHistory.js <contractId> <token> <serial> <nonce> <buyer>
  * Example: node queries/checkTradeHistory.js 0.0.123456 0x1234...abcd 42 1000 true
  */
 
-const {
-	AccountId,
-	ContractId,
-	TokenId,
-} = require('@hashgraph/sdk');
+const { AccountId } = require('@hashgraph/sdk');
 require('dotenv').config();
-const fs = require('fs');
-const { ethers } = require('ethers');
-const { readOnlyEVMFromMirrorNode } = require('../../../../utils/solidityHelpers');
+const { getTradeRollStatus } = require('../../../../utils/tradeRollStatus');
 const { getArgFlag } = require('../../../../utils/nodeHelpers');
 
-const contractName = 'LazyTradeLotto';
 const env = process.env.ENVIRONMENT ?? null;
 
 let operatorId;
@@ -48,52 +43,25 @@ async function main() {
 	console.log('\n-Using ENVIRONMENT:', env);
 	console.log('-Using Operator:', operatorId.toString());
 
-	// Import ABI
-	const ltlJSON = JSON.parse(fs.readFileSync(`./abi/${contractName}.json`));
-	const ltlIface = new ethers.Interface(ltlJSON);
-
-	const contractId = ContractId.fromString(args[0]);
-	let tokenAddress = args[1];
+	const contractId = args[0];
+	const token = args[1];
 	const serial = args[2];
 	const nonce = args[3];
 	const buyer = args[4].toLowerCase() === 'true';
 
-	// Convert Token ID to EVM address if needed
-	if (tokenAddress.startsWith('0.0.')) {
-		const tokenId = TokenId.fromString(tokenAddress);
-		tokenAddress = tokenId.toSolidityAddress();
-	}
-
-	console.log('-Using Contract:', contractId.toString());
-	console.log('\nTrade Parameters:');
-	console.log('  Token:', tokenAddress);
-	console.log('  Serial:', serial);
-	console.log('  Nonce:', nonce);
-	console.log('  Participant:', buyer ? 'Buyer' : 'Seller');
-
-	// Calculate the history hash (same as contract does)
-	const hash = ethers.keccak256(
-		ethers.solidityPacked(
-			['address', 'uint256', 'uint256', 'bool'],
-			[tokenAddress, serial, nonce, buyer],
-		),
-	);
-
-	console.log('  History Hash:', hash);
-
+	console.log('-Using Contract:', contractId);
 	console.log('\nChecking roll history...\n');
 
-	// Check if this hash exists in history mapping
-	const hasRolled = ltlIface.decodeFunctionResult(
-		'history',
-		await readOnlyEVMFromMirrorNode(
-			env,
-			contractId,
-			ltlIface.encodeFunctionData('history', [hash]),
-			operatorId,
-			false,
-		),
-	)[0];
+	// Same history hash as the contract, then the LottoRoll event if it has rolled
+	const status = await getTradeRollStatus(env, {
+		contract: contractId,
+		token,
+		serial,
+		nonce,
+		side: buyer ? 'buyer' : 'seller',
+		from: operatorId,
+	});
+	const hasRolled = status.rolled;
 
 	// Display Results
 	console.log('═══════════════════════════════════════════════════════════');
@@ -101,10 +69,11 @@ async function main() {
 	console.log('═══════════════════════════════════════════════════════════\n');
 
 	console.log('🎯 Trade Details:');
-	console.log('   NFT Contract:', tokenAddress);
-	console.log('   Serial:', serial);
-	console.log('   Nonce:', nonce);
+	console.log('   NFT Contract:', status.tokenAddress);
+	console.log('   Serial:', status.serial);
+	console.log('   Nonce:', status.nonce);
 	console.log('   Participant:', buyer ? '🛒 Buyer' : '🏷️ Seller');
+	console.log('   History Hash:', status.historyKey);
 
 	console.log('\n📊 Roll Status:', hasRolled ? '✅ ALREADY ROLLED' : '⏳ NOT YET ROLLED');
 
@@ -112,6 +81,18 @@ async function main() {
 		console.log('\n❌ This trade has already been rolled by this participant.');
 		console.log('   Further attempts will revert with AlreadyRolled() error.');
 		console.log('   Each trade can only be rolled once per participant.');
+
+		if (status.roll) {
+			const { roll } = status;
+			console.log('\n🎲 Roll Result:');
+			console.log('   Rolled by:', roll.user, 'at', roll.time);
+			console.log('   Transaction:', roll.transactionHash);
+			console.log('   Win:', roll.won ? `✅ ${roll.winAmount} (raw $LAZY)` : '❌ No win', `(roll ${roll.winRoll} vs threshold ${roll.winRateThreshold})`);
+			console.log('   Jackpot:', roll.jackpotWon ? `🎉 ${roll.jackpotAmount ?? '?'} (raw $LAZY)` : '❌ No win', `(roll ${roll.jackpotRoll} vs threshold ${roll.jackpotThreshold})`);
+		}
+		else {
+			console.log('\n   (LottoRoll event not found on the mirror node yet)');
+		}
 	}
 	else {
 		console.log('\n✅ This trade has not been rolled yet by this participant.');
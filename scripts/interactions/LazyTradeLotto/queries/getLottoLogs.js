@@ -6,7 +6,7 @@ require('dotenv').config();
 const fs = require('fs');
 const { ethers } = require('ethers');
 const readlineSync = require('readline-sync');
-const { getEventsFromMirror } = require('../../../../utils/hederaMirrorHelpers');
+const { listContractEvents, formatEvent } = require('../../../../utils/contractEvents');
 const { getArgFlag } = require('../../../../utils/nodeHelpers');
 
 // Get operator from .env file
@@ -56,12 +56,13 @@ const main = async () => {
 
 	const ltlIface = new ethers.Interface(lotteryJSON.abi);
 
-	// Call the function to fetch logs
-	const logs = await getEventsFromMirror(env, contractId, ltlIface);
+	// Fetch the full event history (follows mirror pagination)
+	const events = await listContractEvents(env, { contract: contractId, contractName, iface: ltlIface });
+	const logs = events.map(formatEvent);
 
 	const proceed = readlineSync.keyInYNStrict('Do you want to write logs to file?');
 	if (!proceed) {
-		if (logs) {
+		if (logs.length) {
 			for (const log of logs) {
 				console.log(log);
 			}
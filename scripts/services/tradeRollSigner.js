@@ -0,0 +1,201 @@
+/**
+ * LazyTradeLotto Roll Signing Service (long-running)
+ *
+ * HTTP service that issues signed roll tickets for settled NFT trades. Each
+ * request is checked against the mirror node, given roll parameters by the
+ * policy file and signed with SIGNING_KEY; issued tickets are kept in a
+ * ledger file so a trade side is never signed twice. See
+ * utils/tradeRollService.js for the API.
+ *
+ * The policy is either a versioned tier file (JSON or YAML, see
+ * utils/tradeRollPolicy.js) or, for a flat JSON file without a version, the
+ * same parameters for every trade.
+ *
+ * On start the signer address is compared with the contract's systemWallet
+ * (needs ACCOUNT_ID for the mirror read); a mismatch is fatal since every
+ * ticket would revert with InvalidTeamSignature.
+ *
+ * Usage:
+ *   node scripts/services/tradeRollSigner.js --policy=FILE [options]
+ *
+ * Options:
+ *   --policy=FILE          Versioned tier policy (.json/.yaml), or flat JSON roll parameters:
+ *                          { winRateThreshold, minWinAmt, maxWinAmt, jackpotThreshold },
+ *                          optionally one such object per side under "buyer" and "seller";
+ *                          "allowUnpaid": true also signs trades that pay the seller nothing
+ *   --ledger=FILE          Issued tickets (default: trade-roll-tickets-{env}.json)
+ *   --port=8090            Port to listen on
+ *   --host=127.0.0.1       Interface to bind
+ *   --contract=0.0.XXX     LazyTradeLotto (default: .env, then deployment manifest)
+ *   --cors=ORIGIN          Access-Control-Allow-Origin header (default: none)
+ *   --verbose              Log every request
+ *   --help                 Show help
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AccountId, ContractId } = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { TradeRollService, NonceLedger, createTradeRollServer } = require('../../utils/tradeRollService');
+const { loadRollPolicy, createRollPolicy, createHolderCheck } = require('../../utils/tradeRollPolicy');
+const { getAddresses } = require('../../utils/deploymentManifest');
+const { readOnlyEVMFromMirrorNode } = require('../../utils/solidityHelpers');
+const { LazyTradeLottoABI } = require('../../index');
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const showHelp = args.includes('--help') || args.includes('-h');
+
+function argValue(name) {
+	const arg = args.find(a => a.startsWith(`--${name}=`));
+	return arg ? arg.slice(name.length + 3) : null;
+}
+
+// Environment setup
+const env = process.env.ENVIRONMENT ?? 'testnet';
+const operatorId = process.env.ACCOUNT_ID ? AccountId.fromString(process.env.ACCOUNT_ID) : null;
+
+const ledgerPath = argValue('ledger') ?? `trade-roll-tickets-${env.toLowerCase()}.json`;
+const port = Number(argValue('port') ?? '8090');
+const host = argValue('host') ?? '127.0.0.1';
+
+function displayHelp() {
+	console.log(`
+LazyTradeLotto Roll Signing Service
+===================================
+
+Issues signed rollLotto tickets for NFT trades that settled on the mirror node.
+
+Usage: node scripts/services/tradeRollSigner.js --policy=FILE [options]
+
+Options:
+  --policy=FILE          Versioned tier policy (.json/.yaml, see utils/tradeRollPolicy.js),
+                         or flat JSON roll parameters (winRateThreshold, minWinAmt, maxWinAmt,
+                         jackpotThreshold), optionally one set per side under "buyer" / "seller".
+                         Trades that pay the seller nothing are refused unless the policy
+                         sets "allowUnpaid": true
+  --ledger=FILE          Issued tickets (default: trade-roll-tickets-{env}.json)
+  --port=8090            Port to listen on
+  --host=127.0.0.1       Interface to bind
+  --contract=0.0.XXX     LazyTradeLotto (default: .env, then deployment manifest)
+  --cors=ORIGIN          Access-Control-Allow-Origin header (default: none)
+  --verbose              Log every request
+  --help, -h             Show this help message
+
+Endpoints:
+  POST /sign             { "transactionId": "0.0.X@s.n", "token": "0.0.X", "serial": 1, "side": "buyer" }
+  GET  /health           Signer address, network and tickets issued
+
+Environment:
+  ENVIRONMENT                    TEST, MAIN, PREVIEW, or LOCAL
+  SIGNING_KEY                    systemWallet ECDSA private key (hex)
+  ACCOUNT_ID                     Optional: 'from' account for the systemWallet check
+  LAZY_TRADE_LOTTO_CONTRACT_ID   Optional: overrides the deployment manifest
+`);
+}
+
+function log(...messages) {
+	if (verbose) {
+		console.log(`[${new Date().toISOString()}]`, ...messages);
+	}
+}
+
+async function readSystemWallet(contractId) {
+	const iface = new ethers.Interface(LazyTradeLottoABI);
+	const encoded = iface.encodeFunctionData('systemWallet', []);
+	const result = await readOnlyEVMFromMirrorNode(env, contractId, encoded, operatorId, false);
+	return iface.decodeFunctionResult('systemWallet', result)[0];
+}
+
+// flat JSON without a version is a fixed policy; anything else is a tier file
+function loadPolicy(file, contractId) {
+	if (path.extname(file).toLowerCase() === '.json') {
+		const fixed = JSON.parse(fs.readFileSync(file, 'utf8'));
+		if (fixed.version === undefined) {
+			return { policy: fixed, summary: 'fixed parameters' };
+		}
+	}
+
+	const tiers = loadRollPolicy(file);
+	if (tiers.usesHolder && !contractId) {
+		throw new Error('The policy has holder tiers: set --contract or LAZY_TRADE_LOTTO_CONTRACT_ID for the LSH holder check');
+	}
+	const policy = createRollPolicy(tiers, {
+		holderCheck: tiers.usesHolder ? createHolderCheck({ env, contractId }) : null,
+		onMatch: (tier, trade, side) => log(`${trade.transactionId} ${side}: tier ${tier.name}`),
+	});
+	return { policy, summary: `version ${tiers.version}, ${tiers.tiers.length} tier(s)` };
+}
+
+async function main() {
+	const policyFile = argValue('policy');
+	if (!policyFile) {
+		console.error('ERROR: --policy=FILE is required (see --help)');
+		process.exit(1);
+	}
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		console.error(`ERROR: Invalid --port: ${argValue('port')}`);
+		process.exit(1);
+	}
+
+	const contract = argValue('contract') ?? process.env.LAZY_TRADE_LOTTO_CONTRACT_ID ?? getAddresses(env).lazyTradeLotto;
+	const contractId = contract ? ContractId.fromString(contract) : null;
+	const { policy, summary } = loadPolicy(policyFile, contractId);
+
+	const service = new TradeRollService({
+		env,
+		signingKey: process.env.SIGNING_KEY,
+		policy,
+		ledger: new NonceLedger({ file: ledgerPath, env }),
+		contractId,
+	});
+
+	console.log('\n' + '='.repeat(60));
+	console.log('  LazyTradeLotto Roll Signing Service');
+	console.log('='.repeat(60) + '\n');
+	console.log(`Environment:     ${env.toUpperCase()}`);
+	console.log(`LazyTradeLotto:  ${contractId?.toString() ?? 'not set'}`);
+	console.log(`Signer:          ${service.signerAddress}`);
+	console.log(`Policy:          ${policyFile} (${summary})`);
+	console.log(`Unpaid trades:   ${service.allowUnpaid ? 'signed (allowUnpaid)' : 'refused'}`);
+	console.log(`Ledger:          ${ledgerPath} (${service.ledger.size} ticket(s) issued)`);
+
+	if (contractId && operatorId) {
+		const systemWallet = await readSystemWallet(contractId);
+		if (systemWallet.toLowerCase() !== service.signerAddress.toLowerCase()) {
+			throw new Error(`SIGNING_KEY signs as ${service.signerAddress} but the contract's systemWallet is ${systemWallet}`);
+		}
+		console.log('systemWallet:    matches the signer');
+	}
+	else {
+		console.log('systemWallet:    not checked (needs the contract and ACCOUNT_ID)');
+	}
+
+	const server = createTradeRollServer({ service, cors: argValue('cors'), log });
+	await new Promise((resolve, reject) => {
+		server.once('error', reject);
+		server.listen(port, host, resolve);
+	});
+	console.log(`\nListening on http://${host}:${server.address().port} (Ctrl+C to stop)\n`);
+
+	await new Promise(resolve => {
+		const shutdown = () => server.close(resolve);
+		process.once('SIGINT', shutdown);
+		process.once('SIGTERM', shutdown);
+	});
+}
+
+if (showHelp) {
+	displayHelp();
+	process.exit(0);
+}
+
+main()
+	.then(() => process.exit(0))
+	.catch(error => {
+		console.error('Signing service failed:', error.message);
+		process.exit(1);
+	});
@@ -0,0 +1,158 @@
+/**
+ * CLI Config Tests
+ *
+ * Tests CLI profiles with a config file in a temp dir: config validation,
+ * picking a profile from --profile / LAZY_LOTTO_PROFILE / current and
+ * applying it over process.env, which is restored after each test.
+ * Validates that keys are read from their configured source.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const {
+	loadConfig,
+	saveConfig,
+	validateProfile,
+	selectProfile,
+	describeKeySource,
+	loadPrivateKey,
+	hasKeySource,
+} = require('../cli/config');
+
+const TOUCHED_ENV = [
+	'ENVIRONMENT',
+	'ACCOUNT_ID',
+	'MIRROR_NODE_URL',
+	'LAZY_LOTTO_CONTRACT_ID',
+	'LAZY_LOTTO_STORAGE',
+	'LAZY_LOTTO_PROFILE',
+	'QA_KEY',
+];
+
+describe('CLI Config', function() {
+	let tmpDir;
+	let file;
+	let savedEnv;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-lotto-config-'));
+		file = path.join(tmpDir, 'config.json');
+		savedEnv = Object.fromEntries(TOUCHED_ENV.map(name => [name, process.env[name]]));
+		TOUCHED_ENV.forEach(name => delete process.env[name]);
+
+		saveConfig({
+			version: 1,
+			current: 'qa',
+			profiles: {
+				qa: {
+					network: 'testnet',
+					accountId: '0.0.1234',
+					key: { source: 'env', name: 'QA_KEY' },
+					contracts: { lazyLotto: '0.0.5001', lazyLottoStorage: '0.0.5002' },
+				},
+				treasury: {
+					network: 'mainnet',
+					accountId: '0.0.99',
+					key: { source: 'file', path: path.join(tmpDir, 'treasury.key') },
+					mirrorUrl: 'https://mirror.example.com',
+				},
+			},
+		}, file);
+	});
+
+	afterEach(function() {
+		for (const [name, value] of Object.entries(savedEnv)) {
+			if (value === undefined) delete process.env[name];
+			else process.env[name] = value;
+		}
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it('should write the config readable by the owner only', function() {
+		if (process.platform === 'win32') this.skip();
+		expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+		expect(loadConfig(file).current).to.equal('qa');
+	});
+
+	it('should return an empty config when the file is missing', function() {
+		expect(loadConfig(path.join(tmpDir, 'missing.json'))).to.deep.equal({ version: 1, current: null, profiles: {} });
+	});
+
+	it('should reject invalid profiles with every problem listed', function() {
+		expect(() => validateProfile('bad name', {
+			accountId: 'alice',
+			key: { source: 'env' },
+			contracts: { lotto: '0.0.1' },
+			mirrorUrl: 'mirror.example.com',
+		})).to.throw(Error)
+			.with.property('message')
+			.that.includes('name must use letters')
+			.and.includes('network is required')
+			.and.includes('accountId must be 0.0.x')
+			.and.includes('key.name (environment variable) is required')
+			.and.includes('unknown contract lotto')
+			.and.includes('mirrorUrl must start with http');
+	});
+
+	it('should apply the current profile over the environment', function() {
+		process.env.ENVIRONMENT = 'mainnet';
+		process.env.ACCOUNT_ID = '0.0.777';
+		const args = ['pools', '--json'];
+
+		const selected = selectProfile(args, { file });
+
+		expect(selected.name).to.equal('qa');
+		expect(args).to.deep.equal(['pools', '--json']);
+		expect(process.env.ENVIRONMENT).to.equal('testnet');
+		expect(process.env.ACCOUNT_ID).to.equal('0.0.1234');
+		expect(process.env.LAZY_LOTTO_CONTRACT_ID).to.equal('0.0.5001');
+		expect(process.env.LAZY_LOTTO_STORAGE).to.equal('0.0.5002');
+		expect(process.env.MIRROR_NODE_URL).to.be.undefined;
+	});
+
+	it('should prefer --profile over LAZY_LOTTO_PROFILE and strip it from the args', function() {
+		process.env.LAZY_LOTTO_PROFILE = 'qa';
+		const args = ['--profile', 'treasury', 'buy', '0', '1'];
+
+		expect(selectProfile(args, { file }).name).to.equal('treasury');
+		expect(args).to.deep.equal(['buy', '0', '1']);
+		expect(process.env.ENVIRONMENT).to.equal('mainnet');
+		expect(process.env.MIRROR_NODE_URL).to.equal('https://mirror.example.com');
+
+		const inline = ['pools', '--profile=qa'];
+		expect(selectProfile(inline, { file }).name).to.equal('qa');
+		expect(inline).to.deep.equal(['pools']);
+	});
+
+	it('should name the known profiles when the selected one is missing', function() {
+		expect(() => selectProfile(['--profile=prod'], { file })).to.throw(/No profile 'prod'.*have: qa, treasury/);
+	});
+
+	it('should read private keys from an env var or a key file', function() {
+		process.env.QA_KEY = ' 302e020100300506032b657004220420aa \n';
+		expect(loadPrivateKey({ source: 'env', name: 'QA_KEY' })).to.equal('302e020100300506032b657004220420aa');
+
+		const keyFile = path.join(tmpDir, 'treasury.key');
+		fs.writeFileSync(keyFile, '302e020100300506032b657004220420bb\n');
+		expect(loadPrivateKey({ source: 'file', path: keyFile })).to.equal('302e020100300506032b657004220420bb');
+
+		expect(() => loadPrivateKey({ source: 'env', name: 'NOT_SET_ANYWHERE' })).to.throw(/NOT_SET_ANYWHERE is not set/);
+	});
+
+	it('should validate keystore and command key sources', function() {
+		expect(() => validateProfile('ks', { network: 'testnet', key: { source: 'keystore' } })).to.throw(/key.path is required for key.source keystore/);
+		expect(() => validateProfile('cmd', { network: 'testnet', key: { source: 'command' } })).to.throw(/key.command is required/);
+		expect(() => validateProfile('raw', { network: 'testnet', key: { source: 'env', name: 'K', type: 'RSA' } })).to.throw(/key.type must be one of ED25519, ECDSA/);
+
+		const keystore = { source: 'keystore', path: path.join(tmpDir, 'ops.json') };
+		expect(describeKeySource(keystore)).to.equal(`keystore ${keystore.path}`);
+		expect(describeKeySource({ source: 'command', command: 'hsm-sign' })).to.equal('command hsm-sign');
+		expect(hasKeySource(keystore)).to.be.false;
+		fs.writeFileSync(keystore.path, '{}');
+		expect(hasKeySource(keystore)).to.be.true;
+		expect(() => loadPrivateKey(keystore)).to.throw(/does not hold a plain private key/);
+	});
+});
@@ -0,0 +1,107 @@
+/**
+ * CLI Output Tests
+ *
+ * Tests the shared CLI output layer with stdout captured per test: format
+ * selection, CSV flattening and quoting and what each format writes.
+ * Validates which exit code each kind of error maps to.
+ */
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const {
+	EXIT_CODES,
+	cliError,
+	exitCodeFor,
+	parseFormat,
+	selectFormat,
+	toCsv,
+	winRateField,
+	createOutput,
+} = require('../cli/output');
+
+describe('CLI Output', function() {
+	// restored before the test ends so mocha's own output is not swallowed
+	function captureStdout(fn) {
+		let written = '';
+		const originalLog = console.log;
+		const originalWrite = process.stdout.write;
+		console.log = (...parts) => { written += `${parts.join(' ')}\n`; };
+		process.stdout.write = chunk => {
+			written += chunk;
+			return true;
+		};
+		try {
+			fn();
+		}
+		finally {
+			console.log = originalLog;
+			process.stdout.write = originalWrite;
+		}
+		return written;
+	}
+
+	it('should pick the format from --format, --json or the table default', function() {
+		expect(parseFormat(['pools'])).to.equal('table');
+		expect(parseFormat(['pools', '--json'])).to.equal('json');
+		expect(parseFormat(['pools', '--format=CSV'])).to.equal('csv');
+
+		const args = ['pools', '--format', 'ndjson'];
+		expect(selectFormat(args)).to.equal('ndjson');
+		expect(args).to.deep.equal(['pools', '--format=ndjson']);
+
+		expect(() => parseFormat(['--format=xml'])).to.throw(/Unknown --format xml/)
+			.with.property('exitCode', EXIT_CODES.USAGE);
+	});
+
+	it('should flatten nested records into quoted CSV', function() {
+		const csv = toCsv([
+			{ id: 0, entryFee: { raw: '100000000', formatted: '1 ℏ' }, serials: [1, 2], note: 'a, "b"' },
+			{ id: 1, entryFee: null, serials: [], extra: true },
+		]);
+
+		expect(csv.split('\n')).to.deep.equal([
+			'id,entryFee.raw,entryFee.formatted,serials,note,entryFee,extra',
+			'0,100000000,1 ℏ,1;2,"a, ""b""",,',
+			'1,,,,,,true',
+			'',
+		]);
+		expect(toCsv([{ id: 2 }], ['id'], { header: false })).to.equal('2\n');
+		expect(toCsv([])).to.equal('');
+	});
+
+	it('should describe win rates with raw, percent and formatted values', function() {
+		expect(winRateField(5_000_000)).to.deep.equal({ raw: 5_000_000, percent: 5, formatted: '5.0000%' });
+	});
+
+	it('should write one document, one line per record or CSV rows', function() {
+		const result = {
+			data: { pools: [{ id: 0, entryFee: { raw: 10n, formatted: '10 LAZY' } }] },
+			rows: [{ id: 0, entryFee: { raw: 10n, formatted: '10 LAZY' } }, { id: 1, entryFee: { raw: 5n, formatted: '5 LAZY' } }],
+			metadata: { environment: 'testnet' },
+			print: () => console.log('table'),
+		};
+
+		const document = JSON.parse(captureStdout(() => createOutput(['--json']).emit(result)));
+		expect(document.success).to.be.true;
+		expect(document.pools[0].entryFee.raw).to.equal('10');
+		expect(document.metadata.environment).to.equal('testnet');
+
+		const lines = captureStdout(() => createOutput(['--format=ndjson']).emit(result)).trim().split('\n');
+		expect(lines.map(line => JSON.parse(line).id)).to.deep.equal([0, 1]);
+
+		expect(captureStdout(() => createOutput(['--format=csv']).emit(result)))
+			.to.equal('id,entryFee.raw,entryFee.formatted\n0,10,10 LAZY\n1,5,5 LAZY\n');
+
+		expect(captureStdout(() => createOutput([]).emit(result))).to.equal('table\n');
+	});
+
+	it('should map errors to stable exit codes', function() {
+		expect(exitCodeFor(cliError(EXIT_CODES.NOT_FOUND, 'Pool 9 not found'))).to.equal(EXIT_CODES.NOT_FOUND);
+		expect(exitCodeFor(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }))).to.equal(EXIT_CODES.NETWORK);
+		expect(exitCodeFor({ isAxiosError: true, message: 'rate limited', response: { status: 429 } })).to.equal(EXIT_CODES.NETWORK);
+		expect(exitCodeFor({ isAxiosError: true, message: 'missing', response: { status: 404 } })).to.equal(EXIT_CODES.NOT_FOUND);
+		expect(exitCodeFor(Object.assign(new Error('buyEntry failed: CONTRACT_REVERT_EXECUTED'), { status: 'CONTRACT_REVERT_EXECUTED' })))
+			.to.equal(EXIT_CODES.TRANSACTION);
+		expect(exitCodeFor(new Error('something else'))).to.equal(EXIT_CODES.ERROR);
+	});
+});
@@ -0,0 +1,161 @@
+/**
+ * Contract Events Tests
+ *
+ * Tests the event history API against canned mirror node pages: decoding logs
+ * into named, typed arguments, following links.next, and event and argument
+ * filters. Validates that paging stops as soon as the caller does.
+ */
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { ethers } = require('ethers');
+const { useMirrorStub, mirrorLog, serveLogs } = require('./helpers/mirrorStub');
+const {
+	getContractEvents,
+	listContractEvents,
+	createEventDecoder,
+	toMirrorTimestamp,
+	formatEvent,
+} = require('../utils/contractEvents');
+const LazyLottoABI = require('../abi/LazyLotto.json');
+
+const lottoIface = new ethers.Interface(LazyLottoABI);
+
+function address(num) {
+	return ethers.zeroPadValue(ethers.toBeHex(num), 20);
+}
+
+function lottoLog(name, args, timestamp) {
+	return mirrorLog(lottoIface, name, args, { timestamp, block_number: 10 });
+}
+
+describe('Contract Events', function() {
+	const mirror = useMirrorStub();
+
+	function serve(pages) {
+		mirror.get = async () => ({ data: pages[mirror.requests.length - 1] });
+	}
+
+	it('should convert timestamps to mirror format', function() {
+		expect(toMirrorTimestamp(new Date(1735689600123))).to.equal('1735689600.123000000');
+		expect(toMirrorTimestamp(1735689600)).to.equal('1735689600.000000000');
+		expect(toMirrorTimestamp('1735689600.5')).to.equal('1735689600.5');
+		expect(() => toMirrorTimestamp('yesterday')).to.throw(/Invalid timestamp/);
+	});
+
+	it('should decode events into named args with Hedera IDs', async function() {
+		const decode = createEventDecoder('testnet', { contractName: 'LazyLotto' });
+		const prize = [ethers.ZeroAddress, 500n, [address(7001)], [[1n, 2n]]];
+
+		const event = await decode(lottoLog('PrizeAdded', [3, 1, address(1234), prize], '1735689600.000000001'));
+
+		expect(event.name).to.equal('PrizeAdded');
+		expect(event.contractName).to.equal('LazyLotto');
+		expect(event.args.poolId).to.equal(3n);
+		expect(event.args.admin).to.equal('0.0.1234');
+		expect(event.args.prize).to.deep.equal({ token: null, amount: 500n, nftTokens: ['0.0.7001'], nftSerials: [[1n, 2n]] });
+		expect(formatEvent(event)).to.include('PrizeAdded');
+	});
+
+	it('should decode events with only indexed arguments', async function() {
+		const decode = createEventDecoder('testnet', { contractName: 'LazyLotto' });
+		const event = await decode(lottoLog('PoolClosed', [4], '1735689600.000000002'));
+
+		expect(event.name).to.equal('PoolClosed');
+		expect(event.args.poolId).to.equal(4n);
+	});
+
+	it('should follow pagination and match events here without a lower bound', async function() {
+		serve([
+			{
+				logs: [
+					lottoLog('EntryPurchased', [address(1234), 0, 5], '1.1'),
+					lottoLog('EntryPurchased', [address(999), 0, 1], '1.2'),
+				],
+				links: { next: '/api/v1/contracts/0.0.5001/results/logs?order=asc&limit=100&timestamp=gt:1.2' },
+			},
+			{
+				logs: [
+					lottoLog('Rolled', [address(1234), 0, true, 42], '1.3'),
+					lottoLog('EntryPurchased', [address(1234), 1, 2], '1.4'),
+				],
+				links: { next: null },
+			},
+		]);
+
+		const events = await listContractEvents('testnet', {
+			contract: '0.0.5001',
+			events: 'EntryPurchased',
+			filters: { user: '0.0.1234' },
+		});
+
+		expect(mirror.requests).to.have.length(2);
+		expect(mirror.requests[0]).to.match(/\/api\/v1\/contracts\/0\.0\.5001\/results\/logs\?order=asc&limit=100$/);
+		expect(mirror.requests[1]).to.include('timestamp=gt:1.2');
+		expect(events.map(e => [e.args.poolId, e.args.count])).to.deep.equal([[0n, 5n], [1n, 2n]]);
+	});
+
+	it('should send the event signature and indexed filters as topics in 7 day ranges', async function() {
+		const alias = `0x${'ab'.repeat(20)}`;
+		const serveLogPages = serveLogs([
+			lottoLog('EntryPurchased', [address(1234), 0, 5], '100.000000001'),
+			lottoLog('EntryPurchased', [address(999), 0, 5], '100.000000002'),
+			lottoLog('EntryPurchased', [address(1234), 1, 5], '100.000000003'),
+			lottoLog('EntryPurchased', [address(1234), 0, 7], '100.000000004'),
+			lottoLog('Rolled', [address(1234), 0, true, 42], '100.000000005'),
+			// the same account logged under its EVM alias, in the second range
+			lottoLog('EntryPurchased', [alias, 0, 2], '700000.000000001'),
+		]);
+		mirror.get = async (url) => {
+			if (url.endsWith('/api/v1/accounts/0.0.1234')) return { data: { evm_address: alias } };
+			if (url.endsWith(`/api/v1/accounts/${alias}`)) return { data: { account: '0.0.1234' } };
+			return serveLogPages(url);
+		};
+
+		const events = await listContractEvents('testnet', {
+			contract: '0.0.5001',
+			events: 'EntryPurchased',
+			// count is not indexed, so it is still matched here
+			filters: { user: '0.0.1234', poolId: 0, count: [2, 5] },
+			fromTimestamp: '100',
+			toTimestamp: '1000000',
+		});
+
+		const queries = mirror.requests.filter(url => url.includes('/results/logs')).map(url => new URL(url).searchParams);
+		expect(queries.map(query => query.getAll('timestamp'))).to.deep.equal([
+			['gte:100.000000000', 'lte:604899.999999999'],
+			['gte:604900.000000000', 'lte:1000000.000000000'],
+		]);
+		expect(queries[0].getAll('topic0')).to.deep.equal([lottoIface.getEvent('EntryPurchased').topicHash]);
+		expect(queries[0].getAll('topic1')).to.deep.equal([ethers.zeroPadValue(address(1234), 32), ethers.zeroPadValue(alias, 32)]);
+		expect(queries[0].getAll('topic2')).to.deep.equal([ethers.zeroPadValue('0x00', 32)]);
+		expect(queries[0].has('topic3')).to.equal(false);
+		expect(events.map(e => [e.timestamp, e.args.user, e.args.count])).to.deep.equal([
+			['100.000000001', '0.0.1234', 5n],
+			['700000.000000001', '0.0.1234', 2n],
+		]);
+	});
+
+	it('should stop paging once the caller stops iterating', async function() {
+		serve([
+			{ logs: [lottoLog('PoolPaused', [1], '1.1')], links: { next: '/next' } },
+			{ logs: [lottoLog('PoolPaused', [2], '1.2')], links: { next: null } },
+		]);
+
+		for await (const event of getContractEvents('testnet', { contract: '0.0.5001' })) {
+			expect(event.args.poolId).to.equal(1n);
+			break;
+		}
+		expect(mirror.requests).to.have.length(1);
+	});
+
+	it('should require a contract', async function() {
+		try {
+			await listContractEvents('testnet', {});
+			expect.fail('listContractEvents should have thrown');
+		}
+		catch (error) {
+			expect(error.message).to.match(/requires a contract/);
+		}
+	});
+});
@@ -0,0 +1,170 @@
+/**
+ * Deployment Manifest Tests
+ *
+ * Tests the manifest registry: building and writing manifests, the lookup
+ * order getAddresses follows, and LazyLottoClient taking its contract IDs
+ * from a manifest. Validates each against files in a temp directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { ContractId } = require('@hashgraph/sdk');
+const {
+	MANIFEST_VERSION,
+	normalizeNetwork,
+	hashAbi,
+	entityToEvmAddress,
+	buildManifest,
+	writeManifest,
+	loadManifest,
+	getAddresses,
+} = require('../utils/deploymentManifest');
+const { LazyLottoClient } = require('../utils/lazyLottoClient');
+const LazyLottoABI = require('../abi/LazyLotto.json');
+
+describe('Deployment Manifests', function() {
+	let dir;
+	let savedManifestEnv;
+
+	const deployment = {
+		network: 'TEST',
+		deployer: '0.0.1234',
+		contracts: {
+			lazyLotto: { id: ContractId.fromString('0.0.5001'), contractName: 'LazyLotto', abi: LazyLottoABI, deployTransactionId: '0.0.1234@1735689600.000000000' },
+			lazyLottoStorage: { id: '0.0.5002', contractName: 'LazyLottoStorage', reused: true },
+			lazyLottoPoolManager: { id: '0.0.5003', contractName: 'LazyLottoPoolManager' },
+			lazyTradeLotto: null,
+		},
+		tokens: {
+			lazyToken: { id: '0.0.4001', decimals: 1 },
+		},
+		config: { lazyDecimals: 1, poolManagerLinked: true },
+	};
+
+	beforeEach(function() {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-lotto-manifest-'));
+		savedManifestEnv = process.env.LAZY_LOTTO_MANIFEST;
+		delete process.env.LAZY_LOTTO_MANIFEST;
+	});
+
+	afterEach(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+		if (savedManifestEnv === undefined) {
+			delete process.env.LAZY_LOTTO_MANIFEST;
+		}
+		else {
+			process.env.LAZY_LOTTO_MANIFEST = savedManifestEnv;
+		}
+	});
+
+	describe('normalizeNetwork', function() {
+
+		it('should map environment names to network names', function() {
+			expect(normalizeNetwork('MAIN')).to.equal('mainnet');
+			expect(normalizeNetwork('test')).to.equal('testnet');
+			expect(normalizeNetwork('PREVIEW')).to.equal('previewnet');
+			expect(normalizeNetwork('LOCAL')).to.equal('local');
+			expect(normalizeNetwork('Solo-1')).to.equal('solo-1');
+		});
+
+		it('should reject names that are not safe file names', function() {
+			expect(() => normalizeNetwork('../mainnet')).to.throw(/Invalid network name/);
+			expect(() => normalizeNetwork('')).to.throw(/network name is required/);
+		});
+	});
+
+	describe('buildManifest', function() {
+
+		it('should record IDs, EVM addresses, ABI hashes and deploy transactions', function() {
+			const manifest = buildManifest(deployment);
+
+			expect(manifest.manifestVersion).to.equal(MANIFEST_VERSION);
+			expect(manifest.network).to.equal('testnet');
+			expect(manifest.contracts).to.have.all.keys('lazyLotto', 'lazyLottoStorage', 'lazyLottoPoolManager');
+
+			const lotto = manifest.contracts.lazyLotto;
+			expect(lotto.id).to.equal('0.0.5001');
+			expect(lotto.evmAddress.toLowerCase()).to.equal(`0x${ContractId.fromString('0.0.5001').toSolidityAddress()}`);
+			expect(lotto.abiHash).to.equal(hashAbi(LazyLottoABI));
+			expect(lotto.deployTransactionId).to.equal('0.0.1234@1735689600.000000000');
+			expect(lotto.reused).to.be.false;
+
+			expect(manifest.contracts.lazyLottoStorage.reused).to.be.true;
+			expect(manifest.contracts.lazyLottoStorage.abiHash).to.be.null;
+			expect(manifest.tokens.lazyToken).to.include({ id: '0.0.4001', decimals: 1 });
+			expect(manifest.config).to.deep.equal({ lazyDecimals: 1, poolManagerLinked: true });
+		});
+
+		it('should derive long-zero EVM addresses', function() {
+			expect(entityToEvmAddress('0.0.1').toLowerCase()).to.equal('0x0000000000000000000000000000000000000001');
+		});
+	});
+
+	describe('getAddresses', function() {
+
+		it('should load <network>.json from the given directory', function() {
+			const written = writeManifest(buildManifest(deployment), dir);
+			expect(path.basename(written)).to.equal('testnet.json');
+
+			const addresses = getAddresses('testnet', { dir });
+			expect(addresses.lazyLotto).to.equal('0.0.5001');
+			expect(addresses.lazyLottoStorage).to.equal('0.0.5002');
+			expect(addresses.lazyToken).to.equal('0.0.4001');
+			expect(addresses.lazyTradeLotto).to.be.null;
+		});
+
+		it('should resolve custom networks and fail without a manifest', function() {
+			writeManifest(buildManifest({ ...deployment, network: 'solo' }), dir);
+
+			expect(getAddresses('solo', { dir }).lazyLotto).to.equal('0.0.5001');
+			expect(() => getAddresses('other', { dir })).to.throw(/No deployment manifest found/);
+		});
+
+		it('should return nulls for public networks without a manifest', function() {
+			const addresses = getAddresses('previewnet', { dir });
+			expect(Object.values(addresses).every(value => value === null)).to.be.true;
+		});
+
+		it('should prefer LAZY_LOTTO_MANIFEST over directory lookups', function() {
+			const custom = path.join(dir, 'custom.json');
+			fs.writeFileSync(custom, JSON.stringify(buildManifest({ ...deployment, network: 'local' })));
+			process.env.LAZY_LOTTO_MANIFEST = custom;
+
+			expect(loadManifest('testnet', { dir }).network).to.equal('local');
+		});
+
+		it('should reject manifests filed under the wrong network or version', function() {
+			fs.writeFileSync(path.join(dir, 'mainnet.json'), JSON.stringify(buildManifest(deployment)));
+			expect(() => loadManifest('mainnet', { dir })).to.throw(/manifest is for testnet/);
+
+			fs.writeFileSync(path.join(dir, 'local.json'), JSON.stringify({ manifestVersion: 99, network: 'local', contracts: {} }));
+			expect(() => loadManifest('local', { dir })).to.throw(/unsupported manifestVersion/);
+		});
+	});
+
+	describe('LazyLottoClient', function() {
+
+		it('should take contract IDs from the manifest when contractId is omitted', function() {
+			writeManifest(buildManifest(deployment), dir);
+			process.env.LAZY_LOTTO_MANIFEST = path.join(dir, 'testnet.json');
+
+			const lotto = new LazyLottoClient({ env: 'TEST' });
+			expect(lotto.contractId.toString()).to.equal('0.0.5001');
+			expect(lotto.storageId.toString()).to.equal('0.0.5002');
+			expect(lotto.poolManagerId.toString()).to.equal('0.0.5003');
+		});
+
+		it('should not mix manifest IDs into an explicit contractId', function() {
+			writeManifest(buildManifest(deployment), dir);
+			process.env.LAZY_LOTTO_MANIFEST = path.join(dir, 'testnet.json');
+
+			const lotto = new LazyLottoClient({ env: 'TEST', contractId: '0.0.9999' });
+			expect(lotto.contractId.toString()).to.equal('0.0.9999');
+			expect(lotto.storageId).to.be.null;
+			expect(lotto.poolManagerId).to.be.null;
+		});
+	});
+});
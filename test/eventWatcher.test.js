@@ -0,0 +1,162 @@
+/**
+ * Event Watcher Tests
+ *
+ * Tests the live event watcher against canned mirror logs: only new events
+ * are emitted, in consensus order across contracts, with no repeats at the
+ * cursor timestamp. Validates that a checkpoint carries progress over a restart.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { ethers } = require('ethers');
+const { EventWatcher, watchEvents } = require('../utils/eventWatcher');
+const { useMirrorStub, mirrorLog, serveLogs } = require('./helpers/mirrorStub');
+const LazyLottoABI = require('../abi/LazyLotto.json');
+const LazyTradeLottoABI = require('../abi/LazyTradeLotto.json');
+
+const lottoIface = new ethers.Interface(LazyLottoABI);
+const tradeIface = new ethers.Interface(LazyTradeLottoABI);
+
+function address(num) {
+	return ethers.zeroPadValue(ethers.toBeHex(num), 20);
+}
+
+function log(iface, contractId, name, args, timestamp, index = 0) {
+	return mirrorLog(iface, name, args, { contract_id: contractId, timestamp, index });
+}
+
+describe('Event Watcher', function() {
+	const mirror = useMirrorStub();
+	let logs;
+	let tmpDir;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+		logs = {
+			'0.0.5001': [
+				log(lottoIface, '0.0.5001', 'EntryPurchased', [address(1234), 0, 2], '100.000000001', 0),
+				log(lottoIface, '0.0.5001', 'Rolled', [address(1234), 0, false, 9], '100.000000002', 0),
+				log(lottoIface, '0.0.5001', 'Rolled', [address(1234), 0, true, 1], '100.000000002', 1),
+			],
+			'0.0.5002': [
+				log(tradeIface, '0.0.5002', 'JackpotWin', [address(99), 10, 5, 1000], '100.000000001', 0),
+			],
+		};
+		mirror.get = (url) => serveLogs(logs)(url);
+	});
+
+	afterEach(function() {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it('should emit events in consensus order across contracts', async function() {
+		const watcher = new EventWatcher('testnet', { contracts: { '0.0.5001': null, '0.0.5002': ['JackpotWin'] }, fromTimestamp: null });
+		const jackpots = [];
+		watcher.on('JackpotWin', event => jackpots.push(event));
+
+		const events = await watcher.poll();
+
+		expect(events.map(e => `${e.contractId}:${e.name}`)).to.deep.equal([
+			'0.0.5001:EntryPurchased',
+			'0.0.5002:JackpotWin',
+			'0.0.5001:Rolled',
+			'0.0.5001:Rolled',
+		]);
+		expect(jackpots).to.have.length(1);
+		expect(jackpots[0].args._user).to.equal('0.0.99');
+	});
+
+	it('should not repeat events at the cursor timestamp', async function() {
+		const watcher = new EventWatcher('testnet', { contracts: { '0.0.5001': null }, fromTimestamp: null });
+		expect(await watcher.poll()).to.have.length(3);
+		expect(await watcher.poll()).to.have.length(0);
+
+		// a later log in the same transaction as the cursor is still new
+		logs['0.0.5001'].push(log(lottoIface, '0.0.5001', 'PoolCreated', [3], '100.000000002', 2));
+		const events = await watcher.poll();
+		expect(events.map(e => e.name)).to.deep.equal(['PoolCreated']);
+		expect(watcher.cursors['0.0.5001']).to.deep.equal({ lastTimestamp: '100.000000002', seen: [0, 1, 2] });
+	});
+
+	it('should resume from a checkpoint without repeating events', async function() {
+		const checkpoint = path.join(tmpDir, 'state', 'watch.json');
+		const options = { contracts: { '0.0.5001': ['Rolled'] }, fromTimestamp: null, checkpoint };
+
+		expect(await new EventWatcher('testnet', options).poll()).to.have.length(2);
+		expect(JSON.parse(fs.readFileSync(checkpoint, 'utf8'))).to.include({ version: 1, env: 'testnet' });
+
+		logs['0.0.5001'].push(log(lottoIface, '0.0.5001', 'Rolled', [address(1234), 0, false, 7], '100.000000003', 0));
+		const restarted = await new EventWatcher('testnet', options).poll();
+		expect(restarted.map(e => e.timestamp)).to.deep.equal(['100.000000003']);
+
+		expect(() => new EventWatcher('mainnet', options)).to.throw(/is for testnet/);
+	});
+
+	it('should move the cursor past logs that did not match and save it after every page', async function() {
+		const checkpoint = path.join(tmpDir, 'watch.json');
+		mirror.get = async (url) => {
+			if (url.endsWith('page=2')) throw new Error('mirror down');
+			return { data: { logs: logs['0.0.5001'].slice(0, 2), links: { next: '/api/v1/contracts/0.0.5001/results/logs?page=2' } } };
+		};
+		const watcher = new EventWatcher('testnet', { contracts: { '0.0.5001': ['EntryPurchased'] }, fromTimestamp: null, checkpoint });
+		const emitted = [];
+		watcher.on('event', event => emitted.push(event.name));
+
+		try {
+			await watcher.poll();
+			expect.fail('poll should have thrown');
+		}
+		catch (error) {
+			expect(error.message).to.equal('mirror down');
+		}
+
+		// the first page's Rolled log moved the cursor even though only EntryPurchased is watched
+		expect(emitted).to.deep.equal(['EntryPurchased']);
+		expect(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).contracts['0.0.5001']).to.deep.equal({ lastTimestamp: '100.000000002', seen: [] });
+	});
+
+	it('should ask the mirror node for the watched events only', async function() {
+		mirror.get = serveLogs(logs);
+		const watcher = new EventWatcher('testnet', { contracts: { '0.0.5001': ['Rolled'] }, fromTimestamp: new Date(Date.now() - 60_000) });
+		await watcher.poll();
+
+		const query = new URL(mirror.requests[0]).searchParams;
+		expect(query.getAll('topic0')).to.deep.equal([lottoIface.getEvent('Rolled').topicHash]);
+		expect(query.getAll('timestamp')).to.have.length(2);
+	});
+
+	it('should start from now by default', async function() {
+		const watcher = new EventWatcher('testnet', { contracts: { '0.0.5001': null } });
+		expect(await watcher.poll()).to.have.length(0);
+	});
+
+	it('should poll until stopped and report failures', async function() {
+		const seen = [];
+		const errors = [];
+		let calls = 0;
+		const serve = mirror.get;
+		mirror.get = async (url) => {
+			calls++;
+			if (calls === 1) throw new Error('mirror down');
+			return serve(url);
+		};
+
+		const watcher = watchEvents('testnet', {
+			contracts: { '0.0.5001': ['EntryPurchased'] },
+			fromTimestamp: null,
+			intervalMs: 5,
+			onEvent: event => seen.push(event),
+			onError: error => errors.push(error.message),
+		});
+		while (!seen.length) {
+			await new Promise(resolve => setTimeout(resolve, 5));
+		}
+		await watcher.stop();
+
+		expect(errors).to.deep.equal(['mirror down']);
+		expect(seen.map(e => e.name)).to.deep.equal(['EntryPurchased']);
+	});
+});
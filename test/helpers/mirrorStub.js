@@ -0,0 +1,116 @@
+/**
+ * Mirror Node Stub
+ *
+ * Shared fixture for tests that talk to the mirror node through axios:
+ * REST reads (axios.get) and contracts/call simulations (axios.post) go to
+ * handlers set per test, and the real methods are put back afterwards.
+ * mirrorLog builds contract logs in the shape /results/logs returns them and
+ * serveLogs answers log queries with the filters the mirror node applies.
+ *
+ * Usage:
+ *   const { useMirrorStub } = require('./helpers/mirrorStub');
+ *
+ *   describe('...', function() {
+ *     const mirror = useMirrorStub();
+ *
+ *     beforeEach(function() {
+ *       mirror.get = async (url) => ({ data: { ... } });
+ *     });
+ *
+ *     it('...', async function() {
+ *       // mirror.requests holds every GET url, mirror.calls every POST body
+ *     });
+ *   });
+ */
+
+const { beforeEach, afterEach } = require('mocha');
+const { default: axios } = require('axios');
+
+const TOPIC_RANGE_SECONDS = 7 * 86_400;
+
+/**
+ * Install the stub around every test of the calling describe block.
+ * Handlers and recorded requests are reset before each test; a request
+ * without a handler fails the test.
+ * @returns {{get: Function|null, post: Function|null, requests: string[], calls: Object[]}}
+ */
+function useMirrorStub() {
+	const mirror = { get: null, post: null, requests: [], calls: [] };
+	let original;
+
+	beforeEach(function() {
+		original = { get: axios.get, post: axios.post };
+		Object.assign(mirror, { get: null, post: null, requests: [], calls: [] });
+
+		axios.get = async (url, config) => {
+			mirror.requests.push(url);
+			if (!mirror.get) throw new Error(`Unexpected mirror request ${url}`);
+			return mirror.get(url, config);
+		};
+		axios.post = async (url, body, config) => {
+			mirror.calls.push(body);
+			if (!mirror.post) throw new Error(`Unexpected mirror call ${url}`);
+			return mirror.post(url, body, config);
+		};
+	});
+
+	afterEach(function() {
+		axios.get = original.get;
+		axios.post = original.post;
+	});
+
+	return mirror;
+}
+
+/**
+ * A contract log as the mirror node returns it
+ * @param {ethers.Interface} iface
+ * @param {string} name - event name
+ * @param {Array} args
+ * @param {Object} [fields] - contract_id, timestamp, transaction_hash, index, ...
+ * @returns {Object}
+ */
+function mirrorLog(iface, name, args, fields = {}) {
+	const { topics, data } = iface.encodeEventLog(name, args);
+	return {
+		contract_id: '0.0.5001',
+		topics,
+		data,
+		timestamp: '1.000000001',
+		block_number: 1,
+		transaction_hash: '0xabc',
+		transaction_index: 0,
+		index: 0,
+		...fields,
+	};
+}
+
+/**
+ * A mirror.get handler for /contracts/{id}/results/logs: filters by contract,
+ * timestamp=gte/lte and topic0-3 and sorts by the order parameter. Like the
+ * mirror node, it refuses topics without a timestamp range of at most 7 days.
+ * @param {Object[]|Object<string, Object[]>} logs - one list, or lists by contract ID
+ * @returns {function(string): Promise<Object>}
+ */
+function serveLogs(logs) {
+	return async (url) => {
+		const { pathname, searchParams } = new URL(url);
+		const contract = pathname.match(/\/contracts\/([^/]+)\/results\/logs$/)?.[1];
+		if (!contract) throw new Error(`Unexpected mirror request ${url}`);
+
+		const bound = op => searchParams.getAll('timestamp').find(q => q.startsWith(`${op}:`))?.slice(op.length + 1);
+		const [gte, lte] = [bound('gte'), bound('lte')];
+		const topics = [0, 1, 2, 3].map(n => searchParams.getAll(`topic${n}`));
+		if (topics.some(values => values.length) && !(gte && lte && Number(lte) - Number(gte) <= TOPIC_RANGE_SECONDS)) {
+			throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+		}
+
+		const page = (Array.isArray(logs) ? logs : logs[contract] ?? [])
+			.filter(log => (!gte || Number(log.timestamp) >= Number(gte)) && (!lte || Number(log.timestamp) <= Number(lte)))
+			.filter(log => topics.every((values, n) => !values.length || values.includes(log.topics[n])));
+		if (searchParams.get('order') === 'desc') page.reverse();
+		return { data: { logs: page, links: { next: null } } };
+	};
+}
+
+module.exports = { useMirrorStub, mirrorLog, serveLogs };
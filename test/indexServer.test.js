@@ -0,0 +1,127 @@
+/**
+ * Index Server Tests
+ *
+ * Tests the read-only JSON API over an in-memory indexer database: routing,
+ * response shapes, query validation and the HTTP wrapper.
+ * Validates that bad requests get a 4xx status with an error message.
+ */
+
+const { expect } = require('chai');
+const { describe, it, before, after } = require('mocha');
+const { IndexerStore } = require('../utils/lottoIndexer');
+const { handleRequest, createIndexServer } = require('../utils/indexServer');
+
+function decoded(name, args, timestamp, logIndex = 0) {
+	return { name, args, timestamp, logIndex, transactionHash: '0xabc', contractId: '0.0.5001' };
+}
+
+const hbar = (raw, formatted) => ({ raw, token: 'HBAR', symbol: 'HBAR', decimals: 8, formatted });
+
+describe('Index Server', function() {
+	let store;
+
+	before(function() {
+		store = new IndexerStore();
+		store.ensureCursor('lazyLotto', '0.0.5001');
+		store.setMeta('env', 'testnet');
+		store.applyEvents('lazyLotto', [
+			decoded('PoolCreated', { poolId: 0n }, '100.1'),
+			decoded('EntryPurchased', { user: '0.0.1234', poolId: 0n, count: 4n }, '100.2'),
+			decoded('EntryPurchased', { user: '0.0.999', poolId: 0n, count: 1n }, '100.3'),
+			decoded('Rolled', { user: '0.0.1234', poolId: 0n, won: true, rollBps: 1n }, '100.4'),
+			decoded('Rolled', { user: '0.0.999', poolId: 0n, won: false, rollBps: 9n }, '100.5'),
+		]);
+		store.savePoolSnapshot({
+			id: 0,
+			status: 'active',
+			paused: false,
+			closed: false,
+			ticketCID: 'ipfs://ticket',
+			winCID: 'ipfs://win',
+			winRateThousandthsOfBps: 100_000,
+			winRatePercent: 0.1,
+			entryFee: hbar('100000000', '1 HBAR'),
+			prizeCount: 1,
+			outstandingEntries: 3,
+			poolTokenId: '0.0.6001',
+		}, [{ index: 0, amount: hbar('500', '0.000005 HBAR'), nfts: [] }]);
+		store.savePendingPrizes('0.0.1234', [{ index: 0, poolId: 0, asNFT: false, prize: { amount: null, nfts: [{ tokenId: '0.0.7001', symbol: 'NFT', serials: [5] }] } }]);
+	});
+
+	after(function() {
+		store.close();
+	});
+
+	const get = (url) => handleRequest(store, 'GET', url);
+
+	it('should list and filter pools', function() {
+		const { status, body } = get('/pools?status=active');
+		expect(status).to.equal(200);
+		expect(body.total).to.equal(1);
+		expect(body.pools[0]).to.include({ id: 0, status: 'active', paused: false, createdAt: '100.1' });
+		expect(body.pools[0].entryFee.formatted).to.equal('1 HBAR');
+
+		expect(get('/pools?status=closed').body.total).to.equal(0);
+		expect(get('/pools?status=bogus').status).to.equal(400);
+	});
+
+	it('should return a pool with its prizes', function() {
+		const { body } = get('/pools/0');
+		expect(body.prizes).to.deep.equal([{ index: 0, amount: { raw: '500', token: 'HBAR', formatted: '0.000005 HBAR' }, nfts: [] }]);
+		expect(get('/pools/0/prizes').body.prizes).to.have.length(1);
+		expect(get('/pools/7').status).to.equal(404);
+		expect(get('/pools/abc').status).to.equal(400);
+	});
+
+	it('should return user entries and pending prizes', function() {
+		expect(get('/users/0.0.1234/entries').body.pools).to.deep.equal([{ poolId: 0, entries: 3, purchased: 4, rolled: 1, wins: 1 }]);
+
+		const { body } = get('/users/0.0.1234/pending-prizes');
+		expect(body.total).to.equal(1);
+		expect(body.pendingPrizes[0]).to.deep.equal({ index: 0, poolId: 0, asNFT: false, amount: null, nfts: [{ tokenId: '0.0.7001', symbol: 'NFT', serials: [5] }] });
+		expect(get('/users/0.0.5/pending-prizes').body.total).to.equal(0);
+	});
+
+	it('should accept accounts as EVM addresses', function() {
+		const longZero = '0x00000000000000000000000000000000000004D2';
+		expect(get(`/users/${longZero}/entries`).body).to.deep.include({ account: '0.0.1234' });
+		expect(get('/users/00000000000000000000000000000000000004d2/pending-prizes').body.total).to.equal(1);
+		expect(get('/users/0.0.01234/entries').body.pools).to.have.length(1);
+		expect(get(`/pools?owner=${longZero}`).body.total).to.equal(0);
+
+		// an alias the mirror node could not resolve is stored in lower case
+		expect(get('/users/0xABCDEF0000000000000000000000000000000001/entries').body.account).to.equal('0xabcdef0000000000000000000000000000000001');
+		expect(get('/users/alice/entries')).to.deep.equal({ status: 400, body: { error: 'Invalid account: alice. Use 0.0.x or an EVM address' } });
+	});
+
+	it('should rank the leaderboard and report stats', function() {
+		const { body } = get('/leaderboard?by=rolls&limit=1');
+		expect(body.leaders).to.deep.equal([{ rank: 1, account: '0.0.1234', wins: 1, rolls: 1, entries: 4 }]);
+		expect(get('/leaderboard?limit=0').status).to.equal(400);
+
+		const stats = get('/stats').body;
+		expect(stats).to.include({ env: 'testnet', players: 2, entriesPurchased: 5, rolls: 2, wins: 1, winRatePercent: 50 });
+		expect(stats.pools).to.include({ total: 1, active: 1 });
+		expect(stats.sync.lazyLotto).to.include({ contractId: '0.0.5001', lastTimestamp: '100.5' });
+	});
+
+	it('should reject unknown routes and methods', function() {
+		expect(get('/nope').status).to.equal(404);
+		expect(handleRequest(store, 'POST', '/pools').status).to.equal(405);
+	});
+
+	it('should serve JSON over HTTP', async function() {
+		const server = createIndexServer({ store });
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+		try {
+			const response = await fetch(`http://127.0.0.1:${server.address().port}/pools/0`);
+			expect(response.status).to.equal(200);
+			expect(response.headers.get('access-control-allow-origin')).to.equal('*');
+			expect((await response.json()).id).to.equal(0);
+		}
+		finally {
+			await new Promise(resolve => server.close(resolve));
+		}
+	});
+});
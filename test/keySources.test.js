@@ -0,0 +1,85 @@
+/**
+ * Key Source Tests
+ *
+ * Tests private key parsing and keystores: curve detection from DER, 0x and
+ * raw hex, and for raw hex from the account key on the (stubbed) mirror node.
+ * Validates the keystore round trip and wrong-password and tamper handling.
+ */
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { PrivateKey } = require('@hashgraph/sdk');
+const {
+	parsePrivateKey,
+	resolvePrivateKey,
+	encryptKeystore,
+	decryptKeystore,
+} = require('../utils/keySources');
+const { useMirrorStub } = require('./helpers/mirrorStub');
+
+describe('Key Sources', function() {
+	const ed25519 = PrivateKey.generateED25519();
+	const ecdsa = PrivateKey.generateECDSA();
+
+	describe('parsePrivateKey', function() {
+
+		it('should detect the curve from DER and 0x prefixes', function() {
+			expect(parsePrivateKey(ed25519.toStringDer()).type).to.equal('ED25519');
+			expect(parsePrivateKey(ecdsa.toStringDer()).type).to.equal('secp256k1');
+			expect(parsePrivateKey(`0x${ecdsa.toStringRaw()}`).toStringRaw()).to.equal(ecdsa.toStringRaw());
+			expect(parsePrivateKey(`0x${ecdsa.toStringRaw()}`).type).to.equal('secp256k1');
+		});
+
+		it('should read raw hex as ED25519 unless a type is given', function() {
+			expect(parsePrivateKey(ed25519.toStringRaw()).toStringDer()).to.equal(ed25519.toStringDer());
+			expect(parsePrivateKey(ecdsa.toStringRaw(), 'ecdsa').toStringDer()).to.equal(ecdsa.toStringDer());
+			expect(() => parsePrivateKey(ecdsa.toStringDer(), 'ED25519')).to.throw(/DER-encoded ECDSA, not ED25519/);
+			expect(() => parsePrivateKey('not-a-key')).to.throw(/Unrecognised private key format/);
+		});
+	});
+
+	describe('resolvePrivateKey', function() {
+		const mirror = useMirrorStub();
+
+		it('should pick the curve the account key uses on the mirror node', async function() {
+			mirror.get = async () => ({ data: { key: { _type: 'ECDSA_SECP256K1', key: ecdsa.publicKey.toStringRaw() } } });
+
+			const key = await resolvePrivateKey(ecdsa.toStringRaw(), { env: 'testnet', accountId: '0.0.1234' });
+
+			expect(mirror.requests[0]).to.include('/api/v1/accounts/0.0.1234');
+			expect(key.toStringDer()).to.equal(ecdsa.toStringDer());
+		});
+
+		it('should fall back to ED25519 when the account key does not match', async function() {
+			mirror.get = async () => ({ data: { key: { _type: 'ProtobufEncoded', key: 'abcd' } } });
+
+			const key = await resolvePrivateKey(ed25519.toStringRaw(), { env: 'testnet', accountId: '0.0.1234' });
+			expect(key.toStringDer()).to.equal(ed25519.toStringDer());
+		});
+	});
+
+	describe('keystores', function() {
+		// low iteration count keeps the tests fast; the default is 100k
+		const options = { iterations: 1000 };
+
+		it('should round-trip ED25519 and ECDSA keys', function() {
+			for (const key of [ed25519, ecdsa]) {
+				const keystore = encryptKeystore(key, 'correct horse', options);
+
+				expect(keystore.publicKey).to.equal(key.publicKey.toStringDer());
+				expect(JSON.stringify(keystore)).to.not.include(key.toStringRaw());
+				expect(decryptKeystore(keystore, 'correct horse').toStringDer()).to.equal(key.toStringDer());
+			}
+		});
+
+		it('should reject a wrong password or a modified file', function() {
+			const keystore = encryptKeystore(ed25519, 'correct horse', options);
+			expect(() => decryptKeystore(keystore, 'battery staple')).to.throw(/Wrong keystore password/);
+
+			const flipped = keystore.ciphertext[0] === '0' ? '1' : '0';
+			const tampered = { ...keystore, ciphertext: `${flipped}${keystore.ciphertext.slice(1)}` };
+			expect(() => decryptKeystore(tampered, 'correct horse')).to.throw(/Wrong keystore password/);
+			expect(() => decryptKeystore({ ...keystore, version: 2 }, 'correct horse')).to.throw(/Unsupported keystore format/);
+		});
+	});
+});
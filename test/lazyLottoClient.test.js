@@ -0,0 +1,240 @@
+/**
+ * LazyLottoClient Tests
+ *
+ * Tests the SDK client the CLI is built on without a network: construction,
+ * formatting helpers, pool NFT discovery and dry-run simulation.
+ * Validates that writes are refused or simulated when they should be.
+ */
+
+const { expect } = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const { ethers } = require('ethers');
+const { useMirrorStub } = require('./helpers/mirrorStub');
+const {
+	LazyLottoClient,
+	formatAmount,
+	winRateToPercent,
+	describePrize,
+} = require('../utils/lazyLottoClient');
+
+describe('LazyLottoClient', function() {
+
+	describe('Construction', function() {
+
+		it('should require an environment', function() {
+			expect(() => new LazyLottoClient({ contractId: '0.0.1234' })).to.throw(/env/);
+		});
+
+		it('should require a LazyLotto contract ID', function() {
+			expect(() => new LazyLottoClient({ env: 'testnet' })).to.throw(/contractId/);
+		});
+
+		it('should accept string IDs', function() {
+			const lotto = new LazyLottoClient({
+				env: 'testnet',
+				contractId: '0.0.1234',
+				storageId: '0.0.1235',
+				operatorId: '0.0.99',
+			});
+
+			expect(lotto.contractId.toString()).to.equal('0.0.1234');
+			expect(lotto.storageId.toString()).to.equal('0.0.1235');
+			expect(lotto.operatorId.toString()).to.equal('0.0.99');
+			expect(lotto.poolManagerId).to.be.null;
+		});
+
+		it('should refuse transactions without a client', async function() {
+			const lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.1234' });
+
+			try {
+				await lotto.buyEntry(0, 1);
+				expect.fail('buyEntry should have thrown');
+			}
+			catch (error) {
+				expect(error.message).to.match(/client and operatorId/);
+			}
+		});
+	});
+
+	describe('Formatting helpers', function() {
+
+		it('should format HBAR amounts from tinybars', function() {
+			expect(formatAmount(500_000_000n, 8, 'HBAR')).to.equal('5 ℏ');
+		});
+
+		it('should format fungible token amounts with decimals', function() {
+			expect(formatAmount('1250', 2, 'LAZY')).to.equal('12.5 LAZY');
+			expect(formatAmount(100, 1, 'LAZY')).to.equal('10 LAZY');
+		});
+
+		it('should convert win rate thousandths of bps to percent', function() {
+			expect(winRateToPercent(1_000_000)).to.equal(1);
+			expect(winRateToPercent(50_000_000)).to.equal(50);
+		});
+
+		it('should describe prizes with amounts and NFTs', function() {
+			const prize = {
+				amount: { formatted: '10 ℏ' },
+				nfts: [{ tokenId: '0.0.5', serials: [1, 2] }],
+			};
+
+			expect(describePrize(prize)).to.equal('10 ℏ + 2 NFT(s)');
+			expect(describePrize({ amount: null, nfts: [] })).to.equal('Empty');
+		});
+	});
+
+	describe('Pool NFTs', function() {
+		const mirror = useMirrorStub();
+		let lotto;
+
+		beforeEach(function() {
+			mirror.get = async (url) => {
+				const serials = url.includes('/tokens/0.0.7001/') ? [1, 2, 3] : [];
+				return { data: { nfts: serials.map(serial_number => ({ serial_number })), links: { next: null } } };
+			};
+
+			lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.1234', operatorId: '0.0.99' });
+			lotto.listPools = async () => [
+				{ id: 0, poolTokenId: '0.0.7001' },
+				{ id: 1, poolTokenId: '0.0.7002' },
+			];
+			// serial 2 of pool 0's token was minted from a pending prize
+			lotto._callLotto = async (fcnName, [tokenAddress, serial]) => {
+				expect(fcnName).to.equal('getPendingPrizesByNFT');
+				expect(tokenAddress).to.match(/^0x0{36}1b59$/);
+				const asNFT = serial === 2;
+				return [{ poolId: 0n, asNFT, prize: { token: ethers.ZeroAddress, amount: asNFT ? 500_000_000n : 0n, nftTokens: [], nftSerials: [] } }];
+			};
+		});
+
+		it('should split held serials into tickets and prize NFTs', async function() {
+			const { tickets, prizes } = await lotto.getPoolNFTs();
+
+			expect(tickets).to.deep.equal([{ poolId: 0, tokenId: '0.0.7001', serials: [1, 3] }]);
+			expect(prizes).to.have.length(1);
+			expect(prizes[0]).to.include({ tokenId: '0.0.7001', serial: 2, poolId: 0 });
+			expect(prizes[0].prize.amount.formatted).to.equal('5 ℏ');
+		});
+
+		it('should refuse to redeem prizes from different pools together', async function() {
+			lotto.signer = { accountId: '0.0.99' };
+			lotto.getPendingPrizes = async () => [
+				{ index: 0, poolId: 0, asNFT: false, prize: { amount: null, nfts: [] } },
+				{ index: 1, poolId: 2, asNFT: false, prize: { amount: null, nfts: [] } },
+			];
+
+			try {
+				await lotto.redeemPrizeToNFT([0, 1]);
+				expect.fail('redeemPrizeToNFT should have thrown');
+			}
+			catch (error) {
+				expect(error.message).to.match(/different pools \(0, 2\)/);
+			}
+		});
+	});
+
+	describe('Allowances', function() {
+		const mirror = useMirrorStub();
+
+		it('should wait for the mirror node to see a new allowance before going on', async function() {
+			this.timeout(10000);
+			const submitted = [];
+			const signer = {
+				accountId: '0.0.99',
+				execute: async (transaction) => {
+					submitted.push(transaction);
+					return { success: true, transactionId: '0.0.99@1700000000.000000001' };
+				},
+			};
+			const lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.1234', signer });
+
+			// the first poll after the approval still shows the old state
+			mirror.get = async (url) => {
+				expect(url).to.include('/api/v1/accounts/0.0.99/allowances/tokens');
+				const synced = mirror.requests.length > 2;
+				return { data: { allowances: synced ? [{ spender: '0.0.1235', amount: 500 }] : [] } };
+			};
+
+			expect(await lotto.ensureFungibleAllowance('0.0.4000', '0.0.1235', 500n)).to.equal(true);
+			expect(submitted).to.have.length(1);
+			expect(mirror.requests).to.have.length(3);
+
+			// already visible: nothing submitted, nothing to wait for
+			expect(await lotto.ensureFungibleAllowance('0.0.4000', '0.0.1235', 500n)).to.equal(false);
+			expect(submitted).to.have.length(1);
+		});
+	});
+
+	describe('Dry run', function() {
+		const mirror = useMirrorStub();
+		let lotto;
+
+		beforeEach(function() {
+			// no signer: a dry run only needs the account to simulate from
+			lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.1234', operatorId: '0.0.99', dryRun: true });
+			lotto.getPool = async () => ({
+				closed: false,
+				paused: false,
+				entryFee: { token: 'HBAR', raw: '100000000', decimals: 8, symbol: 'HBAR', formatted: '1 ℏ' },
+			});
+		});
+
+		it('should simulate a purchase with the real value instead of submitting it', async function() {
+			mirror.post = async (url, body) => {
+				expect(url).to.match(/\/api\/v1\/contracts\/call$/);
+				return { data: { result: body.estimate ? '0x186a0' : '0x' } };
+			};
+
+			const purchase = await lotto.buyEntry(0, 5);
+
+			expect(purchase.transactionId).to.be.null;
+			expect(mirror.calls.map(c => [c.estimate, c.value])).to.deep.equal([[false, 500_000_000], [true, 500_000_000]]);
+			expect(mirror.calls[0].from).to.equal(lotto.operatorId.toSolidityAddress());
+			expect(purchase.simulation).to.include({ fcnName: 'buyEntry', success: true, error: null });
+			expect(purchase.simulation.gas).to.deep.equal({ estimated: 100_000, limit: 180_000 });
+			expect(purchase.simulation.value.formatted).to.equal('5 ℏ');
+		});
+
+		it('should decode the custom error of a call that would revert', async function() {
+			const revertData = lotto.lazyLottoIface.encodeErrorResult('NotEnoughHbar', [500_000_000n, 0n]);
+			mirror.post = async () => {
+				const error = new Error('Request failed with status code 400');
+				error.response = { status: 400, data: { _status: { messages: [{ message: 'CONTRACT_REVERT_EXECUTED', data: revertData }] } } };
+				throw error;
+			};
+
+			const purchase = await lotto.buyEntry(0, 5);
+
+			expect(mirror.calls).to.have.length(1);
+			expect(purchase.simulation.success).to.be.false;
+			expect(purchase.simulation.gas).to.be.null;
+			expect(purchase.simulation.error).to.equal('❌ NotEnoughHbar(_needed: 500000000, _presented: 0)');
+		});
+
+		it('should send bonus settings to the pool manager and the rest to LazyLotto', async function() {
+			mirror.post = async (url, body) => ({ data: { result: body.estimate ? '0x186a0' : '0x' } });
+			const admin = new LazyLottoClient({ env: 'testnet', contractId: '0.0.1234', poolManagerId: '0.0.1300', operatorId: '0.0.99', dryRun: true });
+
+			const bonus = await admin.setTimeBonus(1_700_000_000, 1_700_086_400, 500);
+			const pause = await admin.pausePool(2);
+
+			const manager = admin.poolManagerId.toSolidityAddress();
+			const lottoAddress = admin.contractId.toSolidityAddress();
+			expect(mirror.calls.map(c => c.to)).to.deep.equal([manager, manager, lottoAddress, lottoAddress]);
+			expect(admin.poolManagerIface.decodeFunctionData('setTimeBonus', mirror.calls[0].data).map(Number)).to.deep.equal([1_700_000_000, 1_700_086_400, 500]);
+			expect(bonus).to.deep.include({ transactionId: null });
+			expect(bonus.simulation).to.include({ fcnName: 'setTimeBonus', success: true });
+			expect(pause.simulation.fcnName).to.equal('pausePool');
+
+			let error;
+			try {
+				await admin.setBurnPercentage(101);
+			}
+			catch (e) {
+				error = e;
+			}
+			expect(error?.message).to.match(/integer from 0 to 100/);
+			expect(mirror.calls).to.have.length(4);
+		});
+	});
+});
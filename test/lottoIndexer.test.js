@@ -0,0 +1,200 @@
+/**
+ * Indexer Tests
+ *
+ * Tests the SQLite event indexer on an in-memory database: applying decoded
+ * events, cursors, pool snapshots and incremental sync from mirror logs.
+ * Validates that a failed pool refresh is retried on the next sync.
+ */
+
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { ethers } = require('ethers');
+const { ContractId } = require('@hashgraph/sdk');
+const { IndexerStore, LottoIndexer } = require('../utils/lottoIndexer');
+const { useMirrorStub, mirrorLog, serveLogs } = require('./helpers/mirrorStub');
+const LazyLottoABI = require('../abi/LazyLotto.json');
+const LazyLottoPoolManagerABI = require('../abi/LazyLottoPoolManager.json');
+
+const lottoIface = new ethers.Interface(LazyLottoABI);
+const poolManagerIface = new ethers.Interface(LazyLottoPoolManagerABI);
+
+function address(num) {
+	return ethers.zeroPadValue(ethers.toBeHex(num), 20);
+}
+
+function decoded(name, args, timestamp, logIndex = 0) {
+	return { name, args, timestamp, logIndex, transactionHash: `0x${timestamp.replace('.', '')}`, contractId: '0.0.5001' };
+}
+
+const poolInfo = (id, status = 'active') => ({
+	id,
+	status,
+	paused: status === 'paused',
+	closed: status === 'closed',
+	ticketCID: 'ipfs://ticket',
+	winCID: 'ipfs://win',
+	winRateThousandthsOfBps: 100_000,
+	winRatePercent: 0.1,
+	entryFee: { raw: '100000000', token: 'HBAR', symbol: 'HBAR', decimals: 8, formatted: '1 HBAR' },
+	prizeCount: 1,
+	outstandingEntries: 5,
+	poolTokenId: '0.0.6001',
+});
+
+const prizes = [{ index: 0, amount: { raw: '500', token: 'HBAR', symbol: 'HBAR', decimals: 8, formatted: '0.000005 HBAR' }, nfts: [] }];
+
+describe('Indexer', function() {
+
+	describe('IndexerStore', function() {
+		let store;
+
+		beforeEach(function() {
+			store = new IndexerStore();
+			store.ensureCursor('lazyLotto', '0.0.5001');
+		});
+
+		afterEach(function() {
+			store.close();
+		});
+
+		it('should record activity, advance the cursor and queue touched pools', function() {
+			const prize = { token: null, amount: 500n, nftTokens: ['0.0.7001'], nftSerials: [[1n]] };
+			const touched = store.applyEvents('lazyLotto', [
+				decoded('EntryPurchased', { user: '0.0.1234', poolId: 0n, count: 5n }, '100.1'),
+				decoded('Rolled', { user: '0.0.1234', poolId: 0n, won: true, rollBps: 42n }, '100.2'),
+				decoded('PrizeClaimed', { user: '0.0.1234', prize }, '100.3'),
+				{ ...decoded('TicketEvent', { poolId: 1n, tokenId: '0.0.6001', user: '0.0.1234', serialNumber: [7n], mint: true }, '100.4'), ticketKind: 'prize_to_nft' },
+			]);
+
+			expect([...touched]).to.have.members([0, 1]);
+			expect(store.getDirtyPools()).to.deep.equal([0, 1]);
+			expect(store.getCursor('lazyLotto').lastTimestamp).to.equal('100.4');
+
+			expect(store.listEvents('entries', { user: '0.0.1234' })[0]).to.include({ pool_id: 0, count: 5 });
+			expect(store.listEvents('rolls', { won: true })).to.have.length(1);
+			expect(store.listEvents('claims')[0].nfts).to.deep.equal([{ tokenId: '0.0.7001', serials: [1] }]);
+			expect(store.listEvents('tickets', { kind: 'prize_to_nft' })[0].serials).to.deep.equal([7]);
+		});
+
+		it('should ignore events it has already applied', function() {
+			const events = [decoded('EntryPurchased', { user: '0.0.1', poolId: 0n, count: 1n }, '100.1')];
+			store.applyEvents('lazyLotto', events);
+			store.applyEvents('lazyLotto', events);
+
+			expect(store.listEvents('entries')).to.have.length(1);
+		});
+
+		it('should track pool status and owners from events', function() {
+			store.applyEvents('lazyLotto', [
+				decoded('PoolCreated', { poolId: 2n }, '100.1'),
+				decoded('PoolPaused', { poolId: 2n }, '100.2'),
+			]);
+			store.applyEvent({ ...decoded('PoolCreated', { poolId: 2n, creator: '0.0.42', isGlobalAdmin: false }, '100.1'), contractId: '0.0.5003' });
+
+			expect(store.getPool(2)).to.include({ status: 'paused', paused: 1, owner: '0.0.42', created_at: '100.1' });
+			expect(store.listPools({ owner: '0.0.42' })).to.have.length(1);
+			expect(store.listEvents('pool_events', { poolId: 2 })).to.have.length(3);
+		});
+
+		it('should replace prizes and clear the dirty flag on a snapshot', function() {
+			store.applyEvents('lazyLotto', [decoded('PoolCreated', { poolId: 0n }, '100.1')]);
+			store.savePoolSnapshot(poolInfo(0), prizes);
+
+			expect(store.getDirtyPools()).to.deep.equal([]);
+			expect(store.getPool(0)).to.include({ status: 'active', entry_fee_formatted: '1 HBAR', created_at: '100.1' });
+			expect(store.listPrizes(0)).to.deep.equal([{ pool_id: 0, prize_index: 0, token: 'HBAR', amount_raw: '500', amount_formatted: '0.000005 HBAR', nfts: [] }]);
+		});
+
+		it('should derive held entries from purchases, rolls and ticket conversions', function() {
+			const ticket = (serials, mint, ticketKind, timestamp) => ({
+				...decoded('TicketEvent', { poolId: 0n, tokenId: '0.0.6001', user: '0.0.1234', serialNumber: serials, mint }, timestamp),
+				ticketKind,
+			});
+			store.applyEvents('lazyLotto', [
+				decoded('EntryPurchased', { user: '0.0.1234', poolId: 0n, count: 10n }, '100.1'),
+				decoded('Rolled', { user: '0.0.1234', poolId: 0n, won: false, rollBps: 9n }, '100.2', 0),
+				decoded('Rolled', { user: '0.0.1234', poolId: 0n, won: true, rollBps: 1n }, '100.2', 1),
+				ticket([1n, 2n, 3n], true, 'entries_to_nft', '100.3'),
+				ticket([2n], false, 'nft_to_entries', '100.4'),
+				decoded('EntryPurchased', { user: '0.0.999', poolId: 0n, count: 1n }, '100.5'),
+			]);
+
+			expect(store.getUserEntries('0.0.1234')).to.deep.equal([{ pool_id: 0, entries: 6, purchased: 10, rolled: 2, wins: 1 }]);
+			expect(store.getDirtyUsers()).to.deep.equal(['0.0.1234']);
+			expect(store.getLeaderboard({ by: 'entries' }).map(row => row.user)).to.deep.equal(['0.0.1234', '0.0.999']);
+			expect(store.getStats()).to.include({ entries: 11, players: 2, rolls: 2, wins: 1 });
+		});
+
+		it('should replace pending prizes and clear the dirty flag', function() {
+			store.applyEvents('lazyLotto', [decoded('Rolled', { user: '0.0.1234', poolId: 0n, won: true, rollBps: 1n }, '100.1')]);
+			store.savePendingPrizes('0.0.1234', [{ index: 0, poolId: 0, asNFT: false, prize: prizes[0] }]);
+
+			expect(store.getDirtyUsers()).to.deep.equal([]);
+			expect(store.listPendingPrizes('0.0.1234')).to.have.length(1);
+			expect(store.listPendingPrizes('0.0.1234')[0]).to.include({ pool_id: 0, amount_formatted: '0.000005 HBAR' });
+		});
+
+		it('should refuse to mix deployments in one database', function() {
+			expect(() => store.ensureCursor('lazyLotto', '0.0.9999')).to.throw(/separate database/);
+		});
+	});
+
+	describe('LottoIndexer', function() {
+		const mirror = useMirrorStub();
+
+		const client = {
+			contractId: ContractId.fromString('0.0.5001'),
+			lazyLottoIface: lottoIface,
+			getPoolManagerId: async () => ContractId.fromString('0.0.5003'),
+			getPool: async (poolId) => poolInfo(poolId),
+			getPoolPrizes: async () => prizes,
+			getPendingPrizes: async () => [],
+		};
+
+		beforeEach(function() {
+			mirror.get = serveLogs({
+				'0.0.5001': [
+					mirrorLog(lottoIface, 'PoolCreated', [0], { contract_id: '0.0.5001', timestamp: '100.000000001' }),
+					mirrorLog(lottoIface, 'EntryPurchased', [address(1234), 0, 3], { contract_id: '0.0.5001', timestamp: '100.000000002' }),
+				],
+				'0.0.5003': [
+					mirrorLog(poolManagerIface, 'PoolCreated', [0, address(1234), false], { contract_id: '0.0.5003', timestamp: '100.000000001' }),
+				],
+			});
+		});
+
+		it('should sync events, refresh touched pools and resume after the cursor', async function() {
+			const indexer = new LottoIndexer({ env: 'testnet', client, store: new IndexerStore() });
+
+			const first = await indexer.syncOnce();
+			expect(first).to.deep.equal({ events: 3, poolsRefreshed: 1, usersRefreshed: 0 });
+			expect(indexer.store.getPool(0)).to.include({ status: 'active', owner: '0.0.1234' });
+			expect(indexer.store.listPrizes(0)).to.have.length(1);
+
+			const second = await indexer.syncOnce();
+			expect(second).to.deep.equal({ events: 0, poolsRefreshed: 0, usersRefreshed: 0 });
+			expect(mirror.requests.at(-2)).to.include('timestamp=gte:100.000000002');
+
+			indexer.close();
+		});
+
+		it('should keep pools dirty when a refresh fails', async function() {
+			const failing = { ...client, getPool: async () => { throw new Error('mirror down'); } };
+			const indexer = new LottoIndexer({ env: 'testnet', client: failing, store: new IndexerStore() });
+
+			try {
+				await indexer.syncOnce();
+				expect.fail('syncOnce should have thrown');
+			}
+			catch (error) {
+				expect(error.message).to.equal('mirror down');
+			}
+			expect(indexer.store.getDirtyPools()).to.deep.equal([0]);
+
+			indexer.client = client;
+			expect(await indexer.syncOnce()).to.deep.equal({ events: 0, poolsRefreshed: 1, usersRefreshed: 0 });
+
+			indexer.close();
+		});
+	});
+});
@@ -0,0 +1,193 @@
+/**
+ * Notifier Tests
+ *
+ * Tests webhook notifications against a local HTTP stand-in that records
+ * requests and can fail on demand: templating, per-event thresholds and the
+ * Discord, Slack and JSON payloads. Validates retries and the dead-letter file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { expect } = require('chai');
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha');
+const { Notifier, renderTemplate } = require('../utils/notifiers');
+
+function jackpot(amount) {
+	return {
+		name: 'JackpotWin',
+		args: { _user: '0.0.1234', _jackpotThreshold: 10n, _jackpotRoll: 5n, _jackpotAmt: amount },
+		timestamp: '1735689600.000000001',
+		transactionHash: '0xabc',
+		contractId: '0.0.5002',
+	};
+}
+
+function claim(amount, token = null, nftTokens = [], nftSerials = []) {
+	return {
+		name: 'PrizeClaimed',
+		args: { user: '0.0.1234', prize: { token, amount, nftTokens, nftSerials } },
+		timestamp: '1735689600.000000002',
+		transactionHash: '0xdef',
+		contractId: '0.0.5001',
+	};
+}
+
+describe('Notifiers', function() {
+	let server;
+	let url;
+	let received;
+	let failNext;
+	let tmpDir;
+
+	before(async function() {
+		server = http.createServer((req, res) => {
+			let body = '';
+			req.on('data', chunk => body += chunk);
+			req.on('end', () => {
+				received.push({ path: req.url, body: JSON.parse(body) });
+				if (failNext > 0) {
+					failNext--;
+					res.writeHead(503);
+					res.end();
+					return;
+				}
+				res.writeHead(req.url === '/reject' ? 400 : 204);
+				res.end();
+			});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		url = `http://127.0.0.1:${server.address().port}`;
+	});
+
+	after(async function() {
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	beforeEach(function() {
+		received = [];
+		failNext = 0;
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+	});
+
+	afterEach(function() {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	const base = () => ({
+		env: 'testnet',
+		lazyToken: '0.0.8001',
+		tokens: { '0.0.8001': { symbol: 'LAZY', decimals: 1 } },
+		retry: { attempts: 3, backoffMs: 1 },
+	});
+
+	it('should render templates and leave unknown fields alone', function() {
+		expect(renderTemplate('{user} won {formatted} in {pool} {missing}', { user: '0.0.1', formatted: '5 LAZY', pool: null }))
+			.to.equal('0.0.1 won 5 LAZY in {pool} {missing}');
+	});
+
+	it('should post Discord, Slack and JSON payloads for matching events', async function() {
+		const notifier = new Notifier({
+			...base(),
+			targets: [
+				{ name: 'discord', format: 'discord', url: `${url}/discord` },
+				{ name: 'slack', format: 'slack', url: `${url}/slack` },
+				{ name: 'hook', format: 'json', url: `${url}/hook` },
+			],
+		});
+
+		const results = await notifier.handle(jackpot(12345n));
+
+		expect(results.every(r => r.delivered)).to.equal(true);
+		const byPath = Object.fromEntries(received.map(r => [r.path, r.body]));
+		expect(byPath['/discord'].embeds[0]).to.include({ title: 'Jackpot!', description: '0.0.1234 won the LazyTradeLotto jackpot of 1234.5 LAZY' });
+		expect(byPath['/discord'].embeds[0].fields[0]).to.deep.equal({ name: 'Amount', value: '1234.5 LAZY', inline: true });
+		expect(byPath['/slack'].text).to.equal('0.0.1234 won the LazyTradeLotto jackpot of 1234.5 LAZY');
+		expect(byPath['/slack'].blocks[0]).to.deep.equal({ type: 'header', text: { type: 'plain_text', text: 'Jackpot!' } });
+		expect(byPath['/hook']).to.include({ event: 'JackpotWin', user: '0.0.1234', amount: '1234.5', symbol: 'LAZY', rawAmount: '12345' });
+	});
+
+	it('should apply per-event thresholds, token filters and target lists', async function() {
+		const notifier = new Notifier({
+			...base(),
+			targets: [
+				{ name: 'big', format: 'json', url: `${url}/big` },
+				{ name: 'all', format: 'json', url: `${url}/all` },
+			],
+			rules: [
+				{ event: 'PrizeClaimed', minAmount: 100, token: 'HBAR', template: '{user} claimed {prize}', targets: ['big'] },
+				{ event: 'JackpotWin', minAmount: '50.5' },
+			],
+		});
+
+		await notifier.handle(claim(99n * 10n ** 8n));
+		await notifier.handle(claim(150n * 10n ** 8n, null, ['0.0.7001'], [[1n, 2n]]));
+		await notifier.handle(claim(500n, '0.0.8001'));
+		await notifier.handle(jackpot(504n));
+		await notifier.handle(jackpot(505n));
+
+		expect(received.map(r => r.path)).to.deep.equal(['/big', '/big', '/all']);
+		expect(received[0].body.message).to.equal('0.0.1234 claimed 150 ℏ and 2 NFTs (0.0.7001)');
+		expect(received[1].body.rawAmount).to.equal('505');
+	});
+
+	it('should retry server errors and dead-letter what never gets through', async function() {
+		const deadLetterFile = path.join(tmpDir, 'dead', 'letters.jsonl');
+		const notifier = new Notifier({
+			...base(),
+			targets: [
+				{ name: 'flaky', format: 'json', url: `${url}/flaky` },
+				{ name: 'rejecting', format: 'json', url: `${url}/reject` },
+			],
+			deadLetterFile,
+		});
+
+		failNext = 2;
+		const results = await notifier.handle(jackpot(10n));
+
+		expect(results).to.deep.equal([
+			{ target: 'flaky', delivered: true },
+			{ target: 'rejecting', delivered: false, error: 'HTTP 400' },
+		]);
+		// 2 failures + success, then a single non-retryable 400
+		expect(received.map(r => r.path)).to.deep.equal(['/flaky', '/flaky', '/flaky', '/reject']);
+
+		const [letter] = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+		expect(letter).to.include({ target: 'rejecting', format: 'json', error: 'HTTP 400' });
+		expect(letter.event).to.deep.equal({ name: 'JackpotWin', transactionHash: '0xabc', timestamp: '1735689600.000000001' });
+		expect(JSON.stringify(letter)).to.not.include(url);
+
+		// replaying keeps entries that still fail
+		expect(await notifier.retryDeadLetters()).to.deep.equal({ delivered: 0, failed: 1 });
+		expect(fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n')).to.have.length(1);
+	});
+
+	it('should follow an attached watcher', async function() {
+		const watcher = new EventEmitter();
+		const notifier = new Notifier({ ...base(), targets: [{ name: 'hook', format: 'json', url: `${url}/hook` }] });
+		const detach = notifier.attach(watcher);
+
+		watcher.emit('event', claim(10n ** 8n));
+		watcher.emit('event', { ...claim(1n), name: 'Rolled', args: { user: '0.0.1', poolId: 0n, won: true, rollBps: 1n } });
+		await notifier.flush();
+		detach();
+		watcher.emit('event', claim(10n ** 8n));
+		await notifier.flush();
+
+		expect(received).to.have.length(1);
+		expect(received[0].body.message).to.equal('0.0.1234 claimed 1 ℏ');
+	});
+
+	it('should validate its configuration', function() {
+		expect(() => new Notifier({ env: 'testnet', targets: [] })).to.throw(/at least one target/);
+		expect(() => new Notifier({ env: 'testnet', targets: [{ name: 'x', format: 'teams', url }] })).to.throw(/Unknown notification format/);
+		expect(() => new Notifier({ env: 'testnet', targets: [{ name: 'x', format: 'json', urlEnv: 'NO_SUCH_WEBHOOK_VAR' }] })).to.throw(/needs a name and a url/);
+		expect(() => new Notifier({
+			env: 'testnet',
+			targets: [{ name: 'x', format: 'json', url }],
+			rules: [{ event: 'JackpotWin', targets: ['y'] }],
+		})).to.throw(/unknown target y/);
+	});
+});
@@ -0,0 +1,95 @@
+/**
+ * Pool Odds Tests
+ *
+ * Tests the odds calculator behind `lazy-lotto odds`: win probability with
+ * boost and cap, the prize distribution and expected value in the fee token
+ * and in HBAR from supplied prices.
+ * Validates the figures over N entries when wins can outnumber the prizes left.
+ */
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { calculatePoolOdds, getPoolOdds, expectedPrizes, MAX_WIN_RATE_THRESHOLD } = require('../utils/poolOdds');
+
+function amount(raw, token, symbol, decimals) {
+	return { raw: raw.toString(), token, symbol, decimals, formatted: `${raw} ${symbol}` };
+}
+
+const hbar = raw => amount(raw, 'HBAR', 'HBAR', 8);
+const lazy = raw => amount(raw, '0.0.800', 'LAZY', 1);
+
+describe('Pool Odds', function() {
+	// 10% base win rate, 10 LAZY per entry
+	const pool = { id: 3, winRateThousandthsOfBps: 10_000_000, entryFee: lazy(100) };
+	const prizes = [
+		{ amount: lazy(500), nfts: [] },
+		{ amount: lazy(500), nfts: [] },
+		{ amount: hbar(1_000_000_000), nfts: [] },
+		{ amount: null, nfts: [{ tokenId: '0.0.900', symbol: 'ART', serials: [7] }] },
+	];
+
+	it('should add the boost to the win rate and cap it', function() {
+		expect(calculatePoolOdds(pool, prizes, { boost: 5_000_000 }).winProbability).to.equal(0.15);
+
+		const capped = calculatePoolOdds(pool, prizes, { boost: MAX_WIN_RATE_THRESHOLD });
+		expect(capped.winProbability).to.equal(1);
+		expect(capped.winRate).to.include({ effective: MAX_WIN_RATE_THRESHOLD, capped: true });
+	});
+
+	it('should group identical prizes and value them in the fee token and HBAR', function() {
+		const odds = calculatePoolOdds(pool, prizes, { prices: { LAZY: 0.5, '0.0.900': 40 } });
+
+		const [twoLazy] = odds.distribution;
+		expect(twoLazy).to.include({ count: 2, probabilityIfWon: 0.5 });
+		expect(twoLazy.probabilityPerEntry).to.be.closeTo(0.05, 1e-12);
+		expect(twoLazy.value.feeToken.raw).to.equal('500');
+		expect(twoLazy.value.hbar.raw).to.equal('2500000000');
+
+		// mean prize: (50 + 50 + 20 + 80) / 4 = 50 LAZY, so 5 LAZY per 10 LAZY entry
+		expect(odds.perEntry.expectedValue.feeToken.raw).to.equal('50');
+		expect(odds.perEntry.net.feeToken.raw).to.equal('-50');
+		expect(odds.perEntry.returnRatio).to.be.closeTo(0.5, 1e-12);
+		expect(odds.perEntry.cost.hbar.raw).to.equal('500000000');
+		expect(odds.unpriced).to.deep.equal([]);
+	});
+
+	it('should leave values that need a missing price null and list the token', function() {
+		const odds = calculatePoolOdds(pool, prizes, { prices: { LAZY: 0.5 } });
+
+		expect(odds.unpriced).to.deep.equal(['0.0.900']);
+		expect(odds.perEntry.expectedValue).to.deep.equal({ hbar: null, feeToken: null });
+		expect(odds.perEntry.returnRatio).to.equal(null);
+		// LAZY prizes are still valued in LAZY
+		expect(odds.distribution[0].value.feeToken.raw).to.equal('500');
+	});
+
+	it('should cap expected prizes at the prizes left over many entries', function() {
+		// 10 entries at 50% against 3 prizes: 3 - P(W=0)*3 - P(W=1)*2 - P(W=2)*1
+		expect(expectedPrizes(10, 0.5, 3)).to.be.closeTo(3 - 68 / 1024, 1e-12);
+		expect(expectedPrizes(100_000, 0.01, 4)).to.be.closeTo(4, 1e-12);
+		expect(expectedPrizes(5, 0, 4)).to.equal(0);
+
+		const odds = calculatePoolOdds(pool, prizes, { entries: 20 });
+		expect(odds.overEntries.expectedWins).to.be.closeTo(2, 1e-12);
+		expect(odds.overEntries.probabilityAtLeastOneWin).to.be.closeTo(1 - 0.9 ** 20, 1e-12);
+		expect(calculatePoolOdds(pool, [], { entries: 20 }).overEntries.probabilityAtLeastOneWin).to.equal(0);
+		expect(() => calculatePoolOdds(pool, prizes, { entries: 0 })).to.throw(/Invalid entries/);
+	});
+
+	it('should use the operator\'s boost when fetching', async function() {
+		const boosted = [];
+		const client = {
+			operatorId: '0.0.1234',
+			getPool: async () => pool,
+			getPoolPrizes: async () => prizes,
+			getBoost: async (user) => {
+				boosted.push(user);
+				return 10_000_000;
+			},
+		};
+
+		const odds = await getPoolOdds(client, 3);
+		expect(boosted).to.deep.equal(['0.0.1234']);
+		expect(odds).to.include({ user: '0.0.1234', winProbability: 0.2 });
+	});
+});
@@ -0,0 +1,128 @@
+/**
+ * Pool Simulator Tests
+ *
+ * Tests the Monte Carlo pool simulator and snapshotPool (fed by a stub
+ * client): seeded runs repeat exactly, wins take prizes from the remaining
+ * list until it is empty and players stop buying then, boosts add and cap.
+ * Validates that entry fees split into burn, platform fee and owner proceeds
+ * the way LazyLotto and the PoolManager split them.
+ */
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { simulatePool, snapshotPool, createRandom } = require('../utils/poolSimulator');
+
+// same shape as a validated pool spec
+function spec(winRatePercent, prizes, feeToken = '0.0.800') {
+	return {
+		winRateThousandthsOfBps: winRatePercent * 1_000_000,
+		entryFee: { token: feeToken, amount: '10' },
+		prizes: prizes.map(amount => ({ token: 'HBAR', amount, nfts: [] })),
+	};
+}
+
+describe('Pool Simulator', function() {
+	it('should repeat a run exactly for the same seed', function() {
+		const pool = spec(5, ['10', '20', '30']);
+		const options = { runs: 200, players: 30, entriesPerPlayer: [1, 5], seed: 'weekly' };
+
+		expect(simulatePool(pool, options)).to.deep.equal(simulatePool(pool, options));
+		expect(simulatePool(pool, { ...options, seed: 'other' }).entries).to.not.deep.equal(simulatePool(pool, options).entries);
+
+		const random = createRandom(7);
+		const values = Array.from({ length: 1000 }, random);
+		expect(values.every(v => v >= 0 && v < 1)).to.equal(true);
+		expect(createRandom(7)()).to.equal(values[0]);
+	});
+
+	it('should stop selling once the last prize is won', function() {
+		// every entry wins: 2 prizes to the first player, the last one and a win with nothing to the second
+		const report = simulatePool(spec(100, ['10', '20', '30']), { runs: 20, players: 10, entriesPerPlayer: 2 });
+
+		expect(report.entries).to.include({ mean: 4, stdDev: 0 });
+		expect(report.wins.mean).to.equal(4);
+		expect(report.prizesAwarded.mean).to.equal(3);
+		expect(report.playersServed.mean).to.equal(2);
+		expect(report.exhaustion.probability).to.equal(1);
+		expect(report.exhaustion.entries.mean).to.equal(3);
+		expect(report.paidOut[0]).to.deep.include({ token: 'HBAR' });
+		expect(report.paidOut[0].amount.mean).to.equal(60);
+	});
+
+	it('should pick prizes uniformly from those left', function() {
+		// one winning entry per run takes 10 or 30 with equal odds
+		const report = simulatePool(spec(100, ['10', '30']), { runs: 4000, players: 1, seed: 3 });
+
+		expect(report.paidOut[0].amount.mean).to.be.closeTo(20, 0.6);
+		expect(report.paidOut[0].amount).to.include({ min: 10, max: 30 });
+		expect(report.exhaustion.probability).to.equal(0);
+		expect(report.exhaustion.entries).to.equal(null);
+	});
+
+	it('should add boosts to the win rate and cap them', function() {
+		const prizes = Array(1000).fill('1');
+		const boosted = simulatePool(spec(10, prizes), {
+			runs: 50,
+			players: 1000,
+			boosts: [{ percent: 0, weight: 1 }, { percent: 20, weight: 1 }],
+		});
+		// half the players at 10%, half at 30%
+		expect(boosted.wins.mean / 1000).to.be.closeTo(0.2, 0.01);
+		expect(boosted.boosts.map(b => b.boost)).to.deep.equal([0, 20_000_000]);
+
+		const capped = simulatePool(spec(50, prizes), { runs: 5, players: 100, boosts: [{ percent: 80, weight: 1 }] });
+		expect(capped.wins.mean).to.equal(100);
+	});
+
+	it('should split fees into burn, platform fee and owner proceeds', function() {
+		const pool = spec(100, ['10', '20']);
+		const options = { runs: 5, players: 5, entriesPerPlayer: 2, lazyToken: '0.0.800', burnPercentage: 10 };
+
+		// 2 entries at 10: 2 burned, 18 recorded, 5% of it to the platform
+		const community = simulatePool(pool, options).proceeds;
+		expect(community.gross.mean).to.equal(20);
+		expect(community.burned.mean).to.equal(2);
+		expect(community.collected.mean).to.equal(18);
+		expect(community.platform.mean).to.be.closeTo(0.9, 1e-9);
+		expect(community.owner.mean).to.be.closeTo(17.1, 1e-9);
+
+		const global = simulatePool(pool, { ...options, globalPool: true });
+		expect(global.platformFeePercentage).to.equal(0);
+		expect(global.proceeds.platform.mean).to.equal(18);
+		expect(global.proceeds.owner.mean).to.equal(0);
+
+		// only LAZY fees are burned
+		const hbarFee = simulatePool(spec(100, ['10', '20'], 'HBAR'), options);
+		expect(hbarFee.burnPercentage).to.equal(0);
+		expect(hbarFee.proceeds.burned.mean).to.equal(0);
+	});
+
+	it('should reject settings it cannot simulate', function() {
+		expect(() => simulatePool(spec(5, ['10']), { runs: 0, entriesPerPlayer: [5, 2] }))
+			.to.throw(/runs must be a positive integer[\s\S]*entriesPerPlayer/);
+		expect(() => simulatePool(spec(5, []))).to.throw(/no prizes/);
+	});
+
+	it('should snapshot a live pool with its fee settings', async function() {
+		const lazy = raw => ({ raw: raw.toString(), token: '0.0.800', symbol: 'LAZY', decimals: 1 });
+		const client = {
+			getPool: async () => ({ id: 3, winRateThousandthsOfBps: 2_000_000, entryFee: lazy(100) }),
+			getPoolPrizes: async () => [
+				{ amount: lazy(2500), nfts: [] },
+				{ amount: null, nfts: [{ tokenId: '0.0.900', symbol: 'ART', serials: [4, 5] }] },
+			],
+			getPoolOwner: async () => null,
+			getPoolPlatformFee: async () => 0,
+			getConfig: async () => ({ burnPercentage: 25, lazyToken: '0.0.800' }),
+		};
+
+		const snapshot = await snapshotPool(client, 3);
+		expect(snapshot).to.include({ poolId: 3, burnPercentage: 25, lazyToken: '0.0.800', platformFeePercentage: 0, globalPool: true });
+		expect(snapshot.entryFee).to.deep.equal({ token: '0.0.800', symbol: 'LAZY', amount: '10.0' });
+		expect(snapshot.prizes.map(prize => prize.amount)).to.deep.equal(['250.0', '0']);
+
+		const report = simulatePool(snapshot, { runs: 10 });
+		expect(report).to.include({ poolId: 3, burnPercentage: 25, globalPool: true });
+		expect(report.paidOut.map(p => p.symbol)).to.deep.equal(['LAZY']);
+	});
+});
@@ -0,0 +1,184 @@
+/**
+ * Pool Spec Tests
+ *
+ * Tests declarative pool creation against a stand-in client that records
+ * calls and can fail on demand: spec validation and the YAML example.
+ * Validates that create + prize loading resumes from the state file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { loadPoolSpec, validatePoolSpec, executePoolPlan } = require('../utils/poolSpec');
+
+const EXAMPLE = path.join(__dirname, '..', 'scripts', 'interactions', 'LazyLotto', 'admin', 'examples', 'pool-spec.yaml');
+
+function fakeClient(failPrizeAt = null) {
+	const calls = [];
+	return {
+		calls,
+		env: 'testnet',
+		contractId: '0.0.5001',
+		async createPool(pool) {
+			calls.push(['createPool', pool.name]);
+			return { transactionId: 'tx-create', poolId: 7 };
+		},
+		async addPrizePackage(poolId, prize) {
+			calls.push(['addPrizePackage', poolId, prize.amount]);
+			if (calls.filter(c => c[0] === 'addPrizePackage').length === failPrizeAt) {
+				throw new Error('CONTRACT_REVERT_EXECUTED');
+			}
+			return { transactionId: `tx-prize-${prize.amount}`, poolId };
+		},
+		async ensureFungibleAllowance(tokenId, spender, amount) {
+			calls.push(['allowance', tokenId, amount.toString()]);
+			return true;
+		},
+		async ensureNFTAllowance(tokenIds) {
+			calls.push(['nftAllowance', ...tokenIds]);
+			return tokenIds;
+		},
+		async getFungibleSpender() {
+			return '0.0.5003';
+		},
+		async getStorageId() {
+			return '0.0.5002';
+		},
+	};
+}
+
+function plan() {
+	return {
+		pool: { name: 'Test', symbol: 'TST', memo: 'm', ticketCID: 't', winCID: 'w', winRateThousandthsOfBps: 50_000, entryFee: '100', feeToken: 'HBAR', royalties: [] },
+		prizes: [
+			{ token: 'HBAR', amount: '100', nfts: [], description: '1 ℏ' },
+			{ token: '0.0.8001', amount: '200', nfts: [], description: '200 X' },
+			{ token: '0.0.8001', amount: '300', nfts: [{ tokenId: '0.0.9001', serials: [1] }], description: '300 X + NFT' },
+		],
+	};
+}
+
+describe('Pool Spec', function() {
+	let tmpDir;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-spec-'));
+	});
+
+	afterEach(function() {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it('should load and normalise the YAML example', function() {
+		const spec = loadPoolSpec(EXAMPLE);
+
+		expect(spec.winRateThousandthsOfBps).to.equal(5_000_000);
+		expect(spec.entryFee).to.deep.equal({ token: 'HBAR', amount: '10' });
+		expect(spec.royalties).to.deep.equal([{ account: '0.0.12345', percent: 5, fallbackHbar: 1 }]);
+		expect(spec.prizes.map(p => [p.token, p.amount, p.nfts.length])).to.deep.equal([
+			['HBAR', '100', 0],
+			['0.0.12345', '1000', 0],
+			['HBAR', '0', 1],
+			['HBAR', '25', 1],
+		]);
+	});
+
+	it('should list every problem in an invalid spec', function() {
+		const bad = {
+			name: 'X',
+			symbol: '',
+			memo: 'x'.repeat(101),
+			ticketCID: 'a',
+			winCID: 'b',
+			winRate: 0,
+			entryFee: { token: 'LAZY', amount: '-1' },
+			prizes: [
+				{ hbar: '1', ft: { token: '0.0.1', amount: '1' } },
+				{ nfts: [{ token: '0.0.2', serials: [1] }] },
+				{ nfts: [{ token: '0.0.2', serials: [1] }] },
+				{},
+			],
+		};
+
+		expect(() => validatePoolSpec(bad)).to.throw(Error)
+			.with.property('message')
+			.that.includes('symbol is required')
+			.and.includes('memo must be at most 100 characters')
+			.and.includes('winRate must be')
+			.and.includes('entryFee.token must be HBAR or 0.0.x')
+			.and.includes('entryFee.amount must be a positive number')
+			.and.includes('prizes[0] can hold HBAR or one fungible token, not both')
+			.and.includes('0.0.2#1 is used by more than one prize')
+			.and.includes('prizes[3] needs hbar, ft or nfts');
+	});
+
+	it('should create the pool, approve totals once and add every prize', async function() {
+		const lotto = fakeClient();
+		const stateFile = path.join(tmpDir, 'pool.state.json');
+
+		const result = await executePoolPlan(lotto, plan(), { stateFile });
+
+		expect(result).to.include({ poolId: 7, created: true, added: 3, skipped: 0 });
+		expect(lotto.calls).to.deep.equal([
+			['createPool', 'Test'],
+			['allowance', '0.0.8001', '500'],
+			['nftAllowance', '0.0.9001'],
+			['addPrizePackage', 7, '100'],
+			['addPrizePackage', 7, '200'],
+			['addPrizePackage', 7, '300'],
+		]);
+		const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+		expect(state).to.include({ version: 1, poolId: 7, createTransaction: 'tx-create', creating: false });
+		expect(Object.keys(state.prizes)).to.deep.equal(['0', '1', '2']);
+	});
+
+	it('should resume after a failed prize without creating the pool again', async function() {
+		const stateFile = path.join(tmpDir, 'pool.state.json');
+
+		try {
+			await executePoolPlan(fakeClient(2), plan(), { stateFile });
+			expect.fail('executePoolPlan should have thrown');
+		}
+		catch (error) {
+			expect(error.message).to.match(/Prize 2 of 3 \(200 X\) failed: CONTRACT_REVERT_EXECUTED; progress is saved/);
+		}
+
+		const lotto = fakeClient();
+		const result = await executePoolPlan(lotto, plan(), { stateFile });
+
+		expect(result).to.include({ poolId: 7, created: false, added: 2, skipped: 1 });
+		expect(lotto.calls.map(c => c[0])).to.not.include('createPool');
+		expect(lotto.calls.find(c => c[0] === 'allowance')).to.deep.equal(['allowance', '0.0.8001', '500']);
+	});
+
+	it('should refuse a changed spec or an unrecorded pool creation', async function() {
+		const stateFile = path.join(tmpDir, 'pool.state.json');
+		await executePoolPlan(fakeClient(), plan(), { stateFile });
+
+		const changed = plan();
+		changed.prizes[0].amount = '101';
+		try {
+			await executePoolPlan(fakeClient(), changed, { stateFile });
+			expect.fail('executePoolPlan should have thrown');
+		}
+		catch (error) {
+			expect(error.message).to.match(/spec changed/);
+		}
+
+		// createPool was sent but the run died before the pool ID was saved
+		const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+		fs.writeFileSync(stateFile, JSON.stringify({ ...state, poolId: null, creating: true, prizes: {} }));
+		try {
+			await executePoolPlan(fakeClient(), plan(), { stateFile });
+			expect.fail('executePoolPlan should have thrown');
+		}
+		catch (error) {
+			expect(error.message).to.match(/--pool-id/);
+		}
+
+		const result = await executePoolPlan(fakeClient(), plan(), { stateFile, poolId: 9 });
+		expect(result).to.include({ poolId: 9, created: false, added: 3 });
+	});
+});
@@ -0,0 +1,181 @@
+/**
+ * Shell Tests
+ *
+ * Tests the interactive shell against a stubbed client, typing answers into
+ * its input stream as each prompt appears: tab completion, argument parsing,
+ * the confirm and cancel paths and the guided buy → roll → claim of `play`.
+ * Validates that nothing is submitted without a yes.
+ */
+
+const { PassThrough, Writable } = require('stream');
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { LottoShell, parseNonNegative, parsePositive } = require('../cli/commands/shell');
+
+const HBAR_FEE = { raw: '100000000', decimals: 8, symbol: 'HBAR', formatted: '1 ℏ' };
+
+function pool(id, status = 'active') {
+	return { id, status, winRatePercent: 10, winRateThousandthsOfBps: 10_000_000, entryFee: HBAR_FEE, prizeCount: 1, outstandingEntries: 0 };
+}
+
+// Client stand-in: entries appear after a buy, prizes after a roll
+function stubLotto() {
+	const lotto = {
+		operatorId: '0.0.200',
+		contractId: '0.0.5001',
+		entries: 0,
+		pending: [],
+		submitted: [],
+		listPools: async () => [pool(0), pool(1), pool(2, 'paused')],
+		getPool: async id => pool(id, id === 2 ? 'paused' : 'active'),
+		getPoolPrizes: async () => [],
+		getBoost: async () => 0,
+		getUserEntries: async () => (lotto.entries ? [{ poolId: 1, entries: lotto.entries }] : []),
+		getUserEntriesForPool: async () => lotto.entries,
+		getPendingPrizes: async () => lotto.pending,
+		buyEntry: async (poolId, count) => {
+			lotto.submitted.push(['buyEntry', poolId, count]);
+			lotto.entries += count;
+			return { totalCost: { formatted: `${count} ℏ` }, transactionId: '0.0.200@1.1' };
+		},
+		rollAll: async poolId => {
+			lotto.submitted.push(['rollAll', poolId]);
+			lotto.pending = [{ index: 0, poolId, asNFT: false, prize: { amount: { formatted: '10 ℏ' }, nfts: [] } }];
+			lotto.entries = 0;
+			return { wins: 1, transactionId: '0.0.200@1.2' };
+		},
+		rollBatch: async (poolId, count) => {
+			lotto.submitted.push(['rollBatch', poolId, count]);
+			lotto.entries -= count;
+			return { wins: 0, transactionId: '0.0.200@1.3' };
+		},
+		claimAllPrizes: async () => {
+			lotto.submitted.push(['claimAllPrizes']);
+			lotto.pending = [];
+			return { associated: [], transactionId: '0.0.200@1.4' };
+		},
+		claimPrize: async index => {
+			lotto.submitted.push(['claimPrize', index]);
+			lotto.pending = lotto.pending.filter(p => p.index !== index);
+			return { associated: [], transactionId: '0.0.200@1.5' };
+		},
+	};
+	return lotto;
+}
+
+/**
+ * A shell whose input answers each prompt with the next of `answers`, and
+ * closes once they run out. Prompts are the writes that do not end a line.
+ */
+function scriptedShell(lotto, answers) {
+	const input = new PassThrough();
+	const prompts = [];
+	let text = '';
+	const output = new Writable({
+		write(chunk, encoding, callback) {
+			const written = chunk.toString();
+			text += written;
+			if (!written.endsWith('\n')) {
+				prompts.push(written);
+				setImmediate(() => (answers.length ? input.write(`${answers.shift()}\n`) : input.end()));
+			}
+			callback();
+		},
+	});
+	const shell = new LottoShell({ lotto, env: 'TEST', input, output, mirrorDelayMs: 0 });
+	return { shell, prompts, text: () => text };
+}
+
+describe('Shell', function() {
+	it('should complete commands, pool IDs and pending prize indexes', async function() {
+		const { shell } = scriptedShell(stubLotto(), []);
+		await shell.refreshPools();
+		shell.pendingIndexes = [3, 12];
+
+		expect(shell.complete('r')).to.deep.equal([['roll'], 'r']);
+		expect(shell.complete('p')).to.deep.equal([['pools', 'pool', 'play'], 'p']);
+		expect(shell.complete('buy ')).to.deep.equal([['0', '1', '2'], '']);
+		expect(shell.complete('play 1')).to.deep.equal([['1'], '1']);
+		expect(shell.complete('claim 1')).to.deep.equal([['12'], '1']);
+		expect(shell.complete('status ')).to.deep.equal([[], '']);
+		expect(shell.complete('buy 1 ')).to.deep.equal([[], '']);
+		shell.rl.close();
+	});
+
+	it('should reject counts and IDs that are not whole numbers', async function() {
+		expect(parseNonNegative('0', 'pool ID')).to.equal(0);
+		expect(parsePositive('3', 'count')).to.equal(3);
+		expect(() => parseNonNegative(undefined, 'pool ID')).to.throw('Invalid pool ID: (missing)');
+		expect(() => parseNonNegative('-1', 'pool ID')).to.throw('Invalid pool ID: -1');
+		expect(() => parseNonNegative('1.5', 'count')).to.throw('Invalid count: 1.5');
+		expect(() => parsePositive('0', 'count')).to.throw('Invalid count: must be at least 1');
+
+		const lotto = stubLotto();
+		const { shell } = scriptedShell(lotto, []);
+		for (const args of [['x', '1'], ['1', '0'], ['1']]) {
+			try {
+				await shell.execute('buy', args);
+				expect.fail('should have thrown');
+			}
+			catch (error) {
+				expect(error.message).to.match(/^Invalid (pool ID|count)/);
+			}
+		}
+		expect(lotto.submitted).to.deep.equal([]);
+		shell.rl.close();
+	});
+
+	it('should submit only after a yes and cancel on anything else', async function() {
+		const lotto = stubLotto();
+		const { shell, prompts, text } = scriptedShell(lotto, ['n', 'yes']);
+
+		expect(await shell.buy(1, 2)).to.equal(false);
+		expect(prompts[0]).to.equal('Buy 2 entries in pool #1 for 2 ℏ? [y/N] ');
+		expect(text()).to.include('Cancelled.');
+		expect(lotto.submitted).to.deep.equal([]);
+
+		expect(await shell.buy(1, 2)).to.equal(true);
+		expect(lotto.submitted).to.deep.equal([['buyEntry', 1, 2]]);
+		expect(text()).to.include('You now hold 2 entries in pool #1.');
+
+		// input closed while asking counts as a no
+		expect(await shell.roll(1, 1)).to.equal(false);
+		expect(prompts[2]).to.equal('Roll 1 of 2 entries in pool #1 at 10.0000%? [y/N] ');
+		expect(lotto.submitted).to.have.length(1);
+	});
+
+	it('should cap the shown win rate at 100% however large the boost', async function() {
+		const lotto = stubLotto();
+		lotto.entries = 1;
+		lotto.getBoost = async () => 95_000_000;
+		const { shell, prompts } = scriptedShell(lotto, ['n']);
+
+		expect(await shell.roll(1)).to.equal(false);
+		expect(prompts[0]).to.equal('Roll 1 of 1 entries in pool #1 at 100.0000%? [y/N] ');
+		shell.rl.close();
+	});
+
+	it('should walk through buy, roll and claim with play', async function() {
+		const lotto = stubLotto();
+		const { shell, prompts, text } = scriptedShell(lotto, ['play', '', '3', 'y', 'y', 'y', 'exit']);
+
+		await shell.run();
+
+		expect(prompts).to.deep.equal([
+			'lazy-lotto> ',
+			'Pool [0]: ',
+			'How many entries? [1] ',
+			'Buy 3 entries in pool #0 for 3 ℏ? [y/N] ',
+			'Roll 3 of 3 entries in pool #0 at 10.0000%? [y/N] ',
+			'Claim 1 prize(s)? [y/N] ',
+			'lazy-lotto> ',
+		]);
+		expect(lotto.submitted).to.deep.equal([['buyEntry', 0, 3], ['rollAll', 0], ['claimAllPrizes']]);
+		expect(text()).to.include('3 pool(s) loaded.')
+			.and.include('Rolled 3: 1 win(s) - 0.0.200@1.2')
+			.and.include('[0] Pool #0: 10 ℏ')
+			.and.include('Claimed - 0.0.200@1.4')
+			.and.include('Bye.');
+		expect(text()).to.not.include('#2:');
+	});
+});
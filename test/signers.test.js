@@ -0,0 +1,209 @@
+/**
+ * Signer Tests
+ *
+ * Tests the pluggable signer layer: construction rules, the Signer duck-type
+ * check, the external wallet hand-off and signing through an external command.
+ * Validates that LazyLottoClient accepts any of them without a network.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, before, after } = require('mocha');
+const {
+	AccountId,
+	PrivateKey,
+	Transaction,
+	AccountAllowanceApproveTransaction,
+	Hbar,
+} = require('@hashgraph/sdk');
+const {
+	PrivateKeySigner,
+	MultiSigSigner,
+	ExternalWalletSigner,
+	CommandSigner,
+	isSigner,
+} = require('../utils/signers');
+const { LazyLottoClient } = require('../utils/lazyLottoClient');
+
+describe('Signers', function() {
+
+	describe('isSigner', function() {
+
+		it('should accept objects with execute and accountId', function() {
+			expect(isSigner({ accountId: '0.0.1', execute: async () => ({}) })).to.be.true;
+		});
+
+		it('should reject clients and plain objects', function() {
+			expect(isSigner(null)).to.be.false;
+			expect(isSigner({ accountId: '0.0.1' })).to.be.false;
+			expect(isSigner({ execute: async () => ({}) })).to.be.false;
+		});
+	});
+
+	describe('PrivateKeySigner', function() {
+
+		it('should require an accountId', function() {
+			expect(() => new PrivateKeySigner({ env: 'testnet' })).to.throw(/accountId/);
+		});
+
+		it('should require a client or env and key', function() {
+			expect(() => new PrivateKeySigner({ accountId: '0.0.99', env: 'testnet' })).to.throw(/client or both env and privateKey/);
+		});
+
+		it('should build its own client from env and key', function() {
+			const signer = new PrivateKeySigner({
+				env: 'testnet',
+				accountId: '0.0.99',
+				privateKey: PrivateKey.generateED25519(),
+			});
+
+			expect(signer.accountId.toString()).to.equal('0.0.99');
+			expect(signer.client.operatorAccountId.toString()).to.equal('0.0.99');
+			expect(isSigner(signer)).to.be.true;
+			signer.close();
+		});
+	});
+
+	describe('MultiSigSigner', function() {
+
+		it('should require a client, accountId and config', function() {
+			expect(() => new MultiSigSigner({ accountId: '0.0.99' })).to.throw(/client, accountId and multi-sig config/);
+		});
+	});
+
+	describe('ExternalWalletSigner', function() {
+
+		it('should require a signAndSubmit callback', function() {
+			expect(() => new ExternalWalletSigner({ env: 'testnet', accountId: '0.0.99' })).to.throw(/signAndSubmit/);
+		});
+
+		it('should freeze for the wallet account without a client', function() {
+			const signer = new ExternalWalletSigner({
+				env: 'testnet',
+				accountId: '0.0.99',
+				signAndSubmit: async () => null,
+			});
+
+			const frozen = signer.freeze(
+				new AccountAllowanceApproveTransaction().approveHbarAllowance('0.0.99', '0.0.1234', new Hbar(1)),
+			);
+
+			expect(frozen.isFrozen()).to.be.true;
+			expect(frozen.transactionId.accountId.toString()).to.equal('0.0.99');
+			expect(frozen.nodeAccountIds.map(id => id.toString())).to.deep.equal(['0.0.3']);
+		});
+
+		it('should hand frozen bytes to the wallet and report rejection', async function() {
+			let received = null;
+			const signer = new ExternalWalletSigner({
+				env: 'testnet',
+				accountId: '0.0.99',
+				signAndSubmit: async (bytes, context) => {
+					received = { bytes, context };
+					throw new Error('User rejected');
+				},
+			});
+
+			const outcome = await signer.execute(
+				new AccountAllowanceApproveTransaction().approveHbarAllowance('0.0.99', '0.0.1234', new Hbar(1)),
+			);
+
+			expect(outcome.success).to.be.false;
+			expect(outcome.status).to.equal('REJECTED');
+			expect(outcome.error).to.equal('User rejected');
+			expect(received.context.accountId).to.equal('0.0.99');
+			expect(received.context.transactionId).to.equal(outcome.transactionId);
+
+			const decoded = Transaction.fromBytes(received.bytes);
+			expect(decoded.transactionId.toString()).to.equal(outcome.transactionId);
+		});
+	});
+
+	describe('CommandSigner', function() {
+		const key = PrivateKey.generateECDSA();
+		let tmpDir;
+		let script;
+
+		before(function() {
+			tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-lotto-signer-'));
+			script = path.join(tmpDir, 'sign.js');
+			fs.writeFileSync(script, [
+				`const { PrivateKey } = require(${JSON.stringify(require.resolve('@hashgraph/sdk'))});`,
+				'let input = \'\';',
+				'process.stdin.on(\'data\', chunk => { input += chunk; });',
+				'process.stdin.on(\'end\', () => {',
+				'	const key = PrivateKey.fromStringDer(process.env.TEST_SIGN_KEY);',
+				'	process.stdout.write(Buffer.from(key.sign(Buffer.from(input.trim(), \'hex\'))).toString(\'hex\'));',
+				'});',
+			].join('\n'));
+			process.env.TEST_SIGN_KEY = key.toStringDer();
+		});
+
+		after(function() {
+			delete process.env.TEST_SIGN_KEY;
+			fs.rmSync(tmpDir, { recursive: true, force: true });
+		});
+
+		function freezeFor(signer) {
+			return new AccountAllowanceApproveTransaction()
+				.approveHbarAllowance('0.0.99', '0.0.1234', new Hbar(1))
+				.setNodeAccountIds([new AccountId(3)])
+				.freezeWith(signer.client);
+		}
+
+		it('should require a command and public key', function() {
+			expect(() => new CommandSigner({ env: 'testnet', accountId: '0.0.99', command: 'true' })).to.throw(/command and publicKey/);
+		});
+
+		it('should sign with the signature the command prints', async function() {
+			this.timeout(20000);
+			const signer = new CommandSigner({
+				env: 'testnet',
+				accountId: '0.0.99',
+				command: `"${process.execPath}" "${script}"`,
+				publicKey: key.publicKey.toStringDer(),
+			});
+
+			const transaction = await freezeFor(signer).signWithOperator(signer.client);
+
+			expect(key.publicKey.verifyTransaction(transaction)).to.be.true;
+			signer.close();
+		});
+
+		it('should report a command that prints no signature', async function() {
+			this.timeout(20000);
+			const signer = new CommandSigner({
+				env: 'testnet',
+				accountId: '0.0.99',
+				command: `"${process.execPath}" -e "process.stdout.write('nope')"`,
+				publicKey: key.publicKey.toStringDer(),
+			});
+
+			try {
+				await freezeFor(signer).signWithOperator(signer.client);
+				expect.fail('should have thrown');
+			}
+			catch (error) {
+				expect(error.message).to.match(/64-byte signature as hex/);
+			}
+			signer.close();
+		});
+	});
+
+	describe('LazyLottoClient integration', function() {
+
+		it('should take the operator from the signer', function() {
+			const signer = new ExternalWalletSigner({
+				env: 'testnet',
+				accountId: '0.0.99',
+				signAndSubmit: async () => null,
+			});
+			const lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.1234', signer });
+
+			expect(lotto.signer).to.equal(signer);
+			expect(lotto.operatorId.toString()).to.equal('0.0.99');
+		});
+	});
+});
@@ -0,0 +1,114 @@
+/**
+ * Trade Lotto Analytics Tests
+ *
+ * Tests the jackpot report against stubbed mirror node logs and contract
+ * calls: the history is rebuilt from JackpotUpdate in and outside roll
+ * transactions, and hit rates and payouts come from LottoRoll against the
+ * signed thresholds.
+ * Validates that burn uses each winner's getBurnForUser and that the
+ * projection follows the recent roll pace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const { ethers } = require('ethers');
+const { getJackpotAnalytics } = require('../utils/tradeLottoAnalytics');
+const { useMirrorStub, mirrorLog, serveLogs } = require('./helpers/mirrorStub');
+
+const iface = new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', 'LazyTradeLotto.json'), 'utf8')));
+
+const TOKEN = '0x00000000000000000000000000000000000010e1';
+const HOLDER = '0x00000000000000000000000000000000000000c8';
+const PLAYER = '0x00000000000000000000000000000000000000c9';
+const DAY = 86_400;
+const START = 1_700_000_000;
+
+let hash = 0;
+function log(name, values, seconds, transactionHash, index = 0) {
+	return mirrorLog(iface, name, values, { contract_id: '0.0.5002', timestamp: `${seconds}.000000001`, transaction_hash: transactionHash, index });
+}
+
+// one rollLotto transaction: [JackpotWin], LottoRoll, JackpotUpdate(pool after)
+function rollLogs(seconds, { user = PLAYER, winRoll, winAmount = 0, jackpotRoll = 90_000_000, jackpotAmount = null, pool }) {
+	const tx = `0x${(++hash).toString(16).padStart(64, '0')}`;
+	const logs = [];
+	if (jackpotAmount !== null) logs.push(log('JackpotWin', [user, 1_000_000, jackpotRoll, jackpotAmount], seconds, tx, logs.length));
+	logs.push(log('LottoRoll', [user, TOKEN, 7, hash, true, 50_000_000, winRoll, 10, 30, winAmount, 1_000_000, jackpotRoll], seconds, tx, logs.length));
+	logs.push(log('JackpotUpdate', [pool], seconds, tx, logs.length));
+	return logs;
+}
+
+describe('Trade Lotto Analytics', function() {
+	const mirror = useMirrorStub();
+	let logs;
+	let state;
+
+	beforeEach(function() {
+		mirror.get = (url) => serveLogs(logs)(url);
+		mirror.post = async (url, body) => {
+			const { name, args } = iface.parseTransaction({ data: body.data });
+			if (name === 'getLottoStats') return { data: { result: iface.encodeFunctionResult(name, state) } };
+			if (name === 'burnPercentage') return { data: { result: iface.encodeFunctionResult(name, [25]) } };
+			return { data: { result: iface.encodeFunctionResult(name, [ethers.getAddress(args[0]) === ethers.getAddress(HOLDER) ? 0 : 25]) } };
+		};
+	});
+
+	it('should rebuild the jackpot history, rates, payouts and burn', async function() {
+		const now = Math.floor(Date.now() / 1000);
+		logs = [
+			// a boost before any roll: the pool it lands on is not known yet
+			log('JackpotUpdate', [500], now - 10 * DAY, '0xb0'),
+			...rollLogs(now - 9 * DAY, { winRoll: 60_000_000, pool: 1100 }),
+			...rollLogs(now - 8 * DAY, { winRoll: 10, winAmount: 20, pool: 1200 }),
+			log('JackpotUpdate', [300], now - 5 * DAY, '0xb1'),
+			...rollLogs(now - 4 * DAY, { user: HOLDER, winRoll: 20, winAmount: 30, jackpotRoll: 5, jackpotAmount: 1500, pool: 100 }),
+			...rollLogs(now - 2 * DAY, { winRoll: 70_000_000, pool: 200 }),
+		];
+		// jackpotPool, jackpotsWon, jackpotPaid, totalRolls, totalWins, totalPaid, lottoLossIncrement, maxJackpotPool
+		state = [200, 1, 1500, 4, 2, 50, 100, 1000];
+
+		const report = await getJackpotAnalytics('testnet', { contract: '0.0.5002' });
+
+		expect(report.timeline.map(point => [point.kind, point.jackpot, point.change])).to.deep.equal([
+			['boost', null, '500'],
+			['roll', '1100', null],
+			['roll', '1200', '100'],
+			['boost', '1500', '300'],
+			['jackpot', '100', '-1400'],
+			['roll', '200', '100'],
+		]);
+		expect(report.rolls).to.deep.equal({ count: 4, wins: 2, jackpots: 1 });
+		expect(report.hitRates.win).to.deep.include({ rolls: 4, hits: 2, rate: 0.5, expectedHits: 2, expectedRate: 0.5, zScore: 0 });
+		expect(report.hitRates.jackpot).to.deep.include({ hits: 1, rate: 0.25, expectedRate: 0.01 });
+		expect(report.payouts).to.deep.include({ totalWon: '50', averageWin: 25, averageMaxWin: 30, expectedPayoutToMax: 20 / 30 });
+
+		// the holder's win and jackpot are burn-free; the player's 20 loses 25%
+		expect(report.burn).to.deep.equal({ paid: '1550', burned: '5', received: '1545', winBurned: '5', jackpotBurned: '0', burnFreePayouts: 2, payouts: 3 });
+		expect(report.jackpots[0]).to.deep.include({ user: '0.0.200', amount: '1500' });
+	});
+
+	it('should project the time to maxJackpotPool from the recent pace', async function() {
+		const now = Math.floor(Date.now() / 1000);
+		logs = [
+			...rollLogs(now - 30 * DAY, { winRoll: 90_000_000, pool: 100 }),
+			...[6, 5, 4, 3, 2, 1, 0.5].map((days, i) => rollLogs(now - days * DAY, { winRoll: 90_000_000, pool: 200 + i * 100 })).flat(),
+		];
+		state = [800, 0, 0, 8, 0, 0, 100, 1000];
+
+		const report = await getJackpotAnalytics('testnet', { contract: '0.0.5002', fromTimestamp: START });
+		const { projection } = report;
+
+		expect(projection).to.deep.include({ remaining: '200', rollsNeeded: 2, jackpotChancePerRoll: 0.01 });
+		expect(projection.rollsPerDay).to.be.closeTo(1, 0.001);
+		expect(projection.days).to.be.closeTo(2, 0.01);
+		expect(projection.chanceReachesMax).to.be.closeTo(0.99 ** 2, 1e-9);
+
+		state = [1000, 0, 0, 8, 0, 0, 100, 1000];
+		expect((await getJackpotAnalytics('testnet', { contract: '0.0.5002' })).projection).to.deep.include({ rollsNeeded: 0, days: 0 });
+
+		state = [800, 0, 0, 8, 0, 0, 0, 1000];
+		expect((await getJackpotAnalytics('testnet', { contract: '0.0.5002' })).projection).to.deep.include({ rollsNeeded: null, eta: null });
+	});
+});
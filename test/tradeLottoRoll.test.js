@@ -0,0 +1,134 @@
+/**
+ * Trade Lotto Roll Tests
+ *
+ * Tests rolling a signed ticket against a stubbed mirror node: the pre-flight
+ * catches what rollLotto would revert on (altered parameters, the wrong
+ * roller, a wrong systemWallet, a used ticket) from signature recovery and
+ * contract reads.
+ * Validates that the outcome is decoded from the transaction's LottoRoll,
+ * JackpotWin and GasStationFunding logs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const { ethers } = require('ethers');
+const { signRoll, rollHistoryHash } = require('../utils/tradeLottoSigner');
+const { parseRollTicket, checkRollTicket, decodeRollLogs } = require('../utils/tradeLottoRoll');
+const { useMirrorStub, mirrorLog } = require('./helpers/mirrorStub');
+
+const loadIface = name => new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', `${name}.json`), 'utf8')));
+const lotto = loadIface('LazyTradeLotto');
+const gasStation = loadIface('LazyGasStation');
+
+// hardhat's first two default accounts
+const systemWallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const ROLLER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TOKEN = '0x00000000000000000000000000000000000010e1';
+const USER = '0x00000000000000000000000000000000000000c8';
+const NONCE = 1700000005000000042n;
+
+function signedTicket(overrides = {}) {
+	const roll = { roller: ROLLER, token: '0.0.4321', serial: 7, nonce: NONCE.toString(), buyer: true, winRateThreshold: '5000000', minWinAmt: '10', maxWinAmt: '100', jackpotThreshold: '10000' };
+	return { contractId: '0.0.5002', signer: systemWallet.address, ...roll, signature: signRoll(systemWallet, roll), ...overrides };
+}
+
+function log(iface, name, values) {
+	return mirrorLog(iface, name, values, { contract_id: '0.0.5002', timestamp: '1700000200.000000001', transaction_hash: '0xbb' });
+}
+
+describe('Trade Lotto Roll', function() {
+	const mirror = useMirrorStub();
+	let chain;
+
+	beforeEach(function() {
+		chain = { systemWallet: systemWallet.address, paused: false, rolled: new Set(), sender: ROLLER };
+
+		mirror.post = async (url, body) => {
+			const { name, args } = lotto.parseTransaction({ data: body.data });
+			const value = { systemWallet: chain.systemWallet, paused: chain.paused, history: name === 'history' && chain.rolled.has(args[0]) }[name];
+			return { data: { result: lotto.encodeFunctionResult(name, [value]) } };
+		};
+		mirror.get = async () => ({ data: { evm_address: chain.sender } });
+	});
+
+	it('should read a ticket from the signing service response', function() {
+		const ticket = signedTicket();
+		expect(parseRollTicket(JSON.stringify({ ticket, existing: false }))).to.deep.equal(ticket);
+		expect(parseRollTicket(ticket)).to.equal(ticket);
+
+		expect(() => parseRollTicket('{"ticket":')).to.throw(/not JSON/);
+		expect(() => parseRollTicket({ ...ticket, signature: undefined, nonce: null })).to.throw('Roll ticket is missing nonce, signature');
+		expect(() => parseRollTicket({ ...ticket, buyer: 'yes' })).to.throw(/buyer must be true or false/);
+	});
+
+	it('should pass a valid ticket and catch what the contract would revert on', async function() {
+		const ticket = signedTicket();
+		const options = { contractId: '0.0.5002', operatorId: '0.0.200' };
+
+		const check = await checkRollTicket('testnet', ticket, options);
+		expect(check).to.deep.include({ ok: true, problems: [], signer: systemWallet.address, sender: ROLLER, rolled: false, paused: false });
+		expect(check.historyKey).to.equal(rollHistoryHash({ token: '0.0.4321', serial: 7, nonce: NONCE, buyer: true }));
+
+		// raising the prize breaks the signature
+		const altered = await checkRollTicket('testnet', { ...ticket, maxWinAmt: '1000' }, options);
+		expect(altered.ok).to.equal(false);
+		expect(altered.signer).to.not.equal(systemWallet.address);
+		expect(altered.problems.join('\n')).to.include('the ticket was altered').and.include('systemWallet is');
+
+		// the signature covers msg.sender, so only the roller's account can use it
+		chain.sender = USER;
+		const stranger = await checkRollTicket('testnet', ticket, options);
+		expect(stranger.problems).to.deep.equal([`ticket is for roller ${ROLLER} but 0.0.200 calls as ${ethers.getAddress(USER)}`]);
+	});
+
+	it('should report bad arguments, a used ticket and a paused contract', async function() {
+		const ticket = signedTicket({ contractId: '0.0.9999' });
+		chain.rolled.add(rollHistoryHash({ token: TOKEN, serial: 7, nonce: NONCE, buyer: true }));
+		chain.paused = true;
+
+		const check = await checkRollTicket('testnet', { ...ticket, minWinAmt: '500' }, { contractId: '0.0.5002', operatorId: '0.0.200' });
+		expect(check.ok).to.equal(false);
+		expect(check.problems[0]).to.equal('parameters would revert with BadArguments: minWinAmt must not exceed maxWinAmt');
+		expect(check.problems).to.include('ticket is for LazyTradeLotto 0.0.9999, not 0.0.5002');
+		expect(check.problems).to.include('the buyer side of this trade has already rolled');
+		expect(check.problems).to.include('LazyTradeLotto is paused');
+	});
+
+	it('should decode the win, the jackpot and the burn applied to each payout', async function() {
+		const lottoAddress = '0x000000000000000000000000000000000000138a';
+		const logs = [
+			log(gasStation, 'GasStationFunding', [lottoAddress, USER, 57, 10, false]),
+			log(lotto, 'JackpotWin', [USER, 50_000, 42, 12_345]),
+			log(gasStation, 'GasStationFunding', [lottoAddress, USER, 12_345, 10, false]),
+			log(lotto, 'JackpotUpdate', [0]),
+			// [_user, _token, _serial, _nonce, _buyer, _winRateThreshold, _winRoll, _minWinAmt, _maxWinAmt, _winAmount, _jackpotThreshold, _jackpotRoll]
+			log(lotto, 'LottoRoll', [USER, TOKEN, 7, NONCE, true, 5_000_000, 1_000, 10, 100, 57, 50_000, 42]),
+		];
+
+		const { roll, payouts } = await decodeRollLogs('testnet', logs);
+		expect(roll).to.deep.include({ user: '0.0.200', won: true, winAmount: '57', jackpotWon: true, jackpotAmount: '12345', transactionHash: '0xbb' });
+		expect(payouts).to.deep.equal([
+			{ kind: 'win', amount: '57', burnPercentage: 10, burned: '5', received: '52' },
+			{ kind: 'jackpot', amount: '12345', burnPercentage: 10, burned: '1234', received: '11111' },
+		]);
+
+		// a holder's jackpot alone: no burn, and the payout is the jackpot's
+		const holder = await decodeRollLogs('testnet', [
+			log(lotto, 'JackpotWin', [USER, 50_000, 42, 900]),
+			log(gasStation, 'GasStationFunding', [lottoAddress, USER, 900, 0, false]),
+			log(lotto, 'LottoRoll', [USER, TOKEN, 7, NONCE, false, 5_000_000, 90_000_000, 10, 100, 0, 50_000, 42]),
+		]);
+		expect(holder.roll.won).to.equal(false);
+		expect(holder.payouts).to.deep.equal([{ kind: 'jackpot', amount: '900', burnPercentage: 0, burned: '0', received: '900' }]);
+
+		try {
+			await decodeRollLogs('testnet', [logs[3]]);
+			expect.fail('should have thrown');
+		}
+		catch (error) {
+			expect(error.message).to.equal('The transaction has no LottoRoll event');
+		}
+	});
+});
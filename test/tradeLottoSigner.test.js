@@ -0,0 +1,87 @@
+/**
+ * Trade Lotto Signer Tests
+ *
+ * Tests that roll signatures and history keys are built the way
+ * LazyTradeLotto rebuilds them: the packed message of validateRollParameters
+ * signed as a personal message.
+ * Validates the keccak of (token, serial, nonce, buyer) used by the history
+ * mapping.
+ */
+
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { ethers } = require('ethers');
+const { AccountId, PrivateKey, TokenId } = require('@hashgraph/sdk');
+const {
+	loadSigningKey,
+	rollMessageHash,
+	signRoll,
+	recoverRollSigner,
+	rollHistoryHash,
+} = require('../utils/tradeLottoSigner');
+
+const KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const roll = {
+	roller: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+	token: '0.0.4321',
+	serial: 7,
+	nonce: '1700000000123456789',
+	buyer: true,
+	winRateThreshold: 5_000_000,
+	minWinAmt: 10,
+	maxWinAmt: 100,
+	jackpotThreshold: 10_000,
+};
+
+describe('Trade Lotto Signer', function() {
+	it('should sign the packed roll message as a personal message', async function() {
+		const wallet = loadSigningKey(KEY.slice(2));
+		const tokenAddress = '0x00000000000000000000000000000000000010e1';
+
+		const expected = ethers.solidityPackedKeccak256(
+			['address', 'address', 'uint256', 'uint256', 'bool', 'uint256', 'uint256', 'uint256', 'uint256'],
+			[roll.roller, tokenAddress, 7, 1700000000123456789n, true, 5_000_000, 10, 100, 10_000],
+		);
+		expect(rollMessageHash(roll)).to.equal(expected);
+		expect(rollMessageHash({ ...roll, token: tokenAddress })).to.equal(expected);
+
+		const signature = signRoll(wallet, roll);
+		expect(signature).to.equal(await wallet.signMessage(ethers.getBytes(expected)));
+		expect(recoverRollSigner(roll, signature)).to.equal(wallet.address);
+
+		// any other parameter or roller recovers a different address
+		expect(recoverRollSigner({ ...roll, maxWinAmt: 1000 }, signature)).to.not.equal(wallet.address);
+		expect(recoverRollSigner({ ...roll, buyer: false }, signature)).to.not.equal(wallet.address);
+	});
+
+	it('should match the signature the LazyTradeLotto tests build', async function() {
+		// as createSignature in LazyTradeLotto.test.js: SDK key, bare solidity addresses
+		const signingKey = PrivateKey.fromStringECDSA(KEY.slice(2));
+		const roller = AccountId.fromString('0.0.1234').toSolidityAddress();
+		const tokenId = TokenId.fromString(roll.token).toSolidityAddress();
+		const messageHash = ethers.solidityPackedKeccak256(
+			['address', 'address', 'uint256', 'uint256', 'bool', 'uint256', 'uint256', 'uint256', 'uint256'],
+			[roller, tokenId, roll.serial, roll.nonce, roll.buyer, roll.winRateThreshold, roll.minWinAmt, roll.maxWinAmt, roll.jackpotThreshold],
+		);
+		const contractTestSignature = await new ethers.Wallet(`0x${signingKey.toStringRaw()}`).signMessage(ethers.getBytes(messageHash));
+
+		const signed = { ...roll, roller: `0x${roller}` };
+		expect(rollMessageHash(signed)).to.equal(messageHash);
+		expect(signRoll(loadSigningKey(signingKey.toStringRaw()), signed)).to.equal(contractTestSignature);
+	});
+
+	it('should key history by token, serial, nonce and side', function() {
+		const key = rollHistoryHash(roll);
+		expect(key).to.equal(ethers.keccak256(ethers.solidityPacked(
+			['address', 'uint256', 'uint256', 'bool'],
+			['0x00000000000000000000000000000000000010e1', 7, 1700000000123456789n, true],
+		)));
+		expect(rollHistoryHash({ ...roll, buyer: false })).to.not.equal(key);
+	});
+
+	it('should refuse keys that are not ECDSA', function() {
+		expect(() => loadSigningKey('')).to.throw(/SIGNING_KEY/);
+		expect(() => loadSigningKey('302e020100300506032b657004220420' + '11'.repeat(32))).to.throw(/not a raw ECDSA/);
+	});
+});
@@ -0,0 +1,175 @@
+/**
+ * Trade Roll Policy Tests
+ *
+ * Tests the tier policy: files are validated against the contract's
+ * BadArguments rules and tiers match on side, collection, price and holder
+ * status in order.
+ * Validates that the holder check makes the getBurnForUser reads as mirror
+ * node contract calls (stubbed).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { ethers } = require('ethers');
+const {
+	checkRollParameters,
+	loadRollPolicy,
+	validateRollPolicy,
+	createRollPolicy,
+	createHolderCheck,
+} = require('../utils/tradeRollPolicy');
+const { useMirrorStub } = require('./helpers/mirrorStub');
+
+const LAZY = '0.0.1311037';
+
+const document = {
+	version: 1,
+	currencies: { LAZY: { token: LAZY, decimals: 1 } },
+	defaults: { minWinAmt: 10, jackpotThreshold: 0 },
+	tiers: [
+		{ name: 'holder buyer', when: { side: 'buyer', holder: true }, roll: { winRateThreshold: 20_000_000, maxWinAmt: 1000, jackpotThreshold: 50_000 } },
+		{ name: 'big HBAR sale', when: { side: 'buyer', price: { currency: 'HBAR', min: 500 } }, roll: { winRateThreshold: 10_000_000, maxWinAmt: 500 } },
+		{ name: 'LAZY sale', when: { collections: ['0.0.4321'], price: { currency: 'LAZY', min: 100, max: 1000 } }, roll: { winRateThreshold: 5_000_000, maxWinAmt: 200 } },
+		{ name: 'seller', when: { side: 'seller' }, roll: { winRateThreshold: 2_500_000, maxWinAmt: 100 } },
+	],
+};
+
+const trade = (payments, token = '0.0.4321') => ({ transactionId: '0.0.200@1700000000.000000001', token, serial: 7, seller: '0.0.100', buyer: '0.0.200', payments });
+const hbar = amount => ({ token: 'HBAR', raw: (BigInt(amount) * 100_000_000n).toString() });
+const lazy = amount => ({ token: LAZY, raw: (BigInt(amount) * 10n).toString() });
+
+describe('Trade Roll Policy', function() {
+	const mirror = useMirrorStub();
+
+	it('should reject rolls the contract would revert on', function() {
+		expect(() => checkRollParameters({ winRateThreshold: 1, minWinAmt: 5, maxWinAmt: 5, jackpotThreshold: 100_000_000 })).to.not.throw();
+		expect(() => checkRollParameters({ winRateThreshold: 100_000_001, minWinAmt: 5, maxWinAmt: 1, jackpotThreshold: 0 }))
+			.to.throw('Roll policy: minWinAmt must not exceed maxWinAmt; winRateThreshold must be at most 100000000');
+		expect(() => checkRollParameters({ winRateThreshold: 1, minWinAmt: 0, maxWinAmt: 0, jackpotThreshold: 0 })).to.throw(/maxWinAmt must be above 0/);
+		expect(() => checkRollParameters({ winRateThreshold: -1, minWinAmt: 0, maxWinAmt: 1, jackpotThreshold: 0.5 })).to.throw(/winRateThreshold, jackpotThreshold must be whole numbers/);
+
+		const broken = {
+			version: 2,
+			allowUnpaid: 'yes',
+			currencies: { SAUCE: { token: 'sauce' } },
+			tiers: [
+				{ when: { side: 'both', price: { currency: 'SAUCE', min: 1 } }, roll: { winRateThreshold: 1, minWinAmt: 0, maxWinAmt: 1 } },
+				{ name: 'too generous', when: { mood: 'happy' }, roll: { winRateThreshold: 1, minWinAmt: 0, maxWinAmt: 1, jackpotThreshold: 200_000_000 } },
+			],
+		};
+		let message;
+		try {
+			validateRollPolicy(broken);
+		}
+		catch (error) {
+			message = error.message;
+		}
+		expect(message).to.include('version must be 1, got 2');
+		expect(message).to.include('allowUnpaid must be true or false');
+		expect(message).to.include('currencies.SAUCE needs a token (0.0.x) and whole-number decimals');
+		expect(message).to.include('tiers[0].when.side must be buyer or seller');
+		expect(message).to.include('tiers[0].when.price.currency SAUCE is not HBAR or one of currencies');
+		expect(message).to.include('tiers[0].roll: missing jackpotThreshold');
+		expect(message).to.include('tiers[1] (too generous).when has unknown conditions: mood');
+		expect(message).to.include('tiers[1] (too generous).roll: jackpotThreshold must be at most 100000000');
+	});
+
+	it('should take the first tier the trade side matches', async function() {
+		const holders = new Set();
+		const checked = [];
+		const policy = createRollPolicy(validateRollPolicy(document), {
+			holderCheck: async address => {
+				checked.push(address);
+				return holders.has(address);
+			},
+		});
+		const buyer = { account: '0.0.200', roller: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' };
+		const seller = { account: '0.0.100', roller: '0x0000000000000000000000000000000000000064' };
+
+		expect(await policy(trade([hbar(500)]), 'buyer', buyer)).to.deep.equal({ winRateThreshold: '10000000', minWinAmt: '10', maxWinAmt: '500', jackpotThreshold: '0' });
+		expect(checked).to.deep.equal([buyer.roller]);
+
+		holders.add(buyer.roller);
+		expect((await policy(trade([hbar(500)]), 'buyer', buyer)).maxWinAmt).to.equal('1000');
+
+		// price bounds are in whole units of the currency, min inclusive and max exclusive
+		holders.clear();
+		expect((await policy(trade([hbar(499), lazy(100)]), 'buyer', buyer)).maxWinAmt).to.equal('200');
+		expect((await policy(trade([lazy(1000)]), 'buyer', buyer))).to.equal(null);
+		expect((await policy(trade([lazy(500)], '0.0.9999'), 'buyer', buyer))).to.equal(null);
+
+		// seller tiers never ask about holder status
+		checked.length = 0;
+		expect((await policy(trade([hbar(5000)]), 'seller', seller)).maxWinAmt).to.equal('100');
+		expect(checked).to.have.length(0);
+	});
+
+	it('should load YAML and JSON policies and require a holder check for holder tiers', function() {
+		const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roll-policy-'));
+		try {
+			const yamlFile = path.join(tmpDir, 'policy.yaml');
+			fs.writeFileSync(yamlFile, [
+				'version: 1',
+				'tiers:',
+				'  - name: everyone',
+				'    when: { price: { min: 0.5 } }',
+				'    roll: { winRateThreshold: 1000000, minWinAmt: 1, maxWinAmt: 10, jackpotThreshold: 0 }',
+			].join('\n'));
+			const loaded = loadRollPolicy(yamlFile);
+			expect(loaded.tiers[0].price).to.deep.equal({ currency: 'HBAR', min: 50_000_000n, max: null });
+			expect(loaded.usesHolder).to.equal(false);
+			expect(createRollPolicy(loaded).allowUnpaid).to.equal(false);
+			expect(createRollPolicy({ ...loaded, allowUnpaid: true }).allowUnpaid).to.equal(true);
+
+			const jsonFile = path.join(tmpDir, 'policy.json');
+			fs.writeFileSync(jsonFile, JSON.stringify(document));
+			const holderTiers = loadRollPolicy(jsonFile);
+			expect(holderTiers.usesHolder).to.equal(true);
+			expect(() => createRollPolicy(holderTiers)).to.throw(/holder check is required/);
+		}
+		finally {
+			fs.rmSync(tmpDir, { recursive: true, force: true });
+		}
+	});
+
+	it('should check holders the way getBurnForUser does', async function() {
+		const lotto = new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', 'LazyTradeLotto.json'), 'utf8')));
+		const registry = new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', 'LazyDelegateRegistry.json'), 'utf8')));
+		const erc721 = new ethers.Interface(['function balanceOf(address owner) view returns (uint256)']);
+		const address = n => ethers.zeroPadValue(ethers.toBeHex(n), 20);
+		const [gen1, gen2, mutant, registryAddress] = [0x1001, 0x1002, 0x1003, 0x2000].map(address);
+		const owner = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+		const delegate = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+		mirror.post = async (url, body) => {
+			const to = ethers.getAddress(body.to);
+			let result;
+			if (to === address(0x5003)) {
+				const { name } = lotto.parseTransaction({ data: body.data });
+				const value = { LSH_GEN1: gen1, LSH_GEN2: gen2, LSH_GEN1_MUTANT: mutant, lazyDelegateRegistry: registryAddress }[name];
+				result = lotto.encodeFunctionResult(name, [value]);
+			}
+			else if (to === registryAddress) {
+				const [user, token] = registry.decodeFunctionData('getSerialsDelegatedTo', body.data);
+				result = registry.encodeFunctionResult('getSerialsDelegatedTo', [user === delegate && token === mutant ? [4] : []]);
+			}
+			else {
+				const [user] = erc721.decodeFunctionData('balanceOf', body.data);
+				result = erc721.encodeFunctionResult('balanceOf', [user === owner && to === gen2 ? 1 : 0]);
+			}
+			return { data: { result } };
+		};
+
+		const isHolder = createHolderCheck({ env: 'testnet', contractId: '0.0.20483' });
+		expect(await isHolder(owner)).to.equal(true);
+		expect(await isHolder(delegate)).to.equal(true);
+		expect(await isHolder(address(0x64))).to.equal(false);
+
+		// the LSH tokens and registry are read once
+		expect(mirror.calls.filter(call => ethers.getAddress(call.to) === address(0x5003))).to.have.length(4);
+		expect(mirror.calls.every(call => call.estimate === false)).to.equal(true);
+	});
+});
@@ -0,0 +1,171 @@
+/**
+ * Trade Roll Service Tests
+ *
+ * Tests the roll signing service against stubbed mirror node transactions:
+ * trades are verified before signing, the roller and nonce come from the
+ * trade and tickets recover to the signing key.
+ * Validates that the ledger hands back the stored ticket instead of signing
+ * a trade side twice.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const { recoverRollSigner } = require('../utils/tradeLottoSigner');
+const { TradeRollService, NonceLedger, handleRollRequest } = require('../utils/tradeRollService');
+const { useMirrorStub } = require('./helpers/mirrorStub');
+
+const KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const BUYER_ALIAS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const policy = {
+	buyer: { winRateThreshold: 5_000_000, minWinAmt: 10, maxWinAmt: 100, jackpotThreshold: 10_000 },
+	seller: { winRateThreshold: 2_500_000, minWinAmt: 5, maxWinAmt: 50, jackpotThreshold: 5_000 },
+};
+
+// buyer 0.0.200 pays 50 HBAR (and the fee) for serial 7 of 0.0.4321 from seller 0.0.100
+const saleTransaction = {
+	transaction_id: '0.0.200-1700000000-000000001',
+	consensus_timestamp: '1700000005.000000042',
+	result: 'SUCCESS',
+	charged_tx_fee: 100_000,
+	transfers: [
+		{ account: '0.0.200', amount: -5_000_100_000 },
+		{ account: '0.0.100', amount: 5_000_000_000 },
+		{ account: '0.0.98', amount: 100_000 },
+	],
+	token_transfers: [],
+	nft_transfers: [{ token_id: '0.0.4321', serial_number: 7, sender_account_id: '0.0.100', receiver_account_id: '0.0.200' }],
+};
+
+describe('Trade Roll Service', function() {
+	const mirror = useMirrorStub();
+	let transactions;
+
+	beforeEach(function() {
+		transactions = [saleTransaction];
+		mirror.get = async (url) => {
+			if (url.includes('/api/v1/transactions/')) return { data: { transactions } };
+			if (url.endsWith('/api/v1/accounts/200')) return { data: { evm_address: BUYER_ALIAS } };
+			if (url.endsWith('/api/v1/accounts/100')) return { data: { evm_address: '0x0000000000000000000000000000000000000064' } };
+			throw new Error(`Unexpected request ${url}`);
+		};
+	});
+
+	const request = side => ({ transactionId: '0.0.200@1700000000.000000001', token: '0.0.4321', serial: 7, side });
+
+	it('should sign a settled trade for the requested side', async function() {
+		const service = new TradeRollService({ env: 'testnet', signingKey: KEY, policy, contractId: '0.0.5002' });
+
+		const { ticket, existing } = await service.issue(request('buyer'));
+
+		expect(existing).to.equal(false);
+		expect(mirror.requests[0]).to.match(/\/api\/v1\/transactions\/0\.0\.200-1700000000-000000001$/);
+		expect(ticket).to.include({
+			contractId: '0.0.5002',
+			account: '0.0.200',
+			roller: BUYER_ALIAS,
+			nonce: '1700000005000000042',
+			buyer: true,
+			winRateThreshold: '5000000',
+			maxWinAmt: '100',
+		});
+		expect(ticket.trade).to.deep.include({ seller: '0.0.100', buyer: '0.0.200', payments: [{ token: 'HBAR', raw: '5000000000' }] });
+		expect(recoverRollSigner(ticket, ticket.signature)).to.equal(service.signerAddress);
+
+		const seller = (await service.issue(request('seller'))).ticket;
+		expect(seller).to.include({ account: '0.0.100', buyer: false, maxWinAmt: '50', nonce: ticket.nonce });
+		expect(seller.historyKey).to.not.equal(ticket.historyKey);
+	});
+
+	it('should hand back the stored ticket instead of signing twice', async function() {
+		const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-roll-'));
+		const file = path.join(tmpDir, 'tickets.json');
+		try {
+			const first = new TradeRollService({ env: 'testnet', signingKey: KEY, policy, ledger: new NonceLedger({ file, env: 'testnet' }) });
+			const [a, b] = await Promise.all([first.issue(request('buyer')), first.issue(request('buyer'))]);
+			expect([a.existing, b.existing].sort()).to.deep.equal([false, true]);
+			expect(a.ticket).to.deep.equal(b.ticket);
+
+			// a restart with a more generous policy still returns what was signed
+			const generous = { ...policy, buyer: { ...policy.buyer, maxWinAmt: 1000 } };
+			const restarted = new TradeRollService({ env: 'testnet', signingKey: KEY, policy: generous, ledger: new NonceLedger({ file, env: 'testnet' }) });
+			const again = await restarted.issue(request('buyer'));
+			expect(again.existing).to.equal(true);
+			expect(again.ticket.signature).to.equal(a.ticket.signature);
+			expect(restarted.ledger.size).to.equal(1);
+
+			expect(() => new NonceLedger({ file, env: 'mainnet' })).to.throw(/is for testnet/);
+		}
+		finally {
+			fs.rmSync(tmpDir, { recursive: true, force: true });
+		}
+	});
+
+	it('should refuse trades that did not settle or do not move the NFT', async function() {
+		const service = new TradeRollService({ env: 'testnet', signingKey: KEY, policy });
+
+		transactions = [{ ...saleTransaction, result: 'INSUFFICIENT_ACCOUNT_BALANCE' }];
+		const failed = await handleRollRequest(service, 'POST', '/sign', JSON.stringify(request('buyer')));
+		expect(failed.status).to.equal(422);
+		expect(failed.body.error).to.match(/did not settle: INSUFFICIENT_ACCOUNT_BALANCE/);
+
+		transactions = [saleTransaction];
+		const other = await handleRollRequest(service, 'POST', '/sign', JSON.stringify({ ...request('buyer'), serial: 8 }));
+		expect(other.status).to.equal(422);
+		expect(other.body.error).to.match(/does not transfer 0\.0\.4321 #8/);
+		expect(service.ledger.size).to.equal(0);
+	});
+
+	it('should count only what reached the seller and refuse unpaid transfers', async function() {
+		// 45 HBAR and 10 of 0.0.777 to the seller; a royalty and a LAZY tip go elsewhere
+		transactions = [{
+			...saleTransaction,
+			transfers: [
+				{ account: '0.0.200', amount: -5_000_100_000 },
+				{ account: '0.0.100', amount: 4_500_000_000 },
+				{ account: '0.0.300', amount: 500_000_000 },
+				{ account: '0.0.98', amount: 100_000 },
+			],
+			token_transfers: [
+				{ token_id: '0.0.777', account: '0.0.200', amount: -10 },
+				{ token_id: '0.0.777', account: '0.0.100', amount: 10 },
+				{ token_id: '0.0.1311037', account: '0.0.200', amount: -20 },
+				{ token_id: '0.0.1311037', account: '0.0.300', amount: 20 },
+			],
+		}];
+		const service = new TradeRollService({ env: 'testnet', signingKey: KEY, policy });
+		const { ticket } = await service.issue(request('buyer'));
+		expect(ticket.trade.payments).to.deep.equal([{ token: 'HBAR', raw: '4500000000' }, { token: '0.0.777', raw: '10' }]);
+
+		// the same NFT handed from one account to another: only the fee moves
+		const gift = { ...saleTransaction, consensus_timestamp: '1700000006.000000001', transfers: [{ account: '0.0.200', amount: -100_000 }, { account: '0.0.98', amount: 100_000 }] };
+		transactions = [gift];
+		const refused = await handleRollRequest(service, 'POST', '/sign', JSON.stringify(request('seller')));
+		expect(refused.status).to.equal(422);
+		expect(refused.body.error).to.match(/pays the seller nothing for 0\.0\.4321 #7; the policy does not allow unpaid transfers/);
+		expect(service.ledger.size).to.equal(1);
+
+		const lenient = new TradeRollService({ env: 'testnet', signingKey: KEY, policy: { ...policy, allowUnpaid: true } });
+		const unpaid = await lenient.issue(request('seller'));
+		expect(unpaid.ticket.trade.payments).to.deep.equal([]);
+	});
+
+	it('should validate requests and route the HTTP API', async function() {
+		const service = new TradeRollService({ env: 'testnet', signingKey: KEY, policy });
+
+		expect((await handleRollRequest(service, 'POST', '/sign', '{')).status).to.equal(400);
+		const side = await handleRollRequest(service, 'POST', '/sign', JSON.stringify({ ...request('buyer'), side: 'both' }));
+		expect(side).to.deep.equal({ status: 400, body: { error: 'side must be buyer or seller' } });
+		expect((await handleRollRequest(service, 'GET', '/sign')).status).to.equal(405);
+		expect((await handleRollRequest(service, 'GET', '/nope')).status).to.equal(404);
+		expect(mirror.requests).to.have.length(0);
+
+		const signed = await handleRollRequest(service, 'POST', '/sign', JSON.stringify(request('seller')));
+		expect(signed.status).to.equal(200);
+		const health = await handleRollRequest(service, 'GET', '/health');
+		expect(health.body).to.deep.equal({ env: 'testnet', signer: service.signerAddress, contractId: null, issued: 1 });
+	});
+});
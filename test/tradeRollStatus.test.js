@@ -0,0 +1,94 @@
+/**
+ * Trade Roll Status Tests
+ *
+ * Tests the "already rolled" lookup against a stubbed mirror node: the
+ * history mapping is read with the contract's key through a contract call.
+ * Validates that a rolled side is matched to its LottoRoll and JackpotWin
+ * events.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const { ethers } = require('ethers');
+const { rollHistoryHash } = require('../utils/tradeLottoSigner');
+const { getTradeRollStatus, nonceTimestamp } = require('../utils/tradeRollStatus');
+const { useMirrorStub, mirrorLog, serveLogs } = require('./helpers/mirrorStub');
+
+const iface = new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', 'LazyTradeLotto.json'), 'utf8')));
+
+const TOKEN = '0x00000000000000000000000000000000000010e1';
+const USER = '0x00000000000000000000000000000000000000c8';
+const NONCE = 1700000005000000042n;
+
+function log(name, values, timestamp, transactionHash) {
+	return mirrorLog(iface, name, values, { contract_id: '0.0.5002', timestamp, transaction_hash: transactionHash });
+}
+
+// [_user, _token, _serial, _nonce, _buyer, _winRateThreshold, _winRoll, _minWinAmt, _maxWinAmt, _winAmount, _jackpotThreshold, _jackpotRoll]
+const logs = [
+	log('LottoRoll', [USER, TOKEN, 7, NONCE, false, 5_000_000, 90_000_000, 10, 100, 0, 10_000, 80_000_000], '1700000100.000000001', '0xaa'),
+	log('JackpotWin', [USER, 50_000, 42, 12_345], '1700000200.000000001', '0xbb'),
+	log('LottoRoll', [USER, TOKEN, 7, NONCE, true, 5_000_000, 1_000, 10, 100, 57, 50_000, 42], '1700000200.000000001', '0xbb'),
+];
+
+describe('Trade Roll Status', function() {
+	const mirror = useMirrorStub();
+	let rolledKeys;
+
+	beforeEach(function() {
+		rolledKeys = new Set();
+
+		mirror.post = async (url, body) => {
+			const [key] = iface.decodeFunctionData('history', body.data);
+			return { data: { result: iface.encodeFunctionResult('history', [rolledKeys.has(key)]) } };
+		};
+		mirror.get = async (url) => {
+			if (url.includes('/results/logs')) return serveLogs(logs)(url);
+			// the token has no account, so no EVM alias to search for
+			throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+		};
+	});
+
+	it('should report a side that has not rolled without searching events', async function() {
+		const status = await getTradeRollStatus('testnet', { contract: '0.0.5002', token: '0.0.4321', serial: 7, nonce: NONCE, side: 'buyer' });
+
+		expect(status).to.deep.include({ contractId: '0.0.5002', tokenAddress: TOKEN, serial: '7', nonce: NONCE.toString(), rolled: false, roll: null });
+		expect(status.historyKey).to.equal(rollHistoryHash({ token: '0.0.4321', serial: 7, nonce: NONCE, buyer: true }));
+		expect(mirror.requests).to.have.length(0);
+	});
+
+	it('should find the roll and jackpot win of a rolled side', async function() {
+		rolledKeys.add(rollHistoryHash({ token: TOKEN, serial: 7, nonce: NONCE, buyer: true }));
+
+		const status = await getTradeRollStatus('testnet', { contract: '0.0.5002', token: TOKEN, serial: '7', nonce: NONCE.toString(), side: 'buyer' });
+
+		expect(status.rolled).to.equal(true);
+		expect(status.roll).to.deep.include({
+			user: '0.0.200',
+			transactionHash: '0xbb',
+			won: true,
+			winAmount: '57',
+			jackpotWon: true,
+			jackpotAmount: '12345',
+		});
+		// the nonce is a consensus timestamp, so the search starts at the trade, and the token is a topic
+		const search = new URL(mirror.requests.find(url => url.includes('/results/logs'))).searchParams;
+		expect(search.getAll('timestamp')[0]).to.equal('gte:1700000005.000000042');
+		expect(search.getAll('topic2')).to.deep.equal([ethers.zeroPadValue(TOKEN, 32)]);
+	});
+
+	it('should tell the seller side apart and report a roll it cannot find', async function() {
+		rolledKeys.add(rollHistoryHash({ token: TOKEN, serial: 7, nonce: NONCE, buyer: false }));
+
+		const seller = await getTradeRollStatus('testnet', { contract: '0.0.5002', token: '0.0.4321', serial: 7, nonce: NONCE, side: 'seller' });
+		expect(seller.roll).to.deep.include({ transactionHash: '0xaa', won: false, jackpotWon: false, jackpotAmount: null });
+
+		const late = await getTradeRollStatus('testnet', { contract: '0.0.5002', token: '0.0.4321', serial: 7, nonce: NONCE, side: 'seller', fromTimestamp: '1700000150' });
+		expect(late).to.deep.include({ rolled: true, roll: null });
+
+		expect(nonceTimestamp(1000)).to.equal(null);
+		expect(nonceTimestamp(NONCE)).to.equal('1700000005.000000042');
+	});
+});
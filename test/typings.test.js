@@ -0,0 +1,47 @@
+/**
+ * Typings Tests
+ *
+ * Guards the shipped TypeScript declarations: the generated ABI types must
+ * match abi/*.json and every runtime export of index.js must be declared.
+ * Regenerate with `npm run generate-types` if the first check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { renderAbiTypes, toLiteralType } = require('../scripts/deployments/generateTypes');
+
+const root = path.join(__dirname, '..');
+
+describe('Typings', function() {
+
+	it('should render JSON as readonly literal types', function() {
+		const rendered = toLiteralType([{ type: 'function', name: 'rollAll', inputs: [] }]);
+
+		expect(rendered).to.include('readonly type: "function";');
+		expect(rendered).to.include('readonly name: "rollAll";');
+		expect(rendered).to.include('readonly inputs: readonly [];');
+	});
+
+	it('should keep types/abi.d.ts in sync with abi/*.json', function() {
+		const onDisk = fs.readFileSync(path.join(root, 'types', 'abi.d.ts'), 'utf8');
+		expect(onDisk).to.equal(renderAbiTypes());
+	});
+
+	it('should declare every runtime export of index.js', function() {
+		const declarations = fs.readFileSync(path.join(root, 'index.d.ts'), 'utf8');
+		const exported = Object.keys(require('../index'));
+
+		for (const name of exported) {
+			expect(declarations, `index.d.ts is missing ${name}`).to.match(new RegExp(`\\b${name}\\b`));
+		}
+	});
+
+	it('should point package.json at the declarations', function() {
+		const pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+
+		expect(pkg.types).to.equal('index.d.ts');
+		expect(pkg.files).to.include.members(['index.d.ts', 'types/']);
+	});
+});
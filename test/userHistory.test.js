@@ -0,0 +1,123 @@
+/**
+ * User History Tests
+ *
+ * Tests the account ledger behind `lazy-lotto history` against canned mirror
+ * node responses and a stubbed LazyLotto client: spend from paid entries,
+ * free grants, rolls grouped per transaction and per-pool net results.
+ * Validates that fees count only when the account paid and that claims are
+ * credited to the pool that produced the win.
+ */
+
+const { expect } = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const { ethers } = require('ethers');
+const { getUserHistory } = require('../utils/userHistory');
+const LazyLottoABI = require('../abi/LazyLotto.json');
+const { useMirrorStub, mirrorLog, serveLogs } = require('./helpers/mirrorStub');
+
+const lottoIface = new ethers.Interface(LazyLottoABI);
+
+function address(num) {
+	return ethers.zeroPadValue(ethers.toBeHex(num), 20);
+}
+
+function hbar(raw) {
+	return { raw: raw.toString(), token: 'HBAR', symbol: 'HBAR', decimals: 8, formatted: `${Number(raw) / 1e8} ℏ` };
+}
+
+describe('User History', function() {
+	const user = address(1234);
+	const admin = address(99);
+	const mirror = useMirrorStub();
+
+	// transaction hash -> payer, fee, called function and the logs it emitted
+	const transactions = {
+		'0xa1': { timestamp: '100.000000001', payer: '0.0.1234', fee: 2_000_000, call: ['buyEntry', [0, 2]], logs: [
+			['EntryPurchased', [user, 0, 2]],
+		] },
+		'0xb1': { timestamp: '200.000000001', payer: '0.0.1234', fee: 3_000_000, call: ['rollAll', [0]], logs: [
+			['Rolled', [user, 0, true, 10]],
+			['Rolled', [user, 0, false, 900_000]],
+		] },
+		'0xc1': { timestamp: '300.000000001', payer: '0.0.1234', fee: 1_000_000, call: ['claimPrize', [0]], logs: [
+			['PrizeClaimed', [user, [ethers.ZeroAddress, 500_000_000n, [], []]]],
+		] },
+		'0xd1': { timestamp: '400.000000001', payer: '0.0.99', fee: 4_000_000, call: ['adminGrantEntry', [1, 3, user]], logs: [
+			['EntryPurchased', [user, 1, 3]],
+		] },
+	};
+
+	const client = {
+		env: 'testnet',
+		contractId: '0.0.5001',
+		lazyLottoIface: lottoIface,
+		getPool: async () => ({ entryFee: hbar(100_000_000) }),
+		toAmount: async (raw) => hbar(raw),
+	};
+
+	beforeEach(function() {
+		const logs = Object.entries(transactions).flatMap(([hash, tx]) => tx.logs.map(([name, args], index) =>
+			mirrorLog(lottoIface, name, args, { timestamp: tx.timestamp, block_number: 10, transaction_hash: hash, index })));
+		// someone else's purchase, left out by the user filter
+		logs.push(mirrorLog(lottoIface, 'EntryPurchased', [admin, 0, 1], { timestamp: '500.000000001', block_number: 11, transaction_hash: '0xe1' }));
+
+		mirror.get = async (url) => {
+			if (url.includes('/results/logs')) return serveLogs(logs)(url);
+
+			const [hash, tx] = Object.entries(transactions).find(([key, value]) => url.endsWith(key) || url.endsWith(value.timestamp));
+			if (url.includes('/transactions?')) {
+				return { data: { transactions: [{ transaction_id: `${tx.payer}-${tx.timestamp.replace('.', '-')}`, charged_tx_fee: tx.fee }] } };
+			}
+			return { data: { hash, function_parameters: lottoIface.encodeFunctionData(...tx.call) } };
+		};
+	});
+
+	it('should build a ledger of purchases, grants, rolls and claims with fees', async function() {
+		const history = await getUserHistory(client, { user: '0.0.1234' });
+
+		expect(history.ledger.map(entry => [entry.type, entry.poolId])).to.deep.equal([
+			['buy', 0], ['roll', 0], ['claim', 0], ['grant', 1],
+		]);
+
+		const [buy, roll, claim, grant] = history.ledger;
+		expect(buy).to.include({ entries: 2, transactionId: '0.0.1234-100-000000001' });
+		expect(buy.spent.raw).to.equal('200000000');
+		expect(buy.fee.raw).to.equal('2000000');
+		expect(roll).to.include({ rolls: 2, wins: 1 });
+		expect(claim.prize.amount.raw).to.equal('500000000');
+		// the admin paid for the grant
+		expect(grant).to.include({ entries: 3, spent: null, fee: null });
+	});
+
+	it('should total spend, claims, fees and net result per pool', async function() {
+		const history = await getUserHistory(client, { user: '0.0.1234' });
+
+		const [pool0, pool1] = history.pools;
+		expect(pool0).to.include({ poolId: 0, entries: 2, rolls: 2, wins: 1 });
+		expect(pool0.spent.map(a => a.raw)).to.deep.equal(['200000000']);
+		expect(pool0.claimed.map(a => a.raw)).to.deep.equal(['500000000']);
+		expect(pool0.fees.raw).to.equal('6000000');
+		// 5 ℏ claimed - 2 ℏ spent - 0.06 ℏ fees
+		expect(pool0.net.map(a => a.raw)).to.deep.equal(['294000000']);
+
+		expect(pool1).to.include({ poolId: 1, entries: 0, freeEntries: 3 });
+		expect(pool1.net).to.deep.equal([]);
+		expect(history.totals.net.map(a => a.raw)).to.deep.equal(['294000000']);
+	});
+
+	it('should filter by pool and leave claims it cannot place unattributed', async function() {
+		const pool1 = await getUserHistory(client, { user: '0.0.1234', poolId: 1 });
+		expect(pool1.ledger.map(entry => entry.type)).to.deep.equal(['grant']);
+
+		// without the winning roll the claim cannot be tied to a pool
+		const since = await getUserHistory(client, { user: '0.0.1234', since: '250' });
+		expect(since.since).to.equal('250');
+		expect(since.ledger.find(entry => entry.type === 'claim').poolId).to.equal(null);
+		expect(since.pools.map(pool => pool.poolId)).to.deep.equal([1, null]);
+
+		await getUserHistory(client, { user: '0.0.1234', since: 'last tuesday' }).then(
+			() => expect.fail('should reject'),
+			error => expect(error.message).to.match(/Invalid since date/),
+		);
+	});
+});
@@ -0,0 +1,6848 @@
+// Generated by scripts/deployments/generateTypes.js from abi/*.json - do not edit by hand.
+
+export declare const LazyLottoABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyToken";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyGasStation";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyDelegateRegistry";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_prng";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_storageContract";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "constructor";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "AlreadyWinningTicket";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "BadParameters";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_tokenAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_balance";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_requestedAmount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "BalanceError";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_outstanding";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_tokensOutstanding";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "EntriesOutstanding";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedNFTCreate";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedNFTMintAndSend";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedNFTWipe";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedToInitialize";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FungibleTokenTransferFailed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LastAdminError";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "LottoPoolNotFound";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NoPendingPrizes";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NoPrizesAvailable";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "NoTickets";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NotAdmin";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NotAuthorized";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_needed";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_presented";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "NotEnoughFungible";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_needed";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_presented";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "NotEnoughHbar";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_requested";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_available";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "NotEnoughTickets";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "PoolIsClosed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "PoolManagerAlreadySet";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "PoolNotClosed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "PoolOnPause";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "AdminAdded";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "AdminRemoved";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "enum LazyLotto.MethodEnum";
+				readonly name: "method";
+				readonly type: "uint8";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_sender";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "ContractUpdate";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "EntryPurchased";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "Paused";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "PoolClosed";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "PoolCreated";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "PoolOpened";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "PoolPaused";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "prizeIndex";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "admin";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "address";
+						readonly name: "token";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "uint256";
+						readonly name: "amount";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "address[]";
+						readonly name: "nftTokens";
+						readonly type: "address[]";
+					},
+					{
+						readonly internalType: "uint256[][]";
+						readonly name: "nftSerials";
+						readonly type: "uint256[][]";
+					},
+				];
+				readonly indexed: false;
+				readonly internalType: "struct LazyLotto.PrizePackage";
+				readonly name: "prize";
+				readonly type: "tuple";
+			},
+		];
+		readonly name: "PrizeAdded";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "address";
+						readonly name: "token";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "uint256";
+						readonly name: "amount";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "address[]";
+						readonly name: "nftTokens";
+						readonly type: "address[]";
+					},
+					{
+						readonly internalType: "uint256[][]";
+						readonly name: "nftSerials";
+						readonly type: "uint256[][]";
+					},
+				];
+				readonly indexed: false;
+				readonly internalType: "struct LazyLotto.PrizePackage";
+				readonly name: "prize";
+				readonly type: "tuple";
+			},
+		];
+		readonly name: "PrizeClaimed";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "prizeIndex";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "admin";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "address";
+						readonly name: "token";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "uint256";
+						readonly name: "amount";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "address[]";
+						readonly name: "nftTokens";
+						readonly type: "address[]";
+					},
+					{
+						readonly internalType: "uint256[][]";
+						readonly name: "nftSerials";
+						readonly type: "uint256[][]";
+					},
+				];
+				readonly indexed: false;
+				readonly internalType: "struct LazyLotto.PrizePackage";
+				readonly name: "prize";
+				readonly type: "tuple";
+			},
+		];
+		readonly name: "PrizeRemoved";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "won";
+				readonly type: "bool";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "rollBps";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "Rolled";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "tokenId";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "int64[]";
+				readonly name: "serialNumber";
+				readonly type: "int64[]";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "mint";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "TicketEvent";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "Unpaused";
+		readonly type: "event";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "fallback";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "MAX_WIN_RATE_THRESHOLD";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NFT_BATCH_SIZE";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "addAdmin";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "tokenId";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "amounts";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly name: "addMultipleFungiblePrizes";
+		readonly outputs: readonly [];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address[]";
+				readonly name: "nftTokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "nftSerials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly name: "addPrizePackage";
+		readonly outputs: readonly [];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "ticketCount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "adminBuyAndRedeemEntry";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serials";
+				readonly type: "int64[]";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "ticketCount";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "recipient";
+				readonly type: "address";
+			},
+		];
+		readonly name: "adminGrantEntry";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "burnPercentage";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "ticketCount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "buyAndRedeemEntry";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serials";
+				readonly type: "int64[]";
+			},
+		];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "ticketCount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "buyAndRollEntry";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "wins";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "offset";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "ticketCount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "buyEntry";
+		readonly outputs: readonly [];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "calculateBoost";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint32";
+				readonly name: "boost";
+				readonly type: "uint32";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "claimAllPrizes";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "pkgIdx";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "claimPrize";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "tokenId";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serialNumbers";
+				readonly type: "int64[]";
+			},
+		];
+		readonly name: "claimPrizeFromNFT";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "closePool";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "string";
+				readonly name: "_name";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "_symbol";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "_memo";
+				readonly type: "string";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint32";
+						readonly name: "numerator";
+						readonly type: "uint32";
+					},
+					{
+						readonly internalType: "uint32";
+						readonly name: "denominator";
+						readonly type: "uint32";
+					},
+					{
+						readonly internalType: "uint32";
+						readonly name: "fallbackfee";
+						readonly type: "uint32";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "account";
+						readonly type: "address";
+					},
+				];
+				readonly internalType: "struct ILazyLottoStorage.NFTFeeObject[]";
+				readonly name: "_royalties";
+				readonly type: "tuple[]";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "_ticketCID";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "_winCID";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_winRateTenThousandthsOfBps";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_entryFee";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_feeToken";
+				readonly type: "address";
+			},
+		];
+		readonly name: "createPool";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getFungiblesNeededForPrizes";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "index";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPendingPrize";
+		readonly outputs: readonly [
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint256";
+						readonly name: "poolId";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "bool";
+						readonly name: "asNFT";
+						readonly type: "bool";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "address";
+								readonly name: "token";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "uint256";
+								readonly name: "amount";
+								readonly type: "uint256";
+							},
+							{
+								readonly internalType: "address[]";
+								readonly name: "nftTokens";
+								readonly type: "address[]";
+							},
+							{
+								readonly internalType: "uint256[][]";
+								readonly name: "nftSerials";
+								readonly type: "uint256[][]";
+							},
+						];
+						readonly internalType: "struct LazyLotto.PrizePackage";
+						readonly name: "prize";
+						readonly type: "tuple";
+					},
+				];
+				readonly internalType: "struct LazyLotto.PendingPrize";
+				readonly name: "";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "tokenId";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "serialNumber";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPendingPrizesByNFT";
+		readonly outputs: readonly [
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint256";
+						readonly name: "poolId";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "bool";
+						readonly name: "asNFT";
+						readonly type: "bool";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "address";
+								readonly name: "token";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "uint256";
+								readonly name: "amount";
+								readonly type: "uint256";
+							},
+							{
+								readonly internalType: "address[]";
+								readonly name: "nftTokens";
+								readonly type: "address[]";
+							},
+							{
+								readonly internalType: "uint256[][]";
+								readonly name: "nftSerials";
+								readonly type: "uint256[][]";
+							},
+						];
+						readonly internalType: "struct LazyLotto.PrizePackage";
+						readonly name: "prize";
+						readonly type: "tuple";
+					},
+				];
+				readonly internalType: "struct LazyLotto.PendingPrize";
+				readonly name: "";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getPendingPrizesCount";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "startIndex";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPendingPrizesPage";
+		readonly outputs: readonly [
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint256";
+						readonly name: "poolId";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "bool";
+						readonly name: "asNFT";
+						readonly type: "bool";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "address";
+								readonly name: "token";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "uint256";
+								readonly name: "amount";
+								readonly type: "uint256";
+							},
+							{
+								readonly internalType: "address[]";
+								readonly name: "nftTokens";
+								readonly type: "address[]";
+							},
+							{
+								readonly internalType: "uint256[][]";
+								readonly name: "nftSerials";
+								readonly type: "uint256[][]";
+							},
+						];
+						readonly internalType: "struct LazyLotto.PrizePackage";
+						readonly name: "prize";
+						readonly type: "tuple";
+					},
+				];
+				readonly internalType: "struct LazyLotto.PendingPrize[]";
+				readonly name: "";
+				readonly type: "tuple[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "id";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPoolBasicInfo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "string";
+				readonly name: "ticketCID";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "winCID";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "winRateThousandthsOfBps";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "entryFee";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "prizeCount";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "outstandingEntries";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "poolTokenId";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "paused";
+				readonly type: "bool";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "closed";
+				readonly type: "bool";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "feeToken";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "prizeIndex";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPrizePackage";
+		readonly outputs: readonly [
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "address";
+						readonly name: "token";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "uint256";
+						readonly name: "amount";
+						readonly type: "uint256";
+					},
+					{
+						readonly internalType: "address[]";
+						readonly name: "nftTokens";
+						readonly type: "address[]";
+					},
+					{
+						readonly internalType: "uint256[][]";
+						readonly name: "nftSerials";
+						readonly type: "uint256[][]";
+					},
+				];
+				readonly internalType: "struct LazyLotto.PrizePackage";
+				readonly name: "";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "startPoolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getUserEntriesPage";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getUsersEntries";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isAdmin";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyDelegateRegistry";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract ILazyDelegateRegistry";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyGasStation";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract ILazyGasStation";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "pause";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "pausePool";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "paused";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "poolManager";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract LazyLottoPoolManager";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "prng";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract IPrngSystemContract";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "ticketCount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "redeemEntriesToNFT";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serials";
+				readonly type: "int64[]";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "indices";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly name: "redeemPrizeToNFT";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serials";
+				readonly type: "int64[]";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "removeAdmin";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "prizeIndex";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "removePrizes";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "rollAll";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "wins";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "offset";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "numberToRoll";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "rollBatch";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "wins";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "offset";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serialNumbers";
+				readonly type: "int64[]";
+			},
+		];
+		readonly name: "rollWithNFT";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "wins";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "offset";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "setBurnPercentage";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "_poolManager";
+				readonly type: "address";
+			},
+		];
+		readonly name: "setPoolManager";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_prng";
+				readonly type: "address";
+			},
+		];
+		readonly name: "setPrng";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "storageContract";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract ILazyLottoStorage";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_tokenAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_receiver";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferFungible";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "receiverAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "receiverAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferHbarFromStorage";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "unpause";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "unpausePool";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly name: "userEntries";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "withdrawPlatformFees";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "withdrawPoolProceeds";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "receive";
+	},
+];
+
+export declare const LazyLottoStorageABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyGasStation";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyToken";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "constructor";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "tokenAddress";
+				readonly type: "address";
+			},
+		];
+		readonly name: "AssociationFailed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "BadParameters";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "ContractUserAlreadySet";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedNFTCreate";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedNFTMintAndSend";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "FailedNFTWipe";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LastAdminError";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NotAdmin";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NotContractUser";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "string";
+				readonly name: "operation";
+				readonly type: "string";
+			},
+		];
+		readonly name: "TransferFailed";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "AdminAdded";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "AdminRemoved";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "contractUser";
+				readonly type: "address";
+			},
+		];
+		readonly name: "ContractUserSet";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "to";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "FungibleTransferred";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "to";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "HbarTransferred";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "recipient";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "HbarWithdrawn";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "from";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "to";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "NFTCollectionTransferred";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "tokenAddress";
+				readonly type: "address";
+			},
+		];
+		readonly name: "TokenAssociated";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "tokenAddress";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "creator";
+				readonly type: "address";
+			},
+		];
+		readonly name: "TokenCreated";
+		readonly type: "event";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "fallback";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "addAdmin";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "associateTokenToStorage";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "isStaking";
+				readonly type: "bool";
+			},
+			{
+				readonly internalType: "address[]";
+				readonly name: "nftTokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "nftSerials";
+				readonly type: "uint256[][]";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "eoaAddress";
+				readonly type: "address";
+			},
+		];
+		readonly name: "bulkTransferNFTs";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "string";
+				readonly name: "_name";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "_symbol";
+				readonly type: "string";
+			},
+			{
+				readonly internalType: "string";
+				readonly name: "_memo";
+				readonly type: "string";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint32";
+						readonly name: "numerator";
+						readonly type: "uint32";
+					},
+					{
+						readonly internalType: "uint32";
+						readonly name: "denominator";
+						readonly type: "uint32";
+					},
+					{
+						readonly internalType: "uint32";
+						readonly name: "fallbackfee";
+						readonly type: "uint32";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "account";
+						readonly type: "address";
+					},
+				];
+				readonly internalType: "struct LazyLottoStorage.NFTFeeObject[]";
+				readonly name: "_royalties";
+				readonly type: "tuple[]";
+			},
+		];
+		readonly name: "createToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "tokenAddress";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "depositHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "from";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amountToPull";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "ensureFungibleBalance";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly components: readonly [
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "address";
+								readonly name: "accountID";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "int64";
+								readonly name: "amount";
+								readonly type: "int64";
+							},
+							{
+								readonly internalType: "bool";
+								readonly name: "isApproval";
+								readonly type: "bool";
+							},
+						];
+						readonly internalType: "struct IHederaTokenServiceLite.AccountAmount[]";
+						readonly name: "transfers";
+						readonly type: "tuple[]";
+					},
+				];
+				readonly internalType: "struct IHederaTokenServiceLite.TransferList";
+				readonly name: "transferList";
+				readonly type: "tuple";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "address";
+						readonly name: "token";
+						readonly type: "address";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "address";
+								readonly name: "accountID";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "int64";
+								readonly name: "amount";
+								readonly type: "int64";
+							},
+							{
+								readonly internalType: "bool";
+								readonly name: "isApproval";
+								readonly type: "bool";
+							},
+						];
+						readonly internalType: "struct IHederaTokenServiceLite.AccountAmount[]";
+						readonly name: "transfers";
+						readonly type: "tuple[]";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "address";
+								readonly name: "senderAccountID";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "address";
+								readonly name: "receiverAccountID";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "int64";
+								readonly name: "serialNumber";
+								readonly type: "int64";
+							},
+							{
+								readonly internalType: "bool";
+								readonly name: "isApproval";
+								readonly type: "bool";
+							},
+						];
+						readonly internalType: "struct IHederaTokenServiceLite.NftTransfer[]";
+						readonly name: "nftTransfers";
+						readonly type: "tuple[]";
+					},
+				];
+				readonly internalType: "struct IHederaTokenServiceLite.TokenTransferList[]";
+				readonly name: "tokenTransfers";
+				readonly type: "tuple[]";
+			},
+		];
+		readonly name: "executeCryptoTransfer";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getContractUser";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isAdmin";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyGasStation";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract ILazyGasStation";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "receiver";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "bytes[]";
+				readonly name: "metadata";
+				readonly type: "bytes[]";
+			},
+		];
+		readonly name: "mintAndTransferNFT";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serialNumbers";
+				readonly type: "int64[]";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "isStaking";
+				readonly type: "bool";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "collectionAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "serials";
+				readonly type: "uint256[]";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "eoaAddress";
+				readonly type: "address";
+			},
+		];
+		readonly name: "moveNFTsWithHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "from";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "pullFungibleFrom";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "removeAdmin";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "contractUser";
+				readonly type: "address";
+			},
+		];
+		readonly name: "setContractUser";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "to";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferFungible";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "to";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "from";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "to";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serialNumbers";
+				readonly type: "int64[]";
+			},
+		];
+		readonly name: "transferNFTCollection";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "int64[]";
+				readonly name: "serialNumbers";
+				readonly type: "int64[]";
+			},
+		];
+		readonly name: "wipeNFT";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "recipient";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "withdrawFungible";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "recipient";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "withdrawHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "receive";
+	},
+];
+
+export declare const LazyLottoPoolManagerABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyToken";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyGasStation";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyDelegateRegistry";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "constructor";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "BadParameters";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "CannotSetManagerForGlobalPools";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "CannotTransferGlobalPools";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "CannotWithdrawFromGlobalPools";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "required";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "provided";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "InsufficientHbarFee";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "InvalidAddress";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LazyLottoAlreadySet";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NotAuthorized";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NotLazyLotto";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NothingToWithdraw";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "hbarFee";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "lazyFee";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "CreationFeesUpdated";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "manager";
+				readonly type: "address";
+			},
+		];
+		readonly name: "GlobalPrizeManagerAdded";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "manager";
+				readonly type: "address";
+			},
+		];
+		readonly name: "GlobalPrizeManagerRemoved";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "threshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint16";
+				readonly name: "bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly name: "LazyBalanceBonusSet";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "index";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "NFTBonusRemoved";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint16";
+				readonly name: "bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly name: "NFTBonusSet";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "percentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "PlatformProceedsPercentageUpdated";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "creator";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "isGlobalAdmin";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "PoolCreated";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "oldOwner";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "newOwner";
+				readonly type: "address";
+			},
+		];
+		readonly name: "PoolOwnershipTransferred";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "manager";
+				readonly type: "address";
+			},
+		];
+		readonly name: "PoolPrizeManagerSet";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "ProceedsRecorded";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "start";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "end";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint16";
+				readonly name: "bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly name: "TimeBonusAdded";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "index";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "TimeBonusRemoved";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "owner";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "ownerShare";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "platformCut";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "WithdrawalRequested";
+		readonly type: "event";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "fallback";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "addGlobalPrizeManager";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "calculateBoost";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint32";
+				readonly name: "boost";
+				readonly type: "uint32";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "canAddPrizes";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "canManagePool";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "offset";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "limit";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getCommunityPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "poolIds";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getCreationFees";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "hbar";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "lazy";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "offset";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "limit";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getGlobalPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "poolIds";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getPlatformBalance";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPoolOwner";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "owner";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPoolPlatformFeePercentage";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "percentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPoolPrizeManager";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "manager";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getPoolProceeds";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "total";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "withdrawn";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getUserPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "poolIds";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly name: "globalPrizeManagers";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "hbarCreationFee";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "isGlobalPool";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isGlobalPrizeManager";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyBalanceBonusBps";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint16";
+				readonly name: "";
+				readonly type: "uint16";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyBalanceThreshold";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyCreationFee";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyDelegateRegistry";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyGasStation";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyLotto";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly name: "nftBonusBps";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint16";
+				readonly name: "";
+				readonly type: "uint16";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "nftBonusTokens";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly name: "pendingWithdrawals";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly name: "platformProceedsBalance";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "platformProceedsPercentage";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "poolOwners";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "poolPlatformFeePercentage";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "poolPrizeManagers";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "creator";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "isGlobalAdmin";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "recordPoolCreation";
+		readonly outputs: readonly [];
+		readonly stateMutability: "payable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "recordProceeds";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "a";
+				readonly type: "address";
+			},
+		];
+		readonly name: "removeGlobalPrizeManager";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "index";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "removeNFTBonus";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "index";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "removeTimeBonus";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "caller";
+				readonly type: "address";
+			},
+		];
+		readonly name: "requestWithdrawal";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "ownerShare";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_hbarFee";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_lazyFee";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "setCreationFees";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_threshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint16";
+				readonly name: "_bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly name: "setLazyBalanceBonus";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyLotto";
+				readonly type: "address";
+			},
+		];
+		readonly name: "setLazyLotto";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint16";
+				readonly name: "_bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly name: "setNFTBonus";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_percentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "setPlatformProceedsPercentage";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "manager";
+				readonly type: "address";
+			},
+		];
+		readonly name: "setPoolPrizeManager";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_start";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_end";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint16";
+				readonly name: "_bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly name: "setTimeBonus";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "timeBonuses";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "start";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "end";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint16";
+				readonly name: "bonusBps";
+				readonly type: "uint16";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalCommunityPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalGlobalPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalHbarCollected";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalLazyCollected";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalNFTBonusTokens";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalTimeBonuses";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "count";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "poolId";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "newOwner";
+				readonly type: "address";
+			},
+		];
+		readonly name: "transferPoolOwnership";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "userOwnedPools";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "withdrawPlatformFees";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "receive";
+	},
+];
+
+export declare const LazyTradeLottoABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_prngSystemContract";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyGasStation";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyDelegateRegistry";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lshGen1";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lshGen2";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lshGen1Mutant";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_systemWallet";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_initialJackpot";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_lottoLossIncrement";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "constructor";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "AlreadyRolled";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "string";
+				readonly name: "message";
+				readonly type: "string";
+			},
+		];
+		readonly name: "BadArguments";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "InvalidTeamSignature";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "InvalidUserSignature";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "string";
+				readonly name: "_functionName";
+				readonly type: "string";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_sender";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "string";
+				readonly name: "_message";
+				readonly type: "string";
+			},
+		];
+		readonly name: "ContractUpdate";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "JackpotUpdate";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_jackpotThreshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_jackpotRoll";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_jackpotAmt";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "JackpotWin";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_serial";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_nonce";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "_buyer";
+				readonly type: "bool";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_winRateThreshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_winRoll";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_minWinAmt";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_maxWinAmt";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_winAmount";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_jackpotThreshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_jackpotRoll";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "LottoRoll";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "previousOwner";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "newOwner";
+				readonly type: "address";
+			},
+		];
+		readonly name: "OwnershipTransferred";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "Paused";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "Unpaused";
+		readonly type: "event";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "fallback";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LSH_GEN1";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LSH_GEN1_MUTANT";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LSH_GEN2";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "MAX_WIN_RATE_THRESHOLD";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "boostJackpot";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "burnPercentage";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getBurnForUser";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getLottoStats";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_jackpotPool";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_jackpotsWon";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_jackpotPaid";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_totalRolls";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_totalWins";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_totalPaid";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_lottoLossIncrement";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_maxJackpotPool";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "bytes32";
+				readonly name: "";
+				readonly type: "bytes32";
+			},
+		];
+		readonly name: "history";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "isPaused";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "jackpotPaid";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "jackpotPool";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "jackpotsWon";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyDelegateRegistry";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract ILazyDelegateRegistry";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyGasStation";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract ILazyGasStation";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lottoLossIncrement";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "maxJackpotPool";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "owner";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "pause";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "paused";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "prngSystemContract";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "contract IPrngSystemContract";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "renounceOwnership";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "serial";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "nonce";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "buyer";
+				readonly type: "bool";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "winRateThreshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "minWinAmt";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "maxWinAmt";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "jackpotThreshold";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "bytes";
+				readonly name: "teamSignature";
+				readonly type: "bytes";
+			},
+		];
+		readonly name: "rollLotto";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "systemWallet";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalPaid";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalRolls";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalWins";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "receiverAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "newOwner";
+				readonly type: "address";
+			},
+		];
+		readonly name: "transferOwnership";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "unpause";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "percentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "updateBurnPercentage";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "increment";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "updateJackpotLossIncrement";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "maxThreshold";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "updateMaxJackpotPool";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "newWallet";
+				readonly type: "address";
+			},
+		];
+		readonly name: "updateSystemWallet";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "receive";
+	},
+];
+
+export declare const LazyGasStationABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_lazyToken";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_lazySCT";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "constructor";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "AssociationFailed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "BadArgument";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "BadInput";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "BurnFailed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_required";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_available";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "Empty";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "InsufficientAllowance";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "LastAdmin";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "NetPayoutFailed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "PayoutFailed";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "enum IRoles.Role";
+				readonly name: "_role";
+				readonly type: "uint8";
+			},
+		];
+		readonly name: "PermissionDenied";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "ToLGSTransferFailed";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_executor";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_address";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "_added";
+				readonly type: "bool";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "enum IRoles.Role";
+				readonly name: "_role";
+				readonly type: "uint8";
+			},
+		];
+		readonly name: "GasStationAccessControlEvent";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_callingContract";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "_fromUser";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "GasStationFunding";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "_callingContract";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "enum LazyGasStation.PaymentType";
+				readonly name: "_type";
+				readonly type: "uint8";
+			},
+		];
+		readonly name: "GasStationRefillEvent";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "string";
+				readonly name: "message";
+				readonly type: "string";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "sender";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "value";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "GasStationStatus";
+		readonly type: "event";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "fallback";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "addAdmin";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_added";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_authorized";
+				readonly type: "address";
+			},
+		];
+		readonly name: "addAuthorizer";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_added";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_deployer";
+				readonly type: "address";
+			},
+		];
+		readonly name: "addContractUser";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_added";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "drawLazyFrom";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_payTo";
+				readonly type: "address";
+			},
+		];
+		readonly name: "drawLazyFromPayTo";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getAdmins";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "_admins";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getAuthorizers";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "_authorizers";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getContractUsers";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "_contractUsers";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getTokenExpiryInfo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "int64";
+						readonly name: "second";
+						readonly type: "int64";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "autoRenewAccount";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "int64";
+						readonly name: "autoRenewPeriod";
+						readonly type: "int64";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.Expiry";
+				readonly name: "expiryInfo";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "keyType";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getTokenKey";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "bool";
+						readonly name: "inheritAccountKey";
+						readonly type: "bool";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "contractId";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "bytes";
+						readonly name: "ed25519";
+						readonly type: "bytes";
+					},
+					{
+						readonly internalType: "bytes";
+						readonly name: "ECDSA_secp256k1";
+						readonly type: "bytes";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "delegatableContractId";
+						readonly type: "address";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.KeyValue";
+				readonly name: "key";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "grantTokenKyc";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isAdmin";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_isAdmin";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_authorizer";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isAuthorizer";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_isAuthorizer";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_contractUser";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isContractUser";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_isContractUser";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isKyc";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "kycGranted";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazySCT";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "lazyToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "pauseToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_user";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_burnPercentage";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "payoutLazy";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_payoutAmount";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "refillHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "refillLazy";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_admin";
+				readonly type: "address";
+			},
+		];
+		readonly name: "removeAdmin";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_removed";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_authorized";
+				readonly type: "address";
+			},
+		];
+		readonly name: "removeAuthorizer";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_removed";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_deployer";
+				readonly type: "address";
+			},
+		];
+		readonly name: "removeContractUser";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "_removed";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_receiver";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "retrieveLazy";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "revokeTokenKyc";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address payable";
+				readonly name: "receiverAddress";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "amount";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "transferHbar";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "unpauseToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "int64";
+						readonly name: "second";
+						readonly type: "int64";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "autoRenewAccount";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "int64";
+						readonly name: "autoRenewPeriod";
+						readonly type: "int64";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.Expiry";
+				readonly name: "expiryInfo";
+				readonly type: "tuple";
+			},
+		];
+		readonly name: "updateTokenExpiryInfo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint256";
+						readonly name: "keyType";
+						readonly type: "uint256";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "bool";
+								readonly name: "inheritAccountKey";
+								readonly type: "bool";
+							},
+							{
+								readonly internalType: "address";
+								readonly name: "contractId";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "bytes";
+								readonly name: "ed25519";
+								readonly type: "bytes";
+							},
+							{
+								readonly internalType: "bytes";
+								readonly name: "ECDSA_secp256k1";
+								readonly type: "bytes";
+							},
+							{
+								readonly internalType: "address";
+								readonly name: "delegatableContractId";
+								readonly type: "address";
+							},
+						];
+						readonly internalType: "struct IHederaTokenService.KeyValue";
+						readonly name: "key";
+						readonly type: "tuple";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.TokenKey[]";
+				readonly name: "keys";
+				readonly type: "tuple[]";
+			},
+		];
+		readonly name: "updateTokenKeys";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly stateMutability: "payable";
+		readonly type: "receive";
+	},
+];
+
+export declare const LazyDelegateRegistryABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_expected";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_actual";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "BadArgumentLength";
+		readonly type: "error";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_owner";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+		];
+		readonly name: "LazyDelegateRegistryOnlyOwner";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "_serial";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_owner";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "_delegated";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "TokenDelegated";
+		readonly type: "event";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_wallet";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bool";
+				readonly name: "_delegated";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "WalletDelegated";
+		readonly type: "event";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_proposedDelegate";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_serial";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "checkDelegateToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_actualWallet";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_proposedDelegate";
+				readonly type: "address";
+			},
+		];
+		readonly name: "checkDelegateWallet";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_serial";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "checkNFTDelegationIsValid";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool";
+				readonly name: "";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "_tokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "_serials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly name: "checkNFTDelegationIsValidBatch";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bool[][]";
+				readonly name: "valid";
+				readonly type: "bool[][]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "_serials";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly name: "delegateNFT";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address[]";
+				readonly name: "_tokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "_serials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly name: "delegateNFTs";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+		];
+		readonly name: "delegateWalletTo";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_wallet";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getDelegateWallet";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "delegate";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_ownerWallet";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "_includeSerials";
+				readonly type: "bool";
+			},
+		];
+		readonly name: "getDelegatedNFTsBy";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "tokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "serials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_serial";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getNFTDelegatedTo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "wallet";
+				readonly type: "address";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "_tokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "_serials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly name: "getNFTListDelegatedTo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[][]";
+				readonly name: "delegateList";
+				readonly type: "address[][]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getNFTsDelegatedTo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "tokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "serials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_ownerWallet";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getSerialsDelegatedBy";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "serials";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_ownerWallet";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_offset";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_limit";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getSerialsDelegatedByRange";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "serials";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getSerialsDelegatedTo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "serials";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegate";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_offset";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_limit";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getSerialsDelegatedToRange";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "serials";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getTokensWithDelegates";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_offset";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_limit";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getTokensWithDelegatesRange";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "tokens";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getTotalTokensWithDelegates";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getTotalWalletsWithDelegates";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_delegateWallet";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getWalletsDelegatedTo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getWalletsWithDelegates";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "_offset";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "_limit";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getWalletsWithDelegatesRange";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "wallets";
+				readonly type: "address[]";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "_token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "_serials";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly name: "revokeDelegateNFT";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address[]";
+				readonly name: "_tokens";
+				readonly type: "address[]";
+			},
+			{
+				readonly internalType: "uint256[][]";
+				readonly name: "_serials";
+				readonly type: "uint256[][]";
+			},
+		];
+		readonly name: "revokeDelegateNFTs";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "revokeDelegateWallet";
+		readonly outputs: readonly [];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "totalSerialsDelegated";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "view";
+		readonly type: "function";
+	},
+];
+
+export declare const HederaTokenServiceABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "getTokenExpiryInfo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "int64";
+						readonly name: "second";
+						readonly type: "int64";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "autoRenewAccount";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "int64";
+						readonly name: "autoRenewPeriod";
+						readonly type: "int64";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.Expiry";
+				readonly name: "expiryInfo";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "keyType";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getTokenKey";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "bool";
+						readonly name: "inheritAccountKey";
+						readonly type: "bool";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "contractId";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "bytes";
+						readonly name: "ed25519";
+						readonly type: "bytes";
+					},
+					{
+						readonly internalType: "bytes";
+						readonly name: "ECDSA_secp256k1";
+						readonly type: "bytes";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "delegatableContractId";
+						readonly type: "address";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.KeyValue";
+				readonly name: "key";
+				readonly type: "tuple";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "grantTokenKyc";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "isKyc";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+			{
+				readonly internalType: "bool";
+				readonly name: "kycGranted";
+				readonly type: "bool";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "pauseToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly internalType: "address";
+				readonly name: "account";
+				readonly type: "address";
+			},
+		];
+		readonly name: "revokeTokenKyc";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+		];
+		readonly name: "unpauseToken";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "int64";
+						readonly name: "second";
+						readonly type: "int64";
+					},
+					{
+						readonly internalType: "address";
+						readonly name: "autoRenewAccount";
+						readonly type: "address";
+					},
+					{
+						readonly internalType: "int64";
+						readonly name: "autoRenewPeriod";
+						readonly type: "int64";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.Expiry";
+				readonly name: "expiryInfo";
+				readonly type: "tuple";
+			},
+		];
+		readonly name: "updateTokenExpiryInfo";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int256";
+				readonly name: "responseCode";
+				readonly type: "int256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "address";
+				readonly name: "token";
+				readonly type: "address";
+			},
+			{
+				readonly components: readonly [
+					{
+						readonly internalType: "uint256";
+						readonly name: "keyType";
+						readonly type: "uint256";
+					},
+					{
+						readonly components: readonly [
+							{
+								readonly internalType: "bool";
+								readonly name: "inheritAccountKey";
+								readonly type: "bool";
+							},
+							{
+								readonly internalType: "address";
+								readonly name: "contractId";
+								readonly type: "address";
+							},
+							{
+								readonly internalType: "bytes";
+								readonly name: "ed25519";
+								readonly type: "bytes";
+							},
+							{
+								readonly internalType: "bytes";
+								readonly name: "ECDSA_secp256k1";
+								readonly type: "bytes";
+							},
+							{
+								readonly internalType: "address";
+								readonly name: "delegatableContractId";
+								readonly type: "address";
+							},
+						];
+						readonly internalType: "struct IHederaTokenService.KeyValue";
+						readonly name: "key";
+						readonly type: "tuple";
+					},
+				];
+				readonly internalType: "struct IHederaTokenService.TokenKey[]";
+				readonly name: "keys";
+				readonly type: "tuple[]";
+			},
+		];
+		readonly name: "updateTokenKeys";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "int64";
+				readonly name: "responseCode";
+				readonly type: "int64";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+];
+
+export declare const PrngSystemContractABI: readonly [
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "string";
+				readonly name: "message";
+				readonly type: "string";
+			},
+		];
+		readonly name: "ParamsError";
+		readonly type: "error";
+	},
+	{
+		readonly anonymous: false;
+		readonly inputs: readonly [
+			{
+				readonly indexed: false;
+				readonly internalType: "enum PrngSystemContract.RandomType";
+				readonly name: "method";
+				readonly type: "uint8";
+			},
+			{
+				readonly indexed: true;
+				readonly internalType: "address";
+				readonly name: "caller";
+				readonly type: "address";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "randomNumber";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "bytes32";
+				readonly name: "seedBytes";
+				readonly type: "bytes32";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "lo";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "hi";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "userSeed";
+				readonly type: "uint256";
+			},
+			{
+				readonly indexed: false;
+				readonly internalType: "uint256";
+				readonly name: "timestamp";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "PrngEvent";
+		readonly type: "event";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "generateRandomNumber";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "lo";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "hi";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "userSeed";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPseudorandomNumber";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "randNum";
+				readonly type: "uint256";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [
+			{
+				readonly internalType: "uint256";
+				readonly name: "lo";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "hi";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "userSeed";
+				readonly type: "uint256";
+			},
+			{
+				readonly internalType: "uint256";
+				readonly name: "arrayLength";
+				readonly type: "uint256";
+			},
+		];
+		readonly name: "getPseudorandomNumberArray";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "uint256[]";
+				readonly name: "randNums";
+				readonly type: "uint256[]";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+	{
+		readonly inputs: readonly [];
+		readonly name: "getPseudorandomSeed";
+		readonly outputs: readonly [
+			{
+				readonly internalType: "bytes32";
+				readonly name: "seedBytes";
+				readonly type: "bytes32";
+			},
+		];
+		readonly stateMutability: "nonpayable";
+		readonly type: "function";
+	},
+];
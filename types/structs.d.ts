@@ -0,0 +1,54 @@
+/**
+ * On-chain struct shapes as decoded by ethers v6 (integers come back as bigint).
+ * Field order and names follow contracts/LazyLotto.sol and
+ * contracts/LazyLottoPoolManager.sol.
+ */
+
+/** 20-byte EVM address, `0x`-prefixed. HBAR is the zero address. */
+export type Address = `0x${string}`;
+
+/** LazyLotto.PrizePackage */
+export interface PrizePackage {
+	/** HTS token for the fungible part (zero address = HBAR) */
+	token: Address;
+	/** fungible amount in the token's smallest unit */
+	amount: bigint;
+	nftTokens: readonly Address[];
+	/** serials per entry of `nftTokens` */
+	nftSerials: readonly (readonly bigint[])[];
+}
+
+/** LazyLotto.LottoPool */
+export interface LottoPool {
+	ticketCID: string;
+	winCID: string;
+	/** 0 - 100,000,000 where 100,000,000 = 100% (10,000 = 1%) */
+	winRateThousandthsOfBps: bigint;
+	entryFee: bigint;
+	prizes: readonly PrizePackage[];
+	outstandingEntries: bigint;
+	/** pool ticket NFT collection */
+	poolTokenId: Address;
+	paused: boolean;
+	closed: boolean;
+	/** zero address = HBAR */
+	feeToken: Address;
+}
+
+/** LazyLotto.PendingPrize */
+export interface PendingPrize {
+	poolId: bigint;
+	/** true if the prize is held as a prize NFT rather than in-memory */
+	asNFT: boolean;
+	prize: PrizePackage;
+}
+
+/** LazyLottoPoolManager.TimeWindow */
+export interface TimeWindow {
+	/** unix seconds */
+	start: bigint;
+	/** unix seconds */
+	end: bigint;
+	/** bonus in basis points (0 - 10,000) */
+	bonusBps: bigint;
+}
@@ -0,0 +1,142 @@
+import type { ContractId } from '@hashgraph/sdk';
+import type { Interface } from 'ethers';
+import type { Environment } from './hederaMirrorHelpers';
+
+export declare const EVENT_SOURCES: readonly [
+	'LazyLotto',
+	'LazyLottoPoolManager',
+	'LazyLottoStorage',
+	'LazyTradeLotto',
+	'LazyGasStation',
+	'LazyDelegateRegistry',
+];
+export type EventSource = typeof EVENT_SOURCES[number];
+
+/** Deployment manifest key -> contract name */
+export declare const MANIFEST_CONTRACTS: {
+	readonly lazyLotto: 'LazyLotto';
+	readonly lazyLottoPoolManager: 'LazyLottoPoolManager';
+	readonly lazyLottoStorage: 'LazyLottoStorage';
+	readonly lazyTradeLotto: 'LazyTradeLotto';
+	readonly lazyGasStation: 'LazyGasStation';
+	readonly lazyDelegateRegistry: 'LazyDelegateRegistry';
+};
+
+/** Hedera ID (or lower-case EVM address for unresolved aliases); null for the zero address */
+export type EventAddress = string | null;
+
+export type EventValue = bigint | boolean | string | EventAddress | EventValue[] | { [name: string]: EventValue };
+
+/** PrizePackage as it appears in PrizeAdded / PrizeRemoved / PrizeClaimed */
+export interface EventPrizePackage {
+	token: EventAddress;
+	amount: bigint;
+	nftTokens: EventAddress[];
+	nftSerials: bigint[][];
+}
+
+/** Named arguments of the events the indexer and CLI rely on */
+export interface KnownEventArgs {
+	EntryPurchased: { user: EventAddress; poolId: bigint; count: bigint };
+	Rolled: { user: EventAddress; poolId: bigint; won: boolean; rollBps: bigint };
+	PrizeClaimed: { user: EventAddress; prize: EventPrizePackage };
+	PrizeAdded: { poolId: bigint; prizeIndex: bigint; admin: EventAddress; prize: EventPrizePackage };
+	PrizeRemoved: { poolId: bigint; prizeIndex: bigint; admin: EventAddress; prize: EventPrizePackage };
+	PoolCreated: { poolId: bigint; creator?: EventAddress; isGlobalAdmin?: boolean };
+	PoolPaused: { poolId: bigint };
+	PoolOpened: { poolId: bigint };
+	PoolClosed: { poolId: bigint };
+	TicketEvent: { poolId: bigint; tokenId: EventAddress; user: EventAddress; serialNumber: bigint[]; mint: boolean };
+	LottoRoll: {
+		_user: EventAddress;
+		_token: EventAddress;
+		_serial: bigint;
+		_nonce: bigint;
+		_buyer: boolean;
+		_winRateThreshold: bigint;
+		_winRoll: bigint;
+		_minWinAmt: bigint;
+		_maxWinAmt: bigint;
+		_winAmount: bigint;
+		_jackpotThreshold: bigint;
+		_jackpotRoll: bigint;
+	};
+	JackpotWin: { _user: EventAddress; _jackpotThreshold: bigint; _jackpotRoll: bigint; _jackpotAmt: bigint };
+	JackpotUpdate: { _amount: bigint };
+}
+
+/** a log as /api/v1/contracts/{id}/results/logs returns it */
+export interface MirrorLog {
+	contract_id: string;
+	topics: string[];
+	data: string;
+	timestamp: string;
+	block_number: number;
+	transaction_hash: string;
+	transaction_index: number;
+	index: number;
+	[field: string]: unknown;
+}
+
+export interface DecodedEvent<Name extends string = string> {
+	name: Name;
+	signature: string;
+	contractName: EventSource | string | null;
+	contractId: string;
+	args: Name extends keyof KnownEventArgs ? KnownEventArgs[Name] : Record<string, EventValue>;
+	/** consensus timestamp, 'seconds.nanos' */
+	timestamp: string;
+	blockNumber: number;
+	transactionHash: string;
+	transactionIndex: number;
+	logIndex: number;
+}
+
+export type TimestampLike = Date | number | string;
+
+export type EventFilter = unknown | unknown[] | ((value: EventValue, event: DecodedEvent) => boolean);
+
+export interface DecoderOptions {
+	/** prefer this contract's ABI for signatures shared between contracts */
+	contractName?: EventSource | string | null;
+	/** decode with these interfaces instead of the bundled ABIs */
+	iface?: Interface | Interface[] | null;
+	/** look up non long-zero addresses on the mirror node, default true */
+	resolveAliases?: boolean;
+}
+
+export interface ContractEventsOptions<Name extends string = string> extends DecoderOptions {
+	/** contract ID or a deployment manifest key such as 'lazyLotto' */
+	contract: ContractId | string;
+	/** event names or full signatures to keep */
+	events?: Name | Name[] | null;
+	/** inclusive */
+	fromTimestamp?: TimestampLike | null;
+	/** inclusive */
+	toTimestamp?: TimestampLike | null;
+	/** arg name -> value, any of several values, or predicate */
+	filters?: Record<string, EventFilter>;
+	order?: 'asc' | 'desc';
+	/** last raw log of each page, matched or not, once the page's events have been yielded */
+	onPage?: (log: MirrorLog) => void | Promise<void>;
+}
+
+export declare function getContractEvents<Name extends string = string>(
+	env: Environment,
+	options: ContractEventsOptions<Name>,
+): AsyncGenerator<DecodedEvent<Name>, void, undefined>;
+
+export declare function listContractEvents<Name extends string = string>(
+	env: Environment,
+	options: ContractEventsOptions<Name> & { max?: number },
+): Promise<DecodedEvent<Name>[]>;
+
+/** Decode a raw mirror node log; resolves to null when no ABI knows the event */
+export declare function createEventDecoder(
+	env: Environment,
+	options?: DecoderOptions,
+): (log: Record<string, unknown>) => Promise<DecodedEvent | null>;
+
+export declare function createAddressResolver(env: Environment, resolveAliases?: boolean): (evmAddress: string) => Promise<EventAddress>;
+export declare function toMirrorTimestamp(value: TimestampLike): string;
+export declare function formatEvent(event: DecodedEvent): string;
@@ -0,0 +1,487 @@
+/**
+ * Contract Event History
+ *
+ * Paginated, decoded contract logs from the mirror node. Every LazyLotto,
+ * LazyLottoPoolManager, LazyLottoStorage, LazyTradeLotto, LazyGasStation and
+ * LazyDelegateRegistry event is decoded into a plain object with named
+ * arguments; EVM addresses become Hedera IDs (the zero address becomes null).
+ *
+ * Usage:
+ *   const { getContractEvents } = require('@lazysuperheroes/lazy-lotto');
+ *
+ *   for await (const event of getContractEvents('testnet', {
+ *       contract: '0.0.12345',
+ *       events: ['EntryPurchased'],
+ *       filters: { user: '0.0.1234' },
+ *       fromTimestamp: new Date('2025-01-01'),
+ *   })) {
+ *       console.log(event.timestamp, event.args.poolId, event.args.count);
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { default: axios } = require('axios');
+const { ethers } = require('ethers');
+const { AccountId } = require('@hashgraph/sdk');
+
+const { getBaseURL, homebrewPopulateAccountNum } = require('./hederaMirrorHelpers');
+const { getAddresses } = require('./deploymentManifest');
+
+// Contract name -> ABI file; order decides which ABI decodes events shared between contracts
+const EVENT_SOURCES = [
+	'LazyLotto',
+	'LazyLottoPoolManager',
+	'LazyLottoStorage',
+	'LazyTradeLotto',
+	'LazyGasStation',
+	'LazyDelegateRegistry',
+];
+
+// Deployment manifest key -> contract name, so `contract: 'lazyLotto'` works
+const MANIFEST_CONTRACTS = {
+	lazyLotto: 'LazyLotto',
+	lazyLottoPoolManager: 'LazyLottoPoolManager',
+	lazyLottoStorage: 'LazyLottoStorage',
+	lazyTradeLotto: 'LazyTradeLotto',
+	lazyGasStation: 'LazyGasStation',
+	lazyDelegateRegistry: 'LazyDelegateRegistry',
+};
+
+const PAGE_LIMIT = 100;
+
+// The mirror node only searches log topics within a timestamp range of at most 7 days
+const TOPIC_RANGE_NANOS = 7n * 86_400n * 1_000_000_000n;
+
+let knownInterfaces = null;
+
+function getKnownInterfaces() {
+	if (!knownInterfaces) {
+		knownInterfaces = EVENT_SOURCES.map(contractName => {
+			const abiPath = path.join(__dirname, '..', 'abi', `${contractName}.json`);
+			return { contractName, iface: new ethers.Interface(JSON.parse(fs.readFileSync(abiPath, 'utf8'))) };
+		});
+	}
+	return knownInterfaces;
+}
+
+/**
+ * Convert a Date, seconds number or mirror timestamp string to the mirror's `seconds.nanos` form
+ * @param {Date|number|string} value
+ * @returns {string}
+ */
+function toMirrorTimestamp(value) {
+	if (value instanceof Date) {
+		const ms = value.getTime();
+		return `${Math.floor(ms / 1000)}.${String((ms % 1000) * 1_000_000).padStart(9, '0')}`;
+	}
+	if (typeof value === 'number') {
+		return value.toFixed(9);
+	}
+	if (typeof value === 'string' && /^\d+(\.\d{1,9})?$/.test(value)) {
+		return value;
+	}
+	throw new Error(`Invalid timestamp: ${value}. Use a Date, seconds or 'seconds.nanos'`);
+}
+
+function toNanos(timestamp) {
+	const [seconds, fraction = ''] = timestamp.split('.');
+	return BigInt(seconds) * 1_000_000_000n + BigInt(fraction.padEnd(9, '0'));
+}
+
+function fromNanos(nanos) {
+	return `${nanos / 1_000_000_000n}.${String(nanos % 1_000_000_000n).padStart(9, '0')}`;
+}
+
+/**
+ * Split an inclusive mirror timestamp range into ranges short enough for a topic search
+ * @param {string} fromTimestamp
+ * @param {string} toTimestamp
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array<[string, string]>} [gte, lte] pairs in the requested order
+ */
+function topicRanges(fromTimestamp, toTimestamp, order) {
+	const ranges = [];
+	const end = toNanos(toTimestamp);
+	for (let start = toNanos(fromTimestamp); start <= end; start += TOPIC_RANGE_NANOS) {
+		const last = start + TOPIC_RANGE_NANOS - 1n;
+		ranges.push([fromNanos(start), fromNanos(last < end ? last : end)]);
+	}
+	return order === 'desc' ? ranges.reverse() : ranges;
+}
+
+/**
+ * Hedera ID for a long-zero EVM address, or null if the address is an alias
+ * @param {string} evmAddress
+ * @returns {string|null}
+ */
+function longZeroToId(evmAddress) {
+	const hex = evmAddress.toLowerCase().replace(/^0x/, '');
+	if (!hex.startsWith('0'.repeat(24))) return null;
+	return `0.0.${BigInt(`0x${hex.slice(24)}`)}`;
+}
+
+/**
+ * Build an address resolver that turns EVM addresses into Hedera IDs, looking
+ * aliases up on the mirror node once per address
+ * @param {string} env
+ * @param {boolean} resolveAliases - false to leave alias addresses as EVM addresses
+ * @returns {function(string): Promise<string|null>}
+ */
+function createAddressResolver(env, resolveAliases = true) {
+	const cache = new Map();
+
+	return async (evmAddress) => {
+		if (!evmAddress || evmAddress === ethers.ZeroAddress) return null;
+
+		const longZero = longZeroToId(evmAddress);
+		if (longZero) return longZero;
+
+		const key = evmAddress.toLowerCase();
+		if (!resolveAliases) return key;
+		if (!cache.has(key)) {
+			cache.set(key, homebrewPopulateAccountNum(env, key).catch(() => key));
+		}
+		return cache.get(key);
+	};
+}
+
+async function decodeValue(param, value, resolveAddress) {
+	// indexed dynamic values are only available as their hash
+	if (value instanceof ethers.Indexed) return value.hash;
+
+	if (param.baseType === 'address') {
+		return resolveAddress(value);
+	}
+	if (param.baseType === 'tuple') {
+		const decoded = {};
+		for (let i = 0; i < param.components.length; i++) {
+			const component = param.components[i];
+			decoded[component.name || i] = await decodeValue(component, value[i], resolveAddress);
+		}
+		return decoded;
+	}
+	if (param.baseType === 'array') {
+		return Promise.all([...value].map(item => decodeValue(param.arrayChildren, item, resolveAddress)));
+	}
+	return value;
+}
+
+function getDecoderSources(contractName, iface) {
+	return iface
+		? [].concat(iface).map(custom => ({ contractName, iface: custom }))
+		: [...getKnownInterfaces()].sort((a, b) => (b.contractName === contractName) - (a.contractName === contractName));
+}
+
+/**
+ * Create a decoder for raw mirror node logs
+ * @param {string} env
+ * @param {Object} [options]
+ * @param {string} [options.contractName] - prefer this contract's ABI for shared event signatures
+ * @param {ethers.Interface|ethers.Interface[]} [options.iface] - decode with these interfaces instead of the bundled ABIs
+ * @param {boolean} [options.resolveAliases=true] - look up non long-zero addresses on the mirror node
+ * @returns {function(Object): Promise<Object|null>} log -> decoded event (null if no ABI knows the event)
+ */
+function createEventDecoder(env, options = {}) {
+	const { contractName = null, iface = null, resolveAliases = true } = options;
+
+	const sources = getDecoderSources(contractName, iface);
+	const resolveAddress = createAddressResolver(env, resolveAliases);
+
+	return async (log) => {
+		if (!log.topics?.length) return null;
+
+		for (const source of sources) {
+			let parsed;
+			try {
+				parsed = source.iface.parseLog({ topics: log.topics, data: log.data });
+			}
+			catch {
+				continue;
+			}
+			if (!parsed) continue;
+
+			const args = {};
+			for (let i = 0; i < parsed.fragment.inputs.length; i++) {
+				const input = parsed.fragment.inputs[i];
+				args[input.name || i] = await decodeValue(input, parsed.args[i], resolveAddress);
+			}
+
+			return {
+				name: parsed.name,
+				signature: parsed.signature,
+				contractName: source.contractName,
+				contractId: log.contract_id,
+				args,
+				timestamp: log.timestamp,
+				blockNumber: log.block_number,
+				transactionHash: log.transaction_hash,
+				transactionIndex: log.transaction_index,
+				logIndex: log.index,
+			};
+		}
+		return null;
+	};
+}
+
+/**
+ * Normalise filter values so Hedera IDs, EVM addresses and numbers compare as strings
+ * @returns {Promise<Object>} arg name -> string[] | function
+ */
+async function prepareFilters(filters, resolveAddress) {
+	const prepared = {};
+	for (const [name, expected] of Object.entries(filters)) {
+		if (typeof expected === 'function') {
+			prepared[name] = expected;
+			continue;
+		}
+
+		const values = [];
+		for (const value of [].concat(expected)) {
+			const asString = value?.toString();
+			values.push(ethers.isAddress(asString) ? String(await resolveAddress(asString)) : asString);
+		}
+		prepared[name] = values;
+	}
+	return prepared;
+}
+
+/**
+ * Every ABI event `wanted` names (or gives the signature of); shared names
+ * can have a different signature in each contract
+ * @returns {ethers.EventFragment[]}
+ */
+function findEventFragments(sources, wanted) {
+	const fragments = new Map();
+	for (const { iface } of sources) {
+		iface.forEachEvent(fragment => {
+			if (wanted.includes(fragment.name) || wanted.includes(fragment.format('sighash'))) {
+				fragments.set(fragment.topicHash, fragment);
+			}
+		});
+	}
+	return [...fragments.values()];
+}
+
+/**
+ * Topic an argument is in when it is indexed at the same place, with the
+ * same static type, in every fragment (dynamic types are only logged as a hash)
+ * @returns {{topic: number, param: ethers.ParamType}|null}
+ */
+function indexedTopic(fragments, name) {
+	let found = null;
+	for (const fragment of fragments) {
+		const indexed = fragment.inputs.filter(input => input.indexed);
+		const position = indexed.findIndex(input => input.name === name);
+		if (position === -1) return null;
+
+		const param = indexed[position];
+		if (param.isArray() || param.isTuple() || param.baseType === 'string' || param.baseType === 'bytes') return null;
+		if (found && (found.topic !== position + 1 || found.param.type !== param.type)) return null;
+		found = { topic: position + 1, param };
+	}
+	return found;
+}
+
+/**
+ * EVM alias of an account, or null for entities without one (tokens, unknown IDs)
+ */
+async function getEvmAlias(env, accountId) {
+	try {
+		const response = await axios.get(`${getBaseURL(env)}/api/v1/accounts/${accountId}`);
+		return response.data.evm_address ?? null;
+	}
+	catch (error) {
+		if (error.response?.status === 404) return null;
+		throw error;
+	}
+}
+
+/**
+ * Addresses an account can be logged as: its long-zero address or, for an
+ * account with an EVM alias, the alias
+ */
+async function addressForms(env, value, resolveAddress, resolveAliases) {
+	const given = value.toString();
+	const id = ethers.isAddress(given) ? await resolveAddress(given) : given;
+	const forms = ethers.isAddress(given) ? [given] : [];
+	if (id && /^\d+\.\d+\.\d+$/.test(id)) {
+		forms.push(`0x${AccountId.fromString(id).toSolidityAddress()}`);
+		const alias = resolveAliases ? await getEvmAlias(env, id) : null;
+		if (alias) forms.push(alias);
+	}
+	return forms;
+}
+
+/**
+ * Mirror node topic filters for the wanted events: topic0 is the event
+ * signature hash, topic1-3 come from filters on indexed arguments. Predicates
+ * and non-indexed arguments stay in `remaining` to be matched on the decoded event.
+ * @returns {Promise<{topics: string[][], remaining: Object}>} topics[n] holds the values for topicN
+ */
+async function buildTopicFilters(env, fragments, filters, resolveAddress, resolveAliases) {
+	if (!fragments.length || fragments.some(fragment => fragment.anonymous)) {
+		return { topics: [], remaining: filters };
+	}
+
+	const coder = ethers.AbiCoder.defaultAbiCoder();
+	const topics = [fragments.map(fragment => fragment.topicHash)];
+	const remaining = {};
+	for (const [name, expected] of Object.entries(filters)) {
+		const indexed = typeof expected === 'function' ? null : indexedTopic(fragments, name);
+		if (!indexed) {
+			remaining[name] = expected;
+			continue;
+		}
+
+		const values = new Set();
+		try {
+			for (const value of [].concat(expected)) {
+				const forms = indexed.param.baseType === 'address' ? await addressForms(env, value, resolveAddress, resolveAliases) : [value];
+				for (const form of forms) values.add(coder.encode([indexed.param.type], [form]));
+			}
+		}
+		catch {
+			// not a value of the argument's type; nothing matches it, which the decoded comparison reports
+			remaining[name] = expected;
+			continue;
+		}
+		topics[indexed.topic] = [...values];
+	}
+	return { topics, remaining };
+}
+
+function matchesFilters(event, prepared) {
+	return Object.entries(prepared).every(([name, expected]) => {
+		const actual = event.args[name];
+		if (typeof expected === 'function') return expected(actual, event);
+		return expected.includes(actual?.toString());
+	});
+}
+
+/**
+ * Iterate over a contract's events, oldest first, following mirror pagination
+ *
+ * With `events` and a `fromTimestamp`, the mirror node does the filtering:
+ * topic0 selects the events and filters on indexed arguments become topic1-3,
+ * searched in 7 day ranges up to `toTimestamp` (or now) as the mirror requires.
+ * Without a lower bound, or for other filters, events are matched here.
+ *
+ * @param {string} env - MAIN, TEST, PREVIEW or LOCAL
+ * @param {Object} options
+ * @param {ContractId|string} options.contract - contract ID or a deployment manifest key such as 'lazyLotto'
+ * @param {string|string[]} [options.events] - event names or signatures to keep (default: all)
+ * @param {Date|number|string} [options.fromTimestamp] - inclusive lower bound
+ * @param {Date|number|string} [options.toTimestamp] - inclusive upper bound
+ * @param {Object} [options.filters] - arg name -> value, array of values or predicate(value, event)
+ * @param {string} [options.order='asc'] - 'asc' or 'desc'
+ * @param {string} [options.contractName] - ABI to prefer for shared signatures (inferred from manifest keys)
+ * @param {ethers.Interface|ethers.Interface[]} [options.iface] - decode with these interfaces instead
+ * @param {boolean} [options.resolveAliases=true]
+ * @param {function(Object): void} [options.onPage] - called with the last raw log of each page,
+ *   matched or not, once the page's events have been yielded
+ * @yields {Object} decoded event
+ */
+async function* getContractEvents(env, options = {}) {
+	const { events = null, fromTimestamp = null, toTimestamp = null, filters = {}, order = 'asc', resolveAliases = true, onPage = null } = options;
+	let { contract, contractName = null } = options;
+
+	if (!contract) {
+		throw new Error('getContractEvents requires a contract');
+	}
+	if (MANIFEST_CONTRACTS[contract]) {
+		contractName = contractName ?? MANIFEST_CONTRACTS[contract];
+		const resolved = getAddresses(env)[contract];
+		if (!resolved) {
+			throw new Error(`No ${contract} in the deployment manifest for ${env}`);
+		}
+		contract = resolved;
+	}
+	if (order !== 'asc' && order !== 'desc') {
+		throw new Error(`Invalid order: ${order}. Use 'asc' or 'desc'`);
+	}
+
+	const decode = createEventDecoder(env, { contractName, iface: options.iface, resolveAliases });
+	const wanted = events ? [].concat(events) : null;
+	const resolveAddress = createAddressResolver(env, resolveAliases);
+
+	const fragments = wanted ? findEventFragments(getDecoderSources(contractName, options.iface), wanted) : [];
+	// no ABI knows the events, so none would decode
+	if (wanted && !fragments.length) return;
+
+	const from = fromTimestamp === null ? null : toMirrorTimestamp(fromTimestamp);
+	const to = toTimestamp === null ? null : toMirrorTimestamp(toTimestamp);
+	const { topics, remaining } = from === null
+		? { topics: [], remaining: filters }
+		: await buildTopicFilters(env, fragments, filters, resolveAddress, resolveAliases);
+	const prepared = await prepareFilters(remaining, resolveAddress);
+
+	const baseUrl = getBaseURL(env);
+	const ranges = topics.length ? topicRanges(from, to ?? toMirrorTimestamp(new Date()), order) : [[from, to]];
+
+	for (const [gte, lte] of ranges) {
+		const params = [`order=${order}`, `limit=${PAGE_LIMIT}`];
+		if (gte !== null) params.push(`timestamp=gte:${gte}`);
+		if (lte !== null) params.push(`timestamp=lte:${lte}`);
+		topics.forEach((values, n) => values.forEach(value => params.push(`topic${n}=${value}`)));
+		let url = `${baseUrl}/api/v1/contracts/${contract.toString()}/results/logs?${params.join('&')}`;
+
+		while (url) {
+			const response = await axios.get(url);
+			const { logs = [], links } = response.data;
+
+			for (const log of logs) {
+				const event = await decode(log);
+				if (!event) continue;
+				if (wanted && !wanted.includes(event.name) && !wanted.includes(event.signature)) continue;
+				if (!matchesFilters(event, prepared)) continue;
+				yield event;
+			}
+			if (onPage && logs.length) await onPage(logs[logs.length - 1]);
+
+			url = links?.next ? `${baseUrl}${links.next}` : null;
+		}
+	}
+}
+
+/**
+ * Collect getContractEvents into an array
+ * @param {string} env
+ * @param {Object} options - see getContractEvents; `max` caps the number returned
+ * @returns {Promise<Object[]>}
+ */
+async function listContractEvents(env, options = {}) {
+	const { max = Infinity } = options;
+	const collected = [];
+	if (max <= 0) return collected;
+
+	for await (const event of getContractEvents(env, options)) {
+		collected.push(event);
+		if (collected.length >= max) break;
+	}
+	return collected;
+}
+
+/**
+ * One-line summary of a decoded event for logs and console output
+ * @param {Object} event - from getContractEvents
+ * @returns {string}
+ */
+function formatEvent(event) {
+	const args = Object.entries(event.args)
+		.map(([name, value]) => `[${name}] ${JSON.stringify(value, (_, v) => typeof v === 'bigint' ? v.toString() : v)}`)
+		.join(' : ');
+	const when = new Date(Number(event.timestamp.split('.')[0]) * 1000).toISOString();
+	return `${when} : Block: ${event.blockNumber} : Tx Hash: ${event.transactionHash} : ${event.name} : ${args}`;
+}
+
+module.exports = {
+	EVENT_SOURCES,
+	MANIFEST_CONTRACTS,
+	getContractEvents,
+	listContractEvents,
+	createEventDecoder,
+	createAddressResolver,
+	toMirrorTimestamp,
+	formatEvent,
+};
@@ -0,0 +1,95 @@
+import type { ContractId, TokenId, TransactionId } from '@hashgraph/sdk';
+
+export declare const MANIFEST_VERSION: 1;
+export declare const CONTRACT_KEYS: readonly ContractKey[];
+export declare const TOKEN_KEYS: readonly TokenKey[];
+
+export type ContractKey =
+	| 'lazyLotto'
+	| 'lazyLottoStorage'
+	| 'lazyLottoPoolManager'
+	| 'lazyTradeLotto'
+	| 'lazyGasStation'
+	| 'lazyDelegateRegistry'
+	| 'prng';
+export type TokenKey = 'lazyToken';
+
+/** Hedera IDs for one network; null where the manifest has no entry */
+export type NetworkAddresses = Record<ContractKey | TokenKey, string | null>;
+
+export interface ManifestContract {
+	contractName: string | null;
+	id: string;
+	evmAddress: string;
+	/** keccak256 of the ABI JSON the contract was deployed with */
+	abiHash: string | null;
+	/** null when an existing deployment was reused */
+	deployTransactionId: string | null;
+	reused: boolean;
+}
+
+export interface ManifestToken {
+	id: string;
+	evmAddress: string;
+	decimals: number | null;
+	deployTransactionId: string | null;
+	reused: boolean;
+}
+
+export interface DeploymentManifest {
+	manifestVersion: typeof MANIFEST_VERSION;
+	packageVersion: string;
+	network: string;
+	deployer: string | null;
+	startedAt: string | null;
+	completedAt: string;
+	contracts: Partial<Record<ContractKey, ManifestContract>> & Record<string, ManifestContract>;
+	tokens: Partial<Record<TokenKey, ManifestToken>> & Record<string, ManifestToken>;
+	/** configuration applied by the deploy orchestrator */
+	config: Record<string, unknown>;
+}
+
+export interface ManifestLookupOptions {
+	/** explicit manifest file */
+	path?: string;
+	/** directory holding <network>.json */
+	dir?: string;
+}
+
+type EntityId = ContractId | TokenId | string;
+
+export interface DeploymentInput {
+	network: string;
+	deployer?: string | { toString(): string } | null;
+	startedAt?: string | null;
+	completedAt?: string | null;
+	contracts: Record<string, {
+		id: EntityId | null;
+		contractName?: string;
+		abi?: unknown[];
+		evmAddress?: string;
+		deployTransactionId?: TransactionId | string | null;
+		reused?: boolean;
+	} | null | undefined>;
+	tokens?: Record<string, {
+		id: EntityId | null;
+		decimals?: number;
+		evmAddress?: string;
+		deployTransactionId?: TransactionId | string | null;
+		reused?: boolean;
+	} | null | undefined>;
+	config?: Record<string, unknown>;
+}
+
+/** 'main' | 'test' | 'preview' (any case) map to mainnet, testnet, previewnet; anything else is lower-cased */
+export declare function normalizeNetwork(network: string): string;
+export declare function hashAbi(abi: unknown[]): string;
+export declare function entityToEvmAddress(id: EntityId): string;
+export declare function buildManifest(deployment: DeploymentInput): DeploymentManifest;
+export declare function validateManifest(manifest: unknown, source: string): asserts manifest is DeploymentManifest;
+/** @returns the path written, `<dir>/<network>.json` */
+export declare function writeManifest(manifest: DeploymentManifest, dir?: string): string;
+export declare function loadManifest(network: string, options?: ManifestLookupOptions): DeploymentManifest | null;
+export declare function manifestToAddresses(manifest: DeploymentManifest | null): NetworkAddresses;
+/** Throws for non-public networks without a manifest */
+export declare function getAddresses(network: string, options?: ManifestLookupOptions): NetworkAddresses;
@@ -0,0 +1,254 @@
+/**
+ * Deployment Manifests
+ *
+ * A manifest is the JSON record lazyLottoDeployAll.js writes when a
+ * deployment completes: contract and token IDs, EVM addresses, ABI hashes,
+ * deploy transaction IDs and the configuration the orchestrator applied.
+ * One file per network, `deployments/<network>.json`.
+ *
+ * Lookup order for a network's manifest:
+ *   1. options.path (explicit file)
+ *   2. LAZY_LOTTO_MANIFEST env var (explicit file)
+ *   3. options.dir or LAZY_LOTTO_DEPLOYMENTS_DIR env var
+ *   4. ./deployments/ in the current working directory
+ *   5. deployments/ shipped with this package
+ *
+ * Usage:
+ *   const { getAddresses } = require('@lazysuperheroes/lazy-lotto');
+ *   const { lazyLotto, lazyLottoStorage } = getAddresses('testnet');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const MANIFEST_VERSION = 1;
+
+const PACKAGE_DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+// Networks that resolve to empty addresses (rather than an error) when no manifest exists
+const PUBLIC_NETWORKS = ['mainnet', 'testnet', 'previewnet'];
+
+// Manifest keys exposed by getAddresses, in display order
+const CONTRACT_KEYS = [
+	'lazyLotto',
+	'lazyLottoStorage',
+	'lazyLottoPoolManager',
+	'lazyTradeLotto',
+	'lazyGasStation',
+	'lazyDelegateRegistry',
+	'prng',
+];
+const TOKEN_KEYS = ['lazyToken'];
+
+/**
+ * Canonical network name used for manifest file names
+ * @param {string} network - MAIN, TEST, PREVIEW, LOCAL, mainnet, ... or a custom name
+ * @returns {string} mainnet, testnet, previewnet, local or the lower-cased custom name
+ */
+function normalizeNetwork(network) {
+	if (!network) {
+		throw new Error('A network name is required');
+	}
+
+	const lower = network.toString().toLowerCase();
+	if (lower === 'main' || lower === 'mainnet') return 'mainnet';
+	if (lower === 'test' || lower === 'testnet') return 'testnet';
+	if (lower === 'preview' || lower === 'previewnet') return 'previewnet';
+
+	if (!/^[a-z0-9][a-z0-9_-]*$/.test(lower)) {
+		throw new Error(`Invalid network name: ${network}. Use letters, digits, '-' or '_'`);
+	}
+	return lower;
+}
+
+/**
+ * Hash an ABI so a deployment can be matched against the ABI files shipped in abi/
+ * @param {Array} abi - ABI JSON array
+ * @returns {string} keccak256 of the compact JSON
+ */
+function hashAbi(abi) {
+	return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+/**
+ * Long-zero EVM address for a Hedera entity ID
+ * @param {ContractId|TokenId|string} id
+ * @returns {string} 0x-prefixed address
+ */
+function entityToEvmAddress(id) {
+	const [shard, realm, num] = id.toString().split('.').map(BigInt);
+	const hex = ethers.toBeHex(shard, 4).slice(2) + ethers.toBeHex(realm, 8).slice(2) + ethers.toBeHex(num, 8).slice(2);
+	return ethers.getAddress(`0x${hex}`);
+}
+
+/**
+ * Assemble a manifest from deployment results
+ * @param {Object} deployment
+ * @param {string} deployment.network
+ * @param {string} [deployment.deployer] - operator account
+ * @param {string} [deployment.startedAt]
+ * @param {string} [deployment.completedAt]
+ * @param {Object} deployment.contracts - key -> { id, contractName, abi?, evmAddress?, deployTransactionId?, reused? }
+ * @param {Object} [deployment.tokens] - key -> { id, decimals?, evmAddress?, deployTransactionId?, reused? }
+ * @param {Object} [deployment.config] - linked configuration applied during deployment
+ * @returns {Object} manifest
+ */
+function buildManifest(deployment) {
+	const { network, deployer, startedAt, completedAt, contracts = {}, tokens = {}, config = {} } = deployment;
+
+	const manifest = {
+		manifestVersion: MANIFEST_VERSION,
+		packageVersion: require('../package.json').version,
+		network: normalizeNetwork(network),
+		deployer: deployer ? deployer.toString() : null,
+		startedAt: startedAt ?? null,
+		completedAt: completedAt ?? new Date().toISOString(),
+		contracts: {},
+		tokens: {},
+		config,
+	};
+
+	for (const [key, entry] of Object.entries(contracts)) {
+		if (!entry?.id) continue;
+		manifest.contracts[key] = {
+			contractName: entry.contractName ?? null,
+			id: entry.id.toString(),
+			evmAddress: entry.evmAddress ?? entityToEvmAddress(entry.id),
+			abiHash: entry.abi ? hashAbi(entry.abi) : null,
+			deployTransactionId: entry.deployTransactionId ? entry.deployTransactionId.toString() : null,
+			reused: !!entry.reused,
+		};
+	}
+
+	for (const [key, entry] of Object.entries(tokens)) {
+		if (!entry?.id) continue;
+		manifest.tokens[key] = {
+			id: entry.id.toString(),
+			evmAddress: entry.evmAddress ?? entityToEvmAddress(entry.id),
+			decimals: entry.decimals ?? null,
+			deployTransactionId: entry.deployTransactionId ? entry.deployTransactionId.toString() : null,
+			reused: !!entry.reused,
+		};
+	}
+
+	return manifest;
+}
+
+/**
+ * Check a parsed manifest has the fields getAddresses relies on
+ * @param {Object} manifest
+ * @param {string} source - file name for the error message
+ */
+function validateManifest(manifest, source) {
+	if (!manifest || typeof manifest !== 'object') {
+		throw new Error(`${source}: manifest must be a JSON object`);
+	}
+	if (manifest.manifestVersion !== MANIFEST_VERSION) {
+		throw new Error(`${source}: unsupported manifestVersion ${manifest.manifestVersion} (expected ${MANIFEST_VERSION})`);
+	}
+	if (!manifest.network || typeof manifest.contracts !== 'object') {
+		throw new Error(`${source}: manifest is missing network or contracts`);
+	}
+}
+
+/**
+ * Write a manifest to `<dir>/<network>.json`
+ * @param {Object} manifest
+ * @param {string} [dir='./deployments']
+ * @returns {string} path written
+ */
+function writeManifest(manifest, dir = path.resolve('deployments')) {
+	validateManifest(manifest, 'writeManifest');
+	fs.mkdirSync(dir, { recursive: true });
+	const filePath = path.join(dir, `${manifest.network}.json`);
+	fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2) + '\n');
+	return filePath;
+}
+
+function manifestCandidates(network, options) {
+	if (options.path) return [path.resolve(options.path)];
+	if (process.env.LAZY_LOTTO_MANIFEST) return [path.resolve(process.env.LAZY_LOTTO_MANIFEST)];
+
+	const fileName = `${normalizeNetwork(network)}.json`;
+	const dirs = [
+		options.dir ?? process.env.LAZY_LOTTO_DEPLOYMENTS_DIR,
+		path.resolve('deployments'),
+		PACKAGE_DEPLOYMENTS_DIR,
+	].filter(Boolean);
+
+	return [...new Set(dirs.map(dir => path.join(path.resolve(dir), fileName)))];
+}
+
+/**
+ * Load the manifest for a network
+ * @param {string} network
+ * @param {Object} [options]
+ * @param {string} [options.path] - explicit manifest file
+ * @param {string} [options.dir] - directory holding <network>.json
+ * @returns {Object|null} manifest, or null if none was found
+ */
+function loadManifest(network, options = {}) {
+	for (const filePath of manifestCandidates(network, options)) {
+		if (!fs.existsSync(filePath)) continue;
+
+		const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		validateManifest(manifest, filePath);
+
+		// an explicit file may describe any network; directory lookups must match
+		if (!options.path && !process.env.LAZY_LOTTO_MANIFEST && manifest.network !== normalizeNetwork(network)) {
+			throw new Error(`${filePath}: manifest is for ${manifest.network}, not ${normalizeNetwork(network)}`);
+		}
+		return manifest;
+	}
+	return null;
+}
+
+/**
+ * Flatten a manifest to Hedera IDs
+ * @param {Object|null} manifest
+ * @returns {Object} { lazyLotto, lazyLottoStorage, ..., lazyToken } (null where not deployed)
+ */
+function manifestToAddresses(manifest) {
+	const addresses = {};
+	for (const key of CONTRACT_KEYS) {
+		addresses[key] = manifest?.contracts?.[key]?.id ?? null;
+	}
+	for (const key of TOKEN_KEYS) {
+		addresses[key] = manifest?.tokens?.[key]?.id ?? null;
+	}
+	return addresses;
+}
+
+/**
+ * Get contract addresses for a network
+ *
+ * Public networks without a manifest resolve to nulls; custom networks
+ * without a manifest are an error.
+ *
+ * @param {string} network - mainnet, testnet, previewnet, local or a custom name
+ * @param {Object} [options] - see loadManifest
+ * @returns {Object} Hedera IDs for the network
+ */
+function getAddresses(network, options = {}) {
+	const manifest = loadManifest(network, options);
+	if (!manifest && !PUBLIC_NETWORKS.includes(normalizeNetwork(network))) {
+		throw new Error(`No deployment manifest found for network '${network}'. Deploy with lazyLottoDeployAll.js or set LAZY_LOTTO_MANIFEST`);
+	}
+	return manifestToAddresses(manifest);
+}
+
+module.exports = {
+	MANIFEST_VERSION,
+	CONTRACT_KEYS,
+	TOKEN_KEYS,
+	normalizeNetwork,
+	hashAbi,
+	entityToEvmAddress,
+	buildManifest,
+	validateManifest,
+	writeManifest,
+	loadManifest,
+	manifestToAddresses,
+	getAddresses,
+};
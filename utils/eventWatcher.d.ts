@@ -0,0 +1,58 @@
+import type { EventEmitter } from 'events';
+import type { ContractId } from '@hashgraph/sdk';
+import type { Environment } from './hederaMirrorHelpers';
+import type { DecodedEvent, KnownEventArgs, TimestampLike } from './contractEvents';
+
+/** Manifest key ('lazyLotto', ...) or contract ID -> event names, or null for every event */
+export type WatchedContracts = Record<string, string[] | null>;
+
+export declare const DEFAULT_WATCH: {
+	lazyLotto: ['EntryPurchased', 'Rolled', 'PrizeClaimed', 'PoolCreated'];
+	lazyTradeLotto: ['JackpotWin'];
+};
+
+export interface WatchOptions {
+	/** defaults to DEFAULT_WATCH, skipping contracts missing from the manifest */
+	contracts?: WatchedContracts | null;
+	/** default 5000 */
+	intervalMs?: number;
+	/** where to start without a checkpoint; default now, null for the start of history */
+	fromTimestamp?: TimestampLike | null;
+	/** JSON file that keeps progress across restarts */
+	checkpoint?: string | null;
+	resolveAliases?: boolean;
+}
+
+export interface WatchCursor {
+	lastTimestamp: string | null;
+	/** log indexes already emitted at lastTimestamp */
+	seen: number[];
+}
+
+export declare class EventWatcher extends EventEmitter {
+	constructor(env: Environment, options?: WatchOptions);
+
+	readonly env: Environment;
+	readonly sources: Array<{ contractId: ContractId | string; contractName: string | null; events: string[] | null }>;
+	readonly cursors: Record<string, WatchCursor>;
+
+	/** Fetch and emit everything new since the last poll */
+	poll(): Promise<DecodedEvent[]>;
+	/** Poll every intervalMs until stop() */
+	start(): this;
+	/** Resolves once the current poll has finished */
+	stop(): Promise<void>;
+
+	on(event: 'event', listener: (event: DecodedEvent) => void): this;
+	on(event: 'error', listener: (error: Error) => void): this;
+	on<Name extends keyof KnownEventArgs>(event: Name, listener: (event: DecodedEvent<Name>) => void): this;
+	on(event: string, listener: (event: DecodedEvent) => void): this;
+}
+
+export declare function watchEvents(
+	env: Environment,
+	options?: WatchOptions & {
+		onEvent?: (event: DecodedEvent) => void;
+		onError?: (error: Error) => void;
+	},
+): EventWatcher;
@@ -0,0 +1,286 @@
+/**
+ * Live Contract Event Watcher
+ *
+ * Polls the mirror node logs endpoint on an interval and emits newly seen,
+ * decoded events (see contractEvents.js) in consensus order. Progress is the
+ * timestamp of the last log read per contract, watched or not, plus the log
+ * indexes already emitted at that timestamp; with a checkpoint file (saved
+ * after every page) it survives restarts, so nothing is emitted twice and
+ * nothing between runs is missed.
+ *
+ * Emits:
+ *   'event'      every decoded event
+ *   <EventName>  e.g. 'Rolled', for listeners interested in one event
+ *   'error'      a failed poll (polling carries on; unheard errors are dropped)
+ *
+ * Usage:
+ *   const { watchEvents } = require('@lazysuperheroes/lazy-lotto');
+ *
+ *   const watcher = watchEvents('testnet', { checkpoint: './watch-state.json' });
+ *   watcher.on('Rolled', event => console.log(event.args.user, event.args.won));
+ *   watcher.on('JackpotWin', event => console.log('Jackpot!', event.args._jackpotAmt));
+ *   // later
+ *   await watcher.stop();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const { MANIFEST_CONTRACTS, getContractEvents, toMirrorTimestamp } = require('./contractEvents');
+const { getAddresses } = require('./deploymentManifest');
+
+const CHECKPOINT_VERSION = 1;
+
+// Manifest key -> events watched by default
+const DEFAULT_WATCH = {
+	lazyLotto: ['EntryPurchased', 'Rolled', 'PrizeClaimed', 'PoolCreated'],
+	lazyTradeLotto: ['JackpotWin'],
+};
+
+function compareTimestamps(a, b) {
+	const [aSeconds, aNanos = '0'] = a.split('.');
+	const [bSeconds, bNanos = '0'] = b.split('.');
+	const seconds = BigInt(aSeconds) - BigInt(bSeconds);
+	if (seconds !== 0n) return seconds < 0n ? -1 : 1;
+	const nanos = BigInt(aNanos.padEnd(9, '0')) - BigInt(bNanos.padEnd(9, '0'));
+	return nanos === 0n ? 0 : (nanos < 0n ? -1 : 1);
+}
+
+function compareEvents(a, b) {
+	return compareTimestamps(a.timestamp, b.timestamp) || a.logIndex - b.logIndex;
+}
+
+function moveCursor(cursor, timestamp) {
+	if (cursor.lastTimestamp !== timestamp) {
+		cursor.lastTimestamp = timestamp;
+		cursor.seen = [];
+	}
+}
+
+/**
+ * Next event from a contract's stream that was not emitted before
+ * @returns {Promise<Object|null>}
+ */
+async function nextUnseen(iterator, cursor) {
+	for (;;) {
+		const { value: event, done } = await iterator.next();
+		if (done) return null;
+		// the query is inclusive, so the cursor's own timestamp comes back every poll
+		if (event.timestamp === cursor.lastTimestamp && cursor.seen.includes(event.logIndex)) continue;
+		return event;
+	}
+}
+
+/**
+ * Polls contracts for new events and emits them
+ */
+class EventWatcher extends EventEmitter {
+	/**
+	 * @param {string} env - MAIN, TEST, PREVIEW or LOCAL
+	 * @param {Object} [options]
+	 * @param {Object} [options.contracts] - manifest key or contract ID -> event names (null for all);
+	 *   defaults to LazyLotto entries, rolls, claims and new pools plus LazyTradeLotto jackpot wins
+	 * @param {number} [options.intervalMs=5000]
+	 * @param {Date|number|string|null} [options.fromTimestamp] - where to start without a checkpoint;
+	 *   defaults to now, null for the start of history
+	 * @param {string} [options.checkpoint] - JSON file that keeps progress across restarts
+	 * @param {boolean} [options.resolveAliases=true]
+	 */
+	constructor(env, options = {}) {
+		super();
+		const {
+			contracts = null,
+			intervalMs = 5_000,
+			fromTimestamp = new Date(),
+			checkpoint = null,
+			resolveAliases = true,
+		} = options;
+
+		if (!env) {
+			throw new Error('EventWatcher requires an env (MAIN, TEST, PREVIEW or LOCAL)');
+		}
+
+		this.env = env;
+		this.intervalMs = intervalMs;
+		this.checkpoint = checkpoint;
+		this.resolveAliases = resolveAliases;
+		this.sources = this._resolveSources(contracts);
+
+		const start = fromTimestamp === null ? null : toMirrorTimestamp(fromTimestamp);
+		const saved = this._loadCheckpoint();
+		this.cursors = {};
+		for (const { contractId } of this.sources) {
+			this.cursors[contractId] = saved[contractId] ?? { lastTimestamp: start, seen: [] };
+		}
+
+		this._running = null;
+		this._stopped = true;
+		this._wake = null;
+	}
+
+	_resolveSources(contracts) {
+		const explicit = contracts !== null;
+		let deployed = null;
+
+		const sources = [];
+		for (const [contract, events] of Object.entries(contracts ?? DEFAULT_WATCH)) {
+			if (!MANIFEST_CONTRACTS[contract]) {
+				sources.push({ contractId: contract.toString(), contractName: null, events });
+				continue;
+			}
+
+			deployed = deployed ?? getAddresses(this.env);
+			if (!deployed[contract]) {
+				// the defaults cover contracts a deployment may not have
+				if (explicit) throw new Error(`No ${contract} in the deployment manifest for ${this.env}`);
+				continue;
+			}
+			sources.push({ contractId: deployed[contract], contractName: MANIFEST_CONTRACTS[contract], events });
+		}
+
+		if (!sources.length) {
+			throw new Error(`No contracts to watch for ${this.env}`);
+		}
+		return sources;
+	}
+
+	_loadCheckpoint() {
+		if (!this.checkpoint || !fs.existsSync(this.checkpoint)) return {};
+
+		const saved = JSON.parse(fs.readFileSync(this.checkpoint, 'utf8'));
+		if (saved.version !== CHECKPOINT_VERSION) {
+			throw new Error(`Unsupported checkpoint version ${saved.version} in ${this.checkpoint}`);
+		}
+		if (saved.env && saved.env.toLowerCase() !== this.env.toLowerCase()) {
+			throw new Error(`Checkpoint ${this.checkpoint} is for ${saved.env}, not ${this.env}`);
+		}
+		return saved.contracts ?? {};
+	}
+
+	_saveCheckpoint() {
+		if (!this.checkpoint) return;
+
+		const dir = path.dirname(this.checkpoint);
+		if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+		// write then rename so a crash never leaves a truncated checkpoint
+		const tmp = `${this.checkpoint}.tmp`;
+		fs.writeFileSync(tmp, JSON.stringify({
+			version: CHECKPOINT_VERSION,
+			env: this.env,
+			updatedAt: new Date().toISOString(),
+			contracts: this.cursors,
+		}, null, 2));
+		fs.renameSync(tmp, this.checkpoint);
+	}
+
+	/**
+	 * Fetch and emit everything new since the last poll
+	 *
+	 * Contracts are read side by side and merged, so events still come out in
+	 * consensus order. After each page the cursor moves to the page's last log,
+	 * whether or not it matched, and the checkpoint is saved.
+	 * @returns {Promise<Object[]>} the events emitted, oldest first
+	 */
+	async poll() {
+		const streams = [];
+		for (const { contractId, contractName, events } of this.sources) {
+			const cursor = this.cursors[contractId];
+			const iterator = getContractEvents(this.env, {
+				contract: contractId,
+				contractName,
+				events,
+				fromTimestamp: cursor.lastTimestamp,
+				resolveAliases: this.resolveAliases,
+				onPage: (log) => {
+					moveCursor(cursor, log.timestamp);
+					this._saveCheckpoint();
+				},
+			})[Symbol.asyncIterator]();
+			streams.push({ iterator, cursor, next: await nextUnseen(iterator, cursor) });
+		}
+
+		const emitted = [];
+		for (;;) {
+			const pending = streams.filter(stream => stream.next);
+			if (!pending.length) break;
+
+			const stream = pending.reduce((earliest, candidate) => (compareEvents(candidate.next, earliest.next) < 0 ? candidate : earliest));
+			const event = stream.next;
+			moveCursor(stream.cursor, event.timestamp);
+			stream.cursor.seen.push(event.logIndex);
+
+			this.emit('event', event);
+			this.emit(event.name, event);
+			emitted.push(event);
+
+			stream.next = await nextUnseen(stream.iterator, stream.cursor);
+		}
+
+		return emitted;
+	}
+
+	/**
+	 * Poll every intervalMs until stop() is called
+	 * @returns {EventWatcher} this
+	 */
+	start() {
+		if (this._running) return this;
+
+		this._stopped = false;
+		this._running = (async () => {
+			while (!this._stopped) {
+				try {
+					await this.poll();
+				}
+				catch (error) {
+					if (this.listenerCount('error')) this.emit('error', error);
+				}
+				if (this._stopped) break;
+
+				await new Promise(resolve => {
+					const timer = setTimeout(resolve, this.intervalMs);
+					this._wake = () => {
+						clearTimeout(timer);
+						resolve();
+					};
+				});
+				this._wake = null;
+			}
+			this._running = null;
+		})();
+		return this;
+	}
+
+	/**
+	 * Stop polling; resolves once the current poll has finished
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		this._stopped = true;
+		if (this._wake) this._wake();
+		if (this._running) await this._running;
+	}
+}
+
+/**
+ * Start watching for new contract events
+ * @param {string} env
+ * @param {Object} [options] - see EventWatcher, plus:
+ * @param {function(Object): void} [options.onEvent] - called for every event
+ * @param {function(Error): void} [options.onError] - called for every failed poll
+ * @returns {EventWatcher} a started watcher
+ */
+function watchEvents(env, options = {}) {
+	const watcher = new EventWatcher(env, options);
+	if (options.onEvent) watcher.on('event', options.onEvent);
+	if (options.onError) watcher.on('error', options.onError);
+	return watcher.start();
+}
+
+module.exports = {
+	DEFAULT_WATCH,
+	EventWatcher,
+	watchEvents,
+};
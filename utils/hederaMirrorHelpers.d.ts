@@ -0,0 +1,120 @@
+import type { AccountId, ContractId, TokenId, TransactionId } from '@hashgraph/sdk';
+import type { Interface, Result } from 'ethers';
+
+/** MAIN, TEST, PREVIEW, LOCAL (or mainnet / testnet / previewnet), case-insensitive */
+export type Environment = string;
+
+type EntityIdLike = AccountId | ContractId | TokenId | string;
+type TransactionIdLike = TransactionId | string;
+
+export declare const EntityType: {
+	readonly ACCOUNT: 'accounts';
+	readonly TOKEN: 'tokens';
+	readonly CONTRACT: 'contracts';
+};
+export type EntityTypeValue = typeof EntityType[keyof typeof EntityType];
+
+export interface MirrorRetryOptions {
+	/** default 10 */
+	maxRetries?: number;
+	/** ms before the first attempt, default 5000 */
+	initialDelay?: number;
+	/** ms between attempts, default 3000 */
+	retryDelay?: number;
+	/** default true */
+	verbose?: boolean;
+}
+
+export interface MirrorTokenDetails {
+	symbol: string;
+	name: string;
+	decimals: string | number;
+	total_supply: string;
+	max_supply: string;
+	treasury_account_id: string;
+	type: 'FUNGIBLE_COMMON' | 'NON_FUNGIBLE_UNIQUE';
+}
+
+export interface MirrorNFTOwnership {
+	owner: string;
+	serial: number;
+	token_id: string;
+	spender: string | null;
+	delegating_spender: string | null;
+	deleted: boolean;
+	metadata: string;
+	create_time: string;
+	modified_time: string;
+}
+
+export interface ContractResultResponse {
+	success: boolean;
+	result?: string;
+	call_result?: Result | null;
+	error?: unknown;
+}
+
+export interface TransactionStatusResponse {
+	success: boolean;
+	result?: string;
+	name?: string;
+	transactionId?: string;
+	consensusTimestamp?: string;
+	error?: string;
+}
+
+export interface TransactionRecordResponse {
+	success: boolean;
+	/** raw mirror node transaction object */
+	record?: Record<string, unknown>;
+	error?: string;
+}
+
+export declare function getBaseURL(env: Environment): string;
+
+/** Fungible allowance granted to a spender (0 if none) */
+export declare function checkMirrorAllowance(env: Environment, userId: EntityIdLike, tokenId: EntityIdLike, spenderId: EntityIdLike): Promise<number>;
+/** Spender of a specific NFT serial, if any */
+export declare function checkMirrorNFTAllowance(env: Environment, userId: EntityIdLike, tokenId: EntityIdLike, serial: number): Promise<string | undefined>;
+/** HBAR allowance granted to a spender, in tinybars (0 if none) */
+export declare function checkMirrorHbarAllowance(env: Environment, userId: EntityIdLike, spenderId: EntityIdLike): Promise<number>;
+/** spender -> token IDs approved for all */
+export declare function getNFTApprovedForAllAllowances(env: Environment, userId: EntityIdLike): Promise<Map<string, string[]>>;
+export declare function checkFTAllowances(env: Environment, userId: EntityIdLike): Promise<Record<string, unknown>[] | 0>;
+export declare function checkHbarAllowances(env: Environment, userId: EntityIdLike): Promise<Record<string, unknown>[] | 0>;
+
+/** All serials of `tokenId` held by the user (null on mirror error) */
+export declare function getSerialsOwned(env: Environment, userId: EntityIdLike, tokenId: EntityIdLike): Promise<number[] | null>;
+/** Token balance; null when the token is not associated (and no auto-association slots) */
+export declare function checkMirrorBalance(env: Environment, userId: EntityIdLike, tokenId: EntityIdLike): Promise<number | null>;
+/** HBAR balance in tinybars */
+export declare function checkMirrorHbarBalance(env: Environment, userId: EntityIdLike): Promise<number | null>;
+export declare function getAccountKey(env: Environment, userId: EntityIdLike): Promise<{ type: 'ED25519' | 'ECDSA_SECP256K1' | 'ProtobufEncoded' | string; key: string } | null>;
+export declare function hasUserGotAutoAssociations(env: Environment, userId: EntityIdLike, requiredAssociations?: number): Promise<boolean>;
+export declare function checkNFTOwnership(env: Environment, tokenId: EntityIdLike, serial: number): Promise<MirrorNFTOwnership | null>;
+export declare function getTokenDetails(env: Environment, tokenId: EntityIdLike): Promise<MirrorTokenDetails | null>;
+
+export declare function checkLastMirrorEvent(env: Environment, contractId: EntityIdLike, iface: Interface, offset?: number, account?: false): Promise<number | undefined>;
+export declare function checkLastMirrorEvent(env: Environment, contractId: EntityIdLike, iface: Interface, offset: number, account: true): Promise<AccountId | undefined>;
+/** Latest 100 logs, each formatted as a display string */
+/** @deprecated use getContractEvents from './contractEvents' */
+export declare function getEventsFromMirror(env: Environment, contractId: EntityIdLike, iface: Interface): Promise<string[] | undefined>;
+
+export declare function getContractResult(env: Environment, transactionIdOrHash: TransactionIdLike, iface: Interface): Promise<ContractResultResponse>;
+export declare function getContractResultWithRetry(env: Environment, transactionIdOrHash: TransactionIdLike, iface: Interface, options?: MirrorRetryOptions): Promise<ContractResultResponse>;
+export declare function getTransactionStatus(env: Environment, transactionIdOrHash: TransactionIdLike): Promise<TransactionStatusResponse>;
+export declare function getTransactionStatusWithRetry(env: Environment, transactionIdOrHash: TransactionIdLike, options?: MirrorRetryOptions): Promise<TransactionStatusResponse>;
+export declare function getTransactionRecord(env: Environment, transactionIdOrHash: TransactionIdLike): Promise<TransactionRecordResponse>;
+export declare function getTransactionRecordWithRetry(env: Environment, transactionIdOrHash: TransactionIdLike, options?: MirrorRetryOptions): Promise<TransactionRecordResponse>;
+
+/** `0.0.1234@1234567890.123456789` -> `0.0.1234-1234567890-123456789` */
+export declare function formatTransactionIdForMirror(transactionIdStr: string): string;
+export declare function translateTransactionForWebCall(transactionHash: string): string;
+export declare function constructTransactionIdString(transactionId: TransactionId): string;
+
+/** EVM address of a contract (long-zero or aliased) */
+export declare function getContractEVMAddress(env: Environment, contractId: EntityIdLike): Promise<string | null>;
+/** Checksummed EVM address for an account, token or contract ID */
+export declare function homebrewPopulateAccountEvmAddress(env: Environment, accountId: AccountId | string, entityType?: EntityTypeValue | null): Promise<string>;
+/** Hedera ID (0.0.x) for an EVM address; throws if it cannot be resolved */
+export declare function homebrewPopulateAccountNum(env: Environment, evmAddress: string, entityType?: EntityTypeValue | null): Promise<string>;
@@ -1,6 +1,6 @@
 const { AccountId } = require('@hashgraph/sdk');
 const { default: axios } = require('axios');
-const { ethers } = require('hardhat');
+const { ethers } = require('ethers');
 
 // Entity type enum for mirror node queries
 const EntityType = {
@@ -10,6 +10,10 @@ const EntityType = {
 };
 
 function getBaseURL(env) {
+	// a custom mirror node (CLI profile mirrorUrl) serves whichever network it fronts
+	if (process.env.MIRROR_NODE_URL) {
+		return process.env.MIRROR_NODE_URL.replace(/\/+$/, '');
+	}
 	if (env.toLowerCase() == 'test' || env.toLowerCase() == 'testnet') {
 		return 'https://testnet.mirrornode.hedera.com';
 	}
@@ -157,6 +161,36 @@ async function checkHbarAllowances(env, _userId) {
 		});
 }
 
+/**
+ * Check mirror for the hbar allowance granted to a spender
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @param {AccountId|ContractId|string} _spenderId
+ * @returns {Number} allowance in tinybars (0 if none)
+ */
+async function checkMirrorHbarAllowance(env, _userId, _spenderId) {
+	const baseUrl = getBaseURL(env);
+	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/crypto?spender.id=${_spenderId.toString()}`;
+
+	let rtnVal = 0;
+	await axios.get(url)
+		.then((response) => {
+			const jsonResponse = response.data;
+
+			jsonResponse.allowances.forEach(allowance => {
+				if (allowance.spender == _spenderId.toString()) {
+					rtnVal = Number(allowance.amount);
+				}
+			});
+		})
+		.catch(function (err) {
+			console.error(err);
+			return 0;
+		});
+
+	return rtnVal;
+}
+
 async function getSerialsOwned(env, _userId, _tokenId) {
 	const baseUrl = getBaseURL(env);
 	let url = `${baseUrl}/api/v1/tokens/${_tokenId.toString()}/nfts?account.id=${_userId.toString()}&limit=100`;
@@ -239,6 +273,14 @@ async function checkLastMirrorEvent(env, contractId, iface, offset = 1, account
 	return rtnVal;
 }
 
+/**
+ * Latest 100 events of a contract as display strings
+ * @deprecated use getContractEvents (utils/contractEvents.js) for paginated, decoded events
+ * @param {string} env
+ * @param {ContractId} contractId
+ * @param {ethers.Interface} iface
+ * @returns {string[]} one formatted line per event
+ */
 async function getEventsFromMirror(env, contractId, iface) {
 	const baseUrl = getBaseURL(env);
 
@@ -364,6 +406,28 @@ async function checkMirrorHbarBalance(env, _userId) {
 	return rtnVal;
 }
 
+/**
+ * Account key as the mirror node reports it
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @returns {Promise<{type: string, key: string}|null>} type is ED25519, ECDSA_SECP256K1 or
+ *   ProtobufEncoded (key lists / threshold keys); null if the account is not found
+ */
+async function getAccountKey(env, _userId) {
+	const baseUrl = getBaseURL(env);
+	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}`;
+
+	try {
+		const response = await axios.get(url);
+		const key = response.data?.key;
+		return key ? { type: key._type, key: key.key } : null;
+	}
+	catch (err) {
+		if (err.response?.status === 404) return null;
+		throw err;
+	}
+}
+
 async function checkNFTOwnership(env, _tokenId, _serial) {
 	const baseUrl = getBaseURL(env);
 	const url = `${baseUrl}/api/v1/tokens/${_tokenId.toString()}/nfts/${_serial}`;
@@ -958,6 +1022,7 @@ module.exports = {
 	EntityType,
 	checkMirrorAllowance,
 	checkMirrorNFTAllowance,
+	checkMirrorHbarAllowance,
 	getSerialsOwned,
 	getBaseURL,
 	checkLastMirrorEvent,
@@ -980,6 +1045,7 @@ module.exports = {
 	// Address/entity helpers
 	getContractEVMAddress,
 	checkMirrorHbarBalance,
+	getAccountKey,
 	checkHbarAllowances,
 	checkNFTOwnership,
 	getNFTApprovedForAllAllowances,
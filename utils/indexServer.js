@@ -0,0 +1,248 @@
+/**
+ * LazyLotto Index Server
+ *
+ * Read-only JSON API over the SQLite database kept by the event indexer
+ * (lottoIndexer.js), so a frontend can render a view with one request
+ * instead of a fan-out of mirror node reads.
+ *
+ * Endpoints (GET only):
+ *   /pools                         ?status=active|paused|closed &owner=0.0.x
+ *   /pools/:id                     pool with its prizes
+ *   /pools/:id/prizes
+ *   /users/:account/entries        entries held per pool, with purchase / roll / win totals
+ *   /users/:account/pending-prizes unclaimed prizes
+ *   /leaderboard                   ?by=wins|rolls|entries &poolId=N &limit=N
+ *   /stats                         totals and sync cursors
+ *
+ * Accounts may be given as 0.0.x or as an EVM address; long-zero addresses
+ * are converted to 0.0.x. The indexer stores an EVM alias as its 0.0.x ID
+ * when the mirror node resolved it, so query aliased accounts by ID.
+ *
+ * Usage:
+ *   const { IndexerStore } = require('./utils/lottoIndexer');
+ *   const { createIndexServer } = require('./utils/indexServer');
+ *
+ *   const store = new IndexerStore({ dbPath: './lazy-lotto-testnet.db', readonly: true });
+ *   createIndexServer({ store }).listen(8080);
+ */
+
+const http = require('http');
+
+const MAX_LIMIT = 500;
+
+function httpError(status, message) {
+	return Object.assign(new Error(message), { status });
+}
+
+function toPool(row) {
+	return {
+		id: row.pool_id,
+		status: row.status,
+		paused: row.paused === null ? null : Boolean(row.paused),
+		closed: row.closed === null ? null : Boolean(row.closed),
+		ticketCID: row.ticket_cid,
+		winCID: row.win_cid,
+		winRateThousandthsOfBps: row.win_rate_thousandths_of_bps,
+		winRatePercent: row.win_rate_percent,
+		entryFee: {
+			raw: row.entry_fee_raw,
+			token: row.entry_fee_token,
+			formatted: row.entry_fee_formatted,
+		},
+		prizeCount: row.prize_count,
+		outstandingEntries: row.outstanding_entries,
+		poolTokenId: row.pool_token_id,
+		owner: row.owner,
+		createdByGlobalAdmin: row.created_by_global_admin === null ? null : Boolean(row.created_by_global_admin),
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+function toAmount(row) {
+	return row.amount_raw === null || row.amount_raw === '0'
+		? null
+		: { raw: row.amount_raw, token: row.token, formatted: row.amount_formatted };
+}
+
+function toPrize(row) {
+	return { index: row.prize_index, amount: toAmount(row), nfts: row.nfts };
+}
+
+function toPendingPrize(row) {
+	return { index: row.pending_index, poolId: row.pool_id, asNFT: Boolean(row.as_nft), amount: toAmount(row), nfts: row.nfts };
+}
+
+function intParam(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+	if (value === null || value === undefined) return undefined;
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+		throw httpError(400, `Invalid ${name}: ${value}`);
+	}
+	return parsed;
+}
+
+/**
+ * Account in the form the indexer stores it: 0.0.x, or a lower-case EVM
+ * address for an alias the mirror node could not resolve
+ */
+function accountParam(value, name) {
+	if (value === null || value === undefined) return undefined;
+	const id = value.match(/^(\d+)\.(\d+)\.(\d+)$/);
+	if (id) return id.slice(1).map(BigInt).join('.');
+
+	const hex = value.match(/^(?:0x)?([0-9a-fA-F]{40})$/)?.[1].toLowerCase();
+	if (!hex) {
+		throw httpError(400, `Invalid ${name}: ${value}. Use 0.0.x or an EVM address`);
+	}
+	return hex.startsWith('0'.repeat(24)) ? `0.0.${BigInt(`0x${hex.slice(24)}`)}` : `0x${hex}`;
+}
+
+function requirePool(store, id) {
+	const poolId = intParam(id, 'pool ID');
+	const row = store.getPool(poolId);
+	if (!row) {
+		throw httpError(404, `Pool ${poolId} not found`);
+	}
+	return row;
+}
+
+const ROUTES = [
+	['/pools', (store, params, query) => {
+		const status = query.get('status') ?? undefined;
+		if (status && !['active', 'paused', 'closed'].includes(status)) {
+			throw httpError(400, `Invalid status: ${status}`);
+		}
+		const pools = store.listPools({ status, owner: accountParam(query.get('owner'), 'owner') }).map(toPool);
+		return { total: pools.length, pools };
+	}],
+	['/pools/:id', (store, { id }) => {
+		const row = requirePool(store, id);
+		return { ...toPool(row), prizes: store.listPrizes(row.pool_id).map(toPrize) };
+	}],
+	['/pools/:id/prizes', (store, { id }) => {
+		const row = requirePool(store, id);
+		return { poolId: row.pool_id, prizes: store.listPrizes(row.pool_id).map(toPrize) };
+	}],
+	['/users/:account/entries', (store, params) => {
+		const account = accountParam(params.account, 'account');
+		return {
+			account,
+			pools: store.getUserEntries(account).map(row => ({
+				poolId: row.pool_id,
+				entries: row.entries,
+				purchased: row.purchased,
+				rolled: row.rolled,
+				wins: row.wins,
+			})),
+		};
+	}],
+	['/users/:account/pending-prizes', (store, params) => {
+		const account = accountParam(params.account, 'account');
+		const pendingPrizes = store.listPendingPrizes(account).map(toPendingPrize);
+		return { account, total: pendingPrizes.length, pendingPrizes };
+	}],
+	['/leaderboard', (store, params, query) => {
+		const by = query.get('by') ?? 'wins';
+		if (!['wins', 'rolls', 'entries'].includes(by)) {
+			throw httpError(400, `Invalid by: ${by}. Use wins, rolls or entries`);
+		}
+		const poolId = intParam(query.get('poolId'), 'poolId');
+		const limit = intParam(query.get('limit'), 'limit', { min: 1, max: MAX_LIMIT }) ?? 25;
+
+		const leaders = store.getLeaderboard({ by, poolId, limit }).map((row, i) => ({
+			rank: i + 1,
+			account: row.user,
+			wins: row.wins,
+			rolls: row.rolls,
+			entries: row.entries,
+		}));
+		return { by, poolId: poolId ?? null, leaders };
+	}],
+	['/stats', (store) => {
+		const { pools, entries, buyers, players, rolls, wins, claims, sync } = store.getStats();
+		return {
+			env: store.getMeta('env'),
+			pools,
+			players,
+			buyers,
+			entriesPurchased: entries,
+			rolls,
+			wins,
+			winRatePercent: rolls ? (wins / rolls) * 100 : null,
+			claims,
+			sync: Object.fromEntries(sync.map(row => [row.contract, {
+				contractId: row.contract_id,
+				lastTimestamp: row.last_timestamp,
+				updatedAt: row.updated_at,
+			}])),
+		};
+	}],
+].map(([pattern, handler]) => {
+	const names = [];
+	const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => {
+		names.push(name);
+		return '([^/]+)';
+	})}/?$`);
+	return { regex, names, handler };
+});
+
+/**
+ * Resolve a request to a status code and JSON body
+ * @param {IndexerStore} store
+ * @param {string} method
+ * @param {string} url - path and query string
+ * @returns {{ status: number, body: Object }}
+ */
+function handleRequest(store, method, url) {
+	try {
+		if (method !== 'GET') {
+			throw httpError(405, `Method ${method} not allowed`);
+		}
+
+		const { pathname, searchParams } = new URL(url, 'http://localhost');
+		for (const { regex, names, handler } of ROUTES) {
+			const match = pathname.match(regex);
+			if (!match) continue;
+
+			const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+			return { status: 200, body: handler(store, params, searchParams) };
+		}
+		throw httpError(404, `No route for ${pathname}`);
+	}
+	catch (error) {
+		return { status: error.status ?? 500, body: { error: error.message } };
+	}
+}
+
+/**
+ * Create an HTTP server for the index API (call .listen() to start it)
+ * @param {Object} options
+ * @param {IndexerStore} options.store
+ * @param {string|null} [options.cors='*'] - Access-Control-Allow-Origin value, null to omit
+ * @param {function(string): void} [options.log] - one line per request
+ * @returns {http.Server}
+ */
+function createIndexServer(options = {}) {
+	const { store, cors = '*', log = () => undefined } = options;
+
+	if (!store) {
+		throw new Error('createIndexServer requires an IndexerStore');
+	}
+
+	return http.createServer((req, res) => {
+		const { status, body } = handleRequest(store, req.method, req.url);
+
+		const headers = { 'Content-Type': 'application/json' };
+		if (cors) headers['Access-Control-Allow-Origin'] = cors;
+		res.writeHead(status, headers);
+		res.end(JSON.stringify(body));
+
+		log(`${req.method} ${req.url} ${status}`);
+	});
+}
+
+module.exports = {
+	handleRequest,
+	createIndexServer,
+};
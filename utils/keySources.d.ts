@@ -0,0 +1,32 @@
+import type { AccountId, PrivateKey } from '@hashgraph/sdk';
+import type { Environment } from './hederaMirrorHelpers';
+
+export type KeyType = 'ED25519' | 'ECDSA';
+
+export interface Keystore {
+	version: 1;
+	keyType: KeyType;
+	/** DER hex */
+	publicKey: string;
+	kdf: { name: 'pbkdf2'; hash: string; iterations: number; salt: string };
+	cipher: { name: 'aes-256-gcm'; iv: string; tag: string };
+	ciphertext: string;
+}
+
+export interface ResolvePrivateKeyOptions {
+	/** forces the curve; 'secp256k1' and 'ECDSA_SECP256K1' are accepted too */
+	type?: KeyType | string;
+	/** with accountId, raw hex is matched against the account key on the mirror node */
+	env?: Environment;
+	accountId?: AccountId | string;
+}
+
+/** DER (either curve), 0x-prefixed hex (ECDSA) or raw hex (ED25519 unless type says otherwise) */
+export declare function parsePrivateKey(value: string, type?: KeyType | string): PrivateKey;
+export declare function resolvePrivateKey(value: string, options?: ResolvePrivateKeyOptions): Promise<PrivateKey>;
+export declare function keyTypeOf(key: PrivateKey): KeyType;
+export declare function encryptKeystore(privateKey: PrivateKey | string, password: string, options?: { iterations?: number }): Keystore;
+export declare function decryptKeystore(keystore: Keystore, password: string): PrivateKey;
+export declare function readKeystore(file: string): Keystore;
+/** owner-only permissions; throws if the file exists */
+export declare function writeKeystore(file: string, keystore: Keystore): void;
@@ -0,0 +1,212 @@
+/**
+ * Key Sources
+ *
+ * Turning key material into a Hedera PrivateKey without assuming ED25519:
+ *   - parsePrivateKey     DER (either curve), 0x-prefixed hex (ECDSA) or raw hex
+ *   - resolvePrivateKey   raw hex is ambiguous, so ask the mirror node which
+ *                         curve the account uses and pick the matching one
+ *   - keystores           a private key encrypted with a password, using the
+ *                         same scheme as the hedera-multisig .enc key files
+ *                         (PBKDF2-SHA256, 100k iterations, AES-256-GCM)
+ *
+ * Keystore file (JSON):
+ *   {
+ *     "version": 1,
+ *     "keyType": "ED25519" | "ECDSA",
+ *     "publicKey": "<DER hex>",
+ *     "kdf": { "name": "pbkdf2", "hash": "sha256", "iterations": 100000, "salt": "<hex>" },
+ *     "cipher": { "name": "aes-256-gcm", "iv": "<hex>", "tag": "<hex>" },
+ *     "ciphertext": "<hex>"
+ *   }
+ *
+ * Usage:
+ *   const { resolvePrivateKey, readKeystore, decryptKeystore } = require('@lazysuperheroes/lazy-lotto');
+ *   const key = await resolvePrivateKey(process.env.PRIVATE_KEY, { env: 'testnet', accountId: '0.0.1234' });
+ *   const stored = decryptKeystore(readKeystore('operator.keystore.json'), password);
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { getAccountKey } = require('./hederaMirrorHelpers');
+
+const KEYSTORE_VERSION = 1;
+const KDF_ITERATIONS = 100_000;
+const SALT_LENGTH = 32;
+const IV_LENGTH = 16;
+
+const DER_PREFIXES = {
+	'302e020100300506032b657004220420': 'ED25519',
+	'3030020100300706052b8104000a04220420': 'ECDSA',
+};
+
+const MIRROR_KEY_TYPES = {
+	ED25519: 'ED25519',
+	ECDSA_SECP256K1: 'ECDSA',
+};
+
+function normalizeKeyType(type) {
+	const upper = type.toString().toUpperCase();
+	if (upper === 'ED25519') return 'ED25519';
+	if (upper === 'ECDSA' || upper === 'SECP256K1' || upper === 'ECDSA_SECP256K1') return 'ECDSA';
+	throw new Error(`Unknown key type: ${type}. Use ED25519 or ECDSA`);
+}
+
+function fromType(hex, type) {
+	return type === 'ECDSA' ? PrivateKey.fromStringECDSA(hex) : PrivateKey.fromStringED25519(hex);
+}
+
+/**
+ * @param {PrivateKey} key
+ * @returns {'ED25519'|'ECDSA'}
+ */
+function keyTypeOf(key) {
+	return key.type === 'secp256k1' ? 'ECDSA' : 'ED25519';
+}
+
+/**
+ * Parse a private key string, detecting the curve where the format says so
+ * @param {string} value - DER hex, 0x-prefixed hex (ECDSA) or raw 32-byte hex
+ * @param {string} [type] - ED25519 or ECDSA, forces the curve for raw hex
+ * @returns {PrivateKey} raw hex without a type is read as ED25519
+ */
+function parsePrivateKey(value, type) {
+	const text = value.toString().trim();
+	const hex = text.replace(/^0x/i, '').toLowerCase();
+
+	const derType = Object.entries(DER_PREFIXES).find(([prefix]) => hex.startsWith(prefix))?.[1];
+	if (derType) {
+		if (type && normalizeKeyType(type) !== derType) {
+			throw new Error(`Key is DER-encoded ${derType}, not ${normalizeKeyType(type)}`);
+		}
+		return PrivateKey.fromStringDer(hex);
+	}
+
+	if (!/^[0-9a-f]{64}$/.test(hex)) {
+		throw new Error('Unrecognised private key format (expected DER or 32-byte hex)');
+	}
+	if (type) return fromType(hex, normalizeKeyType(type));
+	// 0x-prefixed keys come from EVM wallets, which are always secp256k1
+	return fromType(hex, /^0x/i.test(text) ? 'ECDSA' : 'ED25519');
+}
+
+/**
+ * Parse a private key, using the account's key on the mirror node to tell
+ * ED25519 from ECDSA when the string alone cannot
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {string} [options.type] - ED25519 or ECDSA, skips detection
+ * @param {string} [options.env] - with accountId, enables mirror detection
+ * @param {AccountId|string} [options.accountId]
+ * @returns {Promise<PrivateKey>}
+ */
+async function resolvePrivateKey(value, options = {}) {
+	const { type, env, accountId } = options;
+	const hex = value.toString().trim();
+	if (type || /^0x/i.test(hex) || hex.length !== 64 || !env || !accountId) {
+		return parsePrivateKey(hex, type);
+	}
+
+	const accountKey = await getAccountKey(env, accountId);
+	const accountType = MIRROR_KEY_TYPES[accountKey?.type];
+	if (accountType) {
+		const key = fromType(hex.toLowerCase(), accountType);
+		if (key.publicKey.toStringRaw() === accountKey.key) return key;
+	}
+	// key lists or a key that matches neither: keep the historical default
+	return parsePrivateKey(hex);
+}
+
+/**
+ * @param {PrivateKey|string} privateKey
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {number} [options.iterations=100000]
+ * @returns {Object} keystore
+ */
+function encryptKeystore(privateKey, password, options = {}) {
+	const { iterations = KDF_ITERATIONS } = options;
+	if (!password) throw new Error('A keystore password is required');
+
+	const key = typeof privateKey === 'string' ? parsePrivateKey(privateKey) : privateKey;
+	const salt = crypto.randomBytes(SALT_LENGTH);
+	const iv = crypto.randomBytes(IV_LENGTH);
+	const derived = crypto.pbkdf2Sync(password, salt, iterations, 32, 'sha256');
+
+	const cipher = crypto.createCipheriv('aes-256-gcm', derived, iv);
+	const ciphertext = Buffer.concat([cipher.update(key.toStringDer(), 'utf8'), cipher.final()]);
+
+	return {
+		version: KEYSTORE_VERSION,
+		keyType: keyTypeOf(key),
+		publicKey: key.publicKey.toStringDer(),
+		kdf: { name: 'pbkdf2', hash: 'sha256', iterations, salt: salt.toString('hex') },
+		cipher: { name: 'aes-256-gcm', iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+		ciphertext: ciphertext.toString('hex'),
+	};
+}
+
+/**
+ * @param {Object} keystore
+ * @param {string} password
+ * @returns {PrivateKey}
+ */
+function decryptKeystore(keystore, password) {
+	if (keystore.version !== KEYSTORE_VERSION || keystore.kdf?.name !== 'pbkdf2' || keystore.cipher?.name !== 'aes-256-gcm') {
+		throw new Error('Unsupported keystore format');
+	}
+
+	const { iterations, salt, hash } = keystore.kdf;
+	const derived = crypto.pbkdf2Sync(password, Buffer.from(salt, 'hex'), iterations, 32, hash);
+	const decipher = crypto.createDecipheriv('aes-256-gcm', derived, Buffer.from(keystore.cipher.iv, 'hex'));
+	decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'hex'));
+
+	let der;
+	try {
+		der = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'hex')), decipher.final()]).toString('utf8');
+	}
+	catch {
+		throw new Error('Wrong keystore password (or the file was modified)');
+	}
+
+	const key = PrivateKey.fromStringDer(der);
+	if (key.publicKey.toStringDer() !== keystore.publicKey) {
+		throw new Error('Keystore public key does not match the decrypted key');
+	}
+	return key;
+}
+
+/**
+ * @param {string} file
+ * @returns {Object} keystore
+ */
+function readKeystore(file) {
+	if (!fs.existsSync(file)) {
+		throw new Error(`Keystore not found: ${file}`);
+	}
+	try {
+		return JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+	catch (error) {
+		throw new Error(`Could not read keystore ${file}: ${error.message}`);
+	}
+}
+
+/**
+ * Write a keystore readable by the owner only; refuses to overwrite
+ * @param {string} file
+ * @param {Object} keystore
+ */
+function writeKeystore(file, keystore) {
+	fs.writeFileSync(file, `${JSON.stringify(keystore, null, 2)}\n`, { mode: 0o600, flag: 'wx' });
+}
+
+module.exports = {
+	parsePrivateKey,
+	resolvePrivateKey,
+	keyTypeOf,
+	encryptKeystore,
+	decryptKeystore,
+	readKeystore,
+	writeKeystore,
+};
@@ -0,0 +1,333 @@
+import type { AccountId, Client, ContractId, PrivateKey } from '@hashgraph/sdk';
+import type { Interface } from 'ethers';
+import type { Environment } from './hederaMirrorHelpers';
+import type { Signer } from './signers';
+
+type AccountLike = AccountId | string;
+
+/** A token amount with display formatting. `token` is 'HBAR' or a 0.0.x token ID. */
+export interface Amount {
+	/** smallest-unit value */
+	raw: string;
+	token: string;
+	symbol: string;
+	decimals: number;
+	formatted: string;
+}
+
+export interface TokenInfo {
+	tokenId: string;
+	symbol: string;
+	decimals: number;
+	evmAddress: string;
+}
+
+export interface DecodedNFTPrize {
+	tokenId: string;
+	symbol: string;
+	serials: number[];
+}
+
+/** PrizePackage with Hedera IDs and formatted amounts */
+export interface DecodedPrize {
+	amount: Amount | null;
+	nfts: DecodedNFTPrize[];
+}
+
+export interface IndexedPrize extends DecodedPrize {
+	index: number;
+}
+
+/** PendingPrize with Hedera IDs and formatted amounts */
+export interface DecodedPendingPrize {
+	/** index in the user's pending list (used by claimPrize) */
+	index: number;
+	poolId: number;
+	asNFT: boolean;
+	prize: DecodedPrize;
+}
+
+export type PoolStatus = 'active' | 'paused' | 'closed';
+
+/** LottoPool basic info with Hedera IDs and formatted amounts (prizes via getPoolPrizes) */
+export interface PoolInfo {
+	id: number;
+	status: PoolStatus;
+	paused: boolean;
+	closed: boolean;
+	ticketCID: string;
+	winCID: string;
+	winRateThousandthsOfBps: number;
+	winRatePercent: number;
+	entryFee: Amount;
+	prizeCount: number;
+	outstandingEntries: number;
+	poolTokenId: string | null;
+}
+
+export interface LazyLottoConfig {
+	contractId: string;
+	paused: boolean;
+	burnPercentage: number;
+	totalPools: number;
+	lazyToken: string;
+	connectedContracts: {
+		lazyGasStation: string;
+		lazyDelegateRegistry: string;
+		prng: string;
+		storage: string;
+		poolManager: string | null;
+	};
+}
+
+export interface UserPoolState {
+	poolId: number;
+	pendingEntries: number;
+	pendingPrizes: number;
+}
+
+export interface UserState {
+	address: string;
+	boost: number;
+	pools: UserPoolState[];
+	pendingPrizes: DecodedPendingPrize[];
+	totals: {
+		pendingEntries: number;
+		pendingPrizes: number;
+	};
+}
+
+export interface SimulationResult {
+	fcnName: string;
+	/** false when the call would revert */
+	success: boolean;
+	/** decoded return values (ethers Result) */
+	results: unknown[] | null;
+	/** decoded custom error or revert reason */
+	error: string | null;
+	/** null when the call would revert */
+	gas: { estimated: number; limit: number } | null;
+	/** HBAR sent with the call */
+	value: Amount;
+	/** allowance/association transactions skipped before the call */
+	setup: string[];
+}
+
+/** In a dry run transactionId is null and simulation is set */
+export interface AdminResult {
+	transactionId: string | null;
+	simulation?: SimulationResult;
+}
+
+/** In a dry run transactionId is null and simulation is set */
+export interface BuyEntryResult {
+	transactionId: string | null;
+	poolId: number;
+	count: number;
+	totalCost: Amount;
+	allowanceSet: boolean;
+	simulation?: SimulationResult;
+}
+
+export interface RollResult {
+	transactionId: string | null;
+	poolId: number;
+	wins: number;
+	offset: number;
+	simulation?: SimulationResult;
+}
+
+export interface ClaimAllResult {
+	transactionId: string | null;
+	claimed: DecodedPendingPrize[];
+	associated: string[];
+	simulation?: SimulationResult;
+}
+
+export interface ClaimOneResult {
+	transactionId: string | null;
+	claimed: DecodedPendingPrize;
+	associated: string[];
+	simulation?: SimulationResult;
+}
+
+export interface PrizeNFT {
+	/** pool token the prize NFT was minted from */
+	tokenId: string;
+	serial: number;
+	poolId: number;
+	prize: DecodedPrize;
+}
+
+export interface TicketNFTs {
+	poolId: number;
+	tokenId: string;
+	serials: number[];
+}
+
+export interface RedeemEntriesResult {
+	transactionId: string;
+	poolId: number;
+	serials: number[];
+	associated: string[];
+}
+
+export interface RedeemPrizesResult {
+	transactionId: string;
+	poolId: number;
+	serials: number[];
+	redeemed: DecodedPendingPrize[];
+	associated: string[];
+}
+
+export interface ClaimFromNFTResult {
+	transactionId: string;
+	claimed: PrizeNFT[];
+	associated: string[];
+}
+
+export interface PoolRoyalty {
+	account: AccountLike;
+	numerator: number;
+	denominator: number;
+	/** tinybars */
+	fallbackFee?: number;
+}
+
+export interface CreatePoolOptions {
+	name: string;
+	symbol: string;
+	memo: string;
+	ticketCID: string;
+	winCID: string;
+	winRateThousandthsOfBps: number;
+	/** raw amount of feeToken */
+	entryFee: bigint | string;
+	/** HBAR or a token ID */
+	feeToken?: string;
+	royalties?: PoolRoyalty[];
+}
+
+export interface CreatePoolResult {
+	transactionId: string;
+	poolId: number | null;
+	hbarSent: Amount;
+	lazyFee: Amount | null;
+}
+
+export interface PrizePackageInput {
+	/** HBAR or a fungible token ID */
+	token?: string;
+	/** raw amount */
+	amount?: bigint | string;
+	nfts?: { tokenId: string; serials: number[] }[];
+}
+
+export interface LazyLottoClientOptions {
+	env: Environment;
+	/** defaults to the lazyLotto entry of the deployment manifest for env */
+	contractId?: ContractId | string;
+	poolManagerId?: ContractId | string;
+	storageId?: ContractId | string;
+	/** `from` account for reads; defaults to the signer's account */
+	operatorId?: AccountLike;
+	signer?: Signer;
+	/** shorthand for a PrivateKeySigner around this client */
+	client?: Client;
+	operatorKey?: PrivateKey;
+	/** simulate writes on the mirror node instead of submitting them (needs only operatorId) */
+	dryRun?: boolean;
+}
+
+export declare class LazyLottoClient {
+	constructor(options: LazyLottoClientOptions);
+
+	env: Environment;
+	contractId: ContractId;
+	poolManagerId: ContractId | null;
+	storageId: ContractId | null;
+	operatorId: AccountId | null;
+	signer: Signer | null;
+	dryRun: boolean;
+	lazyLottoIface: Interface;
+	poolManagerIface: Interface;
+	storageIface: Interface;
+
+	getStorageId(): Promise<ContractId>;
+	getPoolManagerId(): Promise<ContractId>;
+	getTokenInfo(evmAddress: string): Promise<TokenInfo>;
+	toAmount(raw: bigint | number | string, tokenAddress: string): Promise<Amount>;
+	toEvmAddress(account: AccountLike): Promise<string>;
+
+	getConfig(): Promise<LazyLottoConfig>;
+	isPaused(): Promise<boolean>;
+	isAdmin(user?: AccountLike): Promise<boolean>;
+	getCreationFees(): Promise<{ hbar: Amount; lazy: Amount }>;
+
+	getTotalPools(): Promise<number>;
+	getPool(poolId: number): Promise<PoolInfo>;
+	getPrize(poolId: number, prizeIndex: number): Promise<IndexedPrize>;
+	getPoolPrizes(poolId: number): Promise<IndexedPrize[]>;
+	listPools(options?: { activeOnly?: boolean }): Promise<PoolInfo[]>;
+	getPoolOwner(poolId: number): Promise<string | null>;
+	getPoolPlatformFee(poolId: number): Promise<number>;
+
+	getUserEntriesForPool(poolId: number, user?: AccountLike): Promise<number>;
+	getUserEntries(user?: AccountLike): Promise<{ poolId: number; entries: number }[]>;
+	getPendingPrizesCount(user?: AccountLike): Promise<number>;
+	getPendingPrizes(user?: AccountLike): Promise<DecodedPendingPrize[]>;
+	getBoost(user?: AccountLike): Promise<number>;
+	getUserState(user?: AccountLike): Promise<UserState>;
+	getPendingPrizeByNFT(tokenId: string, serial: number): Promise<PrizeNFT | null>;
+	getPoolNFTs(user?: AccountLike, options?: { poolId?: number }): Promise<{ tickets: TicketNFTs[]; prizes: PrizeNFT[] }>;
+
+	ensureAssociated(tokenIds: string[]): Promise<string[]>;
+	ensureFungibleAllowance(tokenId: string, spenderId: string, amount: bigint | number | string): Promise<boolean>;
+	ensureNFTAllowance(tokenIds: string[], spenderId: string): Promise<string[]>;
+	getFungibleSpender(tokenId: string): Promise<string>;
+	createPool(options: CreatePoolOptions): Promise<CreatePoolResult>;
+	addPrizePackage(poolId: number, prize: PrizePackageInput): Promise<{ transactionId: string; poolId: number }>;
+	simulate(
+		fcnName: string,
+		params: unknown[],
+		options?: { fallbackGas?: number; gasMultiplier?: number; payableAmount?: bigint | number; minGas?: number; contract?: 'lotto' | 'poolManager' },
+	): Promise<SimulationResult>;
+	buyEntry(poolId: number, count: number): Promise<BuyEntryResult>;
+	rollAll(poolId: number): Promise<RollResult>;
+	rollBatch(poolId: number, count: number): Promise<RollResult>;
+	preparePrizeClaim(pendingPrizes: Array<{ prize: DecodedPrize }>): Promise<{ associated: string[]; hbarAllowanceSet: boolean }>;
+	claimAllPrizes(): Promise<ClaimAllResult>;
+	claimPrize(index: number): Promise<ClaimOneResult>;
+	redeemEntriesToNFT(poolId: number, count: number): Promise<RedeemEntriesResult>;
+	rollWithNFT(poolId: number, serials: number[]): Promise<RollResult>;
+	redeemPrizeToNFT(indices: number[]): Promise<RedeemPrizesResult>;
+	claimPrizeFromNFT(tokenId: string, serials: number[]): Promise<ClaimFromNFTResult>;
+
+	pausePool(poolId: number): Promise<AdminResult>;
+	unpausePool(poolId: number): Promise<AdminResult>;
+	closePool(poolId: number): Promise<AdminResult>;
+	pauseContract(): Promise<AdminResult>;
+	unpauseContract(): Promise<AdminResult>;
+	setBurnPercentage(percentage: number): Promise<AdminResult>;
+	setPrng(prngId: ContractId | string): Promise<AdminResult>;
+	addAdmin(account: AccountLike): Promise<AdminResult>;
+	removeAdmin(account: AccountLike): Promise<AdminResult>;
+	addPrizeManager(account: AccountLike): Promise<AdminResult>;
+	removePrizeManager(account: AccountLike): Promise<AdminResult>;
+	/** start and end in unix seconds; 10_000 bps = 100% */
+	setTimeBonus(start: number, end: number, bonusBps: number): Promise<AdminResult>;
+	removeTimeBonus(index: number): Promise<AdminResult>;
+	setNFTBonus(tokenId: string, bonusBps: number): Promise<AdminResult>;
+	removeNFTBonus(index: number): Promise<AdminResult>;
+	/** threshold as a raw $LAZY amount */
+	setLazyBalanceBonus(threshold: bigint | string, bonusBps: number): Promise<AdminResult>;
+	withdrawHbar(receiver: AccountLike, tinybars: bigint | string): Promise<AdminResult>;
+	withdrawFungible(tokenId: string, receiver: AccountLike, amount: bigint | string): Promise<AdminResult>;
+	close(): void;
+}
+
+export declare function createHederaClient(env: Environment): Client;
+export declare function tokenToEvmAddress(tokenId: string): string;
+export declare function formatAmount(raw: bigint | number | string, decimals: number, symbol: string): string;
+export declare function winRateToPercent(thousandthsOfBps: number | bigint): number;
+export declare function describePrize(prize: DecodedPrize): string;
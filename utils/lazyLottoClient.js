@@ -0,0 +1,1460 @@
+/**
+ * LazyLotto SDK Client
+ *
+ * High-level wrapper around LazyLotto, LazyLottoPoolManager and LazyLottoStorage.
+ * Reads go through the mirror node (free, no operator key needed), writes go
+ * through a Signer (see signers.js). Every method returns plain JS objects with Hedera IDs
+ * and formatted amounts rather than raw ethers Results.
+ *
+ * Usage:
+ *   const { LazyLottoClient } = require('@lazysuperheroes/lazy-lotto');
+ *
+ *   const lotto = new LazyLottoClient({ env: 'testnet', contractId: '0.0.12345' });
+ *   const pools = await lotto.listPools();
+ *
+ *   // contractId may be omitted when deployments/<network>.json exists
+ *   const deployed = new LazyLottoClient({ env: 'testnet' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+	AccountId,
+	ContractId,
+	TokenId,
+	Client,
+	Hbar,
+	AccountAllowanceApproveTransaction,
+	TokenAssociateTransaction,
+} = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+
+const { readOnlyEVMFromMirrorNode, parseError } = require('./solidityHelpers');
+const {
+	EntityType,
+	homebrewPopulateAccountNum,
+	homebrewPopulateAccountEvmAddress,
+	getTokenDetails,
+	checkMirrorBalance,
+	checkMirrorAllowance,
+	checkMirrorHbarAllowance,
+	getSerialsOwned,
+	getNFTApprovedForAllAllowances,
+} = require('./hederaMirrorHelpers');
+const { estimateGas } = require('./gasHelpers');
+const { sleep } = require('./nodeHelpers');
+const { PrivateKeySigner, executeContractCall } = require('./signers');
+const { getAddresses } = require('./deploymentManifest');
+
+// ABIs are read directly (not via index.js) to avoid a circular require
+function loadABI(filename) {
+	return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', filename), 'utf8'));
+}
+
+const LazyLottoABI = loadABI('LazyLotto.json');
+const LazyLottoPoolManagerABI = loadABI('LazyLottoPoolManager.json');
+const LazyLottoStorageABI = loadABI('LazyLottoStorage.json');
+
+const ZERO_ADDRESS = ethers.ZeroAddress;
+
+// Max rows requested per paginated view call (mirror node response size limit)
+const PAGE_SIZE = 50;
+
+// HBAR allowance granted to storage so it can cover NFT royalty fallback fees
+const NFT_CLAIM_HBAR_ALLOWANCE = 1;
+
+// HBAR sent with createPool for the pool token creation (on top of any creation fee)
+const POOL_TOKEN_CREATION_HBAR = 20;
+
+// Extra gas when storage has to associate a new NFT collection for a prize
+const NFT_ASSOCIATION_GAS = 1_000_000;
+
+// Polling for the mirror node to catch up with a new allowance before a gas estimate simulates against it
+const MIRROR_SYNC_ATTEMPTS = 10;
+const MIRROR_SYNC_INTERVAL_MS = 1_000;
+
+/**
+ * Create a Hedera Client for the given environment
+ * @param {string} env - MAIN, TEST, PREVIEW (or mainnet/testnet/previewnet)
+ * @returns {Client} client without an operator set
+ */
+function createHederaClient(env) {
+	const envUpper = env.toUpperCase();
+	if (envUpper === 'MAINNET' || envUpper === 'MAIN') {
+		return Client.forMainnet();
+	}
+	else if (envUpper === 'TESTNET' || envUpper === 'TEST') {
+		return Client.forTestnet();
+	}
+	else if (envUpper === 'PREVIEWNET' || envUpper === 'PREVIEW') {
+		return Client.forPreviewnet();
+	}
+	throw new Error(`Unknown environment: ${env}. Use MAINNET, TESTNET or PREVIEWNET`);
+}
+
+/**
+ * Format a raw smallest-unit amount for display
+ * @param {bigint|number|string} raw - amount in tinybars / smallest token unit
+ * @param {number} decimals - token decimals (8 for HBAR)
+ * @param {string} symbol - token symbol ('HBAR' renders with the ℏ sign)
+ * @returns {string} e.g. '5 ℏ' or '12.5 LAZY'
+ */
+function formatAmount(raw, decimals, symbol) {
+	if (symbol === 'HBAR') {
+		return Hbar.fromTinybars(raw.toString()).toString();
+	}
+	const value = ethers.formatUnits(BigInt(raw), decimals).replace(/\.0$/, '');
+	return `${value} ${symbol}`;
+}
+
+/**
+ * Long-zero EVM address of a Hedera token
+ * @param {TokenId|string} tokenId
+ * @returns {string}
+ */
+function tokenToEvmAddress(tokenId) {
+	return `0x${TokenId.fromString(tokenId.toString()).toSolidityAddress()}`;
+}
+
+/**
+ * Convert a win rate in thousandths of basis points to a percentage
+ * @param {number} thousandthsOfBps - e.g. 1_000_000 = 1% (rolls run 0 to 100_000_000)
+ * @returns {number} percentage
+ */
+function winRateToPercent(thousandthsOfBps) {
+	return Number(thousandthsOfBps) / 1_000_000;
+}
+
+/**
+ * One-line description of a decoded prize package
+ * @param {{amount: Object|null, nfts: Object[]}} prize
+ * @returns {string} e.g. '10 ℏ + 2 NFT(s)'
+ */
+function describePrize(prize) {
+	const items = [];
+	if (prize.amount) items.push(prize.amount.formatted);
+	const nftCount = prize.nfts.reduce((sum, nft) => sum + nft.serials.length, 0);
+	if (nftCount > 0) items.push(`${nftCount} NFT(s)`);
+	return items.join(' + ') || 'Empty';
+}
+
+class LazyLottoClient {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.env - Environment (MAIN, TEST, PREVIEW, LOCAL)
+	 * @param {ContractId|string} options.contractId - LazyLotto contract
+	 * @param {ContractId|string} [options.poolManagerId] - resolved from LazyLotto if omitted
+	 * @param {ContractId|string} [options.storageId] - resolved from LazyLotto if omitted
+	 * @param {AccountId|string} [options.operatorId] - account used as `from` (defaults to the signer's account)
+	 * @param {Object} [options.signer] - Signer used for writes (PrivateKeySigner, MultiSigSigner, ExternalWalletSigner)
+	 * @param {Client} [options.client] - shorthand for a PrivateKeySigner around a client with operator set
+	 * @param {PrivateKey} [options.operatorKey] - used with `client` when it has no operator yet
+	 * @param {boolean} [options.dryRun=false] - simulate writes on the mirror node instead of submitting them
+	 */
+	constructor(options = {}) {
+		const { env, contractId, poolManagerId, storageId, operatorId, operatorKey, client, signer, dryRun = false } = options;
+
+		if (!env) {
+			throw new Error('LazyLottoClient requires an env (MAIN, TEST, PREVIEW or LOCAL)');
+		}
+
+		// storage and pool manager only come from the manifest when LazyLotto does too
+		const deployed = contractId ? {} : getAddresses(env);
+		const lottoId = contractId ?? deployed.lazyLotto;
+		if (!lottoId) {
+			throw new Error(`LazyLottoClient requires the LazyLotto contractId (no deployment manifest lists one for ${env})`);
+		}
+
+		this.env = env;
+		this.contractId = typeof lottoId === 'string' ? ContractId.fromString(lottoId) : lottoId;
+		const managerId = poolManagerId ?? deployed.lazyLottoPoolManager;
+		const storeId = storageId ?? deployed.lazyLottoStorage;
+		this.poolManagerId = managerId ? ContractId.fromString(managerId.toString()) : null;
+		this.storageId = storeId ? ContractId.fromString(storeId.toString()) : null;
+		this.signer = signer ?? null;
+		if (!this.signer && client && operatorId) {
+			this.signer = new PrivateKeySigner({ client, accountId: operatorId, privateKey: operatorKey });
+		}
+
+		const fromId = operatorId ?? this.signer?.accountId;
+		this.operatorId = fromId ? AccountId.fromString(fromId.toString()) : null;
+
+		this.lazyLottoIface = new ethers.Interface(LazyLottoABI);
+		this.poolManagerIface = new ethers.Interface(LazyLottoPoolManagerABI);
+		this.storageIface = new ethers.Interface(LazyLottoStorageABI);
+
+		this.dryRun = dryRun;
+
+		this._tokenCache = new Map();
+		this._linked = null;
+		this._skippedSetup = [];
+	}
+
+	// ---------------------------------------------------------------------
+	// Low level
+	// ---------------------------------------------------------------------
+
+	async _call(contractId, iface, fcnName, params = []) {
+		const encoded = iface.encodeFunctionData(fcnName, params);
+		const from = this.operatorId ?? ZERO_ADDRESS;
+		const data = await readOnlyEVMFromMirrorNode(this.env, contractId, encoded, from, false);
+		return iface.decodeFunctionResult(fcnName, data);
+	}
+
+	async _callLotto(fcnName, params = []) {
+		return this._call(this.contractId, this.lazyLottoIface, fcnName, params);
+	}
+
+	async _callPoolManager(fcnName, params = []) {
+		const poolManagerId = await this.getPoolManagerId();
+		return this._call(poolManagerId, this.poolManagerIface, fcnName, params);
+	}
+
+	/**
+	 * Resolve (and cache) the contracts LazyLotto is wired to
+	 * @returns {Promise<Object>} Hedera IDs of linked contracts and tokens
+	 */
+	async _getLinkedContracts() {
+		if (this._linked) return this._linked;
+
+		const [lazyToken, lazyGasStation, lazyDelegateRegistry, prng, storage, poolManager] = await Promise.all([
+			this._callLotto('lazyToken'),
+			this._callLotto('lazyGasStation'),
+			this._callLotto('lazyDelegateRegistry'),
+			this._callLotto('prng'),
+			this._callLotto('storageContract'),
+			this._callLotto('poolManager'),
+		]);
+
+		this._linked = {
+			lazyTokenAddress: lazyToken[0],
+			lazyToken: await homebrewPopulateAccountNum(this.env, lazyToken[0], EntityType.TOKEN),
+			lazyGasStation: await homebrewPopulateAccountNum(this.env, lazyGasStation[0], EntityType.CONTRACT),
+			lazyDelegateRegistry: await homebrewPopulateAccountNum(this.env, lazyDelegateRegistry[0], EntityType.CONTRACT),
+			prng: await homebrewPopulateAccountNum(this.env, prng[0], EntityType.CONTRACT),
+			storage: this.storageId?.toString()
+				?? await homebrewPopulateAccountNum(this.env, storage[0], EntityType.CONTRACT),
+			poolManager: this.poolManagerId?.toString()
+				?? (poolManager[0] === ZERO_ADDRESS ? null : await homebrewPopulateAccountNum(this.env, poolManager[0], EntityType.CONTRACT)),
+		};
+
+		return this._linked;
+	}
+
+	async getStorageId() {
+		if (!this.storageId) {
+			const linked = await this._getLinkedContracts();
+			this.storageId = ContractId.fromString(linked.storage);
+		}
+		return this.storageId;
+	}
+
+	async getPoolManagerId() {
+		if (!this.poolManagerId) {
+			const linked = await this._getLinkedContracts();
+			if (!linked.poolManager) {
+				throw new Error('LazyLotto has no PoolManager linked');
+			}
+			this.poolManagerId = ContractId.fromString(linked.poolManager);
+		}
+		return this.poolManagerId;
+	}
+
+	/**
+	 * Resolve an EVM token address to its Hedera ID, symbol and decimals
+	 * @param {string} evmAddress - token address (zero address = HBAR)
+	 * @returns {Promise<{tokenId: string, symbol: string, decimals: number, evmAddress: string}>}
+	 */
+	async getTokenInfo(evmAddress) {
+		const key = evmAddress.toLowerCase();
+		if (this._tokenCache.has(key)) return this._tokenCache.get(key);
+
+		let info;
+		if (evmAddress === ZERO_ADDRESS) {
+			info = { tokenId: 'HBAR', symbol: 'HBAR', decimals: 8, evmAddress };
+		}
+		else {
+			const tokenId = await homebrewPopulateAccountNum(this.env, evmAddress, EntityType.TOKEN);
+			const details = await getTokenDetails(this.env, tokenId);
+			info = {
+				tokenId,
+				symbol: details?.symbol ?? tokenId,
+				decimals: details ? Number(details.decimals) : 0,
+				evmAddress,
+			};
+		}
+
+		this._tokenCache.set(key, info);
+		return info;
+	}
+
+	/**
+	 * Build an amount object from a raw value and token address
+	 * @param {bigint|number|string} raw
+	 * @param {string} tokenAddress - zero address = HBAR
+	 * @returns {Promise<{raw: string, token: string, symbol: string, decimals: number, formatted: string}>}
+	 */
+	async toAmount(raw, tokenAddress) {
+		const token = await this.getTokenInfo(tokenAddress);
+		return {
+			raw: raw.toString(),
+			token: token.tokenId,
+			symbol: token.symbol,
+			decimals: token.decimals,
+			formatted: formatAmount(raw, token.decimals, token.symbol),
+		};
+	}
+
+	/**
+	 * Normalise an account reference to the EVM address the contract keys on
+	 * @param {AccountId|string} account - 0.0.x, AccountId or 0x address
+	 * @returns {Promise<string>} EVM address
+	 */
+	async toEvmAddress(account) {
+		if (typeof account === 'string' && account.startsWith('0x')) {
+			return ethers.getAddress(account);
+		}
+		return homebrewPopulateAccountEvmAddress(this.env, account.toString(), EntityType.ACCOUNT);
+	}
+
+	_resolveUser(user) {
+		const account = user ?? this.operatorId;
+		if (!account) {
+			throw new Error('No user supplied and no operatorId configured');
+		}
+		return account;
+	}
+
+	async _decodePrize(prize) {
+		const nfts = [];
+		for (let i = 0; i < prize.nftTokens.length; i++) {
+			if (prize.nftTokens[i] === ZERO_ADDRESS) continue;
+			const token = await this.getTokenInfo(prize.nftTokens[i]);
+			nfts.push({
+				tokenId: token.tokenId,
+				symbol: token.symbol,
+				serials: (prize.nftSerials[i] ?? []).map(s => Number(s)),
+			});
+		}
+
+		return {
+			amount: BigInt(prize.amount) > 0n ? await this.toAmount(prize.amount, prize.token) : null,
+			nfts,
+		};
+	}
+
+	// ---------------------------------------------------------------------
+	// Contract configuration
+	// ---------------------------------------------------------------------
+
+	/**
+	 * @returns {Promise<Object>} contract status and linked contract IDs
+	 */
+	async getConfig() {
+		const linked = await this._getLinkedContracts();
+		const [burnPercentage, paused, totalPools] = await Promise.all([
+			this._callLotto('burnPercentage'),
+			this._callLotto('paused'),
+			this._callLotto('totalPools'),
+		]);
+
+		return {
+			contractId: this.contractId.toString(),
+			paused: paused[0],
+			burnPercentage: Number(burnPercentage[0]),
+			totalPools: Number(totalPools[0]),
+			lazyToken: linked.lazyToken,
+			connectedContracts: {
+				lazyGasStation: linked.lazyGasStation,
+				lazyDelegateRegistry: linked.lazyDelegateRegistry,
+				prng: linked.prng,
+				storage: linked.storage,
+				poolManager: linked.poolManager,
+			},
+		};
+	}
+
+	/**
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<boolean>} true for LazyLotto admins (no pool creation fees)
+	 */
+	async isAdmin(user) {
+		const evmAddress = await this.toEvmAddress(this._resolveUser(user));
+		const [admin] = await this._callLotto('isAdmin', [evmAddress]);
+		return admin;
+	}
+
+	/**
+	 * @returns {Promise<boolean>} true if the whole contract is paused
+	 */
+	async isPaused() {
+		const [paused] = await this._callLotto('paused');
+		return paused;
+	}
+
+	/**
+	 * @returns {Promise<{hbar: Object, lazy: Object}>} community pool creation fees
+	 */
+	async getCreationFees() {
+		const linked = await this._getLinkedContracts();
+		const [hbar, lazy] = await this._callPoolManager('getCreationFees');
+		return {
+			hbar: await this.toAmount(hbar, ZERO_ADDRESS),
+			lazy: await this.toAmount(lazy, linked.lazyTokenAddress),
+		};
+	}
+
+	// ---------------------------------------------------------------------
+	// Pools
+	// ---------------------------------------------------------------------
+
+	async getTotalPools() {
+		const [total] = await this._callLotto('totalPools');
+		return Number(total);
+	}
+
+	/**
+	 * @param {number} poolId
+	 * @returns {Promise<Object>} decoded pool (without prizes)
+	 */
+	async getPool(poolId) {
+		const info = await this._callLotto('getPoolBasicInfo', [poolId]);
+		const [ticketCID, winCID, winRate, entryFee, prizeCount, outstandingEntries, poolToken, paused, closed, feeToken] = info;
+
+		let status = 'active';
+		if (closed) status = 'closed';
+		else if (paused) status = 'paused';
+
+		return {
+			id: Number(poolId),
+			status,
+			paused,
+			closed,
+			ticketCID,
+			winCID,
+			winRateThousandthsOfBps: Number(winRate),
+			winRatePercent: winRateToPercent(winRate),
+			entryFee: await this.toAmount(entryFee, feeToken),
+			prizeCount: Number(prizeCount),
+			outstandingEntries: Number(outstandingEntries),
+			poolTokenId: poolToken === ZERO_ADDRESS
+				? null
+				: await homebrewPopulateAccountNum(this.env, poolToken, EntityType.TOKEN),
+		};
+	}
+
+	/**
+	 * @param {number} poolId
+	 * @param {number} prizeIndex
+	 * @returns {Promise<Object>} decoded prize package
+	 */
+	async getPrize(poolId, prizeIndex) {
+		const [prize] = await this._callLotto('getPrizePackage', [poolId, prizeIndex]);
+		return { index: Number(prizeIndex), ...(await this._decodePrize(prize)) };
+	}
+
+	/**
+	 * @param {number} poolId
+	 * @returns {Promise<Object[]>} every prize package still in the pool
+	 */
+	async getPoolPrizes(poolId) {
+		const { prizeCount } = await this.getPool(poolId);
+		const prizes = [];
+		for (let i = 0; i < prizeCount; i++) {
+			prizes.push(await this.getPrize(poolId, i));
+		}
+		return prizes;
+	}
+
+	/**
+	 * @param {Object} [options]
+	 * @param {boolean} [options.activeOnly=false] - skip paused and closed pools
+	 * @returns {Promise<Object[]>} decoded pools
+	 */
+	async listPools(options = {}) {
+		const { activeOnly = false } = options;
+		const total = await this.getTotalPools();
+
+		const pools = [];
+		for (let i = 0; i < total; i++) {
+			const pool = await this.getPool(i);
+			if (activeOnly && pool.status !== 'active') continue;
+			pools.push(pool);
+		}
+		return pools;
+	}
+
+	/**
+	 * @param {number} poolId
+	 * @returns {Promise<string|null>} owner of a community pool, null for global pools
+	 */
+	async getPoolOwner(poolId) {
+		const [owner] = await this._callPoolManager('getPoolOwner', [poolId]);
+		if (owner === ZERO_ADDRESS) return null;
+		return homebrewPopulateAccountNum(this.env, owner, EntityType.ACCOUNT);
+	}
+
+	/**
+	 * @param {number} poolId
+	 * @returns {Promise<number>} platform share of the pool's proceeds in percent, fixed at creation (0 for global pools)
+	 */
+	async getPoolPlatformFee(poolId) {
+		const [percentage] = await this._callPoolManager('poolPlatformFeePercentage', [poolId]);
+		return Number(percentage);
+	}
+
+	// ---------------------------------------------------------------------
+	// Users
+	// ---------------------------------------------------------------------
+
+	/**
+	 * @param {number} poolId
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<number>} unrolled entries the user holds in the pool
+	 */
+	async getUserEntriesForPool(poolId, user) {
+		const evmAddress = await this.toEvmAddress(this._resolveUser(user));
+		const [entries] = await this._callLotto('getUsersEntries', [poolId, evmAddress]);
+		return Number(entries);
+	}
+
+	/**
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<Array<{poolId: number, entries: number}>>} pools where the user holds entries
+	 */
+	async getUserEntries(user) {
+		const evmAddress = await this.toEvmAddress(this._resolveUser(user));
+		const total = await this.getTotalPools();
+
+		const entries = [];
+		for (let start = 0; start < total; start += PAGE_SIZE) {
+			const [page] = await this._callLotto('getUserEntriesPage', [evmAddress, start, PAGE_SIZE]);
+			page.forEach((count, offset) => {
+				if (count > 0n) {
+					entries.push({ poolId: start + offset, entries: Number(count) });
+				}
+			});
+		}
+		return entries;
+	}
+
+	/**
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<number>}
+	 */
+	async getPendingPrizesCount(user) {
+		const evmAddress = await this.toEvmAddress(this._resolveUser(user));
+		const [count] = await this._callLotto('getPendingPrizesCount', [evmAddress]);
+		return Number(count);
+	}
+
+	/**
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<Array<{index: number, poolId: number, asNFT: boolean, prize: Object}>>}
+	 */
+	async getPendingPrizes(user) {
+		const evmAddress = await this.toEvmAddress(this._resolveUser(user));
+		const [count] = await this._callLotto('getPendingPrizesCount', [evmAddress]);
+
+		const pending = [];
+		for (let start = 0; start < Number(count); start += PAGE_SIZE) {
+			const [page] = await this._callLotto('getPendingPrizesPage', [evmAddress, start, PAGE_SIZE]);
+			for (let i = 0; i < page.length; i++) {
+				pending.push({
+					index: start + i,
+					poolId: Number(page[i].poolId),
+					asNFT: page[i].asNFT,
+					prize: await this._decodePrize(page[i].prize),
+				});
+			}
+		}
+		return pending;
+	}
+
+	/**
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<number>} boost in thousandths of bps (added to pool win rate)
+	 */
+	async getBoost(user) {
+		const evmAddress = await this.toEvmAddress(this._resolveUser(user));
+		const [boost] = await this._callLotto('calculateBoost', [evmAddress]);
+		return Number(boost);
+	}
+
+	/**
+	 * Entries and pending prizes per pool for a user
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @returns {Promise<Object>}
+	 */
+	async getUserState(user) {
+		const account = this._resolveUser(user);
+		const [entries, pendingPrizes, boost] = await Promise.all([
+			this.getUserEntries(account),
+			this.getPendingPrizes(account),
+			this.getBoost(account),
+		]);
+
+		const byPool = new Map();
+		for (const { poolId, entries: count } of entries) {
+			byPool.set(poolId, { poolId, pendingEntries: count, pendingPrizes: 0 });
+		}
+		for (const { poolId } of pendingPrizes) {
+			const row = byPool.get(poolId) ?? { poolId, pendingEntries: 0, pendingPrizes: 0 };
+			row.pendingPrizes++;
+			byPool.set(poolId, row);
+		}
+
+		const pools = [...byPool.values()].sort((a, b) => a.poolId - b.poolId);
+
+		return {
+			address: account.toString(),
+			boost,
+			pools,
+			pendingPrizes,
+			totals: {
+				pendingEntries: pools.reduce((sum, p) => sum + p.pendingEntries, 0),
+				pendingPrizes: pendingPrizes.length,
+			},
+		};
+	}
+
+	/**
+	 * Look up the pending prize held by a prize NFT
+	 * @param {string} tokenId - pool token (Hedera ID)
+	 * @param {number} serial
+	 * @returns {Promise<{tokenId: string, serial: number, poolId: number, prize: Object}|null>} null for ticket NFTs
+	 */
+	async getPendingPrizeByNFT(tokenId, serial) {
+		const [pending] = await this._callLotto('getPendingPrizesByNFT', [tokenToEvmAddress(tokenId), serial]);
+		if (!pending.asNFT) return null;
+		return {
+			tokenId: tokenId.toString(),
+			serial: Number(serial),
+			poolId: Number(pending.poolId),
+			prize: await this._decodePrize(pending.prize),
+		};
+	}
+
+	/**
+	 * Pool token NFTs the user holds, split into tickets (rollable entries)
+	 * and prize NFTs (pending prizes redeemed to NFT)
+	 * @param {AccountId|string} [user] - defaults to the operator
+	 * @param {Object} [options]
+	 * @param {number} [options.poolId] - only look at this pool's token
+	 * @returns {Promise<{tickets: Array<{poolId: number, tokenId: string, serials: number[]}>, prizes: Object[]}>}
+	 */
+	async getPoolNFTs(user, options = {}) {
+		const account = this._resolveUser(user).toString();
+		const pools = options.poolId === undefined
+			? await this.listPools()
+			: [await this.getPool(options.poolId)];
+
+		const tickets = [];
+		const prizes = [];
+		for (const pool of pools) {
+			if (!pool.poolTokenId) continue;
+
+			const serials = await getSerialsOwned(this.env, account, pool.poolTokenId);
+			if (serials === null) {
+				throw new Error(`Could not fetch ${pool.poolTokenId} serials for ${account} from the mirror node`);
+			}
+
+			const ticketSerials = [];
+			for (const serial of serials) {
+				const prize = await this.getPendingPrizeByNFT(pool.poolTokenId, serial);
+				if (prize) prizes.push(prize);
+				else ticketSerials.push(serial);
+			}
+			if (ticketSerials.length > 0) {
+				tickets.push({ poolId: pool.id, tokenId: pool.poolTokenId, serials: ticketSerials });
+			}
+		}
+
+		return { tickets, prizes };
+	}
+
+	// ---------------------------------------------------------------------
+	// Transactions
+	// ---------------------------------------------------------------------
+
+	_requireSigner() {
+		// a dry run only needs an account to simulate from
+		if (this.dryRun && this.operatorId) return;
+		if (!this.signer) {
+			throw new Error('LazyLottoClient needs a signer (or client and operatorId) to submit transactions');
+		}
+	}
+
+	/**
+	 * Run a non-contract transaction (allowance, association) through the signer.
+	 * In a dry run it is only recorded and reported with the next simulation.
+	 * @param {Transaction} transaction
+	 * @param {string} description - used in the error message
+	 * @returns {Promise<string|null>} transaction ID
+	 */
+	async _submit(transaction, description) {
+		if (this.dryRun) {
+			this._skippedSetup.push(description);
+			return null;
+		}
+		const outcome = await this.signer.execute(transaction, { metadata: { description } });
+		if (!outcome.success) {
+			throw Object.assign(new Error(`Failed to ${description}: ${outcome.error ?? outcome.status}`), { status: outcome.status, transactionFile: outcome.transactionFile });
+		}
+		return outcome.transactionId;
+	}
+
+	/**
+	 * Estimate gas, execute through the signer and check the outcome
+	 * @param {string} fcnName
+	 * @param {Array} params
+	 * @param {Object} [options]
+	 * @param {number} [options.fallbackGas=500_000]
+	 * @param {number} [options.gasMultiplier=1] - extra headroom on top of the estimate
+	 * @param {bigint|number} [options.payableAmount=0] - tinybars to send
+	 * @param {number} [options.minGas=0] - floor for work the simulation does not see (token associations)
+	 * @param {string} [options.contract='lotto'] - 'lotto' or 'poolManager'
+	 * @returns {Promise<{transactionId: string|null, results: *, receipt: *, record: *, simulation?: Object}>}
+	 */
+	async _execute(fcnName, params, options = {}) {
+		this._requireSigner();
+		if (this.dryRun) {
+			const simulation = await this.simulate(fcnName, params, options);
+			return { transactionId: null, results: simulation.results, receipt: null, record: null, simulation };
+		}
+		const { fallbackGas = 500_000, gasMultiplier = 1, payableAmount = 0, minGas = 0 } = options;
+		const { contractId, iface } = await this._target(options.contract);
+
+		const gasInfo = await estimateGas(
+			this.env,
+			contractId,
+			iface,
+			this.operatorId,
+			fcnName,
+			params,
+			fallbackGas,
+			Number(payableAmount),
+		);
+		const gasLimit = Math.max(Math.floor(gasInfo.gasLimit * gasMultiplier), minGas);
+
+		const outcome = await executeContractCall(this.signer, {
+			env: this.env,
+			contractId,
+			iface,
+			fcnName,
+			params,
+			gas: gasLimit,
+			payableAmount: Hbar.fromTinybars(payableAmount.toString()),
+			errorInterfaces: [this.lazyLottoIface, this.storageIface, this.poolManagerIface],
+		});
+
+		if (!outcome.success) {
+			// the status marks this as a failed transaction rather than a local or network error
+			throw Object.assign(new Error(`${fcnName} failed: ${outcome.error ?? outcome.status}`), { status: outcome.status, transactionFile: outcome.transactionFile });
+		}
+
+		return {
+			transactionId: outcome.transactionId,
+			results: outcome.results,
+			receipt: outcome.receipt,
+			record: outcome.record,
+		};
+	}
+
+	/**
+	 * Contract and ABI a transaction goes to
+	 * @param {string} [contract='lotto'] - 'lotto' or 'poolManager'
+	 * @returns {Promise<{contractId: ContractId, iface: ethers.Interface}>}
+	 */
+	async _target(contract = 'lotto') {
+		if (contract === 'poolManager') {
+			return { contractId: await this.getPoolManagerId(), iface: this.poolManagerIface };
+		}
+		return { contractId: this.contractId, iface: this.lazyLottoIface };
+	}
+
+	/**
+	 * Run a LazyLotto (or PoolManager) call through the mirror node's contracts/call simulation
+	 * as the operator, with the real HBAR value, and decode what it would do
+	 * @param {string} fcnName
+	 * @param {Array} params
+	 * @param {Object} [options] - same as _execute
+	 * @returns {Promise<Object>} success, decoded results or error, gas and value;
+	 *   setup lists allowance/association transactions skipped before it
+	 */
+	async simulate(fcnName, params, options = {}) {
+		if (!this.operatorId) {
+			throw new Error('LazyLottoClient needs an operatorId (or signer) to simulate transactions');
+		}
+		const { fallbackGas = 500_000, gasMultiplier = 1, payableAmount = 0, minGas = 0 } = options;
+		const { contractId, iface } = await this._target(options.contract);
+		const encoded = iface.encodeFunctionData(fcnName, params);
+		const value = Number(payableAmount);
+
+		const setup = this._skippedSetup;
+		this._skippedSetup = [];
+
+		const simulation = {
+			fcnName,
+			success: true,
+			results: null,
+			error: null,
+			gas: null,
+			value: await this.toAmount(BigInt(payableAmount), ZERO_ADDRESS),
+			setup,
+		};
+
+		try {
+			const data = await readOnlyEVMFromMirrorNode(this.env, contractId, encoded, this.operatorId, false, fallbackGas * 2, value);
+			simulation.results = iface.decodeFunctionResult(fcnName, data);
+			const estimated = Number(await readOnlyEVMFromMirrorNode(this.env, contractId, encoded, this.operatorId, true, fallbackGas * 2, value));
+			// same headroom estimateGas and _execute would add
+			const buffered = Math.min(Math.ceil(estimated * (estimated < 600_000 ? 1.5 : 1.2)), 14_500_000);
+			simulation.gas = { estimated, limit: Math.max(Math.floor(buffered * gasMultiplier), minGas) };
+		}
+		catch (error) {
+			const message = error.response?.data?._status?.messages?.[0];
+			if (!message) throw error;
+			simulation.success = false;
+			simulation.error = message.data && message.data !== '0x'
+				? String(parseError([this.lazyLottoIface, this.storageIface, this.poolManagerIface], message.data))
+				: message.detail || message.message;
+		}
+
+		return simulation;
+	}
+
+	/**
+	 * Make sure `spenderId` may pull `amount` of a fungible token from the operator
+	 * @returns {Promise<boolean>} true if a new allowance was set
+	 */
+	async ensureFungibleAllowance(tokenId, spenderId, amount) {
+		this._requireSigner();
+		const current = await checkMirrorAllowance(this.env, this.operatorId, tokenId, spenderId);
+		if (BigInt(current) >= BigInt(amount)) return false;
+
+		const transaction = new AccountAllowanceApproveTransaction()
+			.approveTokenAllowance(
+				TokenId.fromString(tokenId.toString()),
+				this.operatorId,
+				AccountId.fromString(spenderId.toString()),
+				Number(amount),
+			);
+		await this._submit(transaction, `set ${tokenId} allowance for ${spenderId}`);
+		if (!this.dryRun) await this._awaitMirrorAllowance(tokenId, spenderId, amount);
+		return true;
+	}
+
+	/**
+	 * Wait until the mirror node reports a fungible allowance; the next gas
+	 * estimate runs against mirror state and reverts while it still lags.
+	 * Gives up quietly after MIRROR_SYNC_ATTEMPTS, leaving the estimate to fall back.
+	 * @returns {Promise<boolean>} true once the allowance is visible
+	 */
+	async _awaitMirrorAllowance(tokenId, spenderId, amount) {
+		for (let attempt = 0; attempt < MIRROR_SYNC_ATTEMPTS; attempt++) {
+			await sleep(MIRROR_SYNC_INTERVAL_MS);
+			const current = await checkMirrorAllowance(this.env, this.operatorId, tokenId, spenderId);
+			if (BigInt(current) >= BigInt(amount)) return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Make sure `spenderId` may move every serial of each NFT collection
+	 * @param {string[]} tokenIds
+	 * @param {string} spenderId
+	 * @returns {Promise<string[]>} collections that were approved
+	 */
+	async ensureNFTAllowance(tokenIds, spenderId) {
+		this._requireSigner();
+		const existing = await getNFTApprovedForAllAllowances(this.env, this.operatorId);
+		const approved = existing.get(spenderId.toString()) ?? [];
+		const missing = [...new Set(tokenIds)].filter(tokenId => !approved.includes(tokenId));
+		if (missing.length === 0) return [];
+
+		const transaction = new AccountAllowanceApproveTransaction();
+		for (const tokenId of missing) {
+			transaction.approveTokenNftAllowanceAllSerials(
+				TokenId.fromString(tokenId),
+				this.operatorId,
+				AccountId.fromString(spenderId.toString()),
+			);
+		}
+		await this._submit(transaction, `approve ${missing.join(', ')} for ${spenderId}`);
+		return missing;
+	}
+
+	/**
+	 * Spender that pulls a fungible token for LazyLotto: the gas station for
+	 * $LAZY, storage for everything else
+	 * @param {string} tokenId
+	 * @returns {Promise<string>}
+	 */
+	async getFungibleSpender(tokenId) {
+		const linked = await this._getLinkedContracts();
+		return tokenId === linked.lazyToken ? linked.lazyGasStation : linked.storage;
+	}
+
+	/**
+	 * Create a pool. Non-admins pay the PoolManager creation fees (HBAR with
+	 * the call, $LAZY through the gas station allowance, set here if needed).
+	 * @param {Object} options
+	 * @param {string} options.name - pool token name
+	 * @param {string} options.symbol - pool token symbol
+	 * @param {string} options.memo - pool token memo (1-100 chars)
+	 * @param {string} options.ticketCID
+	 * @param {string} options.winCID
+	 * @param {number} options.winRateThousandthsOfBps
+	 * @param {bigint|string} options.entryFee - raw amount of feeToken
+	 * @param {string} [options.feeToken='HBAR'] - HBAR or a token ID
+	 * @param {Array<{account: string, numerator: number, denominator: number, fallbackFee: number}>} [options.royalties=[]]
+	 * @returns {Promise<{transactionId: string, poolId: number, hbarSent: Object, lazyFee: Object|null}>}
+	 */
+	async createPool(options) {
+		this._requireSigner();
+		const { name, symbol, memo, ticketCID, winCID, winRateThousandthsOfBps, entryFee, feeToken = 'HBAR', royalties = [] } = options;
+
+		const royaltyTuples = await Promise.all(royalties.map(async r => ({
+			numerator: r.numerator,
+			denominator: r.denominator,
+			fallbackfee: r.fallbackFee ?? 0,
+			account: await this.toEvmAddress(r.account),
+		})));
+
+		let hbarFee = 0n;
+		let lazyFee = null;
+		if (!await this.isAdmin()) {
+			const fees = await this.getCreationFees();
+			hbarFee = BigInt(fees.hbar.raw);
+			if (BigInt(fees.lazy.raw) > 0n) {
+				lazyFee = fees.lazy;
+				const linked = await this._getLinkedContracts();
+				await this.ensureFungibleAllowance(linked.lazyToken, linked.lazyGasStation, fees.lazy.raw);
+			}
+		}
+
+		const payableAmount = hbarFee + BigInt(new Hbar(POOL_TOKEN_CREATION_HBAR).toTinybars().toString());
+		const params = [
+			name,
+			symbol,
+			memo,
+			royaltyTuples,
+			ticketCID,
+			winCID,
+			winRateThousandthsOfBps,
+			BigInt(entryFee),
+			feeToken === 'HBAR' ? ZERO_ADDRESS : tokenToEvmAddress(feeToken),
+		];
+		const { transactionId, results } = await this._execute('createPool', params, {
+			fallbackGas: 1_500_000,
+			gasMultiplier: 1.2,
+			payableAmount,
+		});
+
+		return {
+			transactionId,
+			poolId: results ? Number(results[0]) : null,
+			hbarSent: await this.toAmount(payableAmount, ZERO_ADDRESS),
+			lazyFee,
+		};
+	}
+
+	/**
+	 * Add one prize package to a pool, setting the fungible and NFT allowances
+	 * it needs first. HBAR prizes are sent with the call.
+	 * @param {number} poolId
+	 * @param {Object} prize
+	 * @param {string} [prize.token='HBAR'] - HBAR or a fungible token ID
+	 * @param {bigint|string} [prize.amount=0] - raw amount
+	 * @param {Array<{tokenId: string, serials: number[]}>} [prize.nfts=[]]
+	 * @returns {Promise<{transactionId: string, poolId: number}>}
+	 */
+	async addPrizePackage(poolId, prize) {
+		this._requireSigner();
+		const { token = 'HBAR', amount = 0, nfts = [] } = prize;
+		if (BigInt(amount) === 0n && nfts.length === 0) {
+			throw new Error('A prize needs an amount or NFTs');
+		}
+
+		if (token !== 'HBAR' && BigInt(amount) > 0n) {
+			await this.ensureFungibleAllowance(token, await this.getFungibleSpender(token), amount);
+		}
+
+		let minGas = 0;
+		if (nfts.length > 0) {
+			const storageId = (await this.getStorageId()).toString();
+			await this.ensureNFTAllowance(nfts.map(n => n.tokenId), storageId);
+			for (const { tokenId } of nfts) {
+				if (await checkMirrorBalance(this.env, storageId, tokenId) === null) {
+					minGas += NFT_ASSOCIATION_GAS;
+				}
+			}
+			if (minGas > 0) minGas += 800_000;
+		}
+
+		const params = [
+			poolId,
+			token === 'HBAR' ? ZERO_ADDRESS : tokenToEvmAddress(token),
+			BigInt(amount),
+			nfts.map(n => tokenToEvmAddress(n.tokenId)),
+			nfts.map(n => n.serials.map(s => BigInt(s))),
+		];
+		const { transactionId } = await this._execute('addPrizePackage', params, {
+			fallbackGas: 800_000,
+			gasMultiplier: 1.2,
+			payableAmount: token === 'HBAR' ? BigInt(amount) : 0n,
+			minGas,
+		});
+
+		return { transactionId, poolId: Number(poolId) };
+	}
+
+	/**
+	 * Buy entries, setting the fee token allowance first if required
+	 * @param {number} poolId
+	 * @param {number} count
+	 * @returns {Promise<Object>} transaction id and the total cost
+	 */
+	async buyEntry(poolId, count) {
+		this._requireSigner();
+		if (!Number.isInteger(count) || count <= 0) {
+			throw new Error('Entry count must be a positive integer');
+		}
+
+		const pool = await this.getPool(poolId);
+		if (pool.closed) throw new Error(`Pool ${poolId} is closed`);
+		if (pool.paused) throw new Error(`Pool ${poolId} is paused`);
+
+		const totalFee = BigInt(pool.entryFee.raw) * BigInt(count);
+		const totalCost = {
+			...pool.entryFee,
+			raw: totalFee.toString(),
+			formatted: formatAmount(totalFee, pool.entryFee.decimals, pool.entryFee.symbol),
+		};
+
+		let allowanceSet = false;
+		if (pool.entryFee.token !== 'HBAR') {
+			const balance = await checkMirrorBalance(this.env, this.operatorId, pool.entryFee.token);
+			if (balance === null || BigInt(balance) < totalFee) {
+				const available = formatAmount(balance ?? 0, pool.entryFee.decimals, pool.entryFee.symbol);
+				throw new Error(`Insufficient ${pool.entryFee.symbol} balance: need ${totalCost.formatted}, have ${available}`);
+			}
+
+			const spender = await this.getFungibleSpender(pool.entryFee.token);
+			allowanceSet = await this.ensureFungibleAllowance(pool.entryFee.token, spender, totalFee);
+		}
+
+		const payableAmount = pool.entryFee.token === 'HBAR' ? totalFee : 0n;
+		const { transactionId, simulation } = await this._execute('buyEntry', [poolId, count], {
+			fallbackGas: 500_000,
+			gasMultiplier: 1.2,
+			payableAmount,
+		});
+
+		return { transactionId, poolId: Number(poolId), count, totalCost, allowanceSet, simulation };
+	}
+
+	/**
+	 * Roll every entry the operator holds in a pool
+	 * @param {number} poolId
+	 * @returns {Promise<{transactionId: string, poolId: number, wins: number, offset: number}>}
+	 */
+	async rollAll(poolId) {
+		return this._roll('rollAll', [poolId]);
+	}
+
+	/**
+	 * Roll a number of the operator's entries in a pool
+	 * @param {number} poolId
+	 * @param {number} count
+	 * @returns {Promise<{transactionId: string, poolId: number, wins: number, offset: number}>}
+	 */
+	async rollBatch(poolId, count) {
+		return this._roll('rollBatch', [poolId, count]);
+	}
+
+	async _roll(fcnName, params) {
+		// PRNG draws make the estimate unreliable, so allow double
+		const { transactionId, results, simulation } = await this._execute(fcnName, params, {
+			fallbackGas: 800_000,
+			gasMultiplier: 2,
+		});
+
+		return {
+			transactionId,
+			poolId: Number(params[0]),
+			wins: results ? Number(results[0]) : 0,
+			offset: results ? Number(results[1]) : 0,
+			simulation,
+		};
+	}
+
+	/**
+	 * Associate any of `tokenIds` the operator does not hold yet
+	 * @param {string[]} tokenIds
+	 * @returns {Promise<string[]>} tokens that were associated
+	 */
+	async ensureAssociated(tokenIds) {
+		this._requireSigner();
+		const associated = [];
+		for (const tokenId of new Set(tokenIds)) {
+			if (await checkMirrorBalance(this.env, this.operatorId, tokenId) === null) {
+				associated.push(tokenId);
+			}
+		}
+
+		if (associated.length > 0) {
+			const transaction = new TokenAssociateTransaction()
+				.setAccountId(this.operatorId)
+				.setTokenIds(associated.map(id => TokenId.fromString(id)));
+			await this._submit(transaction, `associate tokens ${associated.join(', ')}`);
+		}
+		return associated;
+	}
+
+	/**
+	 * Associate any prize tokens the operator is missing and, when NFTs are
+	 * involved, grant storage the HBAR allowance it needs for royalty fallbacks
+	 * @param {Object[]} pendingPrizes - decoded pending prizes to be claimed
+	 * @returns {Promise<{associated: string[], hbarAllowanceSet: boolean}>}
+	 */
+	async preparePrizeClaim(pendingPrizes) {
+		this._requireSigner();
+
+		const tokens = new Set();
+		let hasNFTs = false;
+		for (const { prize } of pendingPrizes) {
+			if (prize.amount && prize.amount.token !== 'HBAR') tokens.add(prize.amount.token);
+			for (const nft of prize.nfts) {
+				tokens.add(nft.tokenId);
+				hasNFTs = true;
+			}
+		}
+
+		const associated = await this.ensureAssociated([...tokens]);
+
+		let hbarAllowanceSet = false;
+		if (hasNFTs) {
+			const storageId = await this.getStorageId();
+			const current = await checkMirrorHbarAllowance(this.env, this.operatorId, storageId);
+			const required = new Hbar(NFT_CLAIM_HBAR_ALLOWANCE).toTinybars().toNumber();
+			if (current < required) {
+				const transaction = new AccountAllowanceApproveTransaction()
+					.approveHbarAllowance(this.operatorId, AccountId.fromString(storageId.toString()), new Hbar(NFT_CLAIM_HBAR_ALLOWANCE));
+				await this._submit(transaction, `set HBAR allowance for ${storageId}`);
+				hbarAllowanceSet = true;
+			}
+		}
+
+		return { associated, hbarAllowanceSet };
+	}
+
+	/**
+	 * Claim every pending prize for the operator
+	 * @returns {Promise<{transactionId: string, claimed: Object[], associated: string[]}>}
+	 */
+	async claimAllPrizes() {
+		this._requireSigner();
+		const pendingPrizes = await this.getPendingPrizes();
+		if (pendingPrizes.length === 0) {
+			throw new Error('No pending prizes to claim');
+		}
+
+		const { associated } = await this.preparePrizeClaim(pendingPrizes);
+		const { transactionId, simulation } = await this._execute('claimAllPrizes', [], {
+			fallbackGas: 1_000_000,
+			gasMultiplier: 1.2,
+		});
+
+		return { transactionId, claimed: pendingPrizes, associated, simulation };
+	}
+
+	/**
+	 * Claim a single pending prize by its index in the operator's pending list
+	 * @param {number} index
+	 * @returns {Promise<{transactionId: string, claimed: Object, associated: string[]}>}
+	 */
+	async claimPrize(index) {
+		this._requireSigner();
+		const pendingPrizes = await this.getPendingPrizes();
+		const target = pendingPrizes.find(p => p.index === Number(index));
+		if (!target) {
+			throw new Error(`No pending prize at index ${index}`);
+		}
+
+		const { associated } = await this.preparePrizeClaim([target]);
+		const { transactionId, simulation } = await this._execute('claimPrize', [index], {
+			fallbackGas: 800_000,
+			gasMultiplier: 1.2,
+		});
+
+		return { transactionId, claimed: target, associated, simulation };
+	}
+
+	/**
+	 * Convert unrolled entries into ticket NFTs (associating the pool token first)
+	 * @param {number} poolId
+	 * @param {number} count
+	 * @returns {Promise<{transactionId: string, poolId: number, serials: number[], associated: string[]}>}
+	 */
+	async redeemEntriesToNFT(poolId, count) {
+		this._requireSigner();
+		if (!Number.isInteger(count) || count <= 0) {
+			throw new Error('Entry count must be a positive integer');
+		}
+
+		const [pool, held] = await Promise.all([this.getPool(poolId), this.getUserEntriesForPool(poolId)]);
+		if (!pool.poolTokenId) throw new Error(`Pool ${poolId} has no pool token`);
+		if (held < count) throw new Error(`Only ${held} entries held in pool ${poolId}`);
+
+		const associated = await this.ensureAssociated([pool.poolTokenId]);
+		const { transactionId, results } = await this._execute('redeemEntriesToNFT', [poolId, count], {
+			fallbackGas: 500_000,
+			gasMultiplier: 1.2,
+		});
+
+		return {
+			transactionId,
+			poolId: Number(poolId),
+			serials: results ? results[0].map(s => Number(s)) : [],
+			associated,
+		};
+	}
+
+	/**
+	 * Roll ticket NFTs directly; they are wiped and rolled in one transaction
+	 * @param {number} poolId
+	 * @param {number[]} serials - ticket serials of the pool token (not prize NFTs)
+	 * @returns {Promise<{transactionId: string, poolId: number, wins: number, offset: number}>}
+	 */
+	async rollWithNFT(poolId, serials) {
+		if (!Array.isArray(serials) || serials.length === 0) {
+			throw new Error('No ticket serials supplied');
+		}
+		return this._roll('rollWithNFT', [poolId, serials]);
+	}
+
+	/**
+	 * Convert pending prizes into prize NFTs that can be traded and claimed later.
+	 * The contract mints with the first prize's pool token, so every index must
+	 * come from the same pool.
+	 * @param {number[]} indices - positions in the operator's pending list
+	 * @returns {Promise<{transactionId: string, poolId: number, serials: number[], redeemed: Object[], associated: string[]}>}
+	 */
+	async redeemPrizeToNFT(indices) {
+		this._requireSigner();
+		if (!Array.isArray(indices) || indices.length === 0) {
+			throw new Error('No pending prize indices supplied');
+		}
+
+		const pendingPrizes = await this.getPendingPrizes();
+		const redeemed = indices.map(index => {
+			const target = pendingPrizes.find(p => p.index === Number(index));
+			if (!target) throw new Error(`No pending prize at index ${index}`);
+			return target;
+		});
+
+		const poolIds = [...new Set(redeemed.map(p => p.poolId))];
+		if (poolIds.length > 1) {
+			throw new Error(`Prizes from different pools (${poolIds.join(', ')}) must be redeemed separately`);
+		}
+
+		const pool = await this.getPool(poolIds[0]);
+		if (!pool.poolTokenId) throw new Error(`Pool ${pool.id} has no pool token`);
+
+		const associated = await this.ensureAssociated([pool.poolTokenId]);
+		const { transactionId, results } = await this._execute('redeemPrizeToNFT', [indices], {
+			fallbackGas: 800_000,
+			gasMultiplier: 1.2,
+		});
+
+		return {
+			transactionId,
+			poolId: pool.id,
+			serials: results ? results[0].map(s => Number(s)) : [],
+			redeemed,
+			associated,
+		};
+	}
+
+	/**
+	 * Claim the prizes held by prize NFTs, associating prize tokens and setting
+	 * the NFT royalty allowance first when needed
+	 * @param {string} tokenId - pool token (Hedera ID)
+	 * @param {number[]} serials
+	 * @returns {Promise<{transactionId: string, claimed: Object[], associated: string[]}>}
+	 */
+	async claimPrizeFromNFT(tokenId, serials) {
+		this._requireSigner();
+		if (!Array.isArray(serials) || serials.length === 0) {
+			throw new Error('No prize NFT serials supplied');
+		}
+
+		const claimed = [];
+		for (const serial of serials) {
+			const pending = await this.getPendingPrizeByNFT(tokenId, serial);
+			if (!pending) throw new Error(`${tokenId} #${serial} is not a prize NFT`);
+			claimed.push(pending);
+		}
+
+		const { associated } = await this.preparePrizeClaim(claimed);
+		const { transactionId } = await this._execute('claimPrizeFromNFT', [tokenToEvmAddress(tokenId), serials], {
+			fallbackGas: 750_000,
+			gasMultiplier: 1.2,
+		});
+
+		return { transactionId, claimed, associated };
+	}
+
+	// ---------------------------------------------------------------------
+	// Administration
+	// ---------------------------------------------------------------------
+	// Contract-wide settings need a LazyLotto admin; pool owners and managers
+	// may also pause, unpause and close their own pools. Each call returns
+	// { transactionId, simulation } (simulation only in a dry run).
+
+	async _admin(fcnName, params, contract = 'lotto') {
+		const { transactionId, simulation } = await this._execute(fcnName, params, {
+			fallbackGas: 300_000,
+			gasMultiplier: 1.2,
+			contract,
+		});
+		return { transactionId, simulation };
+	}
+
+	/** Stop entry purchases in a pool */
+	async pausePool(poolId) {
+		return this._admin('pausePool', [poolId]);
+	}
+
+	async unpausePool(poolId) {
+		return this._admin('unpausePool', [poolId]);
+	}
+
+	/** Close a pool for good (no outstanding entries or ticket NFTs may remain) */
+	async closePool(poolId) {
+		return this._admin('closePool', [poolId]);
+	}
+
+	/** Pause every pool at once */
+	async pauseContract() {
+		return this._admin('pause', []);
+	}
+
+	async unpauseContract() {
+		return this._admin('unpause', []);
+	}
+
+	/**
+	 * @param {number} percentage - share of $LAZY entry fees burned (0-100)
+	 */
+	async setBurnPercentage(percentage) {
+		if (!Number.isInteger(percentage) || percentage < 0 || percentage > 100) {
+			throw new Error(`Burn percentage must be an integer from 0 to 100, got ${percentage}`);
+		}
+		return this._admin('setBurnPercentage', [percentage]);
+	}
+
+	/**
+	 * @param {ContractId|string} prngId - PRNG contract (0.0.x or 0x address)
+	 */
+	async setPrng(prngId) {
+		const address = prngId.toString().startsWith('0x')
+			? ethers.getAddress(prngId.toString())
+			: `0x${ContractId.fromString(prngId.toString()).toSolidityAddress()}`;
+		return this._admin('setPrng', [address]);
+	}
+
+	async addAdmin(account) {
+		return this._admin('addAdmin', [await this.toEvmAddress(account)]);
+	}
+
+	/** The contract refuses to remove its last admin */
+	async removeAdmin(account) {
+		return this._admin('removeAdmin', [await this.toEvmAddress(account)]);
+	}
+
+	/** Allow an account to add prizes to any pool */
+	async addPrizeManager(account) {
+		return this._admin('addGlobalPrizeManager', [await this.toEvmAddress(account)], 'poolManager');
+	}
+
+	async removePrizeManager(account) {
+		return this._admin('removeGlobalPrizeManager', [await this.toEvmAddress(account)], 'poolManager');
+	}
+
+	/**
+	 * @param {number} start - unix seconds
+	 * @param {number} end - unix seconds, after start
+	 * @param {number} bonusBps - 10_000 = 100%
+	 */
+	async setTimeBonus(start, end, bonusBps) {
+		return this._admin('setTimeBonus', [start, end, bonusBps], 'poolManager');
+	}
+
+	/** @param {number} index - position in the time bonus list */
+	async removeTimeBonus(index) {
+		return this._admin('removeTimeBonus', [index], 'poolManager');
+	}
+
+	/**
+	 * Boost for holders of an NFT collection
+	 * @param {string} tokenId
+	 * @param {number} bonusBps
+	 */
+	async setNFTBonus(tokenId, bonusBps) {
+		return this._admin('setNFTBonus', [tokenToEvmAddress(tokenId), bonusBps], 'poolManager');
+	}
+
+	/** @param {number} index - position in the NFT bonus list */
+	async removeNFTBonus(index) {
+		return this._admin('removeNFTBonus', [index], 'poolManager');
+	}
+
+	/**
+	 * Boost for holding at least `threshold` $LAZY
+	 * @param {bigint|string} threshold - raw $LAZY amount
+	 * @param {number} bonusBps
+	 */
+	async setLazyBalanceBonus(threshold, bonusBps) {
+		return this._admin('setLazyBalanceBonus', [BigInt(threshold), bonusBps], 'poolManager');
+	}
+
+	/**
+	 * Send HBAR held by LazyLottoStorage (it keeps what prizes still need)
+	 * @param {AccountId|string} receiver
+	 * @param {bigint|string} tinybars
+	 */
+	async withdrawHbar(receiver, tinybars) {
+		return this._admin('transferHbarFromStorage', [await this.toEvmAddress(receiver), BigInt(tinybars)]);
+	}
+
+	/**
+	 * Send a fungible token held by LazyLottoStorage (it keeps what prizes still need)
+	 * @param {string} tokenId
+	 * @param {AccountId|string} receiver
+	 * @param {bigint|string} amount - raw amount
+	 */
+	async withdrawFungible(tokenId, receiver, amount) {
+		return this._admin('transferFungible', [tokenToEvmAddress(tokenId), await this.toEvmAddress(receiver), BigInt(amount)]);
+	}
+
+	/**
+	 * Release the signer's resources (closes a client it created)
+	 */
+	close() {
+		if (this.signer?.close) {
+			this.signer.close();
+		}
+	}
+}
+
+module.exports = {
+	LazyLottoClient,
+	createHederaClient,
+	tokenToEvmAddress,
+	formatAmount,
+	winRateToPercent,
+	describePrize,
+};
@@ -0,0 +1,793 @@
+/**
+ * LazyLotto Event Indexer
+ *
+ * Keeps an embedded SQLite database of pools, prizes, entry purchases, rolls,
+ * wins, claims and ticket / prize-NFT redemptions in step with the chain.
+ * Events come from getContractEvents (contractEvents.js); each contract has a
+ * cursor (last consensus timestamp applied) so a restart resumes where the
+ * last run stopped. Only pools touched by an event, and the pending prizes
+ * of users who won, claimed or converted a prize, are re-read from the
+ * mirror node - there are no full rescans.
+ *
+ * Each batch of events is applied together with its cursor in one SQLite
+ * transaction and batches end on a timestamp boundary, so a crash never
+ * leaves a transaction's logs half applied. Event tables are keyed by
+ * (timestamp, log index) and written with INSERT OR IGNORE as a backstop.
+ *
+ * Requires the optional dependency better-sqlite3.
+ *
+ * Usage:
+ *   const { LottoIndexer } = require('./utils/lottoIndexer');
+ *
+ *   const indexer = new LottoIndexer({ env: 'testnet', dbPath: './lazy-lotto-testnet.db' });
+ *   await indexer.run({ intervalMs: 15_000 });
+ */
+
+const { default: axios } = require('axios');
+
+const { getContractEvents } = require('./contractEvents');
+const { getBaseURL } = require('./hederaMirrorHelpers');
+const { LazyLottoClient } = require('./lazyLottoClient');
+
+const SCHEMA_VERSION = 2;
+
+const BATCH_SIZE = 100;
+
+// Entry point of the transaction that emitted a TicketEvent -> what the tickets represent
+const TICKET_KINDS = {
+	true: {
+		buyAndRedeemEntry: 'entries_to_nft',
+		redeemEntriesToNFT: 'entries_to_nft',
+		redeemPrizeToNFT: 'prize_to_nft',
+	},
+	false: {
+		rollWithNFT: 'nft_to_entries',
+		claimPrizeFromNFT: 'nft_to_prize',
+	},
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+	key TEXT PRIMARY KEY,
+	value TEXT
+);
+CREATE TABLE IF NOT EXISTS sync_state (
+	contract TEXT PRIMARY KEY,
+	contract_id TEXT NOT NULL,
+	last_timestamp TEXT,
+	updated_at TEXT
+);
+CREATE TABLE IF NOT EXISTS pools (
+	pool_id INTEGER PRIMARY KEY,
+	status TEXT,
+	paused INTEGER,
+	closed INTEGER,
+	ticket_cid TEXT,
+	win_cid TEXT,
+	win_rate_thousandths_of_bps INTEGER,
+	win_rate_percent REAL,
+	entry_fee_raw TEXT,
+	entry_fee_token TEXT,
+	entry_fee_formatted TEXT,
+	prize_count INTEGER,
+	outstanding_entries INTEGER,
+	pool_token_id TEXT,
+	owner TEXT,
+	created_by_global_admin INTEGER,
+	created_at TEXT,
+	updated_at TEXT
+);
+CREATE TABLE IF NOT EXISTS dirty_pools (
+	pool_id INTEGER PRIMARY KEY
+);
+CREATE TABLE IF NOT EXISTS prizes (
+	pool_id INTEGER NOT NULL,
+	prize_index INTEGER NOT NULL,
+	token TEXT,
+	amount_raw TEXT,
+	amount_formatted TEXT,
+	nfts TEXT NOT NULL,
+	PRIMARY KEY (pool_id, prize_index)
+);
+CREATE TABLE IF NOT EXISTS pool_events (
+	timestamp TEXT NOT NULL,
+	log_index INTEGER NOT NULL,
+	contract_id TEXT NOT NULL,
+	pool_id INTEGER NOT NULL,
+	event TEXT NOT NULL,
+	actor TEXT,
+	prize_index INTEGER,
+	details TEXT,
+	transaction_hash TEXT,
+	PRIMARY KEY (timestamp, log_index, contract_id)
+);
+CREATE TABLE IF NOT EXISTS entries (
+	timestamp TEXT NOT NULL,
+	log_index INTEGER NOT NULL,
+	pool_id INTEGER NOT NULL,
+	user TEXT NOT NULL,
+	count INTEGER NOT NULL,
+	transaction_hash TEXT,
+	PRIMARY KEY (timestamp, log_index)
+);
+CREATE TABLE IF NOT EXISTS rolls (
+	timestamp TEXT NOT NULL,
+	log_index INTEGER NOT NULL,
+	pool_id INTEGER NOT NULL,
+	user TEXT NOT NULL,
+	won INTEGER NOT NULL,
+	roll_bps INTEGER NOT NULL,
+	transaction_hash TEXT,
+	PRIMARY KEY (timestamp, log_index)
+);
+CREATE TABLE IF NOT EXISTS claims (
+	timestamp TEXT NOT NULL,
+	log_index INTEGER NOT NULL,
+	user TEXT NOT NULL,
+	token TEXT,
+	amount_raw TEXT,
+	nfts TEXT NOT NULL,
+	transaction_hash TEXT,
+	PRIMARY KEY (timestamp, log_index)
+);
+CREATE TABLE IF NOT EXISTS pending_prizes (
+	user TEXT NOT NULL,
+	pending_index INTEGER NOT NULL,
+	pool_id INTEGER NOT NULL,
+	as_nft INTEGER NOT NULL,
+	token TEXT,
+	amount_raw TEXT,
+	amount_formatted TEXT,
+	nfts TEXT NOT NULL,
+	PRIMARY KEY (user, pending_index)
+);
+CREATE TABLE IF NOT EXISTS dirty_users (
+	user TEXT PRIMARY KEY
+);
+CREATE TABLE IF NOT EXISTS tickets (
+	timestamp TEXT NOT NULL,
+	log_index INTEGER NOT NULL,
+	pool_id INTEGER NOT NULL,
+	token_id TEXT,
+	user TEXT NOT NULL,
+	serials TEXT NOT NULL,
+	minted INTEGER NOT NULL,
+	kind TEXT,
+	transaction_hash TEXT,
+	PRIMARY KEY (timestamp, log_index)
+);
+CREATE INDEX IF NOT EXISTS idx_entries_user ON entries (user, pool_id);
+CREATE INDEX IF NOT EXISTS idx_rolls_user ON rolls (user, pool_id);
+CREATE INDEX IF NOT EXISTS idx_rolls_won ON rolls (pool_id, won);
+CREATE INDEX IF NOT EXISTS idx_claims_user ON claims (user);
+CREATE INDEX IF NOT EXISTS idx_tickets_user ON tickets (user, kind);
+CREATE INDEX IF NOT EXISTS idx_pool_events_pool ON pool_events (pool_id);
+`;
+
+function openDatabase(dbPath, readonly) {
+	let Database;
+	try {
+		Database = require('better-sqlite3');
+	}
+	catch {
+		throw new Error('The indexer needs better-sqlite3: npm install better-sqlite3');
+	}
+	return new Database(dbPath, readonly ? { readonly: true, fileMustExist: true } : {});
+}
+
+function nftList(nftTokens = [], nftSerials = []) {
+	return nftTokens.map((tokenId, i) => ({
+		tokenId,
+		serials: (nftSerials[i] ?? []).map(Number),
+	}));
+}
+
+/**
+ * SQLite persistence for the indexer: schema, event application and queries
+ */
+class IndexerStore {
+	/**
+	 * @param {Object} options
+	 * @param {string} [options.dbPath=':memory:'] - database file
+	 * @param {Object} [options.db] - an open better-sqlite3 Database
+	 * @param {boolean} [options.readonly=false] - open an existing database for queries only
+	 */
+	constructor(options = {}) {
+		const { dbPath = ':memory:', db, readonly = false } = options;
+
+		this.db = db ?? openDatabase(dbPath, readonly);
+		if (!readonly) {
+			this.db.pragma('journal_mode = WAL');
+			this.db.exec(SCHEMA);
+		}
+
+		const version = this.getMeta('schema_version');
+		if (version && Number(version) !== SCHEMA_VERSION) {
+			throw new Error(`Index database has schema version ${version}, expected ${SCHEMA_VERSION}. Rebuild it from scratch`);
+		}
+		if (!readonly) {
+			this.setMeta('schema_version', SCHEMA_VERSION);
+		}
+	}
+
+	getMeta(key) {
+		return this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+	}
+
+	setMeta(key, value) {
+		this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+			.run(key, value === null ? null : String(value));
+	}
+
+	/**
+	 * Cursor for a contract
+	 * @param {string} contract - 'lazyLotto' or 'poolManager'
+	 * @returns {{ contractId: string, lastTimestamp: string|null }|null}
+	 */
+	getCursor(contract) {
+		const row = this.db.prepare('SELECT contract_id, last_timestamp FROM sync_state WHERE contract = ?').get(contract);
+		return row ? { contractId: row.contract_id, lastTimestamp: row.last_timestamp } : null;
+	}
+
+	/**
+	 * Start tracking a contract; refuses to mix data from a different deployment
+	 * @param {string} contract
+	 * @param {string} contractId
+	 */
+	ensureCursor(contract, contractId) {
+		const existing = this.getCursor(contract);
+		if (existing && existing.contractId !== contractId) {
+			throw new Error(`Index database tracks ${contract} ${existing.contractId}, not ${contractId}. Use a separate database`);
+		}
+		if (!existing) {
+			this.db.prepare('INSERT INTO sync_state (contract, contract_id, last_timestamp, updated_at) VALUES (?, ?, NULL, ?)')
+				.run(contract, contractId, new Date().toISOString());
+		}
+	}
+
+	/**
+	 * Apply decoded events and advance the cursor in a single transaction.
+	 * Pools whose on-chain state changed are queued in dirty_pools, and users
+	 * whose pending prizes changed in dirty_users, until refreshed.
+	 * @param {string} contract - cursor name
+	 * @param {Object[]} events - from getContractEvents, oldest first; TicketEvents may carry `ticketKind`
+	 * @returns {Set<number>} pool IDs whose on-chain state changed
+	 */
+	applyEvents(contract, events) {
+		const touched = new Set();
+
+		this.db.transaction(() => {
+			const markDirty = this.db.prepare('INSERT OR IGNORE INTO dirty_pools (pool_id) VALUES (?)');
+			for (const event of events) {
+				const poolId = this.applyEvent(event);
+				if (poolId !== null) {
+					touched.add(poolId);
+					markDirty.run(poolId);
+				}
+			}
+			if (events.length) {
+				this.db.prepare('UPDATE sync_state SET last_timestamp = ?, updated_at = ? WHERE contract = ?')
+					.run(events[events.length - 1].timestamp, new Date().toISOString(), contract);
+			}
+		})();
+
+		return touched;
+	}
+
+	/**
+	 * Record one decoded event
+	 * @param {Object} event
+	 * @returns {number|null} pool ID to refresh, if any
+	 */
+	applyEvent(event) {
+		const { name, args, timestamp, logIndex, transactionHash, contractId } = event;
+		const key = [timestamp, logIndex];
+
+		const userDirty = (user) => {
+			this.db.prepare('INSERT OR IGNORE INTO dirty_users (user) VALUES (?)').run(user);
+		};
+
+		const poolEvent = (poolId, actor = null, prizeIndex = null, details = null) => {
+			this.db.prepare(`INSERT OR IGNORE INTO pool_events
+				(timestamp, log_index, contract_id, pool_id, event, actor, prize_index, details, transaction_hash)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+				.run(...key, contractId, poolId, name, actor, prizeIndex, details, transactionHash);
+		};
+
+		switch (name) {
+		case 'PoolCreated': {
+			const poolId = Number(args.poolId);
+			this.db.prepare('INSERT INTO pools (pool_id, created_at) VALUES (?, ?) ON CONFLICT (pool_id) DO UPDATE SET created_at = COALESCE(created_at, excluded.created_at)')
+				.run(poolId, timestamp);
+			// the PoolManager flavour carries the creator
+			if (args.creator !== undefined) {
+				this.db.prepare('UPDATE pools SET owner = ?, created_by_global_admin = ? WHERE pool_id = ?')
+					.run(args.isGlobalAdmin ? null : args.creator, args.isGlobalAdmin ? 1 : 0, poolId);
+				poolEvent(poolId, args.creator, null, JSON.stringify({ isGlobalAdmin: args.isGlobalAdmin }));
+				return null;
+			}
+			poolEvent(poolId);
+			return poolId;
+		}
+		case 'PoolOwnershipTransferred': {
+			const poolId = Number(args.poolId);
+			this.db.prepare('INSERT INTO pools (pool_id, owner) VALUES (?, ?) ON CONFLICT (pool_id) DO UPDATE SET owner = excluded.owner')
+				.run(poolId, args.newOwner);
+			poolEvent(poolId, args.newOwner, null, JSON.stringify({ oldOwner: args.oldOwner }));
+			return null;
+		}
+		case 'PoolPaused':
+		case 'PoolOpened':
+		case 'PoolClosed': {
+			const poolId = Number(args.poolId);
+			const status = { PoolPaused: 'paused', PoolOpened: 'active', PoolClosed: 'closed' }[name];
+			this.db.prepare('UPDATE pools SET status = ?, paused = ?, closed = ?, updated_at = ? WHERE pool_id = ?')
+				.run(status, status === 'paused' ? 1 : 0, status === 'closed' ? 1 : 0, timestamp, poolId);
+			poolEvent(poolId);
+			return poolId;
+		}
+		case 'PrizeAdded':
+		case 'PrizeRemoved': {
+			const poolId = Number(args.poolId);
+			const { token, amount, nftTokens, nftSerials } = args.prize;
+			poolEvent(poolId, args.admin, Number(args.prizeIndex), JSON.stringify({
+				token,
+				amount: amount.toString(),
+				nfts: nftList(nftTokens, nftSerials),
+			}));
+			return poolId;
+		}
+		case 'EntryPurchased':
+			this.db.prepare('INSERT OR IGNORE INTO entries (timestamp, log_index, pool_id, user, count, transaction_hash) VALUES (?, ?, ?, ?, ?, ?)')
+				.run(...key, Number(args.poolId), args.user, Number(args.count), transactionHash);
+			return Number(args.poolId);
+		case 'Rolled':
+			this.db.prepare('INSERT OR IGNORE INTO rolls (timestamp, log_index, pool_id, user, won, roll_bps, transaction_hash) VALUES (?, ?, ?, ?, ?, ?, ?)')
+				.run(...key, Number(args.poolId), args.user, args.won ? 1 : 0, Number(args.rollBps), transactionHash);
+			if (args.won) userDirty(args.user);
+			return Number(args.poolId);
+		case 'PrizeClaimed': {
+			const { token, amount, nftTokens, nftSerials } = args.prize;
+			this.db.prepare('INSERT OR IGNORE INTO claims (timestamp, log_index, user, token, amount_raw, nfts, transaction_hash) VALUES (?, ?, ?, ?, ?, ?, ?)')
+				.run(...key, args.user, token, amount.toString(), JSON.stringify(nftList(nftTokens, nftSerials)), transactionHash);
+			userDirty(args.user);
+			return null;
+		}
+		case 'TicketEvent':
+			this.db.prepare(`INSERT OR IGNORE INTO tickets
+				(timestamp, log_index, pool_id, token_id, user, serials, minted, kind, transaction_hash)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+				.run(...key, Number(args.poolId), args.tokenId, args.user, JSON.stringify(args.serialNumber.map(Number)),
+					args.mint ? 1 : 0, event.ticketKind ?? null, transactionHash);
+			// unclassified events might be prize conversions too
+			if (!event.ticketKind || event.ticketKind.includes('prize')) {
+				userDirty(args.user);
+			}
+			return Number(args.poolId);
+		default:
+			return null;
+		}
+	}
+
+	/**
+	 * Overwrite a pool's current state and prizes with a fresh read
+	 * @param {Object} pool - PoolInfo from LazyLottoClient.getPool
+	 * @param {Object[]} prizes - IndexedPrize[] from LazyLottoClient.getPoolPrizes
+	 */
+	savePoolSnapshot(pool, prizes) {
+		this.db.transaction(() => {
+			this.db.prepare(`INSERT INTO pools (
+				pool_id, status, paused, closed, ticket_cid, win_cid, win_rate_thousandths_of_bps, win_rate_percent,
+				entry_fee_raw, entry_fee_token, entry_fee_formatted, prize_count, outstanding_entries, pool_token_id, updated_at
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT (pool_id) DO UPDATE SET
+				status = excluded.status, paused = excluded.paused, closed = excluded.closed,
+				ticket_cid = excluded.ticket_cid, win_cid = excluded.win_cid,
+				win_rate_thousandths_of_bps = excluded.win_rate_thousandths_of_bps, win_rate_percent = excluded.win_rate_percent,
+				entry_fee_raw = excluded.entry_fee_raw, entry_fee_token = excluded.entry_fee_token,
+				entry_fee_formatted = excluded.entry_fee_formatted, prize_count = excluded.prize_count,
+				outstanding_entries = excluded.outstanding_entries, pool_token_id = excluded.pool_token_id,
+				updated_at = excluded.updated_at`)
+				.run(pool.id, pool.status, pool.paused ? 1 : 0, pool.closed ? 1 : 0, pool.ticketCID, pool.winCID,
+					pool.winRateThousandthsOfBps, pool.winRatePercent, pool.entryFee.raw, pool.entryFee.token,
+					pool.entryFee.formatted, pool.prizeCount, pool.outstandingEntries, pool.poolTokenId, new Date().toISOString());
+
+			this.db.prepare('DELETE FROM dirty_pools WHERE pool_id = ?').run(pool.id);
+			this.db.prepare('DELETE FROM prizes WHERE pool_id = ?').run(pool.id);
+			const insert = this.db.prepare('INSERT INTO prizes (pool_id, prize_index, token, amount_raw, amount_formatted, nfts) VALUES (?, ?, ?, ?, ?, ?)');
+			for (const prize of prizes) {
+				insert.run(pool.id, prize.index, prize.amount?.token ?? null, prize.amount?.raw ?? null,
+					prize.amount?.formatted ?? null, JSON.stringify(prize.nfts));
+			}
+		})();
+	}
+
+	/**
+	 * Pools waiting for a snapshot refresh
+	 * @returns {number[]}
+	 */
+	getDirtyPools() {
+		return this.db.prepare('SELECT pool_id FROM dirty_pools ORDER BY pool_id').all().map(row => row.pool_id);
+	}
+
+	/**
+	 * Overwrite a user's pending prizes with a fresh read
+	 * @param {string} user
+	 * @param {Object[]} pending - from LazyLottoClient.getPendingPrizes
+	 */
+	savePendingPrizes(user, pending) {
+		this.db.transaction(() => {
+			this.db.prepare('DELETE FROM dirty_users WHERE user = ?').run(user);
+			this.db.prepare('DELETE FROM pending_prizes WHERE user = ?').run(user);
+			const insert = this.db.prepare(`INSERT INTO pending_prizes
+				(user, pending_index, pool_id, as_nft, token, amount_raw, amount_formatted, nfts)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+			for (const { index, poolId, asNFT, prize } of pending) {
+				insert.run(user, index, poolId, asNFT ? 1 : 0, prize.amount?.token ?? null, prize.amount?.raw ?? null,
+					prize.amount?.formatted ?? null, JSON.stringify(prize.nfts));
+			}
+		})();
+	}
+
+	/**
+	 * Users waiting for a pending prize refresh
+	 * @returns {string[]}
+	 */
+	getDirtyUsers() {
+		return this.db.prepare('SELECT user FROM dirty_users ORDER BY user').all().map(row => row.user);
+	}
+
+	// ---------------------------------------------------------------------
+	// Queries
+	// ---------------------------------------------------------------------
+
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.status] - active, paused or closed
+	 * @param {string} [options.owner] - community pool owner
+	 * @returns {Object[]} pool rows
+	 */
+	listPools(options = {}) {
+		const { status, owner } = options;
+		const where = [];
+		const params = [];
+		if (status) {
+			where.push('status = ?');
+			params.push(status);
+		}
+		if (owner) {
+			where.push('owner = ?');
+			params.push(owner);
+		}
+		const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+		return this.db.prepare(`SELECT * FROM pools ${clause} ORDER BY pool_id`).all(...params);
+	}
+
+	getPool(poolId) {
+		return this.db.prepare('SELECT * FROM pools WHERE pool_id = ?').get(poolId) ?? null;
+	}
+
+	listPrizes(poolId) {
+		return this.db.prepare('SELECT * FROM prizes WHERE pool_id = ? ORDER BY prize_index').all(poolId)
+			.map(row => ({ ...row, nfts: JSON.parse(row.nfts) }));
+	}
+
+	/**
+	 * Entries a user holds per pool, derived from purchases, rolls and ticket conversions
+	 * @param {string} user
+	 * @returns {Array<{pool_id: number, entries: number, purchased: number, rolled: number, wins: number}>}
+	 */
+	getUserEntries(user) {
+		return this.db.prepare(`SELECT pool_id,
+				SUM(purchased) - SUM(rolled) - SUM(to_nft) + SUM(from_nft) AS entries,
+				SUM(purchased) AS purchased, SUM(rolled) AS rolled, SUM(wins) AS wins
+			FROM (
+				SELECT pool_id, count AS purchased, 0 AS rolled, 0 AS wins, 0 AS to_nft, 0 AS from_nft FROM entries WHERE user = @user
+				UNION ALL
+				SELECT pool_id, 0, 1, won, 0, 0 FROM rolls WHERE user = @user
+				UNION ALL
+				SELECT pool_id, 0, 0, 0,
+					CASE kind WHEN 'entries_to_nft' THEN json_array_length(serials) ELSE 0 END,
+					CASE kind WHEN 'nft_to_entries' THEN json_array_length(serials) ELSE 0 END
+				FROM tickets WHERE user = @user
+			)
+			GROUP BY pool_id
+			ORDER BY pool_id`).all({ user });
+	}
+
+	/**
+	 * @param {string} user
+	 * @returns {Object[]} pending prize rows, in contract order
+	 */
+	listPendingPrizes(user) {
+		return this.db.prepare('SELECT * FROM pending_prizes WHERE user = ? ORDER BY pending_index').all(user)
+			.map(row => ({ ...row, nfts: JSON.parse(row.nfts) }));
+	}
+
+	/**
+	 * Players ranked by wins, rolls or entries bought
+	 * @param {Object} [options]
+	 * @param {string} [options.by='wins'] - wins, rolls or entries
+	 * @param {number} [options.poolId] - limit to one pool
+	 * @param {number} [options.limit=25]
+	 * @returns {Array<{user: string, wins: number, rolls: number, entries: number}>}
+	 */
+	getLeaderboard(options = {}) {
+		const { by = 'wins', poolId, limit = 25 } = options;
+		if (!['wins', 'rolls', 'entries'].includes(by)) {
+			throw new Error(`Invalid leaderboard order: ${by}. Use wins, rolls or entries`);
+		}
+
+		const poolClause = poolId === undefined ? '' : 'WHERE pool_id = @poolId';
+		return this.db.prepare(`SELECT user, SUM(wins) AS wins, SUM(rolls) AS rolls, SUM(entries) AS entries
+			FROM (
+				SELECT user, 0 AS wins, 0 AS rolls, count AS entries FROM entries ${poolClause}
+				UNION ALL
+				SELECT user, won, 1, 0 FROM rolls ${poolClause}
+			)
+			GROUP BY user
+			ORDER BY ${by} DESC, user
+			LIMIT @limit`).all({ poolId, limit });
+	}
+
+	/**
+	 * Totals across all indexed activity
+	 * @returns {Object}
+	 */
+	getStats() {
+		const pools = this.db.prepare(`SELECT COUNT(*) AS total,
+			COALESCE(SUM(status = 'active'), 0) AS active,
+			COALESCE(SUM(status = 'paused'), 0) AS paused,
+			COALESCE(SUM(status = 'closed'), 0) AS closed
+			FROM pools`).get();
+		const { entries, buyers } = this.db.prepare('SELECT COALESCE(SUM(count), 0) AS entries, COUNT(DISTINCT user) AS buyers FROM entries').get();
+		const { rolls, wins } = this.db.prepare('SELECT COUNT(*) AS rolls, COALESCE(SUM(won), 0) AS wins FROM rolls').get();
+		const { claims } = this.db.prepare('SELECT COUNT(*) AS claims FROM claims').get();
+		const { players } = this.db.prepare('SELECT COUNT(*) AS players FROM (SELECT user FROM entries UNION SELECT user FROM rolls)').get();
+		const sync = this.db.prepare('SELECT contract, contract_id, last_timestamp, updated_at FROM sync_state ORDER BY contract').all();
+
+		return { pools, entries, buyers, players, rolls, wins, claims, sync };
+	}
+
+	/**
+	 * Rows from an event table, newest first
+	 * @param {string} table - entries, rolls, claims, tickets or pool_events
+	 * @param {Object} [filters] - user, poolId, won, kind, limit (default 100), before (timestamp)
+	 * @returns {Object[]}
+	 */
+	listEvents(table, filters = {}) {
+		const columns = {
+			entries: ['user', 'pool_id'],
+			rolls: ['user', 'pool_id', 'won'],
+			claims: ['user'],
+			tickets: ['user', 'pool_id', 'kind'],
+			pool_events: ['pool_id', 'event'],
+		}[table];
+		if (!columns) {
+			throw new Error(`Unknown event table: ${table}`);
+		}
+
+		const values = { user: filters.user, pool_id: filters.poolId, won: filters.won === undefined ? undefined : (filters.won ? 1 : 0), kind: filters.kind, event: filters.event };
+		const where = [];
+		const params = [];
+		for (const column of columns) {
+			if (values[column] === undefined) continue;
+			where.push(`${column} = ?`);
+			params.push(values[column]);
+		}
+		if (filters.before) {
+			where.push('timestamp < ?');
+			params.push(filters.before);
+		}
+
+		const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+		const rows = this.db.prepare(`SELECT * FROM ${table} ${clause} ORDER BY timestamp DESC, log_index DESC LIMIT ?`)
+			.all(...params, filters.limit ?? 100);
+
+		return rows.map(row => {
+			const parsed = { ...row };
+			for (const jsonColumn of ['nfts', 'serials', 'details']) {
+				if (typeof parsed[jsonColumn] === 'string') parsed[jsonColumn] = JSON.parse(parsed[jsonColumn]);
+			}
+			return parsed;
+		});
+	}
+
+	close() {
+		this.db.close();
+	}
+}
+
+/**
+ * Incremental sync of LazyLotto and LazyLottoPoolManager events into an IndexerStore
+ */
+class LottoIndexer {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.env - MAIN, TEST, PREVIEW or LOCAL
+	 * @param {IndexerStore} [options.store] - defaults to a new store at dbPath
+	 * @param {string} [options.dbPath]
+	 * @param {LazyLottoClient} [options.client] - for pool reads; defaults to the deployment manifest for env
+	 * @param {ContractId|string} [options.contractId] - LazyLotto
+	 * @param {ContractId|string} [options.poolManagerId]
+	 * @param {function(string): void} [options.log] - progress output
+	 * @param {function(Object): void} [options.onEvent] - called with each event once it is stored
+	 */
+	constructor(options = {}) {
+		const { env, store, dbPath, client, contractId, poolManagerId, log = () => undefined, onEvent = null } = options;
+
+		if (!env) {
+			throw new Error('LottoIndexer requires an env (MAIN, TEST, PREVIEW or LOCAL)');
+		}
+
+		this.env = env;
+		this.client = client ?? new LazyLottoClient({ env, contractId, poolManagerId });
+		this.store = store ?? new IndexerStore({ dbPath });
+		this.log = log;
+		this.onEvent = onEvent;
+
+		this._functionNames = new Map();
+		this._stopped = false;
+		this._wake = null;
+	}
+
+	/**
+	 * Bring the database up to date once
+	 * @returns {Promise<{ events: number, poolsRefreshed: number }>}
+	 */
+	async syncOnce() {
+		const lottoId = this.client.contractId.toString();
+		const poolManagerId = (await this.client.getPoolManagerId()).toString();
+		this.store.ensureCursor('lazyLotto', lottoId);
+		this.store.ensureCursor('poolManager', poolManagerId);
+		this.store.setMeta('env', this.env);
+
+		let events = 0;
+		for (const [cursor, contract, contractName] of [
+			['lazyLotto', lottoId, 'LazyLotto'],
+			['poolManager', poolManagerId, 'LazyLottoPoolManager'],
+		]) {
+			events += await this._syncContract(cursor, contract, contractName);
+		}
+
+		// includes pools and users left dirty by an earlier failed refresh
+		const dirty = this.store.getDirtyPools();
+		for (const poolId of dirty) {
+			await this.refreshPool(poolId);
+		}
+		const users = this.store.getDirtyUsers();
+		for (const user of users) {
+			await this.refreshUser(user);
+		}
+
+		return { events, poolsRefreshed: dirty.length, usersRefreshed: users.length };
+	}
+
+	async _syncContract(cursor, contract, contractName) {
+		const from = this.store.getCursor(cursor)?.lastTimestamp ?? null;
+		let events = 0;
+		let batch = [];
+
+		const flush = () => {
+			this.store.applyEvents(cursor, batch);
+			if (this.onEvent) batch.forEach(event => this.onEvent(event));
+			events += batch.length;
+			this.log(`${contractName}: applied ${batch.length} event(s) up to ${batch[batch.length - 1].timestamp}`);
+			batch = [];
+		};
+
+		for await (const event of getContractEvents(this.env, { contract, contractName, fromTimestamp: from })) {
+			// batches end on a timestamp boundary, so everything at the cursor is already applied
+			if (event.timestamp === from) continue;
+
+			if (batch.length >= BATCH_SIZE && event.timestamp !== batch[batch.length - 1].timestamp) flush();
+
+			if (event.name === 'TicketEvent') {
+				event.ticketKind = await this.classifyTicketEvent(event);
+			}
+			batch.push(event);
+		}
+		if (batch.length) flush();
+
+		return events;
+	}
+
+	/**
+	 * Work out whether a TicketEvent moved entries or prizes, from the calling function
+	 * @param {Object} event - decoded TicketEvent
+	 * @returns {Promise<string|null>} entries_to_nft, nft_to_entries, prize_to_nft, nft_to_prize or null
+	 */
+	async classifyTicketEvent(event) {
+		const name = await this._functionName(event.transactionHash);
+		return TICKET_KINDS[event.args.mint][name] ?? null;
+	}
+
+	async _functionName(transactionHash) {
+		if (!this._functionNames.has(transactionHash)) {
+			let name = null;
+			try {
+				const response = await axios.get(`${getBaseURL(this.env)}/api/v1/contracts/results/${transactionHash}`);
+				name = this.client.lazyLottoIface.parseTransaction({ data: response.data.function_parameters })?.name ?? null;
+			}
+			catch (error) {
+				this.log(`Could not classify ${transactionHash}: ${error.message}`);
+			}
+			this._functionNames.set(transactionHash, name);
+		}
+		return this._functionNames.get(transactionHash);
+	}
+
+	/**
+	 * Re-read a pool and its prizes from the mirror node
+	 * @param {number} poolId
+	 */
+	async refreshPool(poolId) {
+		const [pool, prizes] = await Promise.all([
+			this.client.getPool(poolId),
+			this.client.getPoolPrizes(poolId),
+		]);
+		this.store.savePoolSnapshot(pool, prizes);
+		this.log(`Pool #${poolId}: ${pool.status}, ${prizes.length} prize(s)`);
+	}
+
+	/**
+	 * Re-read a user's pending prizes from the mirror node
+	 * @param {string} user - Hedera ID or EVM address, as recorded from events
+	 */
+	async refreshUser(user) {
+		const pending = await this.client.getPendingPrizes(user);
+		this.store.savePendingPrizes(user, pending);
+		this.log(`${user}: ${pending.length} pending prize(s)`);
+	}
+
+	/**
+	 * Sync until stop() is called
+	 * @param {Object} [options]
+	 * @param {number} [options.intervalMs=15000] - pause between syncs
+	 * @param {function(Error): void} [options.onError] - sync errors are reported and retried next interval
+	 */
+	async run(options = {}) {
+		const { intervalMs = 15_000, onError = (error) => this.log(`Sync failed: ${error.message}`) } = options;
+
+		this._stopped = false;
+		while (!this._stopped) {
+			try {
+				const { events, poolsRefreshed, usersRefreshed } = await this.syncOnce();
+				if (events) this.log(`Synced ${events} event(s), refreshed ${poolsRefreshed} pool(s) and ${usersRefreshed} user(s)`);
+			}
+			catch (error) {
+				onError(error);
+			}
+			if (this._stopped) break;
+
+			await new Promise(resolve => {
+				const timer = setTimeout(resolve, intervalMs);
+				this._wake = () => {
+					clearTimeout(timer);
+					resolve();
+				};
+			});
+			this._wake = null;
+		}
+	}
+
+	/**
+	 * Stop run() after the current sync
+	 */
+	stop() {
+		this._stopped = true;
+		if (this._wake) this._wake();
+	}
+
+	close() {
+		this.stop();
+		this.store.close();
+	}
+}
+
+module.exports = {
+	SCHEMA_VERSION,
+	TICKET_KINDS,
+	IndexerStore,
+	LottoIndexer,
+};
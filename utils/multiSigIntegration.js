@@ -186,75 +186,29 @@ async function contractExecuteFunctionMultiSig(
 		.setFunctionParameters(Buffer.from(encodedCommand.slice(2), 'hex'))
 		.setPayableAmount(amountHbar);
 
-	// Create workflow orchestrator
-	const orchestrator = new WorkflowOrchestrator(client, {
-		defaultWorkflow: multiSigConfig.workflow,
-		verbose: true,
-	});
-
 	try {
-		let result;
-
-		if (multiSigConfig.workflow === 'offline') {
-			// Offline workflow
-			const metadata = {
-				threshold: multiSigConfig.threshold || 2,
-				signerLabels: multiSigConfig.signerLabels,
-				contractId: contractId.toString(),
-				function: fcnName,
-				parameters: params,
-				gasLimit: gasLim,
-				hbarAmount: amountHbar,
-			};
-
-			if (multiSigConfig.exportOnly) {
-				// Phase 1: Just freeze and export
-				result = await orchestrator.freezeAndExport(transaction, metadata);
-
-				if (result.success) {
-					console.log('\n✅ Transaction frozen and exported successfully');
-					console.log('\nNext steps:');
-					console.log('1. Share transaction file with signers:');
-					console.log(`   ${result.transactionFile}`);
-					console.log('\n2. Signers should sign using:');
-					console.log(`   node lib/multiSig/cli/sign.js ${result.transactionFile}`);
-					console.log('\n3. Collect signatures and execute with:');
-					console.log(`   node ${process.argv[1]} --multisig --offline --signatures=sig1.json,sig2.json`);
-					console.log();
-				}
-
-				return [result, null, null];
+		const result = await executeTransactionMultiSig(transaction, client, multiSigConfig, {
+			contractId: contractId.toString(),
+			function: fcnName,
+			parameters: params,
+			gasLimit: gasLim,
+			hbarAmount: amountHbar,
+		});
+
+		if (multiSigConfig.exportOnly) {
+			if (result.success) {
+				console.log('\n✅ Transaction frozen and exported successfully');
+				console.log('\nNext steps:');
+				console.log('1. Share transaction file with signers:');
+				console.log(`   ${result.transactionFile}`);
+				console.log('\n2. Signers should sign using:');
+				console.log(`   node lib/multiSig/cli/sign.js ${result.transactionFile}`);
+				console.log('\n3. Collect signatures and execute with:');
+				console.log(`   node ${process.argv[1]} --multisig --offline --signatures=sig1.json,sig2.json`);
+				console.log();
 			}
-			else {
-				// Full offline workflow with signature collection
-				const signatureFiles = multiSigConfig.signatureFiles || [];
-
-				if (signatureFiles.length === 0) {
-					throw new Error('Offline workflow requires signature files. Use --signatures=file1.json,file2.json');
-				}
 
-				result = await orchestrator.collectAndExecute(
-					transaction,
-					signatureFiles,
-					{ threshold: multiSigConfig.threshold || signatureFiles.length },
-				);
-			}
-		}
-		else {
-			// Interactive workflow
-			const keyProviders = await createKeyProviders(multiSigConfig);
-
-			result = await orchestrator.execute(transaction, {
-				workflow: 'interactive',
-				keyProviders,
-				threshold: multiSigConfig.threshold || keyProviders.length,
-				signerLabels: multiSigConfig.signerLabels,
-				metadata: {
-					contractId: contractId.toString(),
-					function: fcnName,
-					parameters: params,
-				},
-			});
+			return [result, null, null];
 		}
 
 		// Process execution result
@@ -325,6 +279,65 @@ async function contractExecuteFunctionMultiSig(
 
 		return [{ status: error.message }, null, null];
 	}
+}
+
+/**
+ * Run an already-built (unfrozen) transaction through the multi-sig workflow
+ *
+ * Shared by contractExecuteFunctionMultiSig and the MultiSigSigner so both
+ * follow the same interactive / offline / export-only rules.
+ *
+ * @param {Transaction} transaction - Transaction to sign and execute
+ * @param {Client} client - Hedera client
+ * @param {Object} multiSigConfig - Multi-sig configuration (see parseMultiSigArgs)
+ * @param {Object} metadata - Description shown to signers (contractId, function, parameters, ...)
+ * @returns {Promise<Object>} Orchestrator result ({ success, receipt, transactionId, error, ... });
+ *   export-only returns { success, transactionFile } and prints nothing, the caller knows how to rerun
+ */
+async function executeTransactionMultiSig(transaction, client, multiSigConfig, metadata = {}) {
+	const orchestrator = new WorkflowOrchestrator(client, {
+		defaultWorkflow: multiSigConfig.workflow,
+		verbose: true,
+	});
+
+	try {
+		if (multiSigConfig.workflow === 'offline') {
+			if (multiSigConfig.exportOnly) {
+				// Phase 1: Just freeze and export
+				const result = await orchestrator.freezeAndExport(transaction, {
+					threshold: multiSigConfig.threshold || 2,
+					signerLabels: multiSigConfig.signerLabels,
+					...metadata,
+				});
+
+				return result;
+			}
+
+			// Full offline workflow with signature collection
+			const signatureFiles = multiSigConfig.signatureFiles || [];
+
+			if (signatureFiles.length === 0) {
+				throw new Error('Offline workflow requires signature files. Use --signatures=file1.json,file2.json');
+			}
+
+			return await orchestrator.collectAndExecute(
+				transaction,
+				signatureFiles,
+				{ threshold: multiSigConfig.threshold || signatureFiles.length },
+			);
+		}
+
+		// Interactive workflow
+		const keyProviders = await createKeyProviders(multiSigConfig);
+
+		return await orchestrator.execute(transaction, {
+			workflow: 'interactive',
+			keyProviders,
+			threshold: multiSigConfig.threshold || keyProviders.length,
+			signerLabels: multiSigConfig.signerLabels,
+			metadata,
+		});
+	}
 	finally {
 		orchestrator.cleanup();
 	}
@@ -376,6 +389,7 @@ function shouldDisplayHelp(args = process.argv) {
 
 module.exports = {
 	contractExecuteFunctionMultiSig,
+	executeTransactionMultiSig,
 	parseMultiSigArgs,
 	createKeyProviders,
 	displayMultiSigHelp,
@@ -0,0 +1,100 @@
+import type { EventEmitter } from 'events';
+import type { Environment } from './hederaMirrorHelpers';
+import type { DecodedEvent } from './contractEvents';
+
+export type NotificationFormat = 'json' | 'discord' | 'slack';
+
+export declare const FORMATS: NotificationFormat[];
+
+export interface NotificationTarget {
+	name: string;
+	format: NotificationFormat;
+	/** webhook URL; or name an environment variable holding it with urlEnv */
+	url?: string;
+	urlEnv?: string;
+	headers?: Record<string, string>;
+}
+
+export interface NotificationRule {
+	/** event name, e.g. 'JackpotWin' or 'PrizeClaimed' */
+	event: string;
+	/** in whole token units (HBAR, LAZY, ...); events without an amount never pass a threshold */
+	minAmount?: number | string;
+	/** only amounts in this token ('HBAR' or 0.0.x) */
+	token?: string;
+	title?: string;
+	/** placeholders: see NotificationContext */
+	template?: string;
+	/** Discord embed colour */
+	color?: number;
+	/** target names; default all */
+	targets?: string[];
+}
+
+export interface NotificationContext {
+	event: string;
+	user: string | null;
+	poolId: number | null;
+	pool: string | null;
+	amount: string | null;
+	rawAmount: string | null;
+	symbol: string | null;
+	token: string | null;
+	formatted: string | null;
+	nfts: string | null;
+	prize: string | null;
+	transactionHash: string | null;
+	timestamp: string | null;
+	contractId: string | null;
+}
+
+export interface NotifierOptions {
+	env: Environment;
+	targets: NotificationTarget[];
+	/** default: every JackpotWin and PrizeClaimed */
+	rules?: NotificationRule[];
+	retry?: { attempts?: number; backoffMs?: number };
+	/** JSON lines of deliveries that never succeeded */
+	deadLetterFile?: string | null;
+	/** token ID -> symbol and decimals, skips mirror lookups */
+	tokens?: Record<string, { symbol: string; decimals: number }>;
+	/** token JackpotWin / LottoRoll amounts are paid in; default from the deployment manifest */
+	lazyToken?: string;
+	poolNames?: Record<number, string>;
+	timeoutMs?: number;
+	log?: (message: string) => void;
+}
+
+export interface DeliveryResult {
+	target: string;
+	delivered: boolean;
+	error?: string;
+}
+
+export declare const DEFAULT_RULES: NotificationRule[];
+
+export declare function renderTemplate(template: string, context: Partial<NotificationContext> & Record<string, unknown>): string;
+
+export declare function buildPayload(
+	format: NotificationFormat,
+	message: { title: string; text: string; color: number; context: NotificationContext },
+): Record<string, unknown>;
+
+export declare class Notifier {
+	constructor(options: NotifierOptions);
+
+	readonly env: Environment;
+	readonly targets: Array<NotificationTarget & { url: string }>;
+	readonly rules: NotificationRule[];
+
+	/** Notify on every event the watcher emits; returns a detach function */
+	attach(watcher: EventEmitter): () => void;
+	/** Wait for notifications started by attached watchers */
+	flush(): Promise<void>;
+	handle(event: DecodedEvent): Promise<DeliveryResult[]>;
+	buildContext(event: DecodedEvent): Promise<NotificationContext>;
+	getToken(tokenId: string): Promise<{ symbol: string; decimals: number }>;
+	deliver(target: NotificationTarget & { url: string }, payload: Record<string, unknown>, event?: DecodedEvent | null): Promise<DeliveryResult>;
+	/** Re-send dead-lettered payloads; failures stay in the file */
+	retryDeadLetters(): Promise<{ delivered: number; failed: number }>;
+}
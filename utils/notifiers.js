@@ -0,0 +1,416 @@
+/**
+ * Event Notifications
+ *
+ * Turns decoded contract events (from EventWatcher or getContractEvents) into
+ * webhook posts: a generic JSON payload, a Discord embed or Slack blocks.
+ * Rules pick the events worth announcing, with per-event amount thresholds,
+ * and a template for the message. Failed deliveries are retried with
+ * backoff, then appended to a dead-letter file (JSON lines) that
+ * retryDeadLetters() can replay later.
+ *
+ * Template fields: {event} {user} {pool} {poolId} {amount} {symbol} {token}
+ * {formatted} {nfts} {prize} {transactionHash} {timestamp} {contractId}.
+ * {prize} combines the amount and any NFTs of a PrizeClaimed, e.g.
+ * '500 ℏ and 2 NFTs (0.0.1234)'.
+ *
+ * Usage:
+ *   const { watchEvents, Notifier } = require('@lazysuperheroes/lazy-lotto');
+ *
+ *   const notifier = new Notifier({
+ *       env: 'mainnet',
+ *       targets: [{ name: 'community', format: 'discord', url: process.env.DISCORD_WEBHOOK_URL }],
+ *       rules: [
+ *           { event: 'JackpotWin', template: '{user} just won the {formatted} jackpot!' },
+ *           { event: 'PrizeClaimed', minAmount: 1000, token: 'HBAR', template: '{user} claimed {formatted}' },
+ *       ],
+ *       deadLetterFile: './notify-dead-letters.jsonl',
+ *   });
+ *   notifier.attach(watchEvents('mainnet'));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { default: axios } = require('axios');
+const { ethers } = require('ethers');
+
+const { getTokenDetails } = require('./hederaMirrorHelpers');
+const { getAddresses } = require('./deploymentManifest');
+const { formatAmount } = require('./lazyLottoClient');
+
+const FORMATS = ['json', 'discord', 'slack'];
+
+const DEFAULT_RULES = [
+	{
+		event: 'JackpotWin',
+		title: 'Jackpot!',
+		template: '{user} won the LazyTradeLotto jackpot of {formatted}',
+		color: 0xf1c40f,
+	},
+	{
+		event: 'PrizeClaimed',
+		title: 'Prize claimed',
+		template: '{user} claimed {prize}',
+		color: 0x2ecc71,
+	},
+];
+
+/**
+ * Replace {field} placeholders; unknown fields are left as written
+ * @param {string} template
+ * @param {Object} context
+ * @returns {string}
+ */
+function renderTemplate(template, context) {
+	return template.replace(/\{(\w+)\}/g, (match, field) =>
+		(context[field] === undefined || context[field] === null ? match : String(context[field])));
+}
+
+/**
+ * Build the request body for a webhook format
+ * @param {string} format - json, discord or slack
+ * @param {Object} message - { title, text, color, context }
+ * @returns {Object}
+ */
+function buildPayload(format, { title, text, color, context }) {
+	const when = context.timestamp
+		? new Date(Number(context.timestamp.split('.')[0]) * 1000).toISOString()
+		: new Date().toISOString();
+
+	switch (format) {
+	case 'json':
+		return { title, message: text, ...context };
+	case 'discord':
+		return {
+			embeds: [{
+				title,
+				description: text,
+				color,
+				timestamp: when,
+				fields: [
+					context.formatted ? { name: 'Amount', value: context.formatted, inline: true } : null,
+					context.pool ? { name: 'Pool', value: context.pool, inline: true } : null,
+					context.transactionHash ? { name: 'Transaction', value: context.transactionHash } : null,
+				].filter(Boolean),
+			}],
+		};
+	case 'slack':
+		return {
+			text,
+			blocks: [
+				{ type: 'header', text: { type: 'plain_text', text: title } },
+				{ type: 'section', text: { type: 'mrkdwn', text } },
+				context.transactionHash
+					? { type: 'context', elements: [{ type: 'mrkdwn', text: `Tx \`${context.transactionHash}\` at ${when}` }] }
+					: null,
+			].filter(Boolean),
+		};
+	default:
+		throw new Error(`Unknown notification format: ${format}. Use ${FORMATS.join(', ')}`);
+	}
+}
+
+function describeNfts(nftTokens = [], nftSerials = []) {
+	const count = nftSerials.reduce((total, serials) => total + serials.length, 0);
+	if (!count) return null;
+	return `${count} NFT${count === 1 ? '' : 's'} (${nftTokens.filter(Boolean).join(', ')})`;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Matches events against rules and delivers messages to webhook targets
+ */
+class Notifier {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.env - MAIN, TEST, PREVIEW or LOCAL (token lookups, LAZY token from the manifest)
+	 * @param {Object[]} options.targets - { name, format: json|discord|slack, url | urlEnv, headers? }
+	 * @param {Object[]} [options.rules] - { event, minAmount?, token?, title?, template?, color?, targets? };
+	 *   defaults to every JackpotWin and PrizeClaimed
+	 * @param {Object} [options.retry] - { attempts = 3, backoffMs = 1000 }
+	 * @param {string} [options.deadLetterFile] - JSON lines of deliveries that never succeeded
+	 * @param {Object} [options.tokens] - token ID -> { symbol, decimals }, skips mirror lookups
+	 * @param {string} [options.lazyToken] - token JackpotWin / LottoRoll amounts are paid in (default: manifest)
+	 * @param {Object} [options.poolNames] - pool ID -> display name (default 'Pool #N')
+	 * @param {number} [options.timeoutMs=10000] - per request
+	 * @param {function(string): void} [options.log]
+	 */
+	constructor(options = {}) {
+		const {
+			env,
+			targets = [],
+			rules = DEFAULT_RULES,
+			retry = {},
+			deadLetterFile = null,
+			tokens = {},
+			lazyToken,
+			poolNames = {},
+			timeoutMs = 10_000,
+			log = () => undefined,
+		} = options;
+
+		if (!env) {
+			throw new Error('Notifier requires an env (MAIN, TEST, PREVIEW or LOCAL)');
+		}
+		if (!targets.length) {
+			throw new Error('Notifier requires at least one target');
+		}
+
+		this.env = env;
+		this.targets = targets.map(target => {
+			const url = target.url ?? (target.urlEnv ? process.env[target.urlEnv] : null);
+			if (!target.name || !url) {
+				throw new Error(`Notification target ${target.name ?? '(unnamed)'} needs a name and a url (or urlEnv set in the environment)`);
+			}
+			if (!FORMATS.includes(target.format)) {
+				throw new Error(`Unknown notification format for ${target.name}: ${target.format}. Use ${FORMATS.join(', ')}`);
+			}
+			return { ...target, url };
+		});
+		for (const rule of rules) {
+			for (const name of rule.targets ?? []) {
+				if (!this.targets.some(target => target.name === name)) {
+					throw new Error(`Rule for ${rule.event} names unknown target ${name}`);
+				}
+			}
+		}
+
+		this.rules = rules;
+		this.retry = { attempts: 3, backoffMs: 1_000, ...retry };
+		this.deadLetterFile = deadLetterFile;
+		this.poolNames = poolNames;
+		this.timeoutMs = timeoutMs;
+		this.log = log;
+
+		this._lazyToken = lazyToken;
+		this._tokens = new Map(Object.entries(tokens));
+		this._pending = new Set();
+	}
+
+	/**
+	 * Notify on every event a watcher emits
+	 * @param {EventEmitter} watcher - EventWatcher
+	 * @returns {function(): void} detach
+	 */
+	attach(watcher) {
+		const listener = (event) => {
+			const pending = this.handle(event)
+				.catch(error => this.log(`Notification for ${event.name} failed: ${error.message}`))
+				.finally(() => this._pending.delete(pending));
+			this._pending.add(pending);
+		};
+		watcher.on('event', listener);
+		return () => watcher.off('event', listener);
+	}
+
+	/**
+	 * Wait for notifications started by attached watchers to finish
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		await Promise.all([...this._pending]);
+	}
+
+	/**
+	 * Deliver notifications for one event
+	 * @param {Object} event - decoded event
+	 * @returns {Promise<Array<{target: string, delivered: boolean, error?: string}>>}
+	 */
+	async handle(event) {
+		const results = [];
+
+		for (const rule of this.rules.filter(candidate => candidate.event === event.name)) {
+			const context = await this.buildContext(event);
+			if (!this._passesThreshold(rule, context)) continue;
+
+			const message = {
+				title: rule.title ?? event.name,
+				text: renderTemplate(rule.template ?? '{event} by {user}', context),
+				color: rule.color ?? 0x3498db,
+				context,
+			};
+			const targets = rule.targets
+				? this.targets.filter(target => rule.targets.includes(target.name))
+				: this.targets;
+
+			for (const target of targets) {
+				results.push(await this.deliver(target, buildPayload(target.format, message), event));
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Template fields for an event
+	 * @param {Object} event
+	 * @returns {Promise<Object>}
+	 */
+	async buildContext(event) {
+		const { args } = event;
+		const context = {
+			event: event.name,
+			user: args.user ?? args._user ?? null,
+			poolId: args.poolId === undefined ? null : Number(args.poolId),
+			pool: null,
+			amount: null,
+			rawAmount: null,
+			symbol: null,
+			token: null,
+			formatted: null,
+			nfts: null,
+			prize: null,
+			transactionHash: event.transactionHash ?? null,
+			timestamp: event.timestamp ?? null,
+			contractId: event.contractId ?? null,
+		};
+		if (context.poolId !== null) {
+			context.pool = this.poolNames[context.poolId] ?? `Pool #${context.poolId}`;
+		}
+
+		let raw = null;
+		let tokenId = null;
+		if (event.name === 'PrizeClaimed') {
+			raw = args.prize.amount;
+			tokenId = args.prize.token ?? 'HBAR';
+			context.nfts = describeNfts(args.prize.nftTokens, args.prize.nftSerials);
+		}
+		else if (event.name === 'JackpotWin' || event.name === 'LottoRoll') {
+			raw = event.name === 'JackpotWin' ? args._jackpotAmt : args._winAmount;
+			tokenId = this._lazyToken ?? getAddresses(this.env).lazyToken;
+		}
+
+		if (raw !== null) {
+			context.rawAmount = raw.toString();
+			context.amount = context.rawAmount;
+			context.formatted = context.rawAmount;
+		}
+		// without a known token (no LAZY in the manifest) amounts stay in raw units
+		if (raw !== null && tokenId) {
+			const { symbol, decimals } = await this.getToken(tokenId);
+			context.token = tokenId;
+			context.symbol = symbol;
+			context.amount = ethers.formatUnits(BigInt(raw), decimals).replace(/\.0$/, '');
+			context.formatted = formatAmount(raw, decimals, symbol);
+		}
+		if (event.name === 'PrizeClaimed') {
+			const parts = [BigInt(raw) > 0n ? context.formatted : null, context.nfts].filter(Boolean);
+			context.prize = parts.join(' and ') || 'nothing';
+		}
+		return context;
+	}
+
+	/**
+	 * Symbol and decimals for a token ('HBAR' for HBAR), cached
+	 * @param {string} tokenId
+	 * @returns {Promise<{symbol: string, decimals: number}>}
+	 */
+	async getToken(tokenId) {
+		if (tokenId === 'HBAR') return { symbol: 'HBAR', decimals: 8 };
+
+		if (!this._tokens.has(tokenId)) {
+			const details = await getTokenDetails(this.env, tokenId);
+			this._tokens.set(tokenId, {
+				symbol: details?.symbol ?? tokenId,
+				decimals: details ? Number(details.decimals) : 0,
+			});
+		}
+		return this._tokens.get(tokenId);
+	}
+
+	_passesThreshold(rule, context) {
+		if (rule.token && rule.token !== context.token) return false;
+		if (rule.minAmount === undefined || rule.minAmount === null) return true;
+		if (context.rawAmount === null) return false;
+
+		const decimals = context.symbol === 'HBAR' ? 8 : (this._tokens.get(context.token)?.decimals ?? 0);
+		return BigInt(context.rawAmount) >= ethers.parseUnits(String(rule.minAmount), decimals);
+	}
+
+	/**
+	 * POST a payload, retrying network errors, 429s and 5xx responses; dead-letter on failure
+	 * @param {Object} target
+	 * @param {Object} payload
+	 * @param {Object} [event] - recorded in the dead-letter entry
+	 * @returns {Promise<{target: string, delivered: boolean, error?: string}>}
+	 */
+	async deliver(target, payload, event = null) {
+		const { attempts, backoffMs } = this.retry;
+		let lastError = null;
+
+		for (let attempt = 1; attempt <= attempts; attempt++) {
+			try {
+				await axios.post(target.url, payload, {
+					headers: { 'Content-Type': 'application/json', ...target.headers },
+					timeout: this.timeoutMs,
+				});
+				this.log(`Notified ${target.name} (${target.format})`);
+				return { target: target.name, delivered: true };
+			}
+			catch (error) {
+				const status = error.response?.status;
+				lastError = status ? `HTTP ${status}` : error.message;
+
+				const retryable = !status || status === 429 || status >= 500;
+				if (!retryable || attempt === attempts) break;
+
+				this.log(`Notify ${target.name} failed (${lastError}), retry ${attempt}/${attempts - 1}`);
+				await sleep(backoffMs * 2 ** (attempt - 1));
+			}
+		}
+
+		this._deadLetter(target, payload, event, lastError);
+		return { target: target.name, delivered: false, error: lastError };
+	}
+
+	_deadLetter(target, payload, event, error) {
+		this.log(`Giving up on ${target.name}: ${error}`);
+		if (!this.deadLetterFile) return;
+
+		const dir = path.dirname(this.deadLetterFile);
+		if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+		// the URL is left out: webhook URLs carry their credentials
+		fs.appendFileSync(this.deadLetterFile, JSON.stringify({
+			failedAt: new Date().toISOString(),
+			target: target.name,
+			format: target.format,
+			event: event ? { name: event.name, transactionHash: event.transactionHash, timestamp: event.timestamp } : null,
+			error,
+			payload,
+		}) + '\n');
+	}
+
+	/**
+	 * Re-send dead-lettered payloads; entries that fail again stay in the file
+	 * @returns {Promise<{delivered: number, failed: number}>}
+	 */
+	async retryDeadLetters() {
+		if (!this.deadLetterFile || !fs.existsSync(this.deadLetterFile)) {
+			return { delivered: 0, failed: 0 };
+		}
+
+		const entries = fs.readFileSync(this.deadLetterFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+		// failures below append again, so start from an empty file
+		fs.writeFileSync(this.deadLetterFile, '');
+
+		let delivered = 0;
+		for (const entry of entries) {
+			const target = this.targets.find(candidate => candidate.name === entry.target);
+			if (!target) {
+				fs.appendFileSync(this.deadLetterFile, JSON.stringify(entry) + '\n');
+				continue;
+			}
+			const result = await this.deliver(target, entry.payload, entry.event);
+			if (result.delivered) delivered++;
+		}
+		return { delivered, failed: entries.length - delivered };
+	}
+}
+
+module.exports = {
+	FORMATS,
+	DEFAULT_RULES,
+	renderTemplate,
+	buildPayload,
+	Notifier,
+};
@@ -0,0 +1,81 @@
+import type { AccountId } from '@hashgraph/sdk';
+import type { Amount, DecodedPrize, PoolInfo } from './lazyLottoClient';
+
+/** LazyLotto rolls 0 .. MAX_WIN_RATE_THRESHOLD - 1 against winRate + boost */
+export declare const MAX_WIN_RATE_THRESHOLD: 100_000_000;
+
+/** HBAR per whole token, or per NFT for a collection, by token ID or symbol */
+export type TokenPrices = Record<string, number>;
+
+export interface OddsOptions {
+	/** same units as the win rate (from getBoost) */
+	boost?: number;
+	/** entries for the overEntries figures (default 1) */
+	entries?: number;
+	prices?: TokenPrices;
+}
+
+/** A value in the fee token and in HBAR; null where a price is missing */
+export interface ValuePair {
+	feeToken: Amount | null;
+	hbar: Amount | null;
+}
+
+export interface PrizeOdds {
+	/** e.g. '10 ℏ + 2 NFT(s)' */
+	prize: string;
+	amount: Amount | null;
+	nfts: DecodedPrize['nfts'];
+	/** identical packages left in the pool */
+	count: number;
+	probabilityIfWon: number;
+	probabilityPerEntry: number;
+	value: ValuePair;
+}
+
+export interface OddsFigures {
+	expectedValue: ValuePair;
+	cost: ValuePair;
+	net: ValuePair;
+	/** expected value / cost in the fee token (1 = break even) */
+	returnRatio: number | null;
+}
+
+export interface PoolOdds {
+	poolId: number;
+	winRate: { base: number; boost: number; effective: number; capped: boolean };
+	/** 0 - 1, per entry */
+	winProbability: number;
+	entryFee: Amount;
+	prizeCount: number;
+	distribution: PrizeOdds[];
+	perEntry: OddsFigures;
+	entries: number;
+	overEntries: OddsFigures & {
+		expectedWins: number;
+		/** wins beyond the prizes left receive nothing */
+		expectedPrizes: number;
+		probabilityAtLeastOneWin: number;
+	};
+	/** token IDs with no price */
+	unpriced: string[];
+}
+
+export declare function calculatePoolOdds(pool: PoolInfo, prizes: DecodedPrize[], options?: OddsOptions): PoolOdds;
+
+/** Client members getPoolOdds reads; a LazyLottoClient satisfies it */
+export interface OddsClient {
+	operatorId: AccountId | null;
+	getPool(poolId: number): Promise<PoolInfo>;
+	getPoolPrizes(poolId: number): Promise<DecodedPrize[]>;
+	getBoost(user?: AccountId | string): Promise<number>;
+}
+
+export declare function getPoolOdds(
+	client: OddsClient,
+	poolId: number,
+	options?: OddsOptions & { user?: AccountId | string },
+): Promise<PoolOdds & { user: string | null }>;
+
+/** E[min(wins, prizes)] for wins ~ Binomial(entries, probability) */
+export declare function expectedPrizes(entries: number, probability: number, prizes: number): number;
@@ -0,0 +1,259 @@
+/**
+ * LazyLotto Pool Odds
+ *
+ * Answers "is this pool worth playing?" from a pool's win rate, entry fee,
+ * remaining prizes and a player's boost. An entry wins when its roll is
+ * below winRate + boost (capped at MAX_WIN_RATE_THRESHOLD), and each win
+ * takes one prize chosen uniformly from the packages still in the pool, so
+ * every package is equally likely to be the one drawn. Over N entries the
+ * number of prizes received is min(wins, prizes left).
+ *
+ * Values need prices: HBAR is worth 1, every other token and NFT collection
+ * needs a price in HBAR per whole token (or per NFT), keyed by token ID or
+ * symbol. A prize the fee token pays out is valued in the fee token without
+ * a price. A value that needs a missing price is null, and the tokens
+ * missing one are listed in `unpriced`.
+ * The estimate assumes the prize list as it is now; other players' wins
+ * change it.
+ *
+ * Usage:
+ *   const { getPoolOdds } = require('./utils/poolOdds');
+ *
+ *   const odds = await getPoolOdds(lottoClient, 0, { entries: 10, prices: { LAZY: 0.02 } });
+ *   console.log(odds.winProbability, odds.expectedValue.perEntry.hbar?.formatted);
+ */
+
+const { formatAmount, describePrize } = require('./lazyLottoClient');
+
+// LazyLotto rolls 0 .. MAX_WIN_RATE_THRESHOLD - 1 against winRate + boost
+const MAX_WIN_RATE_THRESHOLD = 100_000_000;
+
+const HBAR = { token: 'HBAR', symbol: 'HBAR', decimals: 8 };
+
+/**
+ * Amount object for a value in whole token units
+ * @param {number} value
+ * @param {{token: string, symbol: string, decimals: number}} info
+ */
+function wholeToAmount(value, info) {
+	const raw = BigInt(Math.round(value * 10 ** info.decimals));
+	return {
+		raw: raw.toString(),
+		token: info.token,
+		symbol: info.symbol,
+		decimals: info.decimals,
+		formatted: formatAmount(raw, info.decimals, info.symbol),
+	};
+}
+
+/**
+ * Expected number of prizes from `entries` rolls: E[min(W, prizes)] with
+ * W ~ Binomial(entries, probability), summed as P(W > k) for k < prizes
+ * @param {number} entries
+ * @param {number} probability
+ * @param {number} prizes
+ * @returns {number}
+ */
+function expectedPrizes(entries, probability, prizes) {
+	const limit = Math.min(entries, prizes);
+	if (limit <= 0 || probability <= 0) return 0;
+	if (probability >= 1) return limit;
+
+	// binomial pmf in log space so large entry counts do not underflow
+	const logRatio = Math.log(probability) - Math.log1p(-probability);
+	let logPmf = entries * Math.log1p(-probability);
+	let cdf = 0;
+	let expected = 0;
+	for (let k = 0; k < limit; k++) {
+		cdf += Math.exp(logPmf);
+		expected += Math.max(0, 1 - cdf);
+		logPmf += Math.log(entries - k) - Math.log(k + 1) + logRatio;
+	}
+	return expected;
+}
+
+function priceOf(prices, tokenId, symbol) {
+	if (tokenId === 'HBAR') return 1;
+	return prices[tokenId] ?? prices[symbol] ?? null;
+}
+
+/**
+ * Value of one prize package in HBAR and in the fee token (null when a part has no price)
+ * @returns {{hbar: number|null, feeToken: number|null, unpriced: string[]}}
+ */
+function valuePrize(prize, feeToken, prices) {
+	const feePrice = priceOf(prices, feeToken.token, feeToken.symbol);
+	const parts = prize.nfts.map(nft => ({ tokenId: nft.tokenId, symbol: nft.symbol, units: nft.serials.length }));
+	if (prize.amount) {
+		parts.unshift({
+			tokenId: prize.amount.token,
+			symbol: prize.amount.symbol,
+			units: Number(prize.amount.raw) / 10 ** prize.amount.decimals,
+		});
+	}
+
+	const unpriced = [];
+	let hbar = 0;
+	let inFeeToken = 0;
+	for (const { tokenId, symbol, units } of parts) {
+		const price = priceOf(prices, tokenId, symbol);
+		if (price === null) {
+			unpriced.push(tokenId);
+			hbar = null;
+		}
+		else if (hbar !== null) {
+			hbar += units * price;
+		}
+
+		if (tokenId === feeToken.token) {
+			if (inFeeToken !== null) inFeeToken += units;
+		}
+		else if (price === null || feePrice === null) {
+			inFeeToken = null;
+		}
+		else if (inFeeToken !== null) {
+			inFeeToken += units * price / feePrice;
+		}
+	}
+
+	return { hbar, feeToken: inFeeToken, unpriced };
+}
+
+/**
+ * Odds and expected value of a pool, from data already fetched
+ *
+ * @param {Object} pool - PoolInfo from LazyLottoClient.getPool
+ * @param {Object[]} prizes - from LazyLottoClient.getPoolPrizes
+ * @param {Object} [options]
+ * @param {number} [options.boost=0] - from LazyLottoClient.getBoost (same units as the win rate)
+ * @param {number} [options.entries=1] - entries for the "over N entries" figures
+ * @param {Object<string, number>} [options.prices] - HBAR per whole token or per NFT, by token ID or symbol
+ * @returns {Object} odds
+ */
+function calculatePoolOdds(pool, prizes, options = {}) {
+	const { boost = 0, entries = 1, prices = {} } = options;
+	if (!Number.isInteger(entries) || entries < 1) {
+		throw new Error(`Invalid entries: ${entries}. Use a positive integer`);
+	}
+
+	const effective = Math.min(pool.winRateThousandthsOfBps + boost, MAX_WIN_RATE_THRESHOLD);
+	const probability = effective / MAX_WIN_RATE_THRESHOLD;
+	const prizeCount = prizes.length;
+	const feeToken = { token: pool.entryFee.token, symbol: pool.entryFee.symbol, decimals: pool.entryFee.decimals };
+	const fee = Number(pool.entryFee.raw) / 10 ** pool.entryFee.decimals;
+	const feePrice = priceOf(prices, feeToken.token, feeToken.symbol);
+
+	const groups = new Map();
+	const unpriced = new Set();
+	for (const prize of prizes) {
+		const key = JSON.stringify([prize.amount?.token, prize.amount?.raw, prize.nfts.map(nft => [nft.tokenId, nft.serials.length])]);
+		if (!groups.has(key)) {
+			const value = valuePrize(prize, feeToken, prices);
+			value.unpriced.forEach(token => unpriced.add(token));
+			groups.set(key, { prize, value, count: 0 });
+		}
+		groups.get(key).count++;
+	}
+
+	const distribution = [...groups.values()].map(({ prize, value, count }) => ({
+		prize: describePrize(prize),
+		amount: prize.amount,
+		nfts: prize.nfts,
+		count,
+		probabilityIfWon: count / prizeCount,
+		probabilityPerEntry: probability * count / prizeCount,
+		value: {
+			hbar: value.hbar === null ? null : wholeToAmount(value.hbar, HBAR),
+			feeToken: value.feeToken === null ? null : wholeToAmount(value.feeToken, feeToken),
+		},
+	})).sort((a, b) => b.count - a.count);
+
+	// mean prize value, or null when any package cannot be valued
+	const meanValue = (currency) => {
+		if (prizeCount === 0) return 0;
+		let total = 0;
+		for (const { value, count } of groups.values()) {
+			if (value[currency] === null) return null;
+			total += value[currency] * count;
+		}
+		return total / prizeCount;
+	};
+	const meanHbar = meanValue('hbar');
+	const meanFeeToken = meanValue('feeToken');
+	const prizesPerEntry = prizeCount > 0 ? probability : 0;
+	const prizesOverEntries = expectedPrizes(entries, probability, prizeCount);
+
+	const figures = (prizesExpected, entryCount) => {
+		const value = {
+			hbar: meanHbar === null ? null : meanHbar * prizesExpected,
+			feeToken: meanFeeToken === null ? null : meanFeeToken * prizesExpected,
+		};
+		const cost = {
+			hbar: feePrice === null ? null : fee * feePrice * entryCount,
+			feeToken: fee * entryCount,
+		};
+		const asAmounts = (pair) => ({
+			hbar: pair.hbar === null ? null : wholeToAmount(pair.hbar, HBAR),
+			feeToken: pair.feeToken === null ? null : wholeToAmount(pair.feeToken, feeToken),
+		});
+		return {
+			expectedValue: asAmounts(value),
+			cost: asAmounts(cost),
+			net: asAmounts({
+				hbar: value.hbar === null || cost.hbar === null ? null : value.hbar - cost.hbar,
+				feeToken: value.feeToken === null ? null : value.feeToken - cost.feeToken,
+			}),
+			// expected return per unit of fee paid (1 = break even)
+			returnRatio: value.feeToken === null || cost.feeToken === 0 ? null : value.feeToken / cost.feeToken,
+		};
+	};
+
+	return {
+		poolId: pool.id,
+		winRate: {
+			base: pool.winRateThousandthsOfBps,
+			boost,
+			effective,
+			capped: pool.winRateThousandthsOfBps + boost > MAX_WIN_RATE_THRESHOLD,
+		},
+		winProbability: probability,
+		entryFee: pool.entryFee,
+		prizeCount,
+		distribution,
+		perEntry: figures(prizesPerEntry, 1),
+		entries,
+		overEntries: {
+			expectedWins: entries * probability,
+			expectedPrizes: prizesOverEntries,
+			probabilityAtLeastOneWin: prizeCount > 0 ? -Math.expm1(entries * Math.log1p(-Math.min(probability, 1))) : 0,
+			...figures(prizesOverEntries, entries),
+		},
+		unpriced: [...unpriced],
+	};
+}
+
+/**
+ * Fetch a pool, its prizes and the player's boost, then calculatePoolOdds
+ *
+ * @param {Object} client - LazyLottoClient
+ * @param {number} poolId
+ * @param {Object} [options] - as calculatePoolOdds, plus:
+ * @param {AccountId|string} [options.user] - whose boost applies (default: the client's operator, else no boost)
+ * @returns {Promise<Object>} odds with `user`
+ */
+async function getPoolOdds(client, poolId, options = {}) {
+	const user = options.user ?? client.operatorId ?? null;
+	const [pool, prizes, boost] = await Promise.all([
+		client.getPool(poolId),
+		client.getPoolPrizes(poolId),
+		options.boost ?? (user ? client.getBoost(user) : 0),
+	]);
+	return { user: user?.toString() ?? null, ...calculatePoolOdds(pool, prizes, { ...options, boost }) };
+}
+
+module.exports = {
+	MAX_WIN_RATE_THRESHOLD,
+	calculatePoolOdds,
+	getPoolOdds,
+	expectedPrizes,
+};
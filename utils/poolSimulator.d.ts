@@ -0,0 +1,104 @@
+import type { DecodedPrize, LazyLottoConfig, PoolInfo } from './lazyLottoClient';
+
+/** A validated pool spec (loadPoolSpec) or a snapshotPool result; amounts in whole token units */
+export interface SimulationPool {
+	poolId?: number;
+	winRateThousandthsOfBps: number;
+	entryFee: { token: string; symbol?: string; amount: string };
+	prizes: {
+		token: string;
+		symbol?: string;
+		amount: string;
+		nfts: { tokenId: string; serials: number[] }[];
+	}[];
+	burnPercentage?: number;
+	lazyToken?: string | null;
+	platformFeePercentage?: number;
+	globalPool?: boolean;
+}
+
+export interface SimulationOptions {
+	/** default 1000 */
+	runs?: number;
+	/** same seed, same report (default 1) */
+	seed?: number | string;
+	/** players arriving per run (default 100) */
+	players?: number;
+	/** fixed, or [min, max] uniformly (default 1) */
+	entriesPerPlayer?: number | [number, number];
+	/** boost distribution in percent (default: everyone 0) */
+	boosts?: { percent: number; weight: number }[];
+	/** turns entries into days for the exhaustion figures */
+	entriesPerDay?: number;
+	burnPercentage?: number;
+	lazyToken?: string;
+	/** default: the snapshot's, else 5 */
+	platformFeePercentage?: number;
+	/** admin pool without an owner */
+	globalPool?: boolean;
+}
+
+export interface Distribution {
+	mean: number;
+	stdDev: number;
+	min: number;
+	p5: number;
+	median: number;
+	p95: number;
+	max: number;
+}
+
+export interface SimulationReport {
+	poolId: number | null;
+	runs: number;
+	seed: number | string;
+	players: number;
+	entriesPerPlayer: [number, number];
+	boosts: { percent: number; boost: number; probability: number }[];
+	winRateThousandthsOfBps: number;
+	entryFee: { token: string; symbol: string; amount: number };
+	prizeCount: number;
+	/** 0 unless the entry fee is LAZY */
+	burnPercentage: number;
+	platformFeePercentage: number;
+	globalPool: boolean;
+	entries: Distribution;
+	playersServed: Distribution;
+	wins: Distribution;
+	prizesAwarded: Distribution;
+	prizesLeft: Distribution;
+	exhaustion: {
+		/** share of runs in which the last prize was won */
+		probability: number;
+		/** over the runs that emptied the pool; null if none did */
+		entries: Distribution | null;
+		players: Distribution | null;
+		days: Distribution | null;
+	};
+	/** in the entry fee token */
+	proceeds: {
+		gross: Distribution;
+		burned: Distribution;
+		collected: Distribution;
+		platform: Distribution;
+		owner: Distribution;
+	};
+	paidOut: { token: string; symbol: string; amount: Distribution }[];
+	nftsPaidOut: Distribution;
+}
+
+export declare function simulatePool(pool: SimulationPool, options?: SimulationOptions): SimulationReport;
+
+/** Client members snapshotPool reads; a LazyLottoClient satisfies it */
+export interface SnapshotClient {
+	getPool(poolId: number): Promise<PoolInfo>;
+	getPoolPrizes(poolId: number): Promise<DecodedPrize[]>;
+	getPoolOwner(poolId: number): Promise<string | null>;
+	getPoolPlatformFee(poolId: number): Promise<number>;
+	getConfig(): Promise<Pick<LazyLottoConfig, 'burnPercentage' | 'lazyToken'>>;
+}
+
+export declare function snapshotPool(client: SnapshotClient, poolId: number): Promise<SimulationPool & { poolId: number }>;
+
+/** Seeded uniform generator in [0, 1) */
+export declare function createRandom(seed: number | string): () => number;
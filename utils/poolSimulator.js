@@ -0,0 +1,344 @@
+/**
+ * LazyLotto Pool Simulator
+ *
+ * Monte Carlo runs of a pool before it goes live (from a pool spec) or from
+ * where a live pool stands now (snapshotPool). Each run sends players in
+ * one after another; each buys a number of entries and rolls them all with a
+ * boost drawn from a weighted distribution, the way buyAndRollEntry does.
+ * Rolls follow the contract: an entry wins when a roll in
+ * 0 .. MAX_WIN_RATE_THRESHOLD - 1 is below winRate + boost (capped), and a
+ * win takes a prize picked uniformly from the packages left, which are
+ * swapped and popped. Wins after the last prize get nothing, and no one
+ * buys once the pool is empty (rolls would revert).
+ *
+ * Fees follow LazyLotto and the PoolManager: a LAZY entry fee burns
+ * burnPercentage, the rest is the pool's proceeds, and the platform keeps
+ * platformFeePercentage of those on withdrawal. Global (admin) pools have
+ * no owner and their proceeds stay with the platform. Amounts are whole
+ * token units; the contract's integer rounding is left out.
+ *
+ * Every figure is reported over the runs as mean, standard deviation,
+ * min, 5th / 50th / 95th percentile and max. The same seed gives the same
+ * report.
+ *
+ * Usage:
+ *   const { loadPoolSpec } = require('./utils/poolSpec');
+ *   const { simulatePool, snapshotPool } = require('./utils/poolSimulator');
+ *
+ *   const report = simulatePool(loadPoolSpec('pool.yaml'), {
+ *     players: 500,
+ *     entriesPerPlayer: [1, 10],
+ *     boosts: [{ percent: 0, weight: 8 }, { percent: 2.5, weight: 2 }],
+ *     seed: 42,
+ *   });
+ *   console.log(report.exhaustion.probability, report.proceeds.owner.mean);
+ *
+ *   const live = simulatePool(await snapshotPool(lottoClient, 3), { runs: 5000 });
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { MAX_WIN_RATE_THRESHOLD } = require('./poolOdds');
+
+// PoolManager.platformProceedsPercentage until an admin changes it
+const DEFAULT_PLATFORM_FEE_PERCENTAGE = 5;
+
+/**
+ * mulberry32, seeded from a hash of the seed so strings work too
+ * @param {number|string} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+function createRandom(seed) {
+	let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+	return () => {
+		state = (state + 0x6D2B79F5) | 0;
+		let t = Math.imul(state ^ (state >>> 15), 1 | state);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Mean, standard deviation and percentiles of one figure over the runs
+ * @param {number[]} values
+ */
+function summarize(values) {
+	if (values.length === 0) return null;
+
+	const sorted = [...values].sort((a, b) => a - b);
+	const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+	const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+	const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+	return {
+		mean,
+		stdDev: Math.sqrt(variance),
+		min: sorted[0],
+		p5: percentile(0.05),
+		median: percentile(0.5),
+		p95: percentile(0.95),
+		max: sorted[sorted.length - 1],
+	};
+}
+
+function validateSettings(pool, options) {
+	const {
+		runs = 1000,
+		seed = 1,
+		players = 100,
+		entriesPerPlayer = 1,
+		boosts = [{ percent: 0, weight: 1 }],
+		entriesPerDay = null,
+	} = options;
+
+	const [minEntries, maxEntries] = Array.isArray(entriesPerPlayer) ? entriesPerPlayer : [entriesPerPlayer, entriesPerPlayer];
+	const problems = [];
+	if (!Number.isInteger(runs) || runs < 1) problems.push(`runs must be a positive integer, got ${runs}`);
+	if (!Number.isInteger(players) || players < 1) problems.push(`players must be a positive integer, got ${players}`);
+	if (!Number.isInteger(minEntries) || !Number.isInteger(maxEntries) || minEntries < 1 || maxEntries < minEntries) {
+		problems.push(`entriesPerPlayer must be a positive integer or [min, max], got ${JSON.stringify(entriesPerPlayer)}`);
+	}
+	if (!Array.isArray(boosts) || boosts.length === 0 || !boosts.every(b => b.percent >= 0 && b.weight > 0)) {
+		problems.push('boosts must be a list of { percent >= 0, weight > 0 }');
+	}
+	if (entriesPerDay !== null && !(entriesPerDay > 0)) problems.push(`entriesPerDay must be positive, got ${entriesPerDay}`);
+
+	const burnPercentage = options.burnPercentage ?? pool.burnPercentage ?? 0;
+	const platformFeePercentage = options.platformFeePercentage ?? pool.platformFeePercentage ?? DEFAULT_PLATFORM_FEE_PERCENTAGE;
+	if (!(burnPercentage >= 0 && burnPercentage <= 100)) problems.push(`burnPercentage must be 0-100, got ${burnPercentage}`);
+	if (!(platformFeePercentage >= 0 && platformFeePercentage <= 100)) {
+		problems.push(`platformFeePercentage must be 0-100, got ${platformFeePercentage}`);
+	}
+
+	if (problems.length > 0) {
+		throw new Error(`Invalid simulation settings:\n  - ${problems.join('\n  - ')}`);
+	}
+
+	const totalWeight = boosts.reduce((sum, b) => sum + b.weight, 0);
+	const globalPool = options.globalPool ?? pool.globalPool ?? false;
+	const lazyToken = options.lazyToken ?? pool.lazyToken ?? null;
+	return {
+		runs,
+		seed,
+		players,
+		entriesPerPlayer: [minEntries, maxEntries],
+		boosts: boosts.map(b => ({
+			percent: b.percent,
+			boost: Math.round(b.percent * 1_000_000),
+			probability: b.weight / totalWeight,
+		})),
+		entriesPerDay,
+		globalPool,
+		lazyToken,
+		burnPercentage: pool.entryFee.token === lazyToken ? burnPercentage : 0,
+		// recordPoolCreation sets 0 for global pools
+		platformFeePercentage: globalPool ? 0 : platformFeePercentage,
+	};
+}
+
+/**
+ * One pass of players through the pool
+ * @returns {Object} figures for this run
+ */
+function simulateRun(pool, settings, random) {
+	const [minEntries, maxEntries] = settings.entriesPerPlayer;
+	const remaining = pool.prizes.map((_, index) => index);
+	const paidOut = new Map();
+	let entries = 0;
+	let players = 0;
+	let wins = 0;
+	let nfts = 0;
+	let exhaustedAt = null;
+
+	while (players < settings.players && remaining.length > 0) {
+		players++;
+		const count = minEntries + Math.floor(random() * (maxEntries - minEntries + 1));
+
+		let pick = random();
+		const { boost } = settings.boosts.find(b => (pick -= b.probability) < 0) ?? settings.boosts[settings.boosts.length - 1];
+		const threshold = Math.min(pool.winRateThousandthsOfBps + boost, MAX_WIN_RATE_THRESHOLD);
+
+		for (let i = 0; i < count; i++) {
+			entries++;
+			if (Math.floor(random() * MAX_WIN_RATE_THRESHOLD) >= threshold) continue;
+			wins++;
+			if (remaining.length === 0) continue;
+
+			const index = Math.floor(random() * remaining.length);
+			const prize = pool.prizes[remaining[index]];
+			remaining[index] = remaining[remaining.length - 1];
+			remaining.pop();
+
+			if (prize.amount > 0) paidOut.set(prize.token, (paidOut.get(prize.token) ?? 0) + prize.amount);
+			nfts += prize.nfts;
+			if (remaining.length === 0) exhaustedAt = { entries, players };
+		}
+	}
+
+	const gross = entries * pool.fee;
+	const burned = gross * settings.burnPercentage / 100;
+	const collected = gross - burned;
+	const platform = settings.globalPool ? collected : collected * settings.platformFeePercentage / 100;
+
+	return {
+		entries,
+		players,
+		wins,
+		prizesAwarded: pool.prizes.length - remaining.length,
+		prizesLeft: remaining.length,
+		exhaustedAt,
+		gross,
+		burned,
+		collected,
+		platform,
+		owner: collected - platform,
+		paidOut,
+		nfts,
+	};
+}
+
+/**
+ * Whole-unit numbers from a spec or snapshot
+ */
+function normalizePool(pool) {
+	const toNumber = (value, what) => {
+		const number = Number(value);
+		if (!Number.isFinite(number) || number < 0) throw new Error(`Invalid ${what}: ${value}`);
+		return number;
+	};
+
+	if (!(pool.winRateThousandthsOfBps > 0)) {
+		throw new Error(`Invalid win rate: ${pool.winRateThousandthsOfBps}`);
+	}
+	if (!Array.isArray(pool.prizes) || pool.prizes.length === 0) {
+		throw new Error('The pool has no prizes to simulate');
+	}
+
+	return {
+		winRateThousandthsOfBps: pool.winRateThousandthsOfBps,
+		fee: toNumber(pool.entryFee.amount, 'entry fee'),
+		prizes: pool.prizes.map((prize, i) => ({
+			token: prize.token,
+			symbol: prize.symbol ?? prize.token,
+			amount: toNumber(prize.amount, `prizes[${i}].amount`),
+			nfts: (prize.nfts ?? []).reduce((sum, nft) => sum + nft.serials.length, 0),
+		})),
+	};
+}
+
+/**
+ * Run the Monte Carlo simulation
+ *
+ * @param {Object} pool - validated pool spec (loadPoolSpec) or snapshotPool result
+ * @param {Object} [options]
+ * @param {number} [options.runs=1000]
+ * @param {number|string} [options.seed=1]
+ * @param {number} [options.players=100] - players arriving per run
+ * @param {number|number[]} [options.entriesPerPlayer=1] - fixed, or [min, max] uniformly
+ * @param {{percent: number, weight: number}[]} [options.boosts] - boost distribution (default: everyone 0%)
+ * @param {number} [options.entriesPerDay] - to turn entries into days
+ * @param {number} [options.burnPercentage] - LazyLotto burn on LAZY fees (default: snapshot, else 0)
+ * @param {string} [options.lazyToken] - LAZY token ID (default: snapshot)
+ * @param {number} [options.platformFeePercentage] - PoolManager cut of proceeds (default: snapshot, else 5)
+ * @param {boolean} [options.globalPool] - admin pool without an owner (default: snapshot, else false)
+ * @returns {Object} report
+ */
+function simulatePool(pool, options = {}) {
+	const model = normalizePool(pool);
+	const settings = validateSettings(pool, options);
+	const random = createRandom(settings.seed);
+
+	const results = [];
+	for (let run = 0; run < settings.runs; run++) {
+		results.push(simulateRun(model, settings, random));
+	}
+
+	const figure = key => summarize(results.map(result => result[key]));
+	const exhausted = results.filter(result => result.exhaustedAt);
+	const exhaustedEntries = exhausted.map(result => result.exhaustedAt.entries);
+
+	const prizeTokens = new Map();
+	for (const prize of model.prizes) {
+		if (prize.amount > 0) prizeTokens.set(prize.token, prize.symbol);
+	}
+
+	return {
+		poolId: pool.poolId ?? null,
+		runs: settings.runs,
+		seed: settings.seed,
+		players: settings.players,
+		entriesPerPlayer: settings.entriesPerPlayer,
+		boosts: settings.boosts,
+		winRateThousandthsOfBps: model.winRateThousandthsOfBps,
+		entryFee: { token: pool.entryFee.token, symbol: pool.entryFee.symbol ?? pool.entryFee.token, amount: model.fee },
+		prizeCount: model.prizes.length,
+		burnPercentage: settings.burnPercentage,
+		platformFeePercentage: settings.platformFeePercentage,
+		globalPool: settings.globalPool,
+		entries: figure('entries'),
+		playersServed: figure('players'),
+		wins: figure('wins'),
+		prizesAwarded: figure('prizesAwarded'),
+		prizesLeft: figure('prizesLeft'),
+		exhaustion: {
+			// share of runs in which the last prize was won
+			probability: exhausted.length / settings.runs,
+			entries: summarize(exhaustedEntries),
+			players: summarize(exhausted.map(result => result.exhaustedAt.players)),
+			days: settings.entriesPerDay ? summarize(exhaustedEntries.map(entries => entries / settings.entriesPerDay)) : null,
+		},
+		// in the entry fee token
+		proceeds: {
+			gross: figure('gross'),
+			burned: figure('burned'),
+			collected: figure('collected'),
+			platform: figure('platform'),
+			owner: figure('owner'),
+		},
+		paidOut: [...prizeTokens].map(([token, symbol]) => ({
+			token,
+			symbol,
+			amount: summarize(results.map(result => result.paidOut.get(token) ?? 0)),
+		})),
+		nftsPaidOut: figure('nfts'),
+	};
+}
+
+/**
+ * A live pool in pool spec shape, with the fee settings that apply to it
+ *
+ * @param {Object} client - LazyLottoClient
+ * @param {number} poolId
+ * @returns {Promise<Object>} input for simulatePool
+ */
+async function snapshotPool(client, poolId) {
+	const [pool, prizes, owner, platformFeePercentage, config] = await Promise.all([
+		client.getPool(poolId),
+		client.getPoolPrizes(poolId),
+		client.getPoolOwner(poolId),
+		client.getPoolPlatformFee(poolId),
+		client.getConfig(),
+	]);
+
+	const whole = amount => ethers.formatUnits(amount.raw, amount.decimals);
+	return {
+		poolId: Number(poolId),
+		winRateThousandthsOfBps: pool.winRateThousandthsOfBps,
+		entryFee: { token: pool.entryFee.token, symbol: pool.entryFee.symbol, amount: whole(pool.entryFee) },
+		prizes: prizes.map(prize => ({
+			token: prize.amount?.token ?? 'HBAR',
+			symbol: prize.amount?.symbol ?? 'HBAR',
+			amount: prize.amount ? whole(prize.amount) : '0',
+			nfts: prize.nfts.map(nft => ({ tokenId: nft.tokenId, serials: nft.serials })),
+		})),
+		burnPercentage: config.burnPercentage,
+		lazyToken: config.lazyToken,
+		platformFeePercentage,
+		globalPool: owner === null,
+	};
+}
+
+module.exports = {
+	simulatePool,
+	snapshotPool,
+	createRandom,
+};
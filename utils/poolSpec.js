@@ -0,0 +1,450 @@
+/**
+ * Pool Spec
+ *
+ * Declarative pool creation: one YAML or JSON file describes the pool token,
+ * win rate, entry fee, royalties and every prize package. The spec is
+ * validated offline, then planned against the chain (creation fees,
+ * balances, allowances, NFT ownership) and finally executed as create +
+ * one addPrizePackage per prize. Progress is written to a state file after
+ * every step, so a run that fails halfway picks up where it stopped.
+ *
+ * YAML specs need the optional dependency js-yaml; JSON always works.
+ *
+ * Usage:
+ *   const { loadPoolSpec, planPoolCreation, executePoolPlan } = require('./utils/poolSpec');
+ *
+ *   const spec = loadPoolSpec('pool.yaml');
+ *   const plan = await planPoolCreation(lotto, spec);
+ *   if (plan.ready) await executePoolPlan(lotto, plan, { stateFile: 'pool.yaml.state.json' });
+ *
+ * Spec format:
+ *   name: Weekly Draw            # pool token name
+ *   symbol: WKLY
+ *   memo: Weekly community draw  # 1-100 characters
+ *   ticketCID: bafy...
+ *   winCID: bafy...
+ *   winRate: 5                   # percent
+ *   entryFee: { token: HBAR, amount: "10" }
+ *   royalties:                   # optional, max 10
+ *     - { account: 0.0.1234, percent: 5, fallbackHbar: 1 }
+ *   prizes:                      # same package shapes as addPrizesBatch.js
+ *     - hbar: "10"
+ *     - ft: { token: 0.0.5678, amount: "100" }
+ *     - hbar: "5"
+ *       nfts: [{ token: 0.0.9999, serials: [1, 2] }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const { tokenToEvmAddress, formatAmount } = require('./lazyLottoClient');
+const {
+	checkMirrorBalance,
+	checkMirrorHbarBalance,
+	checkMirrorAllowance,
+	getNFTApprovedForAllAllowances,
+	getSerialsOwned,
+} = require('./hederaMirrorHelpers');
+
+const STATE_VERSION = 1;
+
+// Matches the pool token creation HBAR LazyLottoClient.createPool sends
+const TOKEN_CREATION_TINYBARS = 20n * 100_000_000n;
+
+const TOKEN_ID = /^\d+\.\d+\.\d+$/;
+const DECIMAL = /^\d+(\.\d+)?$/;
+
+function parseYaml(text) {
+	let yaml;
+	try {
+		yaml = require('js-yaml');
+	}
+	catch {
+		throw new Error('YAML pool specs need js-yaml: npm install js-yaml (or use a .json spec)');
+	}
+	return yaml.load(text);
+}
+
+/**
+ * Parse and validate a spec file (.json, otherwise YAML)
+ * @param {string} file
+ * @returns {Object} normalised spec
+ */
+function loadPoolSpec(file) {
+	const text = fs.readFileSync(file, 'utf8');
+	const raw = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+	return validatePoolSpec(raw);
+}
+
+function isTokenRef(value) {
+	return value === 'HBAR' || TOKEN_ID.test(String(value));
+}
+
+function isAmount(value) {
+	return DECIMAL.test(String(value)) && Number(value) > 0;
+}
+
+/**
+ * Check a parsed spec and normalise it. Amounts stay human-readable strings
+ * until planPoolCreation resolves token decimals.
+ * @param {Object} raw - parsed YAML / JSON
+ * @returns {Object} normalised spec
+ */
+function validatePoolSpec(raw) {
+	const problems = [];
+	const spec = raw ?? {};
+
+	for (const field of ['name', 'symbol', 'memo', 'ticketCID', 'winCID']) {
+		if (typeof spec[field] !== 'string' || spec[field].trim() === '') {
+			problems.push(`${field} is required`);
+		}
+	}
+	if (typeof spec.memo === 'string' && spec.memo.length > 100) {
+		problems.push('memo must be at most 100 characters');
+	}
+
+	const winRate = Number(spec.winRate);
+	if (!(winRate > 0 && winRate <= 100)) {
+		problems.push('winRate must be a percentage above 0 and at most 100');
+	}
+
+	const entryFee = spec.entryFee ?? {};
+	const feeToken = String(entryFee.token ?? 'HBAR');
+	if (!isTokenRef(feeToken)) problems.push(`entryFee.token must be HBAR or 0.0.x, got ${feeToken}`);
+	if (!isAmount(entryFee.amount)) problems.push('entryFee.amount must be a positive number');
+
+	const royalties = spec.royalties ?? [];
+	if (!Array.isArray(royalties) || royalties.length > 10) {
+		problems.push('royalties must be a list of at most 10 entries');
+	}
+	else {
+		royalties.forEach((r, i) => {
+			if (!TOKEN_ID.test(String(r.account))) problems.push(`royalties[${i}].account must be 0.0.x`);
+			if (!(Number(r.percent) > 0 && Number(r.percent) <= 100)) problems.push(`royalties[${i}].percent must be above 0 and at most 100`);
+			if (r.fallbackHbar !== undefined && !(Number(r.fallbackHbar) >= 0)) problems.push(`royalties[${i}].fallbackHbar must not be negative`);
+		});
+		const total = royalties.reduce((sum, r) => sum + (Number(r.percent) || 0), 0);
+		if (total > 100) problems.push(`royalties add up to ${total}%`);
+	}
+
+	const prizes = spec.prizes ?? [];
+	const seenSerials = new Set();
+	if (!Array.isArray(prizes) || prizes.length === 0) {
+		problems.push('prizes must list at least one prize package');
+	}
+	else {
+		prizes.forEach((prize, i) => {
+			const where = `prizes[${i}]`;
+			if (prize.hbar !== undefined && prize.ft !== undefined) {
+				problems.push(`${where} can hold HBAR or one fungible token, not both`);
+			}
+			if (prize.hbar === undefined && prize.ft === undefined && !prize.nfts?.length) {
+				problems.push(`${where} needs hbar, ft or nfts`);
+			}
+			if (prize.hbar !== undefined && !isAmount(prize.hbar)) problems.push(`${where}.hbar must be a positive number`);
+			if (prize.ft !== undefined) {
+				if (!TOKEN_ID.test(String(prize.ft.token))) problems.push(`${where}.ft.token must be 0.0.x`);
+				if (!isAmount(prize.ft.amount)) problems.push(`${where}.ft.amount must be a positive number`);
+			}
+			for (const [j, nft] of (prize.nfts ?? []).entries()) {
+				if (!TOKEN_ID.test(String(nft.token))) problems.push(`${where}.nfts[${j}].token must be 0.0.x`);
+				if (!Array.isArray(nft.serials) || nft.serials.length === 0 || !nft.serials.every(s => Number.isInteger(s) && s > 0)) {
+					problems.push(`${where}.nfts[${j}].serials must be a list of serial numbers`);
+					continue;
+				}
+				for (const serial of nft.serials) {
+					const key = `${nft.token}#${serial}`;
+					if (seenSerials.has(key)) problems.push(`${key} is used by more than one prize`);
+					seenSerials.add(key);
+				}
+			}
+		});
+	}
+
+	if (problems.length > 0) {
+		throw new Error(`Invalid pool spec:\n  - ${problems.join('\n  - ')}`);
+	}
+
+	return {
+		name: spec.name,
+		symbol: spec.symbol,
+		memo: spec.memo,
+		ticketCID: spec.ticketCID,
+		winCID: spec.winCID,
+		winRateThousandthsOfBps: Math.round(winRate * 1_000_000),
+		entryFee: { token: feeToken, amount: String(entryFee.amount) },
+		royalties: royalties.map(r => ({
+			account: String(r.account),
+			percent: Number(r.percent),
+			fallbackHbar: Number(r.fallbackHbar ?? 0),
+		})),
+		prizes: prizes.map(prize => {
+			const token = prize.ft ? String(prize.ft.token) : 'HBAR';
+			const amount = prize.ft ? String(prize.ft.amount) : String(prize.hbar ?? 0);
+			return {
+				token,
+				amount,
+				nfts: (prize.nfts ?? []).map(n => ({ tokenId: String(n.token), serials: n.serials })),
+			};
+		}),
+	};
+}
+
+async function tokenInfo(lotto, tokenId) {
+	if (tokenId === 'HBAR') return { tokenId, symbol: 'HBAR', decimals: 8 };
+	return lotto.getTokenInfo(tokenToEvmAddress(tokenId));
+}
+
+function toRaw(amount, decimals) {
+	return ethers.parseUnits(amount, decimals);
+}
+
+function describeSpecPrize(prize, info) {
+	const items = [];
+	if (BigInt(prize.amount) > 0n) items.push(formatAmount(prize.amount, info.decimals, info.symbol));
+	for (const { tokenId, serials } of prize.nfts) {
+		items.push(`${tokenId} #${serials.join(', #')}`);
+	}
+	return items.join(' + ');
+}
+
+/**
+ * Resolve a validated spec against the chain: raw amounts, creation fees,
+ * what the operator must hold and which allowances are still missing
+ * @param {LazyLottoClient} lotto - client with the creating account as operator
+ * @param {Object} spec - from loadPoolSpec / validatePoolSpec
+ * @returns {Promise<Object>} plan for executePoolPlan; `ready` is false when balances or NFTs are short
+ */
+async function planPoolCreation(lotto, spec) {
+	const account = lotto.operatorId.toString();
+	const feeInfo = await tokenInfo(lotto, spec.entryFee.token);
+
+	const pool = {
+		name: spec.name,
+		symbol: spec.symbol,
+		memo: spec.memo,
+		ticketCID: spec.ticketCID,
+		winCID: spec.winCID,
+		winRateThousandthsOfBps: spec.winRateThousandthsOfBps,
+		entryFee: toRaw(spec.entryFee.amount, feeInfo.decimals).toString(),
+		feeToken: spec.entryFee.token,
+		royalties: spec.royalties.map(r => ({
+			account: r.account,
+			// percent to basis points of 10_000, as createPool.js does
+			numerator: Math.round(r.percent * 100),
+			denominator: 10_000,
+			fallbackFee: Math.round(r.fallbackHbar * 100_000_000),
+		})),
+	};
+
+	const needed = new Map();
+	const add = (tokenId, raw) => needed.set(tokenId, (needed.get(tokenId) ?? 0n) + BigInt(raw));
+
+	const prizes = [];
+	for (const prize of spec.prizes) {
+		const info = await tokenInfo(lotto, prize.token);
+		const raw = toRaw(prize.amount, info.decimals).toString();
+		const resolved = { token: prize.token, amount: raw, nfts: prize.nfts };
+		resolved.description = describeSpecPrize(resolved, info);
+		prizes.push(resolved);
+		if (BigInt(raw) > 0n) add(prize.token, raw);
+	}
+
+	// LazyLotto admins create pools without the PoolManager fees
+	const admin = await lotto.isAdmin();
+	const fees = admin ? null : await lotto.getCreationFees();
+	if (fees) {
+		add('HBAR', fees.hbar.raw);
+		if (BigInt(fees.lazy.raw) > 0n) add(fees.lazy.token, fees.lazy.raw);
+	}
+	add('HBAR', TOKEN_CREATION_TINYBARS);
+
+	const requirements = [];
+	const allowances = [];
+	for (const [tokenId, raw] of needed) {
+		const info = await tokenInfo(lotto, tokenId);
+		const balance = tokenId === 'HBAR'
+			? await checkMirrorHbarBalance(lotto.env, account)
+			: await checkMirrorBalance(lotto.env, account, tokenId);
+		const amount = value => ({ raw: value.toString(), formatted: formatAmount(value, info.decimals, info.symbol) });
+		requirements.push({
+			token: tokenId,
+			required: amount(raw),
+			// null when the account is not associated with the token
+			balance: balance === null ? null : amount(balance),
+			sufficient: balance !== null && BigInt(balance) >= raw,
+		});
+
+		if (tokenId !== 'HBAR') {
+			const spender = await lotto.getFungibleSpender(tokenId);
+			const current = await checkMirrorAllowance(lotto.env, account, tokenId, spender);
+			allowances.push({
+				token: tokenId,
+				spender,
+				required: amount(raw),
+				current: amount(current ?? 0),
+				sufficient: BigInt(current ?? 0) >= raw,
+			});
+		}
+	}
+
+	const nftsByToken = new Map();
+	for (const prize of prizes) {
+		for (const { tokenId, serials } of prize.nfts) {
+			nftsByToken.set(tokenId, [...(nftsByToken.get(tokenId) ?? []), ...serials]);
+		}
+	}
+
+	const missingNFTs = [];
+	if (nftsByToken.size > 0) {
+		const storageId = (await lotto.getStorageId()).toString();
+		const approved = (await getNFTApprovedForAllAllowances(lotto.env, account)).get(storageId) ?? [];
+		for (const [tokenId, serials] of nftsByToken) {
+			const owned = await getSerialsOwned(lotto.env, account, tokenId) ?? [];
+			const missing = serials.filter(s => !owned.includes(s));
+			if (missing.length > 0) missingNFTs.push({ tokenId, serials: missing });
+			allowances.push({ token: tokenId, spender: storageId, required: { raw: null, formatted: 'all serials' }, current: { raw: null, formatted: approved.includes(tokenId) ? 'all serials' : 'none' }, sufficient: approved.includes(tokenId) });
+		}
+	}
+
+	return {
+		pool,
+		prizes,
+		admin,
+		fees,
+		requirements,
+		allowances,
+		missingNFTs,
+		ready: requirements.every(r => r.sufficient) && missingNFTs.length === 0,
+	};
+}
+
+function specHash(plan) {
+	const content = JSON.stringify({ pool: plan.pool, prizes: plan.prizes.map(({ token, amount, nfts }) => ({ token, amount, nfts })) });
+	return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function loadState(stateFile) {
+	if (!stateFile || !fs.existsSync(stateFile)) return null;
+	const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+	if (state.version !== STATE_VERSION) {
+		throw new Error(`Unsupported state version ${state.version} in ${stateFile}`);
+	}
+	return state;
+}
+
+function saveState(stateFile, state) {
+	if (!stateFile) return;
+	const dir = path.dirname(stateFile);
+	if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+	// write then rename so a crash never leaves a truncated state file
+	const tmp = `${stateFile}.tmp`;
+	fs.writeFileSync(tmp, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+	fs.renameSync(tmp, stateFile);
+}
+
+/**
+ * Create the pool and load its prizes, resuming from `stateFile` if a
+ * previous run stopped part way
+ * @param {LazyLottoClient} lotto
+ * @param {Object} plan - from planPoolCreation
+ * @param {Object} [options]
+ * @param {string} [options.stateFile] - progress file (no resume without one)
+ * @param {number} [options.poolId] - pool created by an interrupted run that never recorded it
+ * @param {function(Object): void} [options.onStep] - called after each completed step
+ * @returns {Promise<{poolId: number, created: boolean, added: number, skipped: number, state: Object}>}
+ */
+async function executePoolPlan(lotto, plan, options = {}) {
+	const { stateFile = null, onStep = () => undefined } = options;
+	const hash = specHash(plan);
+	const contractId = lotto.contractId.toString();
+
+	let state = loadState(stateFile);
+	if (state) {
+		if (state.env !== lotto.env || state.contractId !== contractId) {
+			throw new Error(`State file ${stateFile} is for ${state.contractId} on ${state.env}`);
+		}
+		if (state.specHash !== hash) {
+			throw new Error(`The spec changed since ${stateFile} was written; delete it to start a new pool`);
+		}
+	}
+	else {
+		state = { version: STATE_VERSION, env: lotto.env, contractId, specHash: hash, poolId: null, creating: false, createTransaction: null, prizes: {} };
+	}
+
+	if (options.poolId !== undefined && options.poolId !== null) {
+		state.poolId = Number(options.poolId);
+		state.creating = false;
+		saveState(stateFile, state);
+	}
+
+	let created = false;
+	if (state.poolId === null) {
+		if (state.creating) {
+			throw new Error('A previous run sent createPool but never recorded the pool ID; check `lazy-lotto pools` and pass it with --pool-id');
+		}
+
+		state.creating = true;
+		saveState(stateFile, state);
+
+		const result = await lotto.createPool(plan.pool);
+		state.poolId = result.poolId ?? (await lotto.getTotalPools()) - 1;
+		state.creating = false;
+		state.createTransaction = result.transactionId;
+		saveState(stateFile, state);
+		created = true;
+		onStep({ step: 'create', poolId: state.poolId, transactionId: result.transactionId });
+	}
+
+	const remaining = plan.prizes
+		.map((prize, index) => ({ prize, index }))
+		.filter(({ index }) => !state.prizes[index]);
+
+	// Approve the remaining total once; per-package checks then see enough allowance
+	const fungible = new Map();
+	const nftTokens = new Set();
+	for (const { prize } of remaining) {
+		if (prize.token !== 'HBAR' && BigInt(prize.amount) > 0n) {
+			fungible.set(prize.token, (fungible.get(prize.token) ?? 0n) + BigInt(prize.amount));
+		}
+		prize.nfts.forEach(n => nftTokens.add(n.tokenId));
+	}
+	for (const [tokenId, total] of fungible) {
+		await lotto.ensureFungibleAllowance(tokenId, await lotto.getFungibleSpender(tokenId), total);
+	}
+	if (nftTokens.size > 0) {
+		await lotto.ensureNFTAllowance([...nftTokens], (await lotto.getStorageId()).toString());
+	}
+
+	for (const { prize, index } of remaining) {
+		let result;
+		try {
+			result = await lotto.addPrizePackage(state.poolId, prize);
+		}
+		catch (error) {
+			const where = stateFile ? `; progress is saved in ${stateFile}, run again to resume` : '';
+			throw new Error(`Prize ${index + 1} of ${plan.prizes.length} (${prize.description}) failed: ${error.message}${where}`);
+		}
+		state.prizes[index] = result.transactionId;
+		saveState(stateFile, state);
+		onStep({ step: 'prize', poolId: state.poolId, index, total: plan.prizes.length, description: prize.description, transactionId: result.transactionId });
+	}
+
+	return {
+		poolId: state.poolId,
+		created,
+		added: remaining.length,
+		skipped: plan.prizes.length - remaining.length,
+		state,
+	};
+}
+
+module.exports = {
+	loadPoolSpec,
+	validatePoolSpec,
+	planPoolCreation,
+	executePoolPlan,
+};
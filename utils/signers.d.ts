@@ -0,0 +1,144 @@
+import type {
+	AccountId,
+	Client,
+	ContractId,
+	Hbar,
+	PrivateKey,
+	PublicKey,
+	Transaction,
+	TransactionReceipt,
+	TransactionRecord,
+} from '@hashgraph/sdk';
+import type { Interface, Result } from 'ethers';
+import type { Environment } from './hederaMirrorHelpers';
+
+export interface SignerResult {
+	success: boolean;
+	/** receipt / mirror status, or FAILED, REJECTED, EXPORTED */
+	status: string;
+	transactionId: string | null;
+	receipt: TransactionReceipt | null;
+	/** only PrivateKeySigner can fetch a record; others leave this null */
+	record: TransactionRecord | null;
+	error: string | null;
+	/** the frozen transaction written for offline signing (EXPORTED) */
+	transactionFile?: string;
+}
+
+export interface SignerExecuteOptions {
+	errorInterfaces?: Interface | Interface[];
+	/** description shown to multi-sig signers */
+	metadata?: Record<string, unknown>;
+}
+
+export interface Signer {
+	accountId: AccountId;
+	env?: Environment | null;
+	execute(transaction: Transaction, options?: SignerExecuteOptions): Promise<SignerResult>;
+	close?(): void;
+}
+
+export interface PrivateKeySignerOptions {
+	accountId: AccountId | string;
+	privateKey?: PrivateKey | string;
+	env?: Environment;
+	client?: Client;
+}
+
+export declare class PrivateKeySigner implements Signer {
+	constructor(options: PrivateKeySignerOptions);
+	accountId: AccountId;
+	env: Environment | null;
+	client: Client;
+	execute(transaction: Transaction, options?: SignerExecuteOptions): Promise<SignerResult>;
+	/** closes the client only if this signer created it */
+	close(): void;
+}
+
+export interface MultiSigConfig {
+	enabled?: boolean;
+	workflow: 'interactive' | 'offline';
+	threshold?: number | null;
+	keyFiles?: string[];
+	signerLabels?: string[];
+	signatureFiles?: string[];
+	exportOnly?: boolean;
+	[key: string]: unknown;
+}
+
+export interface MultiSigSignerOptions {
+	client: Client;
+	accountId: AccountId | string;
+	config: MultiSigConfig;
+	/** defaults to process.env.ENVIRONMENT */
+	env?: Environment;
+	/** close the client with the signer (default false) */
+	ownsClient?: boolean;
+}
+
+export declare class MultiSigSigner implements Signer {
+	constructor(options: MultiSigSignerOptions);
+	accountId: AccountId;
+	env: Environment;
+	client: Client;
+	config: MultiSigConfig;
+	execute(transaction: Transaction, options?: SignerExecuteOptions): Promise<SignerResult>;
+	close(): void;
+}
+
+export interface WalletSubmitContext {
+	transactionId: string;
+	accountId: string;
+}
+
+export interface ExternalWalletSignerOptions {
+	env: Environment;
+	accountId: AccountId | string;
+	/** sign and submit the frozen bytes; may resolve to the submitted transaction ID */
+	signAndSubmit(bytes: Uint8Array, context: WalletSubmitContext): Promise<string | { transactionId: string } | void | null>;
+	/** nodes to freeze for, default ['0.0.3'] */
+	nodeAccountIds?: (AccountId | string)[];
+}
+
+export declare class ExternalWalletSigner implements Signer {
+	constructor(options: ExternalWalletSignerOptions);
+	accountId: AccountId;
+	env: Environment;
+	nodeAccountIds: AccountId[];
+	freeze<T extends Transaction>(transaction: T): T;
+	execute(transaction: Transaction): Promise<SignerResult>;
+}
+
+export interface CommandSignerOptions {
+	env: Environment;
+	accountId: AccountId | string;
+	/** shell command: bytes to sign as hex on stdin, 64-byte signature as hex on stdout */
+	command: string;
+	/** key the command signs for (DER or raw hex) */
+	publicKey: PublicKey | string;
+	/** default 120000 */
+	timeoutMs?: number;
+}
+
+export declare class CommandSigner extends PrivateKeySigner {
+	constructor(options: CommandSignerOptions);
+	command: string;
+}
+
+export interface ContractCallOptions {
+	contractId: ContractId;
+	iface: Interface;
+	fcnName: string;
+	params?: unknown[];
+	gas?: number;
+	payableAmount?: Hbar | number;
+	errorInterfaces?: Interface | Interface[];
+	env?: Environment;
+}
+
+export interface ContractCallResult extends SignerResult {
+	results: Result | null;
+}
+
+export declare function executeContractCall(signer: Signer, options: ContractCallOptions): Promise<ContractCallResult>;
+export declare function isSigner(candidate: unknown): candidate is Signer;
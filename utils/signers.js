@@ -0,0 +1,518 @@
+/**
+ * Transaction Signers
+ *
+ * Pluggable signing layer for write operations. Anything that can take an
+ * unfrozen Hedera transaction, get it signed and submitted, and report the
+ * outcome is a Signer:
+ *
+ *   {
+ *     accountId: AccountId,                         // payer and `from` account
+ *     env: string,                                  // used for mirror node lookups
+ *     execute(transaction, options) => Promise<SignerResult>,
+ *     close() => void,                              // optional
+ *   }
+ *
+ * SignerResult is { success, status, transactionId, receipt, record, error }.
+ * `record` is only present when the signer could fetch it from consensus
+ * (PrivateKeySigner); other signers leave it null and callers fall back to
+ * the mirror node.
+ *
+ * Implementations:
+ *   - PrivateKeySigner      local key, executes through a Hedera Client
+ *   - MultiSigSigner        WorkflowOrchestrator (interactive / offline)
+ *   - ExternalWalletSigner  hands frozen transaction bytes to a wallet
+ *                           (HashPack, WalletConnect, Ledger, ...)
+ *   - CommandSigner         PrivateKeySigner whose signatures come from an
+ *                           external command (HSM, KMS or hardware bridge)
+ *
+ * Usage:
+ *   const { PrivateKeySigner } = require('@lazysuperheroes/lazy-lotto');
+ *
+ *   const signer = new PrivateKeySigner({ env: 'testnet', accountId, privateKey });
+ *   const lotto = new LazyLottoClient({ env: 'testnet', contractId, signer });
+ */
+
+const {
+	AccountId,
+	PublicKey,
+	TransactionId,
+	ContractExecuteTransaction,
+} = require('@hashgraph/sdk');
+
+const { parseError, parseErrorTransactionId } = require('./solidityHelpers');
+const { parsePrivateKey } = require('./keySources');
+const {
+	getContractResultWithRetry,
+	getTransactionStatusWithRetry,
+	translateTransactionForWebCall,
+} = require('./hederaMirrorHelpers');
+
+// Node the external wallet submits to unless the caller picks others
+const DEFAULT_WALLET_NODE = '0.0.3';
+
+// How long an external signing command may take (it may wait for a human)
+const SIGN_COMMAND_TIMEOUT_MS = 120_000;
+
+// Mirror node polling used when a signer cannot return a record
+const MIRROR_POLL_OPTIONS = {
+	initialDelay: 5000,
+	retryDelay: 3000,
+	maxRetries: 10,
+	verbose: false,
+};
+
+/**
+ * Check whether an object implements the Signer interface
+ * @param {*} candidate
+ * @returns {boolean}
+ */
+function isSigner(candidate) {
+	return !!candidate && typeof candidate.execute === 'function' && !!candidate.accountId;
+}
+
+function describeError(error) {
+	return error === null || error === undefined ? 'unknown error' : error.toString();
+}
+
+/**
+ * Signs with a local private key via a Hedera Client
+ */
+class PrivateKeySigner {
+	/**
+	 * @param {Object} options
+	 * @param {AccountId|string} options.accountId - operator account
+	 * @param {PrivateKey|string} [options.privateKey] - required unless the client already has an operator;
+	 *        strings may be DER (either curve), 0x-prefixed ECDSA hex or raw ED25519 hex
+	 * @param {string} [options.env] - MAIN, TEST, PREVIEW (used to build a client if none supplied)
+	 * @param {Client} [options.client] - existing client to execute with
+	 */
+	constructor(options = {}) {
+		const { accountId, privateKey, env, client } = options;
+
+		if (!accountId) {
+			throw new Error('PrivateKeySigner requires an accountId');
+		}
+
+		this.accountId = AccountId.fromString(accountId.toString());
+		this.env = env ?? null;
+
+		const key = typeof privateKey === 'string' ? parsePrivateKey(privateKey) : privateKey;
+
+		if (client) {
+			this.client = client;
+			this._ownsClient = false;
+			if (key && !client.operatorAccountId) {
+				client.setOperator(this.accountId, key);
+			}
+		}
+		else {
+			if (!env || !key) {
+				throw new Error('PrivateKeySigner requires either a client or both env and privateKey');
+			}
+			// declared here to avoid circular dependency
+			const { createHederaClient } = require('./lazyLottoClient');
+			this.client = createHederaClient(env);
+			this.client.setOperator(this.accountId, key);
+			this._ownsClient = true;
+		}
+	}
+
+	/**
+	 * @param {Transaction} transaction - unfrozen transaction
+	 * @param {Object} [options]
+	 * @param {ethers.Interface|ethers.Interface[]} [options.errorInterfaces] - used to decode reverts
+	 * @returns {Promise<Object>} SignerResult
+	 */
+	async execute(transaction, options = {}) {
+		const { errorInterfaces } = options;
+		let response;
+
+		try {
+			response = await transaction.execute(this.client);
+			const receipt = await response.getReceipt(this.client);
+			const record = await response.getRecord(this.client);
+
+			return {
+				success: true,
+				status: receipt.status.toString(),
+				transactionId: response.transactionId.toString(),
+				receipt,
+				record,
+				error: null,
+			};
+		}
+		catch (err) {
+			const transactionId = err.transactionId ?? response?.transactionId ?? null;
+			const status = err.status?.toString() ?? 'FAILED';
+			let error = status === 'FAILED' ? err.message : status;
+
+			if (errorInterfaces && err.contractFunctionResult?.errorMessage) {
+				error = describeError(parseError(errorInterfaces, err.contractFunctionResult.errorMessage));
+			}
+			else if (errorInterfaces && transactionId && status === 'CONTRACT_REVERT_EXECUTED') {
+				try {
+					error = describeError(await parseErrorTransactionId(this.client, transactionId, errorInterfaces));
+				}
+				catch {
+					// keep the receipt status as the error
+				}
+			}
+
+			return {
+				success: false,
+				status,
+				transactionId: transactionId?.toString() ?? null,
+				receipt: null,
+				record: null,
+				error,
+			};
+		}
+	}
+
+	close() {
+		if (this._ownsClient) {
+			this.client.close();
+		}
+	}
+}
+
+/**
+ * Run a signing command: message bytes as hex on stdin, signature hex on stdout
+ * @param {string} command - run through the shell
+ * @param {Uint8Array} message
+ * @param {number} timeoutMs
+ * @returns {Promise<Uint8Array>} 64-byte signature
+ */
+function runSignCommand(command, message, timeoutMs) {
+	// declared here so only command signers load child_process
+	const { spawn } = require('child_process');
+	return new Promise((resolve, reject) => {
+		const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+		let stdout = '';
+		let stderr = '';
+		const timer = setTimeout(() => {
+			child.kill();
+			reject(new Error(`Signing command timed out after ${timeoutMs / 1000}s`));
+		}, timeoutMs);
+
+		child.stdout.on('data', chunk => { stdout += chunk; });
+		child.stderr.on('data', chunk => { stderr += chunk; });
+		child.on('error', error => {
+			clearTimeout(timer);
+			reject(new Error(`Signing command failed to start: ${error.message}`));
+		});
+		child.on('close', code => {
+			clearTimeout(timer);
+			if (code !== 0) {
+				reject(new Error(`Signing command exited with ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+				return;
+			}
+			const hex = stdout.trim().replace(/^0x/i, '');
+			if (!/^[0-9a-fA-F]{128}$/.test(hex)) {
+				reject(new Error('Signing command must print a 64-byte signature as hex'));
+				return;
+			}
+			resolve(Uint8Array.from(Buffer.from(hex, 'hex')));
+		});
+
+		child.stdin.end(Buffer.from(message).toString('hex'));
+	});
+}
+
+/**
+ * Signs with an external command instead of a local key
+ *
+ * The command runs once per signature, gets the bytes to sign as hex on
+ * stdin and prints the raw signature (64 bytes, hex) on stdout. Execution,
+ * receipts and records are the same as PrivateKeySigner.
+ */
+class CommandSigner extends PrivateKeySigner {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.env - MAIN, TEST, PREVIEW
+	 * @param {AccountId|string} options.accountId - operator account
+	 * @param {string} options.command - shell command that signs stdin
+	 * @param {PublicKey|string} options.publicKey - key the command signs for (DER or raw hex)
+	 * @param {number} [options.timeoutMs=120000]
+	 */
+	constructor(options = {}) {
+		const { env, accountId, command, publicKey, timeoutMs = SIGN_COMMAND_TIMEOUT_MS } = options;
+
+		if (!env || !accountId || !command || !publicKey) {
+			throw new Error('CommandSigner requires an env, accountId, command and publicKey');
+		}
+
+		// declared here to avoid circular dependency
+		const { createHederaClient } = require('./lazyLottoClient');
+		const client = createHederaClient(env);
+		client.setOperatorWith(
+			AccountId.fromString(accountId.toString()),
+			typeof publicKey === 'string' ? PublicKey.fromString(publicKey) : publicKey,
+			message => runSignCommand(command, message, timeoutMs),
+		);
+
+		super({ accountId, env, client });
+		this.command = command;
+		this._ownsClient = true;
+	}
+}
+
+/**
+ * Signs through the hedera-multisig WorkflowOrchestrator
+ *
+ * Follows the same interactive / offline / export-only rules as
+ * contractExecuteFunctionMultiSig (see parseMultiSigArgs for the config).
+ */
+class MultiSigSigner {
+	/**
+	 * @param {Object} options
+	 * @param {Client} options.client - client used to submit (pays for nothing itself)
+	 * @param {AccountId|string} options.accountId - the multi-sig account
+	 * @param {Object} options.config - multi-sig configuration from parseMultiSigArgs
+	 * @param {string} [options.env] - defaults to process.env.ENVIRONMENT
+	 * @param {boolean} [options.ownsClient=false] - close the client with the signer
+	 */
+	constructor(options = {}) {
+		const { client, accountId, config, env, ownsClient = false } = options;
+
+		if (!client || !accountId || !config) {
+			throw new Error('MultiSigSigner requires a client, accountId and multi-sig config');
+		}
+
+		this.client = client;
+		this.accountId = AccountId.fromString(accountId.toString());
+		this.config = config;
+		this.env = env ?? process.env.ENVIRONMENT ?? 'testnet';
+		this._ownsClient = ownsClient;
+	}
+
+	/**
+	 * @param {Transaction} transaction - unfrozen transaction
+	 * @param {Object} [options]
+	 * @param {Object} [options.metadata] - description shown to the other signers
+	 * @returns {Promise<Object>} SignerResult
+	 */
+	async execute(transaction, options = {}) {
+		// loaded lazily so the multi-sig library is only needed when used
+		const { executeTransactionMultiSig } = require('./multiSigIntegration');
+
+		if (!transaction.transactionId) {
+			transaction.setTransactionId(TransactionId.generate(this.accountId));
+		}
+
+		let result;
+		try {
+			result = await executeTransactionMultiSig(transaction, this.client, this.config, options.metadata ?? {});
+		}
+		catch (err) {
+			return {
+				success: false,
+				status: 'FAILED',
+				transactionId: null,
+				receipt: null,
+				record: null,
+				error: err.message,
+			};
+		}
+
+		if (this.config.exportOnly) {
+			return {
+				success: false,
+				status: 'EXPORTED',
+				transactionId: null,
+				receipt: null,
+				record: null,
+				error: `Transaction exported for offline signing: ${result.transactionFile}`,
+				transactionFile: result.transactionFile,
+			};
+		}
+
+		const transactionId = result.transactionId?.toString() ?? result.receipt?.transactionId?.toString() ?? null;
+
+		return {
+			success: !!(result.success && result.receipt),
+			status: result.receipt?.status?.toString() ?? 'FAILED',
+			transactionId,
+			receipt: result.receipt ?? null,
+			record: null,
+			error: result.success ? null : describeError(result.error),
+		};
+	}
+
+	close() {
+		if (this._ownsClient) {
+			this.client.close();
+		}
+	}
+}
+
+/**
+ * Hands frozen transaction bytes to an external wallet
+ *
+ * The wallet callback receives the bytes, signs and submits them, and
+ * resolves once submitted. The outcome is then read from the mirror node.
+ */
+class ExternalWalletSigner {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.env - environment used for mirror node lookups
+	 * @param {AccountId|string} options.accountId - wallet account (payer)
+	 * @param {function(Uint8Array, Object): Promise<(string|Object|void)>} options.signAndSubmit -
+	 *        receives (bytes, { transactionId, accountId }); may resolve to the
+	 *        submitted transaction ID (string or { transactionId })
+	 * @param {Array<AccountId|string>} [options.nodeAccountIds] - nodes to freeze for (default 0.0.3)
+	 */
+	constructor(options = {}) {
+		const { env, accountId, signAndSubmit, nodeAccountIds } = options;
+
+		if (!env || !accountId) {
+			throw new Error('ExternalWalletSigner requires an env and accountId');
+		}
+		if (typeof signAndSubmit !== 'function') {
+			throw new Error('ExternalWalletSigner requires a signAndSubmit(bytes, context) callback');
+		}
+
+		this.env = env;
+		this.accountId = AccountId.fromString(accountId.toString());
+		this.signAndSubmit = signAndSubmit;
+		this.nodeAccountIds = (nodeAccountIds ?? [DEFAULT_WALLET_NODE]).map(id => AccountId.fromString(id.toString()));
+	}
+
+	/**
+	 * Freeze a transaction for the wallet account without needing a Client
+	 * @param {Transaction} transaction
+	 * @returns {Transaction} the frozen transaction
+	 */
+	freeze(transaction) {
+		if (transaction.isFrozen()) return transaction;
+		return transaction
+			.setTransactionId(TransactionId.generate(this.accountId))
+			.setNodeAccountIds(this.nodeAccountIds)
+			.freeze();
+	}
+
+	/**
+	 * @param {Transaction} transaction - unfrozen transaction
+	 * @returns {Promise<Object>} SignerResult
+	 */
+	async execute(transaction) {
+		const frozen = this.freeze(transaction);
+		let transactionId = frozen.transactionId.toString();
+
+		try {
+			const submitted = await this.signAndSubmit(frozen.toBytes(), {
+				transactionId,
+				accountId: this.accountId.toString(),
+			});
+			const returnedId = typeof submitted === 'string' ? submitted : submitted?.transactionId;
+			if (returnedId) transactionId = returnedId.toString();
+		}
+		catch (err) {
+			return {
+				success: false,
+				status: 'REJECTED',
+				transactionId,
+				receipt: null,
+				record: null,
+				error: err.message,
+			};
+		}
+
+		const status = await getTransactionStatusWithRetry(this.env, transactionId, MIRROR_POLL_OPTIONS);
+
+		return {
+			success: !!status.success,
+			status: status.result ?? 'UNKNOWN',
+			transactionId,
+			receipt: null,
+			record: null,
+			error: status.success ? null : describeError(status.error),
+		};
+	}
+}
+
+/**
+ * Execute a contract function through any Signer and decode the result
+ *
+ * Results come from the record when the signer has one, otherwise from
+ * the mirror node.
+ *
+ * @param {Object} signer - Signer implementation
+ * @param {Object} options
+ * @param {ContractId} options.contractId
+ * @param {ethers.Interface} options.iface
+ * @param {string} options.fcnName
+ * @param {Array} [options.params=[]]
+ * @param {number} [options.gas=200_000]
+ * @param {Hbar|number} [options.payableAmount=0]
+ * @param {ethers.Interface|ethers.Interface[]} [options.errorInterfaces] - defaults to iface
+ * @param {string} [options.env] - defaults to signer.env
+ * @returns {Promise<{success: boolean, status: string, transactionId: string, results: *, receipt: *, record: *, error: string}>}
+ */
+async function executeContractCall(signer, options) {
+	const {
+		contractId,
+		iface,
+		fcnName,
+		params = [],
+		gas = 200_000,
+		payableAmount = 0,
+		errorInterfaces = global.errorInterfaces || iface,
+		env = signer.env,
+	} = options;
+
+	const encodedCommand = iface.encodeFunctionData(fcnName, params);
+	const transaction = new ContractExecuteTransaction()
+		.setContractId(contractId)
+		.setGas(gas)
+		.setFunctionParameters(Buffer.from(encodedCommand.slice(2), 'hex'))
+		.setPayableAmount(payableAmount);
+
+	const outcome = await signer.execute(transaction, {
+		errorInterfaces,
+		metadata: {
+			contractId: contractId.toString(),
+			function: fcnName,
+			parameters: params,
+			gasLimit: gas,
+			hbarAmount: payableAmount.toString(),
+		},
+	});
+
+	let results = null;
+	let error = outcome.error;
+
+	if (outcome.record) {
+		try {
+			results = iface.decodeFunctionResult(fcnName, outcome.record.contractFunctionResult.bytes);
+		}
+		catch {
+			// function has no (decodable) return value
+		}
+	}
+	else if (outcome.transactionId && env && outcome.status !== 'REJECTED') {
+		const mirrorResult = await getContractResultWithRetry(
+			env,
+			translateTransactionForWebCall(outcome.transactionId),
+			iface,
+			MIRROR_POLL_OPTIONS,
+		);
+		if (mirrorResult.success) {
+			results = mirrorResult.call_result;
+		}
+		else if (!outcome.success && mirrorResult.error) {
+			error = describeError(mirrorResult.error);
+		}
+	}
+
+	return { ...outcome, results, error };
+}
+
+module.exports = {
+	PrivateKeySigner,
+	MultiSigSigner,
+	ExternalWalletSigner,
+	CommandSigner,
+	executeContractCall,
+	isSigner,
+};
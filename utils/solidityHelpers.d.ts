@@ -0,0 +1,96 @@
+import type {
+	AccountId,
+	Client,
+	ContractFunctionParameters,
+	ContractId,
+	Hbar,
+	TransactionId,
+	TransactionReceipt,
+	TransactionRecord,
+} from '@hashgraph/sdk';
+import type { Interface, Result } from 'ethers';
+import type { Environment } from './hederaMirrorHelpers';
+import type { Signer } from './signers';
+
+export { getBaseURL } from './hederaMirrorHelpers';
+
+/** A decoded custom error; plain strings are returned for reverts, panics and unknown data */
+export interface ParsedContractError {
+	name: string;
+	message: string;
+	args: Result;
+	toString(): string;
+}
+
+export declare function parseError(ifaceOrArray: Interface | Interface[], errorData: string): ParsedContractError | string;
+
+/**
+ * Decode the revert reason of a failed transaction.
+ * With a Client the record is fetched from consensus (paid), with an env string from the mirror node (free).
+ */
+export declare function parseErrorTransactionId(
+	envOrClient: Environment | Client,
+	transactionId: TransactionId,
+	ifaceOrArray: Interface | Interface[],
+): Promise<ParsedContractError | string | undefined>;
+
+/**
+ * Free read-only call through the mirror node `contracts/call` endpoint.
+ * @returns hex-encoded return data (or the gas estimate when `estimate` is true)
+ */
+export declare function readOnlyEVMFromMirrorNode(
+	env: Environment,
+	contractId: ContractId,
+	data: string,
+	from: AccountId | string,
+	estimate?: boolean,
+	gas?: number,
+	value?: number,
+): Promise<string>;
+
+/** Paid ContractCallQuery through consensus */
+export declare function contractExecuteQuery(
+	contractId: ContractId,
+	iface: Interface,
+	client: Client,
+	gasLim: number,
+	fcnName: string,
+	params?: unknown[],
+	queryCost?: Hbar | null,
+	...expectedVars: string[]
+): Promise<Result | unknown[]>;
+
+/**
+ * Execute a contract function.
+ * On success returns [receipt, decodedResults, record]; on failure the first element is `{ status: error }`.
+ */
+export declare function contractExecuteFunction(
+	contractId: ContractId,
+	iface: Interface,
+	client: Client | Signer,
+	gasLim: number,
+	fcnName: string,
+	params?: unknown[],
+	amountHbar?: Hbar | number | string,
+	flagError?: boolean,
+): Promise<[TransactionReceipt | { status: unknown }, Result | string | undefined, TransactionRecord | null | undefined]>;
+
+/** Execute a single-call setter; returns [status, results] */
+export declare function useSetter(
+	contractId: ContractId,
+	iface: Interface,
+	client: Client | Signer,
+	fcnName: string,
+	gasLim: number,
+	...values: unknown[]
+): Promise<[string | undefined, Result | string | undefined]>;
+
+export declare function linkBytecode(bytecode: string, libNameArray: string[], libAddressArray: (ContractId | string)[]): string;
+
+/** @returns [contractId, solidityAddress, deployTransactionId] */
+export declare function contractDeployFunction(
+	client: Client,
+	bytecode: string,
+	gasLim?: number,
+	params?: ContractFunctionParameters | null,
+): Promise<[ContractId, string, TransactionId]>;
@@ -285,7 +285,7 @@ async function contractExecuteQuery(contractId, iface, client, gasLim, fcnName,
  * Helper function for calling the contract methods
  * @param {ContractId} contractId the contract to call
  * @param {ethers.Interface} iface defined ABI of the contract
- * @param {Client} client the client to use for execution
+ * @param {Client | Signer} client the client to use for execution, or a Signer from signers.js
  * @param {number | Long.Long} gasLim the max gas
  * @param {string} fcnName name of the function to call
  * @param {[]} params the function arguments
@@ -302,6 +302,29 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 	// Use global error interfaces array if available, otherwise fall back to single interface
 	const errorDecoder = global.errorInterfaces || iface;
 
+	// declared here to avoid circular dependency
+	const { isSigner, executeContractCall } = require('./signers');
+	if (isSigner(client)) {
+		const outcome = await executeContractCall(client, {
+			contractId,
+			iface,
+			fcnName,
+			params,
+			gas: gasLim,
+			payableAmount: amountHbar,
+			errorInterfaces: errorDecoder,
+		});
+		if (!outcome.success) {
+			if (flagError) console.log('ERROR: Contract Transaction Failed', outcome.transactionId, outcome.error);
+			return [{ status: outcome.error }, `${outcome.transactionId}`, null];
+		}
+		return [
+			outcome.receipt ?? { status: outcome.status },
+			outcome.results,
+			outcome.record ?? { transactionId: outcome.transactionId },
+		];
+	}
+
 	const encodedCommand = iface.encodeFunctionData(fcnName, params);
 	// convert to UINT8ARRAY after stripping the '0x'
 	let contractExecuteTx;
@@ -398,7 +421,7 @@ function linkBytecode(bytecode, libNameArray, libAddressArray) {
  * @param {String} bytecode
  * @param {Number} gasLim
  * @param {ContractFunctionParameters} params
- * @returns {[ContractId, ContractAddress]} an array of the contractId and contractAddress as a string
+ * @returns {[ContractId, ContractAddress, TransactionId]} the contractId, contractAddress as a string and the deploy transaction ID
  */
 async function contractDeployFunction(client, bytecode, gasLim = 800_000, params = null) {
 	const contractCreateTx = new ContractCreateFlow()
@@ -411,7 +434,7 @@ async function contractDeployFunction(client, bytecode, gasLim = 800_000, params
 	const contractCreateRx = await contractCreateSubmit.getReceipt(client);
 	const contractId = contractCreateRx.contractId;
 	const contractAddress = contractId.toSolidityAddress();
-	return [contractId, contractAddress];
+	return [contractId, contractAddress, contractCreateSubmit.transactionId];
 }
 
 // sleep function
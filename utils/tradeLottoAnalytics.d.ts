@@ -0,0 +1,107 @@
+import type { AccountId, ContractId } from '@hashgraph/sdk';
+import type { DecodedEvent } from './contractEvents';
+import type { Environment } from './hederaMirrorHelpers';
+
+/** getLottoStats plus burnPercentage; raw $LAZY and counts as decimal strings */
+export interface TradeLottoState {
+	jackpotPool: string;
+	jackpotsWon: string;
+	jackpotPaid: string;
+	totalRolls: string;
+	totalWins: string;
+	totalPaid: string;
+	lottoLossIncrement: string;
+	maxJackpotPool: string;
+	burnPercentage: string;
+}
+
+/** One JackpotUpdate: the pool after a roll, or a boost */
+export interface JackpotPoint {
+	timestamp: string;
+	time: string;
+	kind: 'roll' | 'jackpot' | 'boost';
+	/** raw $LAZY; null for boosts before the first roll in the window */
+	jackpot: string | null;
+	/** raw $LAZY, negative when a jackpot was won; null when the pool before is not known */
+	change: string | null;
+	transactionHash: string;
+}
+
+export interface HitRate {
+	rolls: number;
+	hits: number;
+	rate: number | null;
+	expectedHits: number;
+	expectedRate: number | null;
+	/** standard deviations between realized and expected hits */
+	zScore: number | null;
+}
+
+export interface JackpotAnalytics {
+	fromTimestamp: string | null;
+	toTimestamp: string | null;
+	state: TradeLottoState;
+	timeline: JackpotPoint[];
+	rolls: { count: number; wins: number; jackpots: number };
+	hitRates: { win: HitRate; jackpot: HitRate };
+	/** averages in raw $LAZY */
+	payouts: {
+		wins: number;
+		totalWon: string;
+		averageWin: number | null;
+		averageMinWin: number | null;
+		averageMaxWin: number | null;
+		payoutToMax: number | null;
+		expectedPayoutToMax: number | null;
+	};
+	burn: {
+		paid: string;
+		burned: string;
+		received: string;
+		winBurned: string;
+		jackpotBurned: string;
+		burnFreePayouts: number;
+		payouts: number;
+	};
+	jackpots: {
+		timestamp: string;
+		time: string;
+		user: string | null;
+		amount: string | null;
+		threshold: string;
+		roll: string;
+		transactionHash: string;
+	}[];
+	projection: {
+		jackpotPool: string;
+		maxJackpotPool: string;
+		increment: string;
+		remaining: string;
+		/** null when the increment is 0 */
+		rollsNeeded: number | null;
+		rollsPerDay: number | null;
+		days: number | null;
+		eta: string | null;
+		jackpotChancePerRoll: number | null;
+		/** chance the jackpot reaches the cap before anyone wins it */
+		chanceReachesMax: number | null;
+	};
+}
+
+export declare function buildJackpotAnalytics(input: {
+	events: DecodedEvent[];
+	state: TradeLottoState;
+	burnRates?: Record<string, number>;
+	fromTimestamp?: Date | number | string | null;
+	toTimestamp?: Date | number | string | null;
+	rateDays?: number;
+	now?: number;
+}): JackpotAnalytics;
+
+export declare function getJackpotAnalytics(env: Environment, options?: {
+	contract?: ContractId | string;
+	from?: AccountId | ContractId | string;
+	fromTimestamp?: Date | number | string | null;
+	toTimestamp?: Date | number | string | null;
+	rateDays?: number;
+}): Promise<JackpotAnalytics & { contractId: string }>;
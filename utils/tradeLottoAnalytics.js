@@ -0,0 +1,312 @@
+/**
+ * LazyTradeLotto Jackpot Analytics
+ *
+ * How the jackpot has evolved, rebuilt from the contract's events. Every
+ * rollLotto ends with JackpotUpdate carrying the pool after the roll (reset
+ * by a JackpotWin, then grown by lottoLossIncrement up to maxJackpotPool);
+ * boostJackpot emits JackpotUpdate with only the amount added, so an update
+ * outside a roll transaction is a boost on top of the last known pool. The
+ * pool before the first roll in the window is not known.
+ *
+ * From the LottoRoll events come the realized regular-win and jackpot hit
+ * rates next to what the signed thresholds give (a roll wins when its
+ * random number, 0 to 100_000_000, is at or below the threshold), and the
+ * average win next to the signed min/max. $LAZY burned applies each
+ * winner's getBurnForUser to their payouts; it is read now, so a winner who
+ * has since started or stopped holding LSH NFTs is counted at today's rate.
+ * The projection assumes the recent roll pace and the current increment.
+ *
+ * buildJackpotAnalytics works on events already fetched; getJackpotAnalytics
+ * fetches them and the contract state from the mirror node.
+ *
+ * Usage:
+ *   const { getJackpotAnalytics } = require('./utils/tradeLottoAnalytics');
+ *
+ *   const report = await getJackpotAnalytics('testnet', { fromTimestamp: new Date('2025-01-01') });
+ *   console.log(report.hitRates.jackpot.rate, report.burn.burned, report.projection.eta);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AccountId, ContractId } = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+
+const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
+const { listContractEvents, toMirrorTimestamp } = require('./contractEvents');
+const { getAddresses } = require('./deploymentManifest');
+const { MAX_WIN_RATE_THRESHOLD } = require('./tradeRollPolicy');
+const { toRollResult } = require('./tradeRollStatus');
+
+const lottoIface = new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', 'LazyTradeLotto.json'), 'utf8')));
+
+const ANALYTICS_EVENTS = ['LottoRoll', 'JackpotWin', 'JackpotUpdate'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THRESHOLD_SCALE = Number(MAX_WIN_RATE_THRESHOLD);
+
+// 'seconds.nanos' -> nanoseconds, for ordering and arithmetic
+function timestampNanos(timestamp) {
+	const [seconds, nanos = '0'] = timestamp.split('.');
+	return BigInt(seconds) * 1_000_000_000n + BigInt(nanos.padEnd(9, '0'));
+}
+
+function timestampMs(timestamp) {
+	return Number(timestampNanos(timestamp) / 1_000_000n);
+}
+
+function sum(values) {
+	return values.reduce((total, value) => total + value, 0n);
+}
+
+/**
+ * Realized hits against the probabilities the signed thresholds give
+ * @param {{threshold: string, hit: boolean}[]} rolls
+ */
+function hitRate(rolls) {
+	const probabilities = rolls.map(roll => Math.min(Number(roll.threshold) / THRESHOLD_SCALE, 1));
+	const hits = rolls.filter(roll => roll.hit).length;
+	const expectedHits = probabilities.reduce((total, p) => total + p, 0);
+	const variance = probabilities.reduce((total, p) => total + p * (1 - p), 0);
+	return {
+		rolls: rolls.length,
+		hits,
+		rate: rolls.length > 0 ? hits / rolls.length : null,
+		expectedHits,
+		expectedRate: rolls.length > 0 ? expectedHits / rolls.length : null,
+		// standard deviations between realized and expected hits
+		zScore: variance > 0 ? (hits - expectedHits) / Math.sqrt(variance) : null,
+	};
+}
+
+/**
+ * Jackpot history, hit rates, payouts, burn and projection from decoded events
+ *
+ * @param {Object} input
+ * @param {Object[]} input.events - LottoRoll, JackpotWin and JackpotUpdate events (getContractEvents)
+ * @param {Object} input.state - getLottoStats fields plus burnPercentage, raw strings
+ * @param {Object} [input.burnRates] - user (as in the events) -> getBurnForUser percentage
+ * @param {Date|number|string|null} [input.fromTimestamp] - start of the window the events cover
+ * @param {Date|number|string|null} [input.toTimestamp] - end of the window (default: now)
+ * @param {number} [input.rateDays=7] - days of rolls the projected pace is taken from
+ * @param {number} [input.now=Date.now()]
+ * @returns {Object} report
+ */
+function buildJackpotAnalytics(input) {
+	const { state, burnRates = {}, rateDays = 7, now = Date.now() } = input;
+	const fromTimestamp = input.fromTimestamp == null ? null : toMirrorTimestamp(input.fromTimestamp);
+	const toTimestamp = input.toTimestamp == null ? null : toMirrorTimestamp(input.toTimestamp);
+	const events = [...input.events].sort((a, b) => {
+		const order = timestampNanos(a.timestamp) - timestampNanos(b.timestamp);
+		return order !== 0n ? (order < 0n ? -1 : 1) : (a.logIndex ?? 0) - (b.logIndex ?? 0);
+	});
+
+	// rollLotto logs JackpotWin, then LottoRoll, then JackpotUpdate with the new pool
+	const timeline = [];
+	const rolls = [];
+	let pool = null;
+	let jackpotWin = null;
+	let lastRoll = null;
+	for (const event of events) {
+		if (event.name === 'JackpotWin') {
+			jackpotWin = event;
+		}
+		else if (event.name === 'LottoRoll') {
+			const win = jackpotWin?.transactionHash === event.transactionHash ? jackpotWin : null;
+			lastRoll = toRollResult(event, win);
+			rolls.push(lastRoll);
+			jackpotWin = null;
+		}
+		else if (event.name === 'JackpotUpdate') {
+			const amount = BigInt(event.args._amount);
+			const point = {
+				timestamp: event.timestamp,
+				time: new Date(timestampMs(event.timestamp)).toISOString(),
+				kind: 'boost',
+				jackpot: null,
+				change: null,
+				transactionHash: event.transactionHash,
+			};
+			if (lastRoll?.transactionHash === event.transactionHash) {
+				const before = lastRoll.jackpotWon && lastRoll.jackpotAmount !== null ? BigInt(lastRoll.jackpotAmount) : pool;
+				point.kind = lastRoll.jackpotWon ? 'jackpot' : 'roll';
+				point.jackpot = amount.toString();
+				point.change = before === null ? null : (amount - before).toString();
+				pool = amount;
+			}
+			else {
+				point.change = amount.toString();
+				if (pool !== null) {
+					pool += amount;
+					point.jackpot = pool.toString();
+				}
+			}
+			timeline.push(point);
+			lastRoll = null;
+		}
+	}
+
+	const wins = rolls.filter(roll => roll.won);
+	const jackpots = rolls.filter(roll => roll.jackpotWon);
+
+	const totalWon = sum(wins.map(roll => BigInt(roll.winAmount)));
+	const totalMax = sum(wins.map(roll => BigInt(roll.maxWinAmt)));
+	const totalMin = sum(wins.map(roll => BigInt(roll.minWinAmt)));
+	const average = total => (wins.length > 0 ? Number(total) / wins.length : null);
+
+	// payoutLazy burns amount * getBurnForUser / 100, rounded down
+	const payouts = [
+		...wins.map(roll => ({ kind: 'win', user: roll.user, amount: BigInt(roll.winAmount) })),
+		...jackpots.filter(roll => roll.jackpotAmount !== null).map(roll => ({ kind: 'jackpot', user: roll.user, amount: BigInt(roll.jackpotAmount) })),
+	].map(payout => {
+		const burnPercentage = burnRates[payout.user] ?? Number(state.burnPercentage);
+		return { ...payout, burnPercentage, burned: payout.amount * BigInt(burnPercentage) / 100n };
+	});
+	const burnedBy = kind => sum(payouts.filter(p => p.kind === kind).map(p => p.burned)).toString();
+	const paid = sum(payouts.map(p => p.amount));
+	const burned = sum(payouts.map(p => p.burned));
+
+	// pace over the last rateDays of the window, or the whole window when shorter
+	const end = toTimestamp === null ? now : Math.min(timestampMs(toTimestamp), now);
+	const start = fromTimestamp !== null ? timestampMs(fromTimestamp) : (events.length > 0 ? timestampMs(events[0].timestamp) : end);
+	const paceStart = Math.max(start, end - rateDays * DAY_MS);
+	const recent = rolls.filter(roll => timestampMs(roll.timestamp) >= paceStart);
+	const paceDays = (end - paceStart) / DAY_MS;
+	const rollsPerDay = paceDays > 0 ? recent.length / paceDays : null;
+
+	const jackpotPool = BigInt(state.jackpotPool);
+	const maxJackpotPool = BigInt(state.maxJackpotPool);
+	const increment = BigInt(state.lottoLossIncrement);
+	const remaining = maxJackpotPool > jackpotPool ? maxJackpotPool - jackpotPool : 0n;
+	let rollsNeeded = null;
+	if (remaining === 0n) rollsNeeded = 0;
+	else if (increment > 0n) rollsNeeded = Number((remaining + increment - 1n) / increment);
+
+	const sample = recent.length > 0 ? recent : rolls;
+	const jackpotChancePerRoll = sample.length > 0
+		? sample.reduce((total, roll) => total + Math.min(Number(roll.jackpotThreshold) / THRESHOLD_SCALE, 1), 0) / sample.length
+		: null;
+	const days = rollsNeeded === null ? null : rollsNeeded === 0 ? 0 : (rollsPerDay ? rollsNeeded / rollsPerDay : null);
+
+	return {
+		fromTimestamp,
+		toTimestamp,
+		state,
+		timeline,
+		rolls: { count: rolls.length, wins: wins.length, jackpots: jackpots.length },
+		hitRates: {
+			win: hitRate(rolls.map(roll => ({ threshold: roll.winRateThreshold, hit: roll.won }))),
+			jackpot: hitRate(rolls.map(roll => ({ threshold: roll.jackpotThreshold, hit: roll.jackpotWon }))),
+		},
+		payouts: {
+			wins: wins.length,
+			totalWon: totalWon.toString(),
+			averageWin: average(totalWon),
+			averageMinWin: average(totalMin),
+			averageMaxWin: average(totalMax),
+			payoutToMax: totalMax > 0n ? Number(totalWon) / Number(totalMax) : null,
+			// a win is drawn uniformly between the signed min and max
+			expectedPayoutToMax: totalMax > 0n ? (Number(totalMin) + Number(totalMax)) / 2 / Number(totalMax) : null,
+		},
+		burn: {
+			paid: paid.toString(),
+			burned: burned.toString(),
+			received: (paid - burned).toString(),
+			winBurned: burnedBy('win'),
+			jackpotBurned: burnedBy('jackpot'),
+			burnFreePayouts: payouts.filter(p => p.burnPercentage === 0).length,
+			payouts: payouts.length,
+		},
+		jackpots: jackpots.map(roll => ({
+			timestamp: roll.timestamp,
+			time: roll.time,
+			user: roll.user,
+			amount: roll.jackpotAmount,
+			threshold: roll.jackpotThreshold,
+			roll: roll.jackpotRoll,
+			transactionHash: roll.transactionHash,
+		})),
+		projection: {
+			jackpotPool: jackpotPool.toString(),
+			maxJackpotPool: maxJackpotPool.toString(),
+			increment: increment.toString(),
+			remaining: remaining.toString(),
+			rollsNeeded,
+			rollsPerDay,
+			days,
+			eta: days === null ? null : new Date(now + days * DAY_MS).toISOString(),
+			jackpotChancePerRoll,
+			// chance no jackpot is hit (resetting the pool) before it reaches the cap
+			chanceReachesMax: rollsNeeded === null || jackpotChancePerRoll === null ? null : (1 - jackpotChancePerRoll) ** rollsNeeded,
+		},
+	};
+}
+
+async function readLotto(env, contractId, name, params, from) {
+	const result = await readOnlyEVMFromMirrorNode(env, contractId, lottoIface.encodeFunctionData(name, params), from, false);
+	return lottoIface.decodeFunctionResult(name, result);
+}
+
+/**
+ * Fetch the events and state of a LazyTradeLotto and build the report
+ *
+ * @param {string} env - MAIN, TEST, PREVIEW or LOCAL
+ * @param {Object} [options]
+ * @param {ContractId|string} [options.contract] - LazyTradeLotto (default: deployment manifest)
+ * @param {AccountId|ContractId|string} [options.from] - caller for the mirror reads (default: the contract)
+ * @param {Date|number|string|null} [options.fromTimestamp] - first event (default: the contract's first)
+ * @param {Date|number|string|null} [options.toTimestamp] - last event (default: now)
+ * @param {number} [options.rateDays=7]
+ * @returns {Promise<Object>} see buildJackpotAnalytics, plus contractId
+ */
+async function getJackpotAnalytics(env, options = {}) {
+	const id = options.contract ?? getAddresses(env).lazyTradeLotto;
+	if (!id) {
+		throw new Error(`No LazyTradeLotto contract known for ${env}: pass one or set it in the deployment manifest`);
+	}
+	const contractId = ContractId.fromString(id.toString());
+	const from = options.from ?? contractId;
+	const { fromTimestamp = null, toTimestamp = null, rateDays } = options;
+
+	const [stats, [burnPercentage]] = await Promise.all([
+		readLotto(env, contractId, 'getLottoStats', [], from),
+		readLotto(env, contractId, 'burnPercentage', [], from),
+	]);
+	const state = {
+		jackpotPool: stats._jackpotPool.toString(),
+		jackpotsWon: stats._jackpotsWon.toString(),
+		jackpotPaid: stats._jackpotPaid.toString(),
+		totalRolls: stats._totalRolls.toString(),
+		totalWins: stats._totalWins.toString(),
+		totalPaid: stats._totalPaid.toString(),
+		lottoLossIncrement: stats._lottoLossIncrement.toString(),
+		maxJackpotPool: stats._maxJackpotPool.toString(),
+		burnPercentage: burnPercentage.toString(),
+	};
+
+	const events = await listContractEvents(env, {
+		contract: contractId,
+		contractName: 'LazyTradeLotto',
+		events: ANALYTICS_EVENTS,
+		fromTimestamp,
+		toTimestamp,
+		resolveAliases: false,
+	});
+
+	// users are 0.0.X for long-zero addresses and lower-case EVM addresses otherwise
+	const burnRates = {};
+	const winners = new Set(events.filter(event => event.name === 'JackpotWin' || (event.name === 'LottoRoll' && BigInt(event.args._winAmount) > 0n)).map(event => event.args._user));
+	for (const user of winners) {
+		const address = user.startsWith('0x') ? user : `0x${AccountId.fromString(user).toSolidityAddress()}`;
+		const [percentage] = await readLotto(env, contractId, 'getBurnForUser', [address], from);
+		burnRates[user] = Number(percentage);
+	}
+
+	return {
+		contractId: contractId.toString(),
+		...buildJackpotAnalytics({ events, state, burnRates, fromTimestamp, toTimestamp, rateDays }),
+	};
+}
+
+module.exports = {
+	buildJackpotAnalytics,
+	getJackpotAnalytics,
+};
@@ -0,0 +1,72 @@
+import type { AccountId, ContractId } from '@hashgraph/sdk';
+import type { Environment } from './hederaMirrorHelpers';
+import type { SimulationResult } from './lazyLottoClient';
+import type { Signer } from './signers';
+import type { RollTicket } from './tradeRollService';
+import type { TradeRollResult } from './tradeRollStatus';
+
+/** The fields rollLotto needs; the rest of a service ticket is optional here */
+export type SignedRollTicket = Pick<RollTicket,
+	'roller' | 'token' | 'serial' | 'nonce' | 'buyer' | 'winRateThreshold' | 'minWinAmt' | 'maxWinAmt' | 'jackpotThreshold' | 'signature'
+> & Partial<RollTicket>;
+
+export interface RollTicketCheck {
+	/** false when rollLotto would revert */
+	ok: boolean;
+	problems: string[];
+	/** address the signature recovers to; null when it cannot be recovered */
+	signer: string | null;
+	/** EVM address the contract will see as msg.sender */
+	sender: string;
+	systemWallet: string;
+	historyKey: string;
+	rolled: boolean;
+	paused: boolean;
+}
+
+/** A LazyGasStation payout; amounts in raw $LAZY */
+export interface TradeRollPayout {
+	kind: 'win' | 'jackpot' | 'payout';
+	amount: string;
+	burnPercentage: number;
+	burned: string;
+	received: string;
+}
+
+export interface TradeRollOutcome {
+	roll: TradeRollResult;
+	payouts: TradeRollPayout[];
+}
+
+/** A mirror node contract log */
+export interface RollLog {
+	contract_id: string | null;
+	topics: string[];
+	data: string;
+	timestamp: string;
+	transaction_hash: string;
+	index: number;
+}
+
+export declare function parseRollTicket(input: string | object): SignedRollTicket;
+export declare function rollLottoParams(ticket: SignedRollTicket): unknown[];
+
+export declare function checkRollTicket(env: Environment, ticket: SignedRollTicket, options: {
+	contractId: ContractId | string;
+	operatorId: AccountId | string;
+}): Promise<RollTicketCheck>;
+
+export declare function simulateTradeRoll(env: Environment, options: {
+	contractId: ContractId | string;
+	ticket: SignedRollTicket;
+	operatorId: AccountId | string;
+}): Promise<SimulationResult>;
+
+export declare function decodeRollLogs(env: Environment, logs: RollLog[]): Promise<TradeRollOutcome>;
+
+export declare function submitTradeRoll(signer: Signer, options: {
+	env: Environment;
+	contractId: ContractId | string;
+	ticket: SignedRollTicket;
+	operatorId?: AccountId | string;
+}): Promise<TradeRollOutcome & { transactionId: string }>;
@@ -0,0 +1,299 @@
+/**
+ * LazyTradeLotto Player Rolls
+ *
+ * Submits a signed roll ticket from the roll signing service as rollLotto.
+ * checkRollTicket runs the contract's checks before any gas is spent: the
+ * parameters pass BadArguments, the signature recovers to the systemWallet,
+ * the ticket's roller is this account (the signature covers msg.sender, so a
+ * ticket only works from the account it was issued to), the side has not
+ * rolled and the contract is not paused.
+ *
+ * The outcome is decoded from the transaction's logs: LottoRoll and
+ * JackpotWin for the rolls, and LazyGasStation's GasStationFunding for each
+ * payout with the burn percentage getBurnForUser applied.
+ *
+ * Usage:
+ *   const { parseRollTicket, checkRollTicket, submitTradeRoll } = require('./utils/tradeLottoRoll');
+ *
+ *   const ticket = parseRollTicket(fs.readFileSync('ticket.json', 'utf8'));
+ *   const check = await checkRollTicket('testnet', ticket, { contractId, operatorId });
+ *   if (check.ok) {
+ *     const { roll, payouts } = await submitTradeRoll(signer, { env: 'testnet', contractId, ticket });
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ContractId } = require('@hashgraph/sdk');
+const { default: axios } = require('axios');
+const { ethers } = require('ethers');
+
+const { readOnlyEVMFromMirrorNode, parseError } = require('./solidityHelpers');
+const { getBaseURL, formatTransactionIdForMirror, homebrewPopulateAccountEvmAddress, EntityType } = require('./hederaMirrorHelpers');
+const { estimateGas } = require('./gasHelpers');
+const { executeContractCall } = require('./signers');
+const { createEventDecoder } = require('./contractEvents');
+const { recoverRollSigner, rollHistoryHash } = require('./tradeLottoSigner');
+const { rollParameterProblems } = require('./tradeRollPolicy');
+const { toRollResult } = require('./tradeRollStatus');
+const { tokenToEvmAddress, formatAmount } = require('./lazyLottoClient');
+
+function loadABI(filename) {
+	return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', filename), 'utf8'));
+}
+
+const lottoIface = new ethers.Interface(loadABI('LazyTradeLotto.json'));
+const gasStationIface = new ethers.Interface(loadABI('LazyGasStation.json'));
+
+const TICKET_FIELDS = ['roller', 'token', 'serial', 'nonce', 'buyer', 'winRateThreshold', 'minWinAmt', 'maxWinAmt', 'jackpotThreshold', 'signature'];
+const FALLBACK_GAS = 1_000_000;
+
+// the mirror node lags consensus by a few seconds
+const MIRROR_RETRIES = 10;
+const MIRROR_RETRY_MS = 3000;
+
+/**
+ * Read a ticket: the service's { ticket, existing } response or the ticket itself
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {Object} ticket
+ */
+function parseRollTicket(input) {
+	let parsed;
+	try {
+		parsed = typeof input === 'string' ? JSON.parse(input) : input;
+	}
+	catch (error) {
+		throw new Error(`Roll ticket is not JSON: ${error.message}`);
+	}
+	const ticket = parsed?.ticket ?? parsed;
+
+	const missing = TICKET_FIELDS.filter(field => ticket?.[field] === undefined || ticket[field] === null);
+	if (missing.length > 0) {
+		throw new Error(`Roll ticket is missing ${missing.join(', ')}`);
+	}
+	if (typeof ticket.buyer !== 'boolean') {
+		throw new Error('Roll ticket buyer must be true or false');
+	}
+	return ticket;
+}
+
+function ticketTokenAddress(ticket) {
+	const token = ticket.token.toString();
+	return token.startsWith('0x') ? ethers.getAddress(token) : tokenToEvmAddress(token);
+}
+
+/**
+ * rollLotto arguments for a ticket
+ * @param {Object} ticket
+ * @returns {Array}
+ */
+function rollLottoParams(ticket) {
+	return [
+		ticketTokenAddress(ticket),
+		BigInt(ticket.serial),
+		BigInt(ticket.nonce),
+		ticket.buyer,
+		BigInt(ticket.winRateThreshold),
+		BigInt(ticket.minWinAmt),
+		BigInt(ticket.maxWinAmt),
+		BigInt(ticket.jackpotThreshold),
+		ticket.signature,
+	];
+}
+
+async function readLotto(env, contractId, name, params, from) {
+	const result = await readOnlyEVMFromMirrorNode(env, contractId, lottoIface.encodeFunctionData(name, params), from, false);
+	return lottoIface.decodeFunctionResult(name, result)[0];
+}
+
+/**
+ * Everything rollLotto would check, without spending gas
+ * @param {string} env
+ * @param {Object} ticket - parseRollTicket result
+ * @param {Object} options
+ * @param {ContractId|string} options.contractId - LazyTradeLotto
+ * @param {AccountId|string} options.operatorId - the account that will roll
+ * @returns {Promise<{ok: boolean, problems: string[], signer: string|null, sender: string, systemWallet: string, historyKey: string, rolled: boolean, paused: boolean}>}
+ */
+async function checkRollTicket(env, ticket, options = {}) {
+	const contractId = ContractId.fromString(options.contractId.toString());
+	const problems = rollParameterProblems(ticket).map(problem => `parameters would revert with BadArguments: ${problem}`);
+
+	// local: the signature must recover to the signer for exactly these parameters
+	let signer = null;
+	try {
+		signer = recoverRollSigner(ticket, ticket.signature);
+	}
+	catch (error) {
+		problems.push(`signature cannot be recovered: ${error.message}`);
+	}
+	if (signer && ticket.signer && signer !== ethers.getAddress(ticket.signer)) {
+		problems.push(`signature recovers to ${signer}, not the ticket's signer ${ticket.signer}: the ticket was altered`);
+	}
+	if (ticket.contractId && ticket.contractId !== contractId.toString()) {
+		problems.push(`ticket is for LazyTradeLotto ${ticket.contractId}, not ${contractId}`);
+	}
+
+	const historyKey = rollHistoryHash({ token: ticketTokenAddress(ticket), serial: ticket.serial, nonce: ticket.nonce, buyer: ticket.buyer });
+	const [sender, systemWallet, rolled, paused] = await Promise.all([
+		homebrewPopulateAccountEvmAddress(env, options.operatorId, EntityType.ACCOUNT),
+		readLotto(env, contractId, 'systemWallet', [], options.operatorId),
+		readLotto(env, contractId, 'history', [historyKey], options.operatorId),
+		readLotto(env, contractId, 'paused', [], options.operatorId),
+	]);
+
+	if (ethers.getAddress(sender) !== ethers.getAddress(ticket.roller)) {
+		problems.push(`ticket is for roller ${ticket.roller} but ${options.operatorId} calls as ${sender}`);
+	}
+	if (signer && signer !== ethers.getAddress(systemWallet)) {
+		problems.push(`signed by ${signer} but the contract's systemWallet is ${systemWallet}`);
+	}
+	if (rolled) problems.push(`the ${ticket.buyer ? 'buyer' : 'seller'} side of this trade has already rolled`);
+	if (paused) problems.push('LazyTradeLotto is paused');
+
+	return { ok: problems.length === 0, problems, signer, sender, systemWallet, historyKey, rolled, paused };
+}
+
+/**
+ * Run rollLotto through the mirror node's contracts/call simulation. The
+ * random rolls differ from a real one, so only success and gas mean anything.
+ * @param {string} env
+ * @param {Object} options
+ * @param {ContractId|string} options.contractId
+ * @param {Object} options.ticket
+ * @param {AccountId|string} options.operatorId
+ * @returns {Promise<Object>} same shape as LazyLottoClient.simulate
+ */
+async function simulateTradeRoll(env, options) {
+	const contractId = ContractId.fromString(options.contractId.toString());
+	const encoded = lottoIface.encodeFunctionData('rollLotto', rollLottoParams(options.ticket));
+	const simulation = {
+		fcnName: 'rollLotto',
+		success: true,
+		results: null,
+		error: null,
+		gas: null,
+		value: { raw: '0', token: 'HBAR', symbol: 'HBAR', decimals: 8, formatted: formatAmount(0n, 8, 'HBAR') },
+		setup: [],
+	};
+
+	try {
+		simulation.results = lottoIface.decodeFunctionResult('rollLotto', await readOnlyEVMFromMirrorNode(env, contractId, encoded, options.operatorId, false, FALLBACK_GAS * 2));
+		const estimated = Number(await readOnlyEVMFromMirrorNode(env, contractId, encoded, options.operatorId, true, FALLBACK_GAS * 2));
+		simulation.gas = { estimated, limit: Math.min(Math.ceil(estimated * (estimated < 600_000 ? 1.5 : 1.2)), 14_500_000) };
+	}
+	catch (error) {
+		const message = error.response?.data?._status?.messages?.[0];
+		if (!message) throw error;
+		simulation.success = false;
+		simulation.error = message.data && message.data !== '0x'
+			? String(parseError([lottoIface, gasStationIface], message.data))
+			: message.detail || message.message;
+	}
+	return simulation;
+}
+
+// SDK record logs in the mirror node's shape, for the event decoder
+function recordLogs(record) {
+	return record.contractFunctionResult.logs.map((log, index) => ({
+		contract_id: log.contractId?.toString() ?? null,
+		topics: log.topics.map(topic => ethers.hexlify(topic)),
+		data: ethers.hexlify(log.data),
+		timestamp: record.consensusTimestamp.toString(),
+		transaction_hash: ethers.hexlify(record.transactionHash),
+		index,
+	}));
+}
+
+async function mirrorLogs(env, transactionId) {
+	const url = `${getBaseURL(env)}/api/v1/contracts/results/${formatTransactionIdForMirror(transactionId.toString())}`;
+	for (let attempt = 1; ; attempt++) {
+		try {
+			const { data } = await axios.get(url);
+			return data.logs.map(log => ({ ...log, timestamp: data.timestamp, transaction_hash: data.hash }));
+		}
+		catch (error) {
+			if (error.response?.status !== 404 || attempt >= MIRROR_RETRIES) throw error;
+			await new Promise(resolve => setTimeout(resolve, MIRROR_RETRY_MS));
+		}
+	}
+}
+
+/**
+ * Roll, jackpot and payouts of one rollLotto transaction
+ * @param {string} env
+ * @param {Object[]} logs - mirror node shaped logs of the transaction
+ * @returns {Promise<{roll: Object, payouts: Object[]}>}
+ */
+async function decodeRollLogs(env, logs) {
+	const decode = createEventDecoder(env, { contractName: 'LazyTradeLotto', resolveAliases: false });
+	const events = (await Promise.all(logs.map(log => decode(log)))).filter(Boolean);
+
+	const rollEvent = events.find(event => event.name === 'LottoRoll');
+	if (!rollEvent) {
+		throw new Error('The transaction has no LottoRoll event');
+	}
+	const roll = toRollResult(rollEvent, events.find(event => event.name === 'JackpotWin') ?? null);
+
+	// payoutLazy runs for the win first, then the jackpot
+	const kinds = [roll.won && 'win', roll.jackpotWon && 'jackpot'].filter(Boolean);
+	const payouts = events
+		.filter(event => event.name === 'GasStationFunding' && !event.args._fromUser)
+		.map((event, i) => {
+			const amount = BigInt(event.args._amount);
+			const burned = amount * BigInt(event.args._burnPercentage) / 100n;
+			return {
+				kind: kinds[i] ?? 'payout',
+				amount: amount.toString(),
+				burnPercentage: Number(event.args._burnPercentage),
+				burned: burned.toString(),
+				received: (amount - burned).toString(),
+			};
+		});
+
+	return { roll, payouts };
+}
+
+/**
+ * Submit a ticket as rollLotto and decode the outcome
+ * @param {Object} signer - see utils/signers.js
+ * @param {Object} options
+ * @param {string} options.env
+ * @param {ContractId|string} options.contractId
+ * @param {Object} options.ticket
+ * @param {AccountId|string} [options.operatorId=signer.accountId] - for the gas estimate
+ * @returns {Promise<{transactionId: string, roll: Object, payouts: Object[]}>}
+ */
+async function submitTradeRoll(signer, options) {
+	const { env, ticket } = options;
+	const contractId = ContractId.fromString(options.contractId.toString());
+	const operatorId = options.operatorId ?? signer.accountId;
+	const params = rollLottoParams(ticket);
+
+	const gasInfo = await estimateGas(env, contractId, lottoIface, operatorId, 'rollLotto', params, FALLBACK_GAS);
+	const outcome = await executeContractCall(signer, {
+		env,
+		contractId,
+		iface: lottoIface,
+		fcnName: 'rollLotto',
+		params,
+		gas: gasInfo.gasLimit,
+		errorInterfaces: [lottoIface, gasStationIface],
+	});
+
+	if (!outcome.success) {
+		throw Object.assign(new Error(`rollLotto failed: ${outcome.error ?? outcome.status}`), { status: outcome.status });
+	}
+
+	const logs = outcome.record ? recordLogs(outcome.record) : await mirrorLogs(env, outcome.transactionId);
+	return { transactionId: outcome.transactionId, ...await decodeRollLogs(env, logs) };
+}
+
+module.exports = {
+	parseRollTicket,
+	rollLottoParams,
+	checkRollTicket,
+	simulateTradeRoll,
+	decodeRollLogs,
+	submitTradeRoll,
+};
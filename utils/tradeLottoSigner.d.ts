@@ -0,0 +1,30 @@
+import type { Wallet } from 'ethers';
+
+type Integer = bigint | number | string;
+
+/** Parameters rollLotto checks the team signature against */
+export interface RollParameters {
+	/** EVM address that will call rollLotto (its alias for ECDSA accounts) */
+	roller: string;
+	/** NFT token, 0.0.X or 0x address */
+	token: string;
+	serial: Integer;
+	nonce: Integer;
+	/** true for the buyer's side of the trade */
+	buyer: boolean;
+	/** 0 to 100_000_000 */
+	winRateThreshold: Integer;
+	minWinAmt: Integer;
+	maxWinAmt: Integer;
+	/** 0 to 100_000_000 */
+	jackpotThreshold: Integer;
+}
+
+/** defaults to process.env.SIGNING_KEY; ECDSA only */
+export declare function loadSigningKey(signingKey?: string): Wallet;
+export declare function rollMessageHash(roll: RollParameters): string;
+/** The teamSignature argument of rollLotto */
+export declare function signRoll(wallet: Wallet, roll: RollParameters): string;
+export declare function recoverRollSigner(roll: RollParameters, signature: string): string;
+/** Key of the contract's history mapping */
+export declare function rollHistoryHash(trade: Pick<RollParameters, 'token' | 'serial' | 'nonce' | 'buyer'>): string;
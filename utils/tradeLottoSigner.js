@@ -0,0 +1,116 @@
+/**
+ * LazyTradeLotto Roll Signatures
+ *
+ * rollLotto only runs with a signature from the contract's systemWallet over
+ * (msg.sender, token, serial, nonce, buyer, winRateThreshold, minWinAmt,
+ * maxWinAmt, jackpotThreshold), packed and hashed the way validateRollParameters
+ * rebuilds it, then signed as an EIP-191 personal message. The key must be
+ * ECDSA (secp256k1); ECDSA.recover cannot check ED25519 signatures.
+ *
+ * The roller is msg.sender: the account's EVM address, which is its alias for
+ * accounts created from an ECDSA key, not the long-zero form of 0.0.X.
+ *
+ * Usage:
+ *   const { loadSigningKey, signRoll, recoverRollSigner } = require('./utils/tradeLottoSigner');
+ *
+ *   const wallet = loadSigningKey(process.env.SIGNING_KEY);
+ *   const signature = signRoll(wallet, { roller, token: '0.0.1234', serial: 7, nonce, buyer: true,
+ *     winRateThreshold: 5_000_000, minWinAmt: 10, maxWinAmt: 100, jackpotThreshold: 10_000 });
+ */
+
+const { ethers } = require('ethers');
+const { tokenToEvmAddress } = require('./lazyLottoClient');
+
+const ROLL_MESSAGE_TYPES = ['address', 'address', 'uint256', 'uint256', 'bool', 'uint256', 'uint256', 'uint256', 'uint256'];
+
+/**
+ * Load the ECDSA key that signs for the systemWallet
+ * @param {string} [signingKey=process.env.SIGNING_KEY] - hex, with or without 0x
+ * @returns {ethers.Wallet}
+ */
+function loadSigningKey(signingKey = process.env.SIGNING_KEY) {
+	if (!signingKey) {
+		throw new Error('No signing key: set SIGNING_KEY to the systemWallet\'s ECDSA private key');
+	}
+	const hex = signingKey.startsWith('0x') ? signingKey : `0x${signingKey}`;
+	try {
+		return new ethers.Wallet(hex);
+	}
+	catch (error) {
+		throw new Error(`SIGNING_KEY is not a raw ECDSA (secp256k1) private key: ${error.message}`);
+	}
+}
+
+// 0x address, or 0.0.X token ID in its long-zero form
+function tokenAddress(token) {
+	return ethers.getAddress(token.toString().startsWith('0x') ? token.toString() : tokenToEvmAddress(token));
+}
+
+/**
+ * Hash the contract signs over, before the EIP-191 prefix
+ * @param {Object} roll
+ * @param {string} roll.roller - EVM address of the account that will call rollLotto
+ * @param {string} roll.token - NFT token (0.0.X or 0x address)
+ * @param {bigint|number|string} roll.serial
+ * @param {bigint|number|string} roll.nonce
+ * @param {boolean} roll.buyer - true for the buyer's side of the trade
+ * @param {bigint|number|string} roll.winRateThreshold - 0 to 100_000_000
+ * @param {bigint|number|string} roll.minWinAmt
+ * @param {bigint|number|string} roll.maxWinAmt
+ * @param {bigint|number|string} roll.jackpotThreshold - 0 to 100_000_000
+ * @returns {string} bytes32 hex
+ */
+function rollMessageHash(roll) {
+	return ethers.solidityPackedKeccak256(ROLL_MESSAGE_TYPES, [
+		ethers.getAddress(roll.roller),
+		tokenAddress(roll.token),
+		BigInt(roll.serial),
+		BigInt(roll.nonce),
+		roll.buyer,
+		BigInt(roll.winRateThreshold),
+		BigInt(roll.minWinAmt),
+		BigInt(roll.maxWinAmt),
+		BigInt(roll.jackpotThreshold),
+	]);
+}
+
+/**
+ * Sign a roll as the systemWallet
+ * @param {ethers.Wallet} wallet - from loadSigningKey
+ * @param {Object} roll - see rollMessageHash
+ * @returns {string} 65-byte signature hex, the teamSignature argument
+ */
+function signRoll(wallet, roll) {
+	const digest = ethers.hashMessage(ethers.getBytes(rollMessageHash(roll)));
+	return wallet.signingKey.sign(digest).serialized;
+}
+
+/**
+ * Address that signed a roll, to compare with the contract's systemWallet
+ * @param {Object} roll - see rollMessageHash
+ * @param {string} signature
+ * @returns {string} checksummed EVM address
+ */
+function recoverRollSigner(roll, signature) {
+	return ethers.verifyMessage(ethers.getBytes(rollMessageHash(roll)), signature);
+}
+
+/**
+ * Key of the contract's history mapping: set once a trade side has rolled
+ * @param {{token: string, serial: bigint|number|string, nonce: bigint|number|string, buyer: boolean}} trade
+ * @returns {string} bytes32 hex
+ */
+function rollHistoryHash(trade) {
+	return ethers.solidityPackedKeccak256(
+		['address', 'uint256', 'uint256', 'bool'],
+		[tokenAddress(trade.token), BigInt(trade.serial), BigInt(trade.nonce), trade.buyer],
+	);
+}
+
+module.exports = {
+	loadSigningKey,
+	rollMessageHash,
+	signRoll,
+	recoverRollSigner,
+	rollHistoryHash,
+};
@@ -0,0 +1,48 @@
+import type { ContractId } from '@hashgraph/sdk';
+import type { Environment } from './hederaMirrorHelpers';
+import type { RollPolicyParameters, RollContext, SettledTrade, TradeSide } from './tradeRollService';
+
+export declare const MAX_WIN_RATE_THRESHOLD: bigint;
+
+/** Roll values as rollLotto takes them, decimal strings */
+export type RollValues = Record<keyof RollPolicyParameters, string>;
+
+export interface RollTier {
+	name: string;
+	side: TradeSide | null;
+	holder: boolean | null;
+	collections: string[] | null;
+	/** raw amounts of `currency` (token ID or 'HBAR'); min inclusive, max exclusive */
+	price: { currency: string; min: bigint | null; max: bigint | null } | null;
+	roll: RollValues;
+}
+
+export interface TradeRollPolicy {
+	version: number;
+	/** also roll for transfers that pay the seller nothing */
+	allowUnpaid: boolean;
+	currencies: Record<string, { token: string; decimals: number }>;
+	tiers: RollTier[];
+	usesHolder: boolean;
+}
+
+export type HolderCheck = (evmAddress: string) => Promise<boolean>;
+
+export declare function rollParameterProblems(parameters: Partial<RollPolicyParameters>): string[];
+export declare function checkRollParameters(parameters: Partial<RollPolicyParameters>, label?: string): void;
+export declare function loadRollPolicy(file: string): TradeRollPolicy;
+export declare function validateRollPolicy(raw: unknown): TradeRollPolicy;
+export declare function matchTier(
+	policy: TradeRollPolicy,
+	trade: SettledTrade,
+	side: TradeSide,
+	isHolder?: (() => Promise<boolean>) | null,
+): Promise<RollTier | null>;
+export declare function createRollPolicy(
+	policy: TradeRollPolicy,
+	options?: {
+		holderCheck?: HolderCheck | null;
+		onMatch?: ((tier: RollTier, trade: SettledTrade, side: TradeSide) => void) | null;
+	},
+): ((trade: SettledTrade, side: TradeSide, context?: Partial<RollContext>) => Promise<RollValues | null>) & { allowUnpaid: boolean };
+export declare function createHolderCheck(options: { env: Environment; contractId: ContractId | string }): HolderCheck;
@@ -0,0 +1,354 @@
+/**
+ * Trade Roll Policy
+ *
+ * Chooses rollLotto parameters for a trade from a versioned policy file, so
+ * tiers can change without code edits. Tiers are tried in order and the first
+ * whose conditions all hold gives the roll; a trade no tier matches gets no
+ * roll. Every roll is checked against the contract's BadArguments rules when
+ * the file loads, and again before it is handed to the signer.
+ *
+ * Holder status uses the same test as LazyTradeLotto.getBurnForUser: the
+ * roller owns, or has been delegated, an LSH Gen1, Gen2 or Gen1 Mutant NFT.
+ *
+ * YAML policies need the optional dependency js-yaml; JSON always works.
+ *
+ * Usage:
+ *   const { loadRollPolicy, createRollPolicy, createHolderCheck } = require('./utils/tradeRollPolicy');
+ *
+ *   const policy = createRollPolicy(loadRollPolicy('roll-policy.yaml'), {
+ *     holderCheck: createHolderCheck({ env: 'testnet', contractId }),
+ *   });
+ *   const service = new TradeRollService({ env: 'testnet', policy, ... });
+ *
+ * Policy format:
+ *   version: 1
+ *   allowUnpaid: false           # true also rolls for transfers that pay the seller nothing
+ *   currencies:                  # price tokens besides HBAR
+ *     LAZY: { token: 0.0.1311037, decimals: 1 }
+ *   defaults:                    # optional, merged under every tier's roll
+ *     jackpotThreshold: 0
+ *   tiers:
+ *     - name: holder whale buyer
+ *       when:                    # every condition is optional
+ *         side: buyer            # buyer | seller
+ *         holder: true           # LSH holder or delegate
+ *         collections: [0.0.1234]
+ *         price: { currency: HBAR, min: 1000, max: 5000 }   # min <= paid < max
+ *       roll: { winRateThreshold: 10000000, minWinAmt: 50, maxWinAmt: 500, jackpotThreshold: 100000 }
+ *
+ * Roll values are what rollLotto takes: thresholds out of 100_000_000 and win
+ * amounts in the smallest unit of $LAZY.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ContractId } = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+
+const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
+
+function loadABI(filename) {
+	return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', filename), 'utf8'));
+}
+
+const LazyTradeLottoABI = loadABI('LazyTradeLotto.json');
+const LazyDelegateRegistryABI = loadABI('LazyDelegateRegistry.json');
+
+const POLICY_VERSION = 1;
+const MAX_WIN_RATE_THRESHOLD = 100_000_000n;
+const ROLL_PARAMETERS = ['winRateThreshold', 'minWinAmt', 'maxWinAmt', 'jackpotThreshold'];
+const CONDITIONS = ['side', 'holder', 'collections', 'price'];
+const HBAR_DECIMALS = 8;
+
+const TOKEN_ID = /^\d+\.\d+\.\d+$/;
+const INTEGER = /^\d+$/;
+const DECIMAL = /^\d+(\.\d+)?$/;
+
+function parseYaml(text) {
+	let yaml;
+	try {
+		yaml = require('js-yaml');
+	}
+	catch {
+		throw new Error('YAML roll policies need js-yaml: npm install js-yaml (or use a .json policy)');
+	}
+	return yaml.load(text);
+}
+
+/**
+ * Problems rollLotto would revert on with BadArguments, or that cannot be
+ * encoded as uint256
+ * @param {Object} parameters - winRateThreshold, minWinAmt, maxWinAmt, jackpotThreshold
+ * @returns {string[]} empty when the roll is valid
+ */
+function rollParameterProblems(parameters) {
+	const missing = ROLL_PARAMETERS.filter(name => parameters?.[name] === undefined);
+	if (missing.length > 0) return [`missing ${missing.join(', ')}`];
+
+	const invalid = ROLL_PARAMETERS.filter(name => !INTEGER.test(String(parameters[name])));
+	if (invalid.length > 0) return [`${invalid.join(', ')} must be whole numbers`];
+
+	const [winRate, minWin, maxWin, jackpot] = ROLL_PARAMETERS.map(name => BigInt(parameters[name]));
+	const problems = [];
+	if (maxWin === 0n) problems.push('maxWinAmt must be above 0');
+	if (minWin > maxWin) problems.push('minWinAmt must not exceed maxWinAmt');
+	if (winRate > MAX_WIN_RATE_THRESHOLD) problems.push(`winRateThreshold must be at most ${MAX_WIN_RATE_THRESHOLD}`);
+	if (jackpot > MAX_WIN_RATE_THRESHOLD) problems.push(`jackpotThreshold must be at most ${MAX_WIN_RATE_THRESHOLD}`);
+	return problems;
+}
+
+/**
+ * Throw unless rollLotto would accept the parameters
+ * @param {Object} parameters
+ * @param {string} [label='Roll policy']
+ */
+function checkRollParameters(parameters, label = 'Roll policy') {
+	const problems = rollParameterProblems(parameters);
+	if (problems.length > 0) {
+		throw new Error(`${label}: ${problems.join('; ')}`);
+	}
+}
+
+/**
+ * Parse and validate a policy file (.json, otherwise YAML)
+ * @param {string} file
+ * @returns {Object} normalised policy
+ */
+function loadRollPolicy(file) {
+	const text = fs.readFileSync(file, 'utf8');
+	const raw = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+	return validateRollPolicy(raw);
+}
+
+/**
+ * Check a parsed policy and normalise it: roll values become strings with the
+ * defaults merged in, prices become raw amounts of their currency
+ * @param {Object} raw - parsed YAML / JSON
+ * @returns {{version: number, allowUnpaid: boolean, currencies: Object, tiers: Object[], usesHolder: boolean}}
+ */
+function validateRollPolicy(raw) {
+	const problems = [];
+	const policy = raw ?? {};
+
+	if (policy.version !== POLICY_VERSION) {
+		problems.push(`version must be ${POLICY_VERSION}, got ${policy.version}`);
+	}
+
+	const currencies = { HBAR: { token: 'HBAR', decimals: HBAR_DECIMALS } };
+	for (const [name, currency] of Object.entries(policy.currencies ?? {})) {
+		if (name === 'HBAR') {
+			problems.push('currencies must not redefine HBAR');
+		}
+		else if (!TOKEN_ID.test(String(currency?.token)) || !Number.isInteger(currency?.decimals) || currency.decimals < 0) {
+			problems.push(`currencies.${name} needs a token (0.0.x) and whole-number decimals`);
+		}
+		else {
+			currencies[name] = { token: String(currency.token), decimals: currency.decimals };
+		}
+	}
+
+	if (policy.allowUnpaid !== undefined && typeof policy.allowUnpaid !== 'boolean') {
+		problems.push('allowUnpaid must be true or false');
+	}
+
+	const defaults = policy.defaults ?? {};
+	const unknownDefaults = Object.keys(defaults).filter(name => !ROLL_PARAMETERS.includes(name));
+	if (unknownDefaults.length > 0) problems.push(`defaults has unknown fields: ${unknownDefaults.join(', ')}`);
+
+	const tiers = [];
+	if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+		problems.push('tiers must list at least one tier');
+	}
+	else {
+		policy.tiers.forEach((tier, i) => {
+			const where = `tiers[${i}]${tier?.name ? ` (${tier.name})` : ''}`;
+			const when = tier?.when ?? {};
+
+			const unknown = Object.keys(when).filter(name => !CONDITIONS.includes(name));
+			if (unknown.length > 0) problems.push(`${where}.when has unknown conditions: ${unknown.join(', ')}`);
+
+			if (when.side !== undefined && when.side !== 'buyer' && when.side !== 'seller') {
+				problems.push(`${where}.when.side must be buyer or seller`);
+			}
+			if (when.holder !== undefined && typeof when.holder !== 'boolean') {
+				problems.push(`${where}.when.holder must be true or false`);
+			}
+			if (when.collections !== undefined && (!Array.isArray(when.collections) || !when.collections.every(c => TOKEN_ID.test(String(c))))) {
+				problems.push(`${where}.when.collections must be a list of token IDs (0.0.x)`);
+			}
+
+			let price;
+			if (when.price !== undefined) {
+				const currency = currencies[when.price?.currency ?? 'HBAR'];
+				const bounds = ['min', 'max'].filter(bound => when.price?.[bound] !== undefined);
+				if (!currency) {
+					problems.push(`${where}.when.price.currency ${when.price?.currency} is not HBAR or one of currencies`);
+				}
+				else if (bounds.length === 0) {
+					problems.push(`${where}.when.price needs a min or a max`);
+				}
+				else if (!bounds.every(bound => DECIMAL.test(String(when.price[bound])))) {
+					problems.push(`${where}.when.price min and max must be non-negative numbers`);
+				}
+				else {
+					const toRaw = bound => when.price[bound] === undefined ? null : ethers.parseUnits(String(when.price[bound]), currency.decimals);
+					price = { currency: currency.token, min: toRaw('min'), max: toRaw('max') };
+					if (price.min !== null && price.max !== null && price.min >= price.max) {
+						problems.push(`${where}.when.price min must be below max`);
+					}
+				}
+			}
+
+			const roll = { ...defaults, ...(tier?.roll ?? {}) };
+			rollParameterProblems(roll).forEach(problem => problems.push(`${where}.roll: ${problem}`));
+
+			tiers.push({
+				name: tier?.name ?? `tier ${i}`,
+				side: when.side ?? null,
+				holder: when.holder ?? null,
+				collections: when.collections?.map(String) ?? null,
+				price: price ?? null,
+				roll: Object.fromEntries(ROLL_PARAMETERS.map(name => [name, String(roll[name])])),
+			});
+		});
+	}
+
+	if (problems.length > 0) {
+		throw new Error(`Invalid roll policy:\n  - ${problems.join('\n  - ')}`);
+	}
+
+	return {
+		version: policy.version,
+		allowUnpaid: policy.allowUnpaid === true,
+		currencies,
+		tiers,
+		usesHolder: tiers.some(tier => tier.holder !== null),
+	};
+}
+
+// raw amount of one currency the trade side paid
+function amountPaid(trade, currency) {
+	return (trade.payments ?? [])
+		.filter(payment => payment.token === currency)
+		.reduce((sum, payment) => sum + BigInt(payment.raw), 0n);
+}
+
+/**
+ * First tier the trade side matches
+ * @param {Object} policy - validateRollPolicy result
+ * @param {Object} trade - getSettledTrade result
+ * @param {string} side - 'buyer' or 'seller'
+ * @param {Function} [isHolder] - () => Promise<boolean>, only called for tiers with a holder condition
+ * @returns {Promise<Object|null>} the tier, or null when none matches
+ */
+async function matchTier(policy, trade, side, isHolder) {
+	let holder;
+	for (const tier of policy.tiers) {
+		if (tier.side && tier.side !== side) continue;
+		if (tier.collections && !tier.collections.includes(trade.token)) continue;
+		if (tier.price) {
+			const paid = amountPaid(trade, tier.price.currency);
+			if (tier.price.min !== null && paid < tier.price.min) continue;
+			if (tier.price.max !== null && paid >= tier.price.max) continue;
+		}
+		if (tier.holder !== null) {
+			if (!isHolder) throw new Error(`Tier ${tier.name} needs holder status but no holder check is configured`);
+			holder ??= await isHolder();
+			if (holder !== tier.holder) continue;
+		}
+		return tier;
+	}
+	return null;
+}
+
+/**
+ * Policy function for TradeRollService
+ * @param {Object} policy - validateRollPolicy result
+ * @param {Object} [options]
+ * @param {Function} [options.holderCheck] - (evmAddress) => Promise<boolean>, required when a tier has a holder condition
+ * @param {Function} [options.onMatch] - (tier, trade, side) => void, e.g. for logging
+ * @returns {Function} (trade, side, { roller }) => Promise<Object|null>, carrying the file's allowUnpaid
+ */
+function createRollPolicy(policy, options = {}) {
+	const { holderCheck = null, onMatch = null } = options;
+	if (policy.usesHolder && !holderCheck) {
+		throw new Error('The roll policy has holder tiers: a holder check is required');
+	}
+
+	const choose = async (trade, side, context = {}) => {
+		const isHolder = holderCheck ? () => holderCheck(context.roller) : null;
+		const tier = await matchTier(policy, trade, side, isHolder);
+		if (!tier) return null;
+
+		checkRollParameters(tier.roll, `Roll policy tier ${tier.name}`);
+		onMatch?.(tier, trade, side);
+		return { ...tier.roll };
+	};
+	return Object.assign(choose, { allowUnpaid: policy.allowUnpaid === true });
+}
+
+/**
+ * Holder test of LazyTradeLotto.getBurnForUser, read through the mirror node:
+ * a balance of, or a delegated serial of, any of the contract's LSH tokens
+ * @param {Object} options
+ * @param {string} options.env - MAIN, TEST, PREVIEW, LOCAL
+ * @param {ContractId|string} options.contractId - LazyTradeLotto
+ * @returns {Function} (evmAddress) => Promise<boolean>
+ */
+function createHolderCheck(options = {}) {
+	const { env } = options;
+	if (!env || !options.contractId) {
+		throw new Error('A holder check needs the env and the LazyTradeLotto contract');
+	}
+	const contractId = ContractId.fromString(options.contractId.toString());
+	const lottoIface = new ethers.Interface(LazyTradeLottoABI);
+	const registryIface = new ethers.Interface(LazyDelegateRegistryABI);
+	const erc721Iface = new ethers.Interface(['function balanceOf(address owner) view returns (uint256)']);
+
+	const read = async (target, iface, name, params, from) => {
+		const result = await readOnlyEVMFromMirrorNode(env, target, iface.encodeFunctionData(name, params), from, false);
+		return iface.decodeFunctionResult(name, result)[0];
+	};
+
+	// the LSH tokens and registry are fixed at deployment
+	let setup;
+	const loadSetup = from => {
+		setup ??= Promise.all(['LSH_GEN1', 'LSH_GEN2', 'LSH_GEN1_MUTANT', 'lazyDelegateRegistry']
+			.map(name => read(contractId, lottoIface, name, [], from)))
+			.then(([gen1, gen2, mutant, registry]) => ({
+				tokens: [gen1, gen2, mutant],
+				registry: ContractId.fromEvmAddress(0, 0, registry),
+			}))
+			.catch(error => {
+				setup = null;
+				throw error;
+			});
+		return setup;
+	};
+
+	return async (user) => {
+		const address = ethers.getAddress(user);
+		const { tokens, registry } = await loadSetup(address);
+
+		for (const token of tokens) {
+			const balance = await read(ContractId.fromEvmAddress(0, 0, token), erc721Iface, 'balanceOf', [address], address);
+			if (balance > 0n) return true;
+		}
+		for (const token of tokens) {
+			const serials = await read(registry, registryIface, 'getSerialsDelegatedTo', [address, token], address);
+			if (serials.length > 0) return true;
+		}
+		return false;
+	};
+}
+
+module.exports = {
+	MAX_WIN_RATE_THRESHOLD,
+	rollParameterProblems,
+	checkRollParameters,
+	loadRollPolicy,
+	validateRollPolicy,
+	matchTier,
+	createRollPolicy,
+	createHolderCheck,
+};
@@ -0,0 +1,119 @@
+import type { ContractId } from '@hashgraph/sdk';
+import type { Server } from 'http';
+import type { Environment } from './hederaMirrorHelpers';
+
+export interface SettledTrade {
+	transactionId: string;
+	/** 'seconds.nanos'; the ticket nonce is this in nanoseconds */
+	consensusTimestamp: string;
+	token: string;
+	serial: number;
+	seller: string;
+	buyer: string;
+	/** what the seller received from the buyer, fees left out; raw amounts */
+	payments: { token: string; raw: string }[];
+}
+
+export type TradeSide = 'buyer' | 'seller';
+
+type Integer = bigint | number | string;
+
+export interface RollPolicyParameters {
+	winRateThreshold: Integer;
+	minWinAmt: Integer;
+	maxWinAmt: Integer;
+	jackpotThreshold: Integer;
+}
+
+/** The account rolling and the EVM address it calls rollLotto from */
+export interface RollContext {
+	account: string;
+	roller: string;
+}
+
+/** Trades that pay the seller nothing are refused unless the policy sets allowUnpaid */
+export type RollPolicy = { allowUnpaid?: boolean } & (
+	| RollPolicyParameters
+	| { buyer?: RollPolicyParameters; seller?: RollPolicyParameters }
+	| ((trade: SettledTrade, side: TradeSide, context: RollContext) => RollPolicyParameters | null | Promise<RollPolicyParameters | null>)
+);
+
+/** A signed roll, the input of rollLotto; integers as decimal strings */
+export interface RollTicket {
+	version: number;
+	contractId: string | null;
+	/** systemWallet address that signed */
+	signer: string;
+	/** Hedera account of the roller */
+	account: string;
+	roller: string;
+	token: string;
+	tokenAddress: string;
+	serial: number;
+	nonce: string;
+	buyer: boolean;
+	winRateThreshold: string;
+	minWinAmt: string;
+	maxWinAmt: string;
+	jackpotThreshold: string;
+	signature: string;
+	historyKey: string;
+	trade: SettledTrade;
+	issuedAt: string;
+}
+
+export interface RollRequest {
+	transactionId: string;
+	token: string;
+	serial: number;
+	side: TradeSide;
+}
+
+export declare function getSettledTrade(
+	env: Environment,
+	trade: { transactionId: string; token: string; serial: number },
+): Promise<SettledTrade>;
+
+export declare function rollParameters(policy: RollPolicy, trade: SettledTrade, side: TradeSide, context?: RollContext): Promise<Record<keyof RollPolicyParameters, string>>;
+
+export declare class NonceLedger {
+	constructor(options?: { file?: string; env?: string });
+	file: string | null;
+	env: string | null;
+	readonly size: number;
+	get(key: string): RollTicket | null;
+	record(key: string, ticket: RollTicket): void;
+}
+
+export interface TradeRollServiceOptions {
+	env: Environment;
+	/** defaults to process.env.SIGNING_KEY */
+	signingKey?: string;
+	policy: RollPolicy;
+	/** defaults to an in-memory ledger */
+	ledger?: NonceLedger;
+	contractId?: ContractId | string;
+}
+
+export declare class TradeRollService {
+	constructor(options: TradeRollServiceOptions);
+	env: Environment;
+	ledger: NonceLedger;
+	contractId: string | null;
+	allowUnpaid: boolean;
+	readonly signerAddress: string;
+	issue(request: RollRequest): Promise<{ ticket: RollTicket; existing: boolean }>;
+}
+
+export declare function handleRollRequest(
+	service: TradeRollService,
+	method: string,
+	url: string,
+	body?: string,
+): Promise<{ status: number; body: object }>;
+
+export declare function createTradeRollServer(options: {
+	service: TradeRollService;
+	cors?: string | null;
+	log?: (line: string) => void;
+}): Server;
@@ -0,0 +1,408 @@
+/**
+ * LazyTradeLotto Roll Signing Service
+ *
+ * Issues roll tickets: the signed parameters a trader passes to rollLotto.
+ * A request names a trade by its transaction, NFT and side. The service
+ * checks on the mirror node that the transaction succeeded, moved that NFT
+ * from one account to another and paid the seller (unless the policy sets
+ * allowUnpaid), takes the roller from the requested side
+ * (receiver = buyer, sender = seller), picks the roll parameters from the
+ * policy and signs them with the systemWallet key.
+ *
+ * The nonce is the trade's consensus timestamp in nanoseconds, so a trade
+ * side always maps to the same entry in the contract's history. Issued
+ * tickets are kept in a ledger by that history key: asking again returns the
+ * stored ticket and nothing is signed twice, even with a changed policy.
+ *
+ * HTTP API:
+ *   POST /sign    { transactionId, token: '0.0.X', serial, side: 'buyer'|'seller' } -> { ticket, existing }
+ *   GET  /health  signer address, network and tickets issued
+ *
+ * Usage:
+ *   const { TradeRollService, NonceLedger, createTradeRollServer } = require('./utils/tradeRollService');
+ *
+ *   const service = new TradeRollService({
+ *     env: 'testnet',
+ *     signingKey: process.env.SIGNING_KEY,
+ *     ledger: new NonceLedger({ file: './trade-roll-tickets.json', env: 'testnet' }),
+ *     policy: { winRateThreshold: 5_000_000, minWinAmt: 10, maxWinAmt: 100, jackpotThreshold: 10_000 },
+ *   });
+ *   createTradeRollServer({ service }).listen(8090);
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { default: axios } = require('axios');
+
+const { getBaseURL, formatTransactionIdForMirror, homebrewPopulateAccountEvmAddress, EntityType } = require('./hederaMirrorHelpers');
+const { loadSigningKey, signRoll, rollHistoryHash } = require('./tradeLottoSigner');
+const { tokenToEvmAddress } = require('./lazyLottoClient');
+const { checkRollParameters } = require('./tradeRollPolicy');
+
+const LEDGER_VERSION = 1;
+const TICKET_VERSION = 1;
+const MAX_BODY_BYTES = 16 * 1024;
+const ROLL_PARAMETERS = ['winRateThreshold', 'minWinAmt', 'maxWinAmt', 'jackpotThreshold'];
+
+function httpError(status, message) {
+	return Object.assign(new Error(message), { status });
+}
+
+// '1700000000.123456789' -> '1700000000123456789'
+function timestampToNonce(consensusTimestamp) {
+	const [seconds, nanos = ''] = consensusTimestamp.split('.');
+	return (BigInt(seconds) * 1_000_000_000n + BigInt(nanos.padEnd(9, '0'))).toString();
+}
+
+/**
+ * Look up a settled NFT trade on the mirror node
+ * @param {string} env
+ * @param {Object} trade
+ * @param {string} trade.transactionId - 0.0.X@seconds.nanos or mirror form
+ * @param {string} trade.token - NFT token ID
+ * @param {number} trade.serial
+ * @returns {Promise<Object>} transactionId, consensusTimestamp, token, serial, seller, buyer, payments
+ */
+async function getSettledTrade(env, trade) {
+	const url = `${getBaseURL(env)}/api/v1/transactions/${formatTransactionIdForMirror(trade.transactionId)}`;
+	let transactions;
+	try {
+		transactions = (await axios.get(url)).data.transactions ?? [];
+	}
+	catch (error) {
+		if (error.response?.status === 404) throw httpError(404, `Transaction ${trade.transactionId} not found`);
+		throw error;
+	}
+
+	const moves = transaction => (transaction.nft_transfers ?? []).find(t =>
+		t.token_id === trade.token && Number(t.serial_number) === Number(trade.serial)
+		&& t.sender_account_id && t.receiver_account_id);
+
+	const transaction = transactions.find(t => t.result === 'SUCCESS' && moves(t));
+	if (!transaction) {
+		const failed = transactions.find(moves);
+		throw httpError(422, failed
+			? `Transaction ${trade.transactionId} did not settle: ${failed.result}`
+			: `Transaction ${trade.transactionId} does not transfer ${trade.token} #${trade.serial} between accounts`);
+	}
+
+	const { sender_account_id: seller, receiver_account_id: buyer } = moves(transaction);
+
+	// a payment is what the seller received out of what left the buyer,
+	// leaving the transaction fee out on whichever side paid it
+	const payer = transaction.transaction_id.split('-')[0];
+	const fee = account => (payer === account ? BigInt(transaction.charged_tx_fee ?? 0) : 0n);
+	const hbar = account => (transaction.transfers ?? [])
+		.filter(t => t.account === account)
+		.reduce((sum, t) => sum + BigInt(t.amount), fee(account));
+	const tokens = account => (transaction.token_transfers ?? [])
+		.filter(t => t.account === account)
+		.reduce((amounts, t) => amounts.set(t.token_id, (amounts.get(t.token_id) ?? 0n) + BigInt(t.amount)), new Map());
+	const paid = (sent, received) => (-sent < received ? -sent : received);
+
+	const hbarPaid = paid(hbar(buyer), hbar(seller));
+	const [buyerTokens, sellerTokens] = [tokens(buyer), tokens(seller)];
+	const tokensPaid = [...buyerTokens]
+		.map(([token, sent]) => [token, paid(sent, sellerTokens.get(token) ?? 0n)])
+		.filter(([, raw]) => raw > 0n);
+
+	return {
+		transactionId: transaction.transaction_id,
+		consensusTimestamp: transaction.consensus_timestamp,
+		token: trade.token,
+		serial: Number(trade.serial),
+		seller,
+		buyer,
+		payments: [
+			...(hbarPaid > 0n ? [{ token: 'HBAR', raw: hbarPaid.toString() }] : []),
+			...tokensPaid.map(([token, raw]) => ({ token, raw: raw.toString() })),
+		],
+	};
+}
+
+/**
+ * Issued tickets by contract history key, in memory or in a JSON file
+ */
+class NonceLedger {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.file] - keeps tickets across restarts
+	 * @param {string} [options.env] - refuses a file written for another network
+	 */
+	constructor(options = {}) {
+		const { file = null, env = null } = options;
+		this.file = file;
+		this.env = env;
+		this.tickets = new Map();
+
+		if (file && fs.existsSync(file)) {
+			const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+			if (saved.version !== LEDGER_VERSION) {
+				throw new Error(`Unsupported ledger version ${saved.version} in ${file}`);
+			}
+			if (env && saved.env && saved.env !== env) {
+				throw new Error(`Ledger ${file} is for ${saved.env}, not ${env}`);
+			}
+			this.tickets = new Map(Object.entries(saved.tickets));
+		}
+	}
+
+	get size() {
+		return this.tickets.size;
+	}
+
+	get(key) {
+		return this.tickets.get(key) ?? null;
+	}
+
+	record(key, ticket) {
+		if (this.tickets.has(key)) {
+			throw new Error(`A ticket was already issued for ${key}`);
+		}
+		this.tickets.set(key, ticket);
+		this._save();
+	}
+
+	_save() {
+		if (!this.file) return;
+
+		const dir = path.dirname(this.file);
+		if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+		// write then rename so a crash never leaves a truncated ledger
+		const tmp = `${this.file}.tmp`;
+		fs.writeFileSync(tmp, JSON.stringify({
+			version: LEDGER_VERSION,
+			env: this.env,
+			tickets: Object.fromEntries(this.tickets),
+		}, null, 2));
+		fs.renameSync(tmp, this.file);
+	}
+}
+
+/**
+ * Roll parameters for a trade side from a policy
+ * @param {Object|Function} policy - parameters, { buyer, seller } parameters, or (trade, side, { account, roller }) => parameters
+ * @param {Object} trade - getSettledTrade result
+ * @param {string} side - 'buyer' or 'seller'
+ * @param {{account: string, roller: string}} [context] - the account rolling and its EVM address
+ * @returns {Promise<Object>} winRateThreshold, minWinAmt, maxWinAmt, jackpotThreshold as strings
+ */
+async function rollParameters(policy, trade, side, context = {}) {
+	let chosen = policy;
+	if (typeof policy === 'function') chosen = await policy(trade, side, context);
+	else if (policy.buyer || policy.seller) chosen = policy[side];
+	if (!chosen) {
+		throw httpError(422, `The policy gives no roll for the ${side} of this trade`);
+	}
+
+	checkRollParameters(chosen);
+	return Object.fromEntries(ROLL_PARAMETERS.map(name => [name, BigInt(chosen[name]).toString()]));
+}
+
+class TradeRollService {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.env - MAIN, TEST, PREVIEW, LOCAL
+	 * @param {string} [options.signingKey=process.env.SIGNING_KEY] - systemWallet ECDSA key
+	 * @param {Object|Function} options.policy - see rollParameters; trades that pay the seller nothing
+	 *   are refused unless it sets allowUnpaid: true
+	 * @param {NonceLedger} [options.ledger] - defaults to an in-memory ledger
+	 * @param {string} [options.contractId] - LazyTradeLotto, written into tickets
+	 */
+	constructor(options = {}) {
+		const { env, signingKey, policy, ledger, contractId = null } = options;
+
+		if (!env || !policy) {
+			throw new Error('TradeRollService requires an env and a roll policy');
+		}
+
+		// fixed policies fail here rather than on the first request
+		if (typeof policy !== 'function') {
+			const sides = ['buyer', 'seller'].filter(side => policy[side]);
+			if (sides.length > 0) sides.forEach(side => checkRollParameters(policy[side], `Roll policy for the ${side}`));
+			else checkRollParameters(policy);
+		}
+
+		this.env = env;
+		this.wallet = loadSigningKey(signingKey);
+		this.policy = policy;
+		this.allowUnpaid = policy.allowUnpaid === true;
+		this.ledger = ledger ?? new NonceLedger({ env });
+		this.contractId = contractId?.toString() ?? null;
+	}
+
+	/** systemWallet address the contract must be configured with */
+	get signerAddress() {
+		return this.wallet.address;
+	}
+
+	/**
+	 * Verify a trade and issue the ticket for one side of it
+	 * @param {Object} request
+	 * @param {string} request.transactionId
+	 * @param {string} request.token - NFT token ID
+	 * @param {number} request.serial
+	 * @param {string} request.side - 'buyer' or 'seller'
+	 * @returns {Promise<{ticket: Object, existing: boolean}>}
+	 */
+	async issue(request = {}) {
+		const { transactionId, token, side } = request;
+		const serial = Number(request.serial);
+
+		if (typeof transactionId !== 'string' || !/^\d+\.\d+\.\d+[@-]\d+[.-]\d+$/.test(transactionId)) {
+			throw httpError(400, 'transactionId must look like 0.0.X@seconds.nanos');
+		}
+		if (typeof token !== 'string' || !/^\d+\.\d+\.\d+$/.test(token)) {
+			throw httpError(400, 'token must be a token ID (0.0.X)');
+		}
+		if (!Number.isSafeInteger(serial) || serial <= 0) {
+			throw httpError(400, 'serial must be a positive integer');
+		}
+		if (side !== 'buyer' && side !== 'seller') {
+			throw httpError(400, 'side must be buyer or seller');
+		}
+
+		const trade = await getSettledTrade(this.env, { transactionId, token, serial });
+		// otherwise moving an NFT between your own accounts earns two tickets per move
+		if (trade.payments.length === 0 && !this.allowUnpaid) {
+			throw httpError(422, `Transaction ${transactionId} pays the seller nothing for ${token} #${serial}; the policy does not allow unpaid transfers`);
+		}
+		const buyer = side === 'buyer';
+		const nonce = timestampToNonce(trade.consensusTimestamp);
+		const key = rollHistoryHash({ token, serial, nonce, buyer });
+
+		const issued = this.ledger.get(key);
+		if (issued) return { ticket: issued, existing: true };
+
+		const account = buyer ? trade.buyer : trade.seller;
+		const roller = await homebrewPopulateAccountEvmAddress(this.env, account, EntityType.ACCOUNT);
+		const parameters = await rollParameters(this.policy, trade, side, { account, roller });
+
+		// a concurrent request for the same side may have finished meanwhile
+		const raced = this.ledger.get(key);
+		if (raced) return { ticket: raced, existing: true };
+
+		const roll = { roller, token, serial, nonce, buyer, ...parameters };
+		const ticket = {
+			version: TICKET_VERSION,
+			contractId: this.contractId,
+			signer: this.wallet.address,
+			account,
+			roller,
+			token,
+			tokenAddress: tokenToEvmAddress(token),
+			serial,
+			nonce,
+			buyer,
+			...parameters,
+			signature: signRoll(this.wallet, roll),
+			historyKey: key,
+			trade,
+			issuedAt: new Date().toISOString(),
+		};
+		this.ledger.record(key, ticket);
+
+		return { ticket, existing: false };
+	}
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		req.setEncoding('utf8');
+		req.on('data', chunk => {
+			body += chunk;
+			if (body.length > MAX_BODY_BYTES) {
+				reject(httpError(413, 'Request body too large'));
+				req.destroy();
+			}
+		});
+		req.on('end', () => resolve(body));
+		req.on('error', reject);
+	});
+}
+
+/**
+ * Resolve a request to a status code and JSON body
+ * @param {TradeRollService} service
+ * @param {string} method
+ * @param {string} url - path and query string
+ * @param {string} [body] - raw request body
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function handleRollRequest(service, method, url, body = '') {
+	try {
+		const { pathname } = new URL(url, 'http://localhost');
+
+		if (pathname === '/health') {
+			if (method !== 'GET') throw httpError(405, `Method ${method} not allowed`);
+			return {
+				status: 200,
+				body: { env: service.env, signer: service.signerAddress, contractId: service.contractId, issued: service.ledger.size },
+			};
+		}
+
+		if (pathname === '/sign') {
+			if (method !== 'POST') throw httpError(405, `Method ${method} not allowed`);
+			let request;
+			try {
+				request = JSON.parse(body);
+			}
+			catch {
+				throw httpError(400, 'Body must be JSON');
+			}
+			return { status: 200, body: await service.issue(request ?? {}) };
+		}
+
+		throw httpError(404, `No route for ${pathname}`);
+	}
+	catch (error) {
+		// mirror node trouble is not the caller's fault
+		const status = error.status ?? (error.isAxiosError ? 502 : 500);
+		return { status, body: { error: error.message } };
+	}
+}
+
+/**
+ * Create an HTTP server for the signing API (call .listen() to start it)
+ * @param {Object} options
+ * @param {TradeRollService} options.service
+ * @param {string|null} [options.cors=null] - Access-Control-Allow-Origin value, null to omit
+ * @param {function(string): void} [options.log] - one line per request
+ * @returns {http.Server}
+ */
+function createTradeRollServer(options = {}) {
+	const { service, cors = null, log = () => undefined } = options;
+
+	if (!service) {
+		throw new Error('createTradeRollServer requires a TradeRollService');
+	}
+
+	return http.createServer(async (req, res) => {
+		let result;
+		try {
+			result = await handleRollRequest(service, req.method, req.url, await readBody(req));
+		}
+		catch (error) {
+			result = { status: error.status ?? 400, body: { error: error.message } };
+		}
+
+		const headers = { 'Content-Type': 'application/json' };
+		if (cors) headers['Access-Control-Allow-Origin'] = cors;
+		res.writeHead(result.status, headers);
+		res.end(JSON.stringify(result.body));
+
+		log(`${req.method} ${req.url} ${result.status}`);
+	});
+}
+
+module.exports = {
+	TradeRollService,
+	NonceLedger,
+	getSettledTrade,
+	rollParameters,
+	handleRollRequest,
+	createTradeRollServer,
+};
@@ -0,0 +1,48 @@
+import type { AccountId, ContractId } from '@hashgraph/sdk';
+import type { Environment } from './hederaMirrorHelpers';
+import type { TradeSide } from './tradeRollService';
+
+/** A roll from its LottoRoll event; integers as decimal strings, amounts in raw $LAZY */
+export interface TradeRollResult {
+	/** Hedera ID of the roller (EVM address when it cannot be resolved) */
+	user: string | null;
+	timestamp: string;
+	time: string;
+	transactionHash: string;
+	winRateThreshold: string;
+	winRoll: string;
+	minWinAmt: string;
+	maxWinAmt: string;
+	won: boolean;
+	winAmount: string;
+	jackpotThreshold: string;
+	jackpotRoll: string;
+	jackpotWon: boolean;
+	/** from the JackpotWin event; null when the jackpot was not won or the event was not found */
+	jackpotAmount: string | null;
+}
+
+export interface TradeRollStatus {
+	contractId: string;
+	token: string;
+	tokenAddress: string;
+	serial: string;
+	nonce: string;
+	side: TradeSide;
+	historyKey: string;
+	rolled: boolean;
+	/** null when not rolled, or when the LottoRoll event was not found */
+	roll: TradeRollResult | null;
+}
+
+export declare function nonceTimestamp(nonce: bigint | number | string): string | null;
+
+export declare function getTradeRollStatus(env: Environment, options: {
+	token: string;
+	serial: bigint | number | string;
+	nonce: bigint | number | string;
+	side: TradeSide;
+	contract?: ContractId | string;
+	from?: AccountId | ContractId | string;
+	fromTimestamp?: Date | number | string | null;
+}): Promise<TradeRollStatus>;
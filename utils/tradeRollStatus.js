@@ -0,0 +1,158 @@
+/**
+ * LazyTradeLotto Roll Status
+ *
+ * Whether one side of a trade can still roll. rollLotto marks
+ * history[keccak256(token, serial, nonce, buyer)] before anything else, so the
+ * mapping read through the mirror node is the answer; for a side that has
+ * rolled, the matching LottoRoll event (and JackpotWin, when the jackpot
+ * roll hit) gives the result.
+ *
+ * Nonces issued by the roll signing service are the trade's consensus
+ * timestamp in nanoseconds and a roll always follows its trade, so for such
+ * nonces the event search starts there rather than at the first log.
+ *
+ * Usage:
+ *   const { getTradeRollStatus } = require('./utils/tradeRollStatus');
+ *
+ *   const status = await getTradeRollStatus('testnet', { token: '0.0.4321', serial: 7, nonce, side: 'buyer' });
+ *   if (status.rolled) console.log(status.roll.won, status.roll.winAmount);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ContractId } = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+
+const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
+const { getContractEvents, listContractEvents } = require('./contractEvents');
+const { getAddresses } = require('./deploymentManifest');
+const { rollHistoryHash } = require('./tradeLottoSigner');
+const { tokenToEvmAddress } = require('./lazyLottoClient');
+
+// 2019-01-01 in nanoseconds; below this a nonce is not a Hedera timestamp
+const EARLIEST_NONCE_TIMESTAMP = 1_546_300_800n * 1_000_000_000n;
+
+const lottoIface = new ethers.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'abi', 'LazyTradeLotto.json'), 'utf8')));
+
+/**
+ * The mirror timestamp a nonce stands for, when it is a plausible consensus
+ * timestamp in nanoseconds
+ * @param {bigint|number|string} nonce
+ * @returns {string|null} 'seconds.nanos'
+ */
+function nonceTimestamp(nonce) {
+	const value = BigInt(nonce);
+	const now = BigInt(Date.now()) * 1_000_000n;
+	if (value < EARLIEST_NONCE_TIMESTAMP || value > now) return null;
+	return `${value / 1_000_000_000n}.${String(value % 1_000_000_000n).padStart(9, '0')}`;
+}
+
+function resolveContract(env, contract) {
+	const id = contract ?? getAddresses(env).lazyTradeLotto;
+	if (!id) {
+		throw new Error(`No LazyTradeLotto contract known for ${env}: pass one or set it in the deployment manifest`);
+	}
+	return ContractId.fromString(id.toString());
+}
+
+/**
+ * Roll result from a LottoRoll event and the JackpotWin of the same transaction
+ * @param {Object} event - decoded LottoRoll
+ * @param {Object|null} jackpotWin - decoded JackpotWin
+ */
+function toRollResult(event, jackpotWin) {
+	const { args } = event;
+	const jackpotWon = BigInt(args._jackpotThreshold) >= BigInt(args._jackpotRoll);
+	return {
+		user: args._user,
+		timestamp: event.timestamp,
+		time: new Date(Number(event.timestamp.split('.')[0]) * 1000).toISOString(),
+		transactionHash: event.transactionHash,
+		winRateThreshold: args._winRateThreshold.toString(),
+		winRoll: args._winRoll.toString(),
+		minWinAmt: args._minWinAmt.toString(),
+		maxWinAmt: args._maxWinAmt.toString(),
+		won: BigInt(args._winAmount) > 0n,
+		winAmount: args._winAmount.toString(),
+		jackpotThreshold: args._jackpotThreshold.toString(),
+		jackpotRoll: args._jackpotRoll.toString(),
+		jackpotWon,
+		jackpotAmount: jackpotWin ? jackpotWin.args._jackpotAmt.toString() : null,
+	};
+}
+
+/**
+ * Has this side of the trade rolled, and with what result
+ *
+ * @param {string} env - MAIN, TEST, PREVIEW or LOCAL
+ * @param {Object} options
+ * @param {string} options.token - NFT token (0.0.X or 0x address)
+ * @param {bigint|number|string} options.serial
+ * @param {bigint|number|string} options.nonce
+ * @param {string} options.side - 'buyer' or 'seller'
+ * @param {ContractId|string} [options.contract] - LazyTradeLotto (default: deployment manifest)
+ * @param {AccountId|ContractId|string} [options.from] - caller for the mirror read (default: the contract)
+ * @param {Date|number|string|null} [options.fromTimestamp] - where the event search starts (default: the nonce's timestamp, if it is one)
+ * @returns {Promise<Object>} { contractId, token, tokenAddress, serial, nonce, side, historyKey, rolled, roll }
+ */
+async function getTradeRollStatus(env, options = {}) {
+	const { token, side } = options;
+	if (!token) throw new Error('A token is required');
+	if (side !== 'buyer' && side !== 'seller') throw new Error('side must be buyer or seller');
+	const serial = BigInt(options.serial);
+	const nonce = BigInt(options.nonce);
+	if (serial <= 0n) throw new Error('serial must be a positive integer');
+	if (nonce < 0n) throw new Error('nonce must not be negative');
+
+	const contractId = resolveContract(env, options.contract);
+	const buyer = side === 'buyer';
+	const tokenAddress = token.toString().startsWith('0x') ? ethers.getAddress(token.toString()) : tokenToEvmAddress(token);
+	const historyKey = rollHistoryHash({ token: tokenAddress, serial, nonce, buyer });
+
+	const encoded = lottoIface.encodeFunctionData('history', [historyKey]);
+	const result = await readOnlyEVMFromMirrorNode(env, contractId, encoded, options.from ?? contractId, false);
+	const rolled = lottoIface.decodeFunctionResult('history', result)[0];
+
+	const status = {
+		contractId: contractId.toString(),
+		token: token.toString(),
+		tokenAddress,
+		serial: serial.toString(),
+		nonce: nonce.toString(),
+		side,
+		historyKey,
+		rolled,
+		roll: null,
+	};
+	if (!rolled) return status;
+
+	const fromTimestamp = options.fromTimestamp === undefined ? nonceTimestamp(nonce) : options.fromTimestamp;
+	for await (const event of getContractEvents(env, {
+		contract: contractId,
+		contractName: 'LazyTradeLotto',
+		events: 'LottoRoll',
+		fromTimestamp,
+		filters: { _token: tokenAddress, _serial: serial, _nonce: nonce, _buyer: buyer },
+	})) {
+		let jackpotWin = null;
+		if (BigInt(event.args._jackpotThreshold) >= BigInt(event.args._jackpotRoll)) {
+			const wins = await listContractEvents(env, {
+				contract: contractId,
+				contractName: 'LazyTradeLotto',
+				events: 'JackpotWin',
+				fromTimestamp: event.timestamp,
+				toTimestamp: event.timestamp,
+			});
+			jackpotWin = wins.find(win => win.transactionHash === event.transactionHash) ?? null;
+		}
+		status.roll = toRollResult(event, jackpotWin);
+		break;
+	}
+	return status;
+}
+
+module.exports = {
+	getTradeRollStatus,
+	nonceTimestamp,
+	toRollResult,
+};
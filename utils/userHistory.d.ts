@@ -0,0 +1,96 @@
+import type { ContractId } from '@hashgraph/sdk';
+import type { Amount } from './lazyLottoClient';
+import type { Environment } from './hederaMirrorHelpers';
+import type { Interface } from 'ethers';
+
+export declare const HISTORY_EVENTS: string[];
+
+export type HistoryEntryType =
+	| 'buy'
+	| 'grant'
+	| 'roll'
+	| 'claim'
+	| 'entries_to_nft'
+	| 'nft_to_entries'
+	| 'prize_to_nft'
+	| 'nft_to_prize'
+	| 'ticket';
+
+export interface ClaimedPrize {
+	amount: Amount | null;
+	nfts: { tokenId: string; serials: number[] }[];
+}
+
+/** One ledger line; rolls are grouped per pool per transaction */
+export interface HistoryEntry {
+	/** consensus timestamp, 'seconds.nanos' */
+	timestamp: string;
+	/** ISO date */
+	time: string;
+	transactionId: string | null;
+	transactionHash: string;
+	type: HistoryEntryType;
+	/** null for claims that cannot be credited to a pool */
+	poolId: number | null;
+	entries: number | null;
+	rolls: number | null;
+	wins: number | null;
+	spent: Amount | null;
+	prize: ClaimedPrize | null;
+	serials: number[] | null;
+	/** charged fee, on the first line of each transaction the user paid for */
+	fee: Amount | null;
+}
+
+export interface HistoryTotals {
+	/** paid entries */
+	entries: number;
+	freeEntries: number;
+	rolls: number;
+	wins: number;
+	spent: Amount[];
+	claimed: Amount[];
+	nftsClaimed: number;
+	/** HBAR */
+	fees: Amount;
+	/** claimed minus spent minus fees, by token (may be negative) */
+	net: Amount[];
+}
+
+export interface PoolHistoryTotals extends HistoryTotals {
+	poolId: number | null;
+}
+
+export interface UserHistory {
+	user: string;
+	poolId: number | null;
+	since: string | null;
+	ledger: HistoryEntry[];
+	pools: PoolHistoryTotals[];
+	totals: HistoryTotals;
+}
+
+export interface UserHistoryOptions {
+	/** Hedera account ID */
+	user: string;
+	poolId?: number;
+	/** Date, seconds, 'seconds.nanos' or a date string */
+	since?: Date | number | string;
+}
+
+/** Client members getUserHistory reads; a LazyLottoClient satisfies it */
+export interface HistoryClient {
+	env: Environment;
+	contractId: ContractId | string;
+	lazyLottoIface: Interface;
+	getPool(poolId: number): Promise<{ entryFee: Amount }>;
+	toAmount(raw: bigint | number | string, tokenAddress: string): Promise<Amount>;
+}
+
+export declare function getUserHistory(client: HistoryClient, options: UserHistoryOptions): Promise<UserHistory>;
+
+export declare function getTransactionDetails(
+	env: Environment,
+	iface: Interface,
+	event: { timestamp: string; transactionHash: string },
+): Promise<{ transactionId: string | null; payer: string | null; fee: bigint; functionName: string | null }>;
@@ -0,0 +1,335 @@
+/**
+ * LazyLotto User History
+ *
+ * Rebuilds what an account spent and won from its EntryPurchased, Rolled,
+ * PrizeClaimed and TicketEvent events on the mirror node. Each transaction is
+ * looked up once for its charged fee (counted when the account paid it) and
+ * the function it called, which tells paid entries from admin grants and
+ * ticket conversions apart. Entry fees are fixed when a pool is created, so
+ * spend is the entry count times the pool's current entry fee.
+ *
+ * PrizeClaimed does not carry a pool. Claims made from prize NFTs take the
+ * pool of the NFT; other claims are credited to a pool only while every win
+ * not yet claimed came from that pool, and are reported with poolId null
+ * otherwise (always the case for wins made before `since`).
+ *
+ * Usage:
+ *   const { getUserHistory } = require('./utils/userHistory');
+ *
+ *   const history = await getUserHistory(lottoClient, { user: '0.0.1234', since: '2025-01-01' });
+ *   history.pools.forEach(pool => console.log(pool.poolId, pool.net.map(a => a.formatted)));
+ */
+
+const { default: axios } = require('axios');
+const { ethers } = require('ethers');
+
+const { getContractEvents, toMirrorTimestamp } = require('./contractEvents');
+const { getBaseURL } = require('./hederaMirrorHelpers');
+const { formatAmount, tokenToEvmAddress } = require('./lazyLottoClient');
+const { TICKET_KINDS } = require('./lottoIndexer');
+
+const HISTORY_EVENTS = ['EntryPurchased', 'Rolled', 'PrizeClaimed', 'TicketEvent'];
+
+// entry points that add entries without taking payment
+const FREE_ENTRY_FUNCTIONS = ['adminBuyAndRedeemEntry', 'adminGrantEntry'];
+
+const HBAR = { token: 'HBAR', symbol: 'HBAR', decimals: 8 };
+
+/**
+ * Amount object for a raw value of a known token
+ * @param {bigint} raw
+ * @param {{token: string, symbol: string, decimals: number}} info
+ */
+function toHistoryAmount(raw, info) {
+	return {
+		raw: raw.toString(),
+		token: info.token,
+		symbol: info.symbol,
+		decimals: info.decimals,
+		formatted: formatAmount(raw, info.decimals, info.symbol),
+	};
+}
+
+/**
+ * Running per-token sums, keeping each token's symbol and decimals for output
+ */
+class TokenTotals {
+	constructor() {
+		this.sums = new Map();
+	}
+
+	add(amount, sign = 1n) {
+		if (!amount) return;
+		const current = this.sums.get(amount.token) ?? { info: amount, raw: 0n };
+		current.raw += BigInt(amount.raw) * sign;
+		this.sums.set(amount.token, current);
+	}
+
+	get(token) {
+		return this.sums.get(token)?.raw ?? 0n;
+	}
+
+	toAmounts() {
+		return [...this.sums.values()].map(({ info, raw }) => toHistoryAmount(raw, info));
+	}
+}
+
+function emptyPoolTotals(poolId) {
+	return {
+		poolId,
+		entries: 0,
+		freeEntries: 0,
+		rolls: 0,
+		wins: 0,
+		nftsClaimed: 0,
+		spent: new TokenTotals(),
+		claimed: new TokenTotals(),
+		fees: new TokenTotals(),
+	};
+}
+
+function finishPoolTotals(totals) {
+	const net = new TokenTotals();
+	for (const { info, raw } of totals.claimed.sums.values()) net.add(toHistoryAmount(raw, info));
+	for (const { info, raw } of totals.spent.sums.values()) net.add(toHistoryAmount(raw, info), -1n);
+	for (const { info, raw } of totals.fees.sums.values()) net.add(toHistoryAmount(raw, info), -1n);
+
+	return {
+		poolId: totals.poolId,
+		entries: totals.entries,
+		freeEntries: totals.freeEntries,
+		rolls: totals.rolls,
+		wins: totals.wins,
+		spent: totals.spent.toAmounts(),
+		claimed: totals.claimed.toAmounts(),
+		nftsClaimed: totals.nftsClaimed,
+		fees: toHistoryAmount(totals.fees.get('HBAR'), HBAR),
+		net: net.toAmounts(),
+	};
+}
+
+/**
+ * Charged fee, payer and called function of a transaction, from the mirror node
+ * @param {string} env
+ * @param {ethers.Interface} iface - LazyLotto interface
+ * @param {Object} event - any event of the transaction
+ * @returns {Promise<{transactionId: string|null, payer: string|null, fee: bigint, functionName: string|null}>}
+ */
+async function getTransactionDetails(env, iface, event) {
+	const baseUrl = getBaseURL(env);
+	const [transactions, result] = await Promise.all([
+		axios.get(`${baseUrl}/api/v1/transactions?timestamp=${event.timestamp}`),
+		axios.get(`${baseUrl}/api/v1/contracts/results/${event.transactionHash}`).catch(() => null),
+	]);
+
+	const transaction = transactions.data.transactions?.[0];
+	let functionName = null;
+	try {
+		functionName = result ? iface.parseTransaction({ data: result.data.function_parameters })?.name ?? null : null;
+	}
+	catch {
+		// not a LazyLotto call (e.g. through a wrapper contract)
+	}
+
+	return {
+		transactionId: transaction?.transaction_id ?? null,
+		payer: transaction?.transaction_id?.split('-')[0] ?? null,
+		fee: BigInt(transaction?.charged_tx_fee ?? 0),
+		functionName,
+	};
+}
+
+async function decodeClaimedPrize(client, prize) {
+	const amount = BigInt(prize.amount) > 0n
+		? await client.toAmount(prize.amount, prize.token ? tokenToEvmAddress(prize.token) : ethers.ZeroAddress)
+		: null;
+	const nfts = prize.nftTokens
+		.map((tokenId, i) => ({ tokenId, serials: (prize.nftSerials[i] ?? []).map(Number) }))
+		.filter(nft => nft.tokenId);
+	return { amount, nfts };
+}
+
+/**
+ * Ledger and per-pool totals of an account's LazyLotto activity
+ *
+ * @param {Object} client - LazyLottoClient (reads only)
+ * @param {Object} options
+ * @param {string} options.user - Hedera account ID, as events report it
+ * @param {number} [options.poolId] - only this pool (claims that cannot be credited to a pool are left out)
+ * @param {Date|number|string} [options.since] - Date, seconds, 'seconds.nanos' or a date string
+ * @returns {Promise<Object>} { user, poolId, since, ledger, pools, totals }
+ */
+async function getUserHistory(client, options = {}) {
+	const { user, poolId = null } = options;
+	if (!user) {
+		throw new Error('getUserHistory requires a user');
+	}
+
+	let since = options.since ?? null;
+	if (typeof since === 'string' && !/^\d+(\.\d{1,9})?$/.test(since)) {
+		const parsed = new Date(since);
+		if (Number.isNaN(parsed.getTime())) {
+			throw new Error(`Invalid since date: ${since}`);
+		}
+		since = parsed;
+	}
+
+	const events = [];
+	for await (const event of getContractEvents(client.env, {
+		contract: client.contractId,
+		contractName: 'LazyLotto',
+		events: HISTORY_EVENTS,
+		filters: { user },
+		fromTimestamp: since === null ? null : toMirrorTimestamp(since),
+	})) {
+		events.push(event);
+	}
+
+	const transactions = new Map();
+	for (const event of events) {
+		if (!transactions.has(event.transactionHash)) {
+			transactions.set(event.transactionHash, await getTransactionDetails(client.env, client.lazyLottoIface, event));
+		}
+	}
+
+	const entryFees = new Map();
+	const entryFeeOf = async (id) => {
+		if (!entryFees.has(id)) entryFees.set(id, (await client.getPool(id)).entryFee);
+		return entryFees.get(id);
+	};
+
+	// pools whose prize NFTs were redeemed in a transaction, for claims made from them
+	const nftClaimPools = new Map();
+	const ticketKinds = new Map();
+	for (const event of events) {
+		if (event.name !== 'TicketEvent') continue;
+		const kind = TICKET_KINDS[event.args.mint][transactions.get(event.transactionHash).functionName] ?? 'ticket';
+		ticketKinds.set(event, kind);
+		if (kind === 'nft_to_prize') nftClaimPools.set(event.transactionHash, Number(event.args.poolId));
+	}
+
+	const unclaimedWins = new Map();
+	const ledger = [];
+	const rollRows = new Map();
+	const feeCharged = new Set();
+
+	const addRow = (event, row) => {
+		const details = transactions.get(event.transactionHash);
+		const chargeFee = !feeCharged.has(event.transactionHash) && details.payer === user;
+		feeCharged.add(event.transactionHash);
+		const entry = {
+			timestamp: event.timestamp,
+			time: new Date(Number(event.timestamp.split('.')[0]) * 1000).toISOString(),
+			transactionId: details.transactionId,
+			transactionHash: event.transactionHash,
+			type: row.type,
+			poolId: row.poolId,
+			entries: row.entries ?? null,
+			rolls: row.rolls ?? null,
+			wins: row.wins ?? null,
+			spent: row.spent ?? null,
+			prize: row.prize ?? null,
+			serials: row.serials ?? null,
+			fee: chargeFee ? toHistoryAmount(details.fee, HBAR) : null,
+		};
+		ledger.push(entry);
+		return entry;
+	};
+
+	for (const event of events) {
+		const { args } = event;
+		const details = transactions.get(event.transactionHash);
+
+		switch (event.name) {
+		case 'EntryPurchased': {
+			const id = Number(args.poolId);
+			const count = Number(args.count);
+			if (FREE_ENTRY_FUNCTIONS.includes(details.functionName)) {
+				addRow(event, { type: 'grant', poolId: id, entries: count });
+				break;
+			}
+			const fee = await entryFeeOf(id);
+			addRow(event, {
+				type: 'buy',
+				poolId: id,
+				entries: count,
+				spent: toHistoryAmount(BigInt(fee.raw) * BigInt(count), fee),
+			});
+			break;
+		}
+		case 'Rolled': {
+			const id = Number(args.poolId);
+			if (args.won) unclaimedWins.set(id, (unclaimedWins.get(id) ?? 0) + 1);
+
+			// one row per pool per transaction, however many entries were rolled
+			const key = `${event.transactionHash}:${id}`;
+			const row = rollRows.get(key) ?? addRow(event, { type: 'roll', poolId: id, rolls: 0, wins: 0 });
+			rollRows.set(key, row);
+			row.rolls++;
+			if (args.won) row.wins++;
+			break;
+		}
+		case 'TicketEvent': {
+			const id = Number(args.poolId);
+			const kind = ticketKinds.get(event);
+			if (kind === 'prize_to_nft') {
+				unclaimedWins.set(id, Math.max(0, (unclaimedWins.get(id) ?? 0) - args.serialNumber.length));
+			}
+			addRow(event, { type: kind, poolId: id, serials: args.serialNumber.map(Number) });
+			break;
+		}
+		case 'PrizeClaimed': {
+			let id = nftClaimPools.get(event.transactionHash) ?? null;
+			if (id === null) {
+				const pending = [...unclaimedWins.entries()].filter(([, wins]) => wins > 0);
+				if (pending.length === 1) {
+					id = pending[0][0];
+					unclaimedWins.set(id, pending[0][1] - 1);
+				}
+			}
+			addRow(event, { type: 'claim', poolId: id, prize: await decodeClaimedPrize(client, args.prize) });
+			break;
+		}
+		}
+	}
+
+	const rows = poolId === null ? ledger : ledger.filter(row => row.poolId === Number(poolId));
+
+	const perPool = new Map();
+	const overall = emptyPoolTotals(null);
+	for (const row of rows) {
+		if (!perPool.has(row.poolId)) perPool.set(row.poolId, emptyPoolTotals(row.poolId));
+		for (const totals of [perPool.get(row.poolId), overall]) {
+			if (row.type === 'buy') totals.entries += row.entries;
+			if (row.type === 'grant') totals.freeEntries += row.entries;
+			totals.rolls += row.rolls ?? 0;
+			totals.wins += row.wins ?? 0;
+			totals.spent.add(row.spent);
+			totals.claimed.add(row.prize?.amount);
+			totals.nftsClaimed += row.prize?.nfts.reduce((sum, nft) => sum + nft.serials.length, 0) ?? 0;
+			totals.fees.add(row.fee);
+		}
+	}
+
+	// unattributed claims (poolId null) sort last
+	const pools = [...perPool.values()]
+		.sort((a, b) => (a.poolId ?? Infinity) - (b.poolId ?? Infinity))
+		.map(finishPoolTotals);
+	const totals = finishPoolTotals(overall);
+	delete totals.poolId;
+
+	return {
+		user,
+		poolId: poolId === null ? null : Number(poolId),
+		since: since === null ? null : toMirrorTimestamp(since),
+		ledger: rows,
+		pools,
+		totals,
+	};
+}
+
+module.exports = {
+	HISTORY_EVENTS,
+	getUserHistory,
+	getTransactionDetails,
+};